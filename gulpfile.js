@@ -35,6 +35,7 @@ var paths = {
   js: [
     './www/app.js',
     './www/core/main.js',
+    './www/core/bootstrap.js',
     './www/core/lib/*.js',
     './www/core/filters/*.js',
     './www/core/directives/*.js',
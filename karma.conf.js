@@ -16,8 +16,12 @@ module.exports = function(config) {
     // list of files / patterns to load in the browser
     files: [
       'www/lib/ionic/js/ionic.bundle.js',
+      'www/lib/angular-translate/angular-translate.js',
+      'www/lib/angular-translate-loader-partial/angular-translate-loader-partial.js',
+      'www/lib/ngCordova/dist/ng-cordova.js',
+      'www/lib/ydn.db/jsc/ydn.db-custom.js',
+      'www/lib/angular-md5/angular-md5.js',
       'www/lib/angular-mocks/angular-mocks.js',
-      'www/lib/ydn.db/jsc/ydn.db-dev.js',
       'www/build/*.js',
       'www/**/tests/*.js'
     ],
@@ -15,7 +15,7 @@
 angular.module('mm.addons.files')
 
 .controller('mmaFilesListController', function($q, $scope, $stateParams, $ionicActionSheet,
-        $mmaFiles, $mmSite, $translate, $timeout, $mmUtil, $mmFS, $mmWS, $mmaFilesHelper) {
+        $mmaFiles, $mmSite, $translate, $timeout, $mmUtil, $mmFS, $mmWS, $mmaFilesHelper, $mmApp) {
 
     var path = $stateParams.path,
         root = $stateParams.root,
@@ -27,12 +27,15 @@ angular.module('mm.addons.files')
     // We're loading the files.
     $scope.count = -1;
 
+    // Files cannot be downloaded while offline.
+    $scope.isOnline = $mmApp.isOnline();
+    $mmApp.onNetworkChange(function(online) {
+        $scope.isOnline = online;
+    }, $scope);
+
     // Convenience function that fetches the files and updates the scope.
     // It was place in its own function so that we can refresh the files.
     function fetchFiles(root, path, refresh) {
-        $translate('loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
         refresh = (typeof refresh === 'undefined') ? false : refresh;
 
         if (!path) {
@@ -65,7 +68,7 @@ angular.module('mm.addons.files')
             })();
         }
 
-        $q.all([promise, title]).then(function(data) {
+        return $q.all([promise, title]).then(function(data) {
             var files = data[0],
                 title = data[1];
 
@@ -74,16 +77,33 @@ angular.module('mm.addons.files')
             $scope.title = title;
         }, function() {
             $mmUtil.showErrorModal('mma.files.couldnotloadfiles', true);
-        }).finally(function() {
+        });
+    }
+
+    // Convenience function that shows a loading modal while the files are fetched.
+    function fetchFilesWithLoading(root, path, refresh) {
+        $translate('loading').then(function(str) {
+            $mmUtil.showModalLoading(str);
+        });
+        return fetchFiles(root, path, refresh).finally(function() {
             $mmUtil.closeModalLoading();
         });
     }
-    fetchFiles(root, path);
+    fetchFilesWithLoading(root, path);
+
+    $scope.refreshFiles = function() {
+        fetchFiles(root, path, true).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
 
     // Downloading a file.
     $scope.download = function(file) {
         if (!$mmSite.canDownloadFiles()) {
             return false;
+        } else if (!$mmApp.isOnline()) {
+            $mmUtil.showErrorModal('mm.core.networkerrormsg', true);
+            return false;
         }
 
         $translate('mma.files.downloading').then(function(str) {
@@ -103,7 +123,7 @@ angular.module('mm.addons.files')
 
         $scope.add = function() {
             $mmaFilesHelper.pickAndUploadFile().then(function() {
-                fetchFiles(root, path, true);
+                fetchFilesWithLoading(root, path, true);
             }, function(err) {
                 if (err) {
                     $mmUtil.showErrorModal(err);
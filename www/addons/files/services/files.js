@@ -14,7 +14,10 @@
 
 angular.module('mm.addons.files')
 
-.factory('$mmaFiles', function($mmSite, $mmUtil, $mmFS, $mmWS, $q, $timeout, $log, md5) {
+.constant('mmaFilesEventFileUploaded', 'mma_files_file_uploaded')
+
+.factory('$mmaFiles', function($mmSite, $mmUtil, $mmFS, $mmWS, $mmEvents, $q, $timeout, $log, md5,
+            mmaFilesEventFileUploaded) {
 
     $log = $log.getInstance('$mmaFiles');
 
@@ -28,6 +31,16 @@ angular.module('mm.addons.files')
             "filename": ""
         };
 
+    /**
+     * Get cache key for files list WS calls.
+     *
+     * @param  {Object} params Params of the directory.
+     * @return {String}        Cache key.
+     */
+    function getFilesListCacheKey(params) {
+        return 'mmaFiles:list:' + md5.createHash(JSON.stringify(params));
+    }
+
     self.canAccessFiles = function() {
         return $mmSite.wsAvailable('core_files_get_files');
     };
@@ -86,7 +99,7 @@ angular.module('mm.addons.files')
      * @ngdoc method
      * @name $mmaFiles#getFiles
      * @param  {Object} A list of parameters accepted by the Web service.
-     * @param  {Boolean} refresh Pass true to ignore the cache.
+     * @param  {Boolean} refresh Pass true to invalidate the cached list before fetching it.
      * @return {Object} An object containing the files in the key 'entries', and 'count'.
      *                  Additional properties is added to the entries, such as:
      *                  - imgpath: The path to the icon.
@@ -95,13 +108,16 @@ angular.module('mm.addons.files')
      */
     self.getFiles = function(params, refresh) {
         var deferred = $q.defer(),
-            options = {};
-
-        if (refresh === true) {
-            options.getFromCache = false;
-        }
-
-        $mmSite.read('core_files_get_files', params, options).then(function(result) {
+            options = {
+                cacheKey: getFilesListCacheKey(params)
+            },
+            promise = refresh === true ? self.invalidateDirectory(params) : $q.when();
+
+        promise.catch(function() {
+            // Ignore errors, the list will be fetched anyway.
+        }).then(function() {
+            return $mmSite.read('core_files_get_files', params, options);
+        }).then(function(result) {
             var data = {
                 entries: [],
                 count: 0
@@ -163,7 +179,7 @@ angular.module('mm.addons.files')
      * @module mm.addons.files
      * @ngdoc method
      * @name $mmaFiles#getMyFiles
-     * @param  {Boolean} refresh Pass true to ignore the cache.
+     * @param  {Boolean} refresh Pass true to invalidate the cached list before fetching it.
      * @return {Object} See $mmaFiles#getFiles
      */
     self.getMyFiles = function(refresh) {
@@ -182,7 +198,7 @@ angular.module('mm.addons.files')
      * @module mm.addons.files
      * @ngdoc method
      * @name $mmaFiles#getSiteFiles
-     * @param  {Boolean} refresh Pass true to ignore the cache.
+     * @param  {Boolean} refresh Pass true to invalidate the cached list before fetching it.
      * @return {Object} See $mmaFiles#getFiles
      */
     self.getSiteFiles = function(refresh) {
@@ -190,6 +206,31 @@ angular.module('mm.addons.files')
         return self.getFiles(params, refresh);
     };
 
+    /**
+     * Invalidates the list of files in a directory.
+     *
+     * @module mm.addons.files
+     * @ngdoc method
+     * @name $mmaFiles#invalidateDirectory
+     * @param  {Object} params Params of the directory, as passed to $mmaFiles#getFiles.
+     * @return {Promise}       Promise to be resolved when the list is invalidated.
+     */
+    self.invalidateDirectory = function(params) {
+        return $mmSite.invalidateWsCacheForKey(getFilesListCacheKey(params));
+    };
+
+    /**
+     * Invalidates all the lists of files of the current site.
+     *
+     * @module mm.addons.files
+     * @ngdoc method
+     * @name $mmaFiles#invalidateAllLists
+     * @return {Promise} Promise to be resolved when the lists are invalidated.
+     */
+    self.invalidateAllLists = function() {
+        return $mmSite.invalidateWsCacheForKeyStartingWith('mmaFiles:list:');
+    };
+
     /**
      * Return whether or not the plugin is enabled.
      *
@@ -206,7 +247,8 @@ angular.module('mm.addons.files')
     };
 
     /**
-     * Upload a file.
+     * Upload a file. The event mmaFilesEventFileUploaded is triggered in $mmEvents when the upload succeeds,
+     * with the result of the upload.
      *
      * @module mm.addons.files
      * @ngdoc method
@@ -238,6 +280,7 @@ angular.module('mm.addons.files')
                     $mmFS.removeExternalFile(uri);
                 }, 500);
             }
+            $mmEvents.trigger(mmaFilesEventFileUploaded, result);
             deferred.resolve(result);
         }, function(error) {
             // Error.
@@ -36,15 +36,18 @@ angular.module('mm.addons.participants')
 
     function fetchParticipants(refresh) {
         var firstToGet = refresh ? 0 : $scope.participants.length;
-        return $mmaParticipants.getParticipants(courseid, firstToGet).then(function(data) {
-            if (refresh) {
-                $scope.participants = data.participants;
-            } else {
-                $scope.participants = $scope.participants.concat(data.participants);
-            }
+
+        // Expired participants might be received first, replace them when the new ones arrive.
+        function showParticipants(data) {
+            $scope.participants = $scope.participants.slice(0, firstToGet).concat(data.participants);
             $scope.canLoadMore = data.canLoadMore;
-        }, function(message) {
+        }
+
+        return $mmaParticipants.getParticipants(courseid, firstToGet).then(showParticipants, function(message) {
             $mmUtil.showErrorModal(message);
+        }, function(data) {
+            showParticipants(data);
+            $mmUtil.closeModalLoading();
         });
     }
 
@@ -64,7 +67,9 @@ angular.module('mm.addons.participants')
     };
 
     $scope.refreshParticipants = function() {
-        fetchParticipants(true).finally(function() {
+        $mmaParticipants.invalidateParticipantsList(courseid).finally(function() {
+            return fetchParticipants(true);
+        }).finally(function() {
             $scope.$broadcast('scroll.refreshComplete');
         });
     };
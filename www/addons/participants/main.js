@@ -16,7 +16,11 @@ angular.module('mm.addons.participants', [])
 
 .constant('mmaParticipantsListLimit', 50) // Max of participants to retrieve in each WS call.
 
-.config(function($stateProvider) {
+.config(function($stateProvider, $mmAddonRequirementsProvider) {
+
+    $mmAddonRequirementsProvider.register('mmaParticipants', {
+        functions: ['core_enrol_get_enrolled_users', 'core_user_get_course_user_profiles']
+    });
 
     $stateProvider
         .state('site.participants', {
@@ -22,7 +22,8 @@ angular.module('mm.addons.participants')
  * @ngdoc service
  * @name $mmaParticipantsDelegate
  */
-.factory('$mmaParticipantsDelegate', function($log) {
+.factory('$mmaParticipantsDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
 
     $log = $log.getInstance('$mmaParticipantsDelegate');
 
@@ -58,9 +59,28 @@ angular.module('mm.addons.participants')
      */
     self.updatePluginData = function(name) {
         $log.debug("Update plugin '"+name+"' data in participant.");
-        var pluginData = plugins[name]();
+        // Plugins whose requirements aren't met by the site are not shown, see $mmAddonRequirements.
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
         if (typeof(pluginData) !== 'undefined') {
             data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+
+    /**
+     * Update the data of all the registered plugins. The plugins that are no longer enabled are removed.
+     *
+     * @module mm.addons.participants
+     * @ngdoc method
+     * @name $mmaParticipantsDelegate#updateData
+     */
+    self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in participant.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
         }
     };
 
@@ -82,5 +102,10 @@ angular.module('mm.addons.participants')
         return data;
     };
 
+    // The functions available in the site might have changed, check which plugins are enabled now.
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    // The user switched to another site.
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
+
     return self;
 });
@@ -27,6 +27,27 @@ angular.module('mm.addons.participants')
 
     var self = {};
 
+    /**
+     * Get cache key for participant list WS calls.
+     *
+     * @param  {String} courseid ID of the course.
+     * @return {String}          Cache key.
+     */
+    function getParticipantsListCacheKey(courseid) {
+        return 'mmaParticipants:list:' + courseid;
+    }
+
+    /**
+     * Get cache key for participant WS calls.
+     *
+     * @param  {String} courseid ID of the course the participant belongs to.
+     * @param  {String} userid   ID of the participant.
+     * @return {String}          Cache key.
+     */
+    function getParticipantCacheKey(courseid, userid) {
+        return 'mmaParticipants:participant:' + courseid + ':' + userid;
+    }
+
     /**
      * Get participants for a certain course.
      *
@@ -36,7 +57,8 @@ angular.module('mm.addons.participants')
      * @param {String} courseid    ID of the course.
      * @param {Number} limitFrom   Position of the first participant to get.
      * @param {Number} limitNumber Number of participants to get.
-     * @return {Promise}           Promise to be resolved when the participants are retrieved.
+     * @return {Promise}           Promise to be resolved when the participants are retrieved. If there are expired
+     *                             participants in cache they're notified while the new ones are retrieved.
      */
     self.getParticipants = function(courseid, limitFrom, limitNumber) {
 
@@ -57,10 +79,19 @@ angular.module('mm.addons.participants')
             "options[1][value]": limitNumber,
         };
 
-        return $mmSite.read('core_enrol_get_enrolled_users', data).then(function(users) {
+        var preSets = {
+            cacheKey: getParticipantsListCacheKey(courseid),
+            updateInBackground: true,
+            batch: true
+        };
+
+        function formatParticipants(users) {
             var canLoadMore = users.length >= limitNumber;
             return {participants: users, canLoadMore: canLoadMore};
-        });
+        }
+
+        return $mmSite.read('core_enrol_get_enrolled_users', data, preSets).then(formatParticipants, undefined,
+                formatParticipants);
     };
 
     /**
@@ -82,7 +113,11 @@ angular.module('mm.addons.participants')
             "userlist[0][courseid]": courseid
         };
 
-        $mmSite.read('core_user_get_course_user_profiles', data).then(function(users) {
+        var preSets = {
+            cacheKey: getParticipantCacheKey(courseid, userid)
+        };
+
+        $mmSite.read('core_user_get_course_user_profiles', data, preSets).then(function(users) {
             if (users.length == 0) {
                 $mmLang.translateErrorAndReject(deferred, 'errorparticipantnotfound');
                 return;
@@ -105,5 +140,32 @@ angular.module('mm.addons.participants')
         return deferred.promise;
     };
 
+    /**
+     * Invalidates participant list for a certain course.
+     *
+     * @module mm.addons.participants
+     * @ngdoc method
+     * @name $mmaParticipants#invalidateParticipantsList
+     * @param  {String} courseid ID of the course.
+     * @return {Promise}         Promise to be resolved when the list is invalidated.
+     */
+    self.invalidateParticipantsList = function(courseid) {
+        return $mmSite.invalidateWsCacheForKey(getParticipantsListCacheKey(courseid));
+    };
+
+    /**
+     * Invalidates a participant.
+     *
+     * @module mm.addons.participants
+     * @ngdoc method
+     * @name $mmaParticipants#invalidateParticipant
+     * @param  {String} courseid ID of the course the participant belongs to.
+     * @param  {String} userid   ID of the participant.
+     * @return {Promise}         Promise to be resolved when the participant is invalidated.
+     */
+    self.invalidateParticipant = function(courseid, userid) {
+        return $mmSite.invalidateWsCacheForKey(getParticipantCacheKey(courseid, userid));
+    };
+
     return self;
 });
@@ -12,7 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-angular.module('mm', ['ionic', 'mm.core', 'mm.core.course', 'mm.core.courses', 'mm.core.login', 'mm.core.sidemenu', 'mm.addons.files', 'mm.addons.participants', 'ngCordova', 'angular-md5', 'pascalprecht.translate'])
+angular.module('mm', ['ionic', 'mm.core', 'mm.core.course', 'mm.core.courses', 'mm.core.emulator', 'mm.core.login', 'mm.core.settings', 'mm.core.sidemenu', 'mm.addons.files', 'mm.addons.participants', 'ngCordova', 'angular-md5', 'pascalprecht.translate'])
 .run(function($ionicPlatform) {
   $ionicPlatform.ready(function() {
     if (window.cordova && window.cordova.plugins && window.cordova.plugins.Keyboard) {
@@ -24,7 +24,7 @@ angular.module('mm', ['ionic', 'mm.core', 'mm.core.course', 'mm.core.courses', '
   });
 });
 
-angular.module('mm.core', ['pascalprecht.translate'])
+angular.module('mm.core', ['ionic', 'ngCordova', 'angular-md5', 'pascalprecht.translate'])
 .config(function($stateProvider, $provide, $ionicConfigProvider, $httpProvider, $mmUtilProvider,
         $mmLogProvider, $compileProvider) {
     $ionicConfigProvider.platform.android.tabs.position('bottom');
@@ -90,22 +90,366 @@ angular.module('mm.core', ['pascalprecht.translate'])
     });
 });
 
+angular.element(document).ready(function() {
+    var element = document.querySelector('[mm-app]'),
+        siteStorageKey = 'mm_site_extra_js',
+        loadTimeout = 10000,
+        registerMethods = ['provider', 'factory', 'service', 'value', 'constant'],
+        addons = [],
+        $injector,
+        $http,
+        $q,
+        $log;
+    if (!element) {
+        return;
+    }
+    $injector = angular.injector(['ng']);
+    $http = $injector.get('$http');
+    $q = $injector.get('$q');
+    $log = $injector.get('$log');
+        function getOrigin(url) {
+        var link = document.createElement('a');
+        link.href = url;
+        return link.protocol + '//' + link.host;
+    }
+        function getAddonsToLoad() {
+        return $http.get('config.json').then(function(response) {
+            var config = response.data || {},
+                appOrigin = getOrigin(document.location.href),
+                list = [],
+                urls = [],
+                stored,
+                siteOrigins;
+                        function addAddon(url, allowed) {
+                if (urls.indexOf(url) == -1) {
+                    urls.push(url);
+                    list.push({
+                        url: url,
+                        modules: [],
+                        services: [],
+                        error: allowed ? undefined : 'The URL of the addon is not allowed.'
+                    });
+                }
+            }
+            angular.forEach(angular.isArray(config.extra_js) ? config.extra_js : [], function(url) {
+                var origin = getOrigin(url);
+                addAddon(url, origin === appOrigin || origin.indexOf('https://') === 0);
+            });
+            if (config.site_extra_js) {
+                try {
+                    stored = JSON.parse(localStorage.getItem(siteStorageKey)) || {};
+                } catch(ex) {
+                    stored = {};
+                }
+                siteOrigins = angular.isArray(config.site_extra_js_origins) ? config.site_extra_js_origins : [];
+                if (stored.siteurl) {
+                    siteOrigins = siteOrigins.concat(getOrigin(stored.siteurl));
+                }
+                angular.forEach(angular.isArray(stored.urls) ? stored.urls : [], function(url) {
+                    var origin = getOrigin(url);
+                    addAddon(url, origin.indexOf('https://') === 0 && siteOrigins.indexOf(origin) != -1);
+                });
+            }
+            return list;
+        }, function() {
+            $log.error('Cannot read config.json, no extra addons loaded.');
+            return [];
+        });
+    }
+        function checkModule(name) {
+        angular.forEach(angular.module(name).requires, function(required) {
+            try {
+                angular.module(required);
+            } catch(ex) {
+                throw new Error('Module ' + name + ' requires module ' + required + ', which is not available.');
+            }
+        });
+    }
+        function addonFailed(addon, error) {
+        var message = String(error && error.message || error);
+        addon.error = addon.error || message;
+        $log.error('Error in addon ' + addon.url + ': ' + message);
+    }
+        function sandboxFunction(fn, addon, locals, fallback) {
+        return ['$injector', function($injector) {
+            try {
+                return $injector.invoke(fn, undefined, locals);
+            } catch(ex) {
+                addonFailed(addon, ex);
+                return fallback;
+            }
+        }];
+    }
+        function register($injector, $provide, addon, method, args) {
+        var name = args[0],
+            value = args[1];
+        if (typeof(name) !== 'string') {
+            throw new Error('The services and constants must be registered one by one, with their name.');
+        } else if ($injector.has(name)) {
+            throw new Error('Addon cannot replace ' + name + '.');
+        }
+        if (method == 'factory') {
+            value = sandboxFunction(value, addon, undefined, {});
+        } else if (method == 'service') {
+            method = 'factory';
+            value = ['$injector', function($injector) {
+                try {
+                    return $injector.instantiate(args[1]);
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                    return {};
+                }
+            }];
+        }
+        addon.services.push(name);
+        $provide[method](name, value);
+    }
+        function getSandboxedProvide($injector, addon) {
+        var $provide = $injector.get('$provide'),
+            sandboxed = {};
+        angular.forEach(registerMethods, function(method) {
+            sandboxed[method] = function(name, value) {
+                register($injector, $provide, addon, method, [name, value]);
+            };
+        });
+        sandboxed.decorator = function(name, decorator) {
+            if (addon.services.indexOf(name) == -1) {
+                throw new Error('Addon cannot decorate ' + name + '.');
+            }
+            $provide.decorator(name, sandboxFunction(decorator, addon));
+        };
+        return sandboxed;
+    }
+        function sandboxModule(module, addon) {
+        module._invokeQueue = module._invokeQueue.map(function(invokeArgs) {
+            return ['$injector', 'invoke', [['$injector', function($injector) {
+                var provider = invokeArgs[0],
+                    method = invokeArgs[1];
+                try {
+                    if (provider == '$provide' && registerMethods.indexOf(method) != -1) {
+                        register($injector, $injector.get('$provide'), addon, method, invokeArgs[2]);
+                    } else if (provider == '$provide') {
+                        throw new Error('Addon cannot use $provide.' + method + ' for ' + invokeArgs[2][0] + '.');
+                    } else {
+                        provider = $injector.get(provider);
+                        provider[method].apply(provider, invokeArgs[2]);
+                    }
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                }
+            }]]];
+        });
+        angular.forEach(module._configBlocks, function(invokeArgs) {
+            var block = invokeArgs[2][0];
+            invokeArgs[2][0] = ['$injector', function($injector) {
+                try {
+                    return $injector.invoke(block, undefined, {$provide: getSandboxedProvide($injector, addon)});
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                }
+            }];
+        });
+        module._runBlocks = module._runBlocks.map(function(block) {
+            return sandboxFunction(block, addon);
+        });
+    }
+        function runAddon(addon, code) {
+        var originalModule = angular.module,
+            modules = [];
+        angular.module = function(name, requires) {
+            if (requires) {
+                try {
+                    originalModule(name);
+                } catch(ex) {
+                    modules.push(name);
+                    return originalModule.apply(angular, arguments);
+                }
+                throw new Error('Module ' + name + ' already exists.');
+            } else if (modules.indexOf(name) == -1) {
+                throw new Error('Addon cannot use module ' + name + ', it is not declared by the addon.');
+            }
+            return originalModule.apply(angular, arguments);
+        };
+        try {
+            new Function(code + '\n//# sourceURL=' + addon.url)();
+        } finally {
+            angular.module = originalModule;
+        }
+        angular.forEach(modules, checkModule);
+        angular.forEach(modules, function(name) {
+            sandboxModule(angular.module(name), addon);
+        });
+        addon.modules = modules;
+    }
+        function loadAddons(list) {
+        var addon = list.shift(),
+            options = {timeout: loadTimeout, transformResponse: angular.identity};
+        if (typeof(addon) === 'undefined') {
+            return $q.when();
+        }
+        addons.push(addon);
+        if (addon.error) {
+            $log.error('Addon ' + addon.url + ' skipped: ' + addon.error);
+            return loadAddons(list);
+        }
+        return $http.get(addon.url, options).then(function(response) {
+            try {
+                runAddon(addon, response.data);
+            } catch(ex) {
+                return $q.reject(ex);
+            }
+        }).catch(function(error) {
+            addon.modules = [];
+            addon.error = error instanceof Error ? error.message : 'Cannot download the addon.';
+            $log.error('Addon ' + addon.url + ' skipped: ' + addon.error);
+        }).then(function() {
+            return loadAddons(list);
+        });
+    }
+        function bootstrap(modules) {
+        angular.bootstrap(element, ['mm'].concat(modules, [['$mmAddonLoaderProvider', function($mmAddonLoaderProvider) {
+            $mmAddonLoaderProvider.setAddons(addons);
+        }]]));
+    }
+    getAddonsToLoad().then(loadAddons).finally(function() {
+        var modules = [],
+            html = element.innerHTML;
+        angular.forEach(addons, function(addon) {
+            modules = modules.concat(addon.modules);
+        });
+        try {
+            bootstrap(modules);
+        } catch(ex) {
+            if (!modules.length) {
+                throw ex;
+            }
+            $log.error('The app cannot be started with the addons, starting without them: ' + (ex && ex.message || ex));
+            angular.forEach(addons, function(addon) {
+                if (addon.modules.length) {
+                    addon.error = addon.error || 'The app cannot be started with the addon.';
+                    addon.modules = [];
+                }
+            });
+            angular.element(element).removeData();
+            element.innerHTML = html;
+            bootstrap([]);
+        }
+    });
+});
+
+angular.module('mm.core')
+.constant('mmCoreAddonsSiteStorageKey', 'mm_site_extra_js')
+.provider('$mmAddonLoader', function() {
+    var addons = [];
+        this.setAddons = function(list) {
+        addons = list;
+    };
+    this.$get = function($q, $log, $window, $mmConfig, mmCoreAddonsSiteStorageKey) {
+        $log = $log.getInstance('$mmAddonLoader');
+        var self = {};
+                self.getAddons = function() {
+            return angular.copy(addons);
+        };
+                self.setSiteAddons = function(urls, siteurl) {
+            urls = angular.isArray(urls) ? urls.filter(angular.isString) : [];
+            return $mmConfig.get('site_extra_js').catch(function() {
+                return false;
+            }).then(function(enabled) {
+                if (!enabled) {
+                    $window.localStorage.removeItem(mmCoreAddonsSiteStorageKey);
+                    return urls.length ? $q.reject() : undefined;
+                }
+                if (urls.length) {
+                    $log.debug('Site addons for the next start: ' + urls.join(', '));
+                    $window.localStorage.setItem(mmCoreAddonsSiteStorageKey, angular.toJson({
+                        siteurl: siteurl,
+                        urls: urls
+                    }));
+                } else {
+                    $window.localStorage.removeItem(mmCoreAddonsSiteStorageKey);
+                }
+            });
+        };
+        return self;
+    };
+})
+.run(function($log, $mmEvents, $mmSite, $mmConfig, $mmAddonLoader, mmCoreEventLogin, mmCoreEventSiteUpdated) {
+    $log = $log.getInstance('$mmAddonLoader');
+    angular.forEach($mmAddonLoader.getAddons(), function(addon) {
+        if (addon.error) {
+            $log.error('Addon ' + addon.url + ' failed: ' + addon.error);
+        } else {
+            $log.debug('Addon ' + addon.url + ' loaded with modules: ' + addon.modules.join(', '));
+        }
+    });
+        function storeSiteAddons() {
+        var siteurl = $mmSite.getURL();
+        $mmConfig.get('site_extra_js').then(function(enabled) {
+            if (!enabled) {
+                return $mmAddonLoader.setSiteAddons([], siteurl);
+            }
+            return $mmConfig.get('site_extra_js_wsfunction').then(function(wsfunction) {
+                if (!wsfunction || !$mmSite.wsAvailable(wsfunction)) {
+                    $log.debug('The site does not provide addons.');
+                    return $mmAddonLoader.setSiteAddons([], siteurl);
+                }
+                return $mmSite.read(wsfunction, {}, {getFromCache: 0, saveToCache: 0}).then(function(response) {
+                    return $mmAddonLoader.setSiteAddons(response && response.urls, siteurl);
+                }, function() {
+                    $log.debug('The addons of the site could not be retrieved.');
+                });
+            });
+        }).catch(function() {
+        });
+    }
+    $mmEvents.on(mmCoreEventLogin, storeSiteAddons);
+    $mmEvents.on(mmCoreEventSiteUpdated, storeSiteAddons);
+});
+
+angular.module('mm.core')
+.provider('$mmAddonRequirements', function() {
+    var requirements = {};
+        this.register = function(addon, requirement) {
+        requirements[addon] = requirement;
+    };
+    this.$get = function($log, $mmSite) {
+        $log = $log.getInstance('$mmAddonRequirements');
+        var self = {};
+                self.getRequirements = function(addon) {
+            return requirements[addon];
+        };
+                self.isAddonEnabled = function(addon, site) {
+            var requirement = requirements[addon],
+                enabled = true;
+            if (typeof(requirement) === 'undefined') {
+                return true;
+            }
+            site = site || $mmSite;
+            if (requirement.minVersion && !site.isVersionGreaterEqualThan(requirement.minVersion)) {
+                $log.debug('Addon ' + addon + ' needs Moodle ' + requirement.minVersion);
+                return false;
+            }
+            angular.forEach(requirement.functions, function(method) {
+                if (enabled && !site.wsAvailable(method)) {
+                    $log.debug('Addon ' + addon + ' needs the WS function ' + method);
+                    enabled = false;
+                }
+            });
+            return enabled;
+        };
+        return self;
+    };
+});
+
 angular.module('mm.core')
-.provider('$mmApp', function() {
+.provider('$mmApp', function($injector) {
         var DBNAME = 'MoodleMobile',
         dbschema = {
             autoSchema: true,
             stores: []
         };
         this.registerStore = function(store) {
-        if (typeof(store.name) === 'undefined') {
-            console.log('$mmApp: Error: store name is undefined.');
-            return;
-        } else if (storeExists(store.name)) {
-            console.log('$mmApp: Error: store ' + store.name + ' is already defined.');
-            return;
-        }
-        dbschema.stores.push(store);
+        $injector.get('$mmDBProvider').addStore(dbschema, store);
     }
         this.registerStores = function(stores) {
         var self = this;
@@ -113,18 +457,10 @@ angular.module('mm.core')
             self.registerStore(store);
         })
     }
-        function storeExists(name) {
-        var exists = false;
-        angular.forEach(dbschema.stores, function(store) {
-            if (store.name === name) {
-                exists = true;
-            }
-        });
-        return exists;
-    }
-    this.$get = function($mmDB) {
+    this.$get = function($rootScope, $window, $timeout, $mmDB, $mmEvents, $cordovaNetwork, mmCoreEventNetworkChange) {
         var db = $mmDB.getDB(DBNAME, dbschema),
-            self = {};
+            self = {},
+            online;
                 self.canUseChildBrowser = function() {
             return window.plugins && window.plugins.childBrowser;
         };
@@ -134,12 +470,47 @@ angular.module('mm.core')
                 self.getSchema = function() {
             return dbschema;
         };
+                self.isOnline = function() {
+            try {
+                return $cordovaNetwork.isOnline();
+            } catch(err) {
+                return $window.navigator.onLine !== false;
+            }
+        };
+                self.isWifi = function() {
+            try {
+                var type = $cordovaNetwork.getNetwork();
+                return type === Connection.WIFI || type === Connection.ETHERNET;
+            } catch(err) {
+                return self.isOnline();
+            }
+        };
+                self.onNetworkChange = function(callback, scope) {
+            return $mmEvents.on(mmCoreEventNetworkChange, callback, scope);
+        };
+                function checkNetworkStatus() {
+            var isOnline = self.isOnline();
+            if (isOnline !== online) {
+                online = isOnline;
+                $mmEvents.trigger(mmCoreEventNetworkChange, online);
+            }
+        }
+        online = self.isOnline();
+        $rootScope.$on('$cordovaNetwork:online', checkNetworkStatus);
+        $rootScope.$on('$cordovaNetwork:offline', checkNetworkStatus);
+        $window.addEventListener('online', function() {
+            $timeout(checkNetworkStatus);
+        }, false);
+        $window.addEventListener('offline', function() {
+            $timeout(checkNetworkStatus);
+        }, false);
         return self;
     }
 });
 
 angular.module('mm.core')
 .constant('mmCoreConfigStore', 'config')
+.constant('mmCoreConfigTypes', ['boolean', 'number', 'string', 'object', 'array'])
 .config(function($mmAppProvider, mmCoreConfigStore) {
     var stores = [
         {
@@ -149,211 +520,1463 @@ angular.module('mm.core')
     ];
     $mmAppProvider.registerStores(stores);
 })
-.factory('$mmConfig', function($http, $q, $log, $mmApp, mmCoreConfigStore) {
-    $log = $log.getInstance('$mmConfig');
-    var initialized = false,
-        self = {
-            config: {}
+.provider('$mmConfig', function(mmCoreConfigTypes) {
+    var settings = {};
+        function getType(value) {
+        if (angular.isArray(value)) {
+            return 'array';
+        } else if (value === null) {
+            return 'null';
+        }
+        return typeof(value);
+    }
+        this.registerSetting = function(name, definition) {
+        definition = definition || {};
+        if (!name) {
+            throw new Error('Setting name is undefined.');
+        } else if (mmCoreConfigTypes.indexOf(definition.type) == -1) {
+            throw new Error('Setting ' + name + ' has an invalid type: ' + definition.type + '.');
+        } else if (typeof(definition.default) !== 'undefined' && getType(definition.default) !== definition.type) {
+            throw new Error('The default value of setting ' + name + ' is not of type ' + definition.type + '.');
+        }
+        definition = {
+            type: definition.type,
+            default: angular.copy(definition.default)
+        };
+        if (settings[name]) {
+            if (angular.equals(settings[name], definition)) {
+                return false;
+            }
+            throw new Error('Setting ' + name + ' is already defined with a different definition.');
+        }
+        settings[name] = definition;
+        return true;
+    };
+        this.registerSettings = function(definitions) {
+        var self = this;
+        angular.forEach(definitions, function(definition, name) {
+            self.registerSetting(name, definition);
+        });
+    };
+    this.$get = function($http, $q, $log, $mmApp, $mmEvents, mmCoreConfigStore, mmCoreEventConfigChanged) {
+        $log = $log.getInstance('$mmConfig');
+        var initialized = false,
+            self = {
+                config: {}
+            };
+        function init() {
+            var deferred = $q.defer();
+            $http.get('config.json').then(function(response) {
+                var data = response.data;
+                for (var name in data) {
+                    self.config[name] = data[name];
+                }
+                initialized = true;
+                deferred.resolve();
+            }, deferred.reject);
+            return deferred.promise;
+        };
+                function whenInitialized(fn) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            if (!initialized) {
+                return init().then(function() {
+                    return fn.apply(null, args);
+                }, function() {
+                    $log.error('Failed to initialize $mmConfig.');
+                    return $q.reject();
+                });
+            }
+            return $q.when(fn.apply(null, args));
+        }
+                function rejectStaticChange(name) {
+            var error = new Error('Cannot change static config setting \'' + name + '\', it is set in config.json.');
+            $log.error(error.message);
+            return $q.reject(error);
+        }
+                function notifyChange(name, value) {
+            $mmEvents.trigger(mmCoreEventConfigChanged, {name: name, value: angular.copy(value)});
+        }
+                function getDefault(name) {
+            return settings[name] ? angular.copy(settings[name].default) : undefined;
+        }
+        function getConfig(name) {
+            var value = self.config[name];
+            if (typeof(value) != 'undefined') {
+                return value;
+            }
+            return $mmApp.getDB().get(mmCoreConfigStore, name).then(function(entry) {
+                return entry.value;
+            }, function() {
+                var value = getDefault(name);
+                return typeof(value) != 'undefined' ? value : $q.reject();
+            });
+        }
+        function setConfig(name, value) {
+            var type, error;
+            if (typeof(self.config[name]) !== 'undefined') {
+                return rejectStaticChange(name);
+            }
+            type = getType(value);
+            if (settings[name] && type !== settings[name].type) {
+                error = new Error('Config setting \'' + name + '\' must be of type ' + settings[name].type +
+                        ', got ' + type + '.');
+                $log.error(error.message);
+                return $q.reject(error);
+            }
+            return $mmApp.getDB().insert(mmCoreConfigStore, {name: name, value: value}).then(function(result) {
+                notifyChange(name, value);
+                return result;
+            });
+        }
+        function deleteConfig(name) {
+            if (typeof(self.config[name]) !== 'undefined') {
+                return rejectStaticChange(name);
+            }
+            return $mmApp.getDB().remove(mmCoreConfigStore, name).then(function(result) {
+                notifyChange(name, getDefault(name));
+                return result;
+            });
+        }
+        function getAllConfig() {
+            return $mmApp.getDB().getAll(mmCoreConfigStore).then(function(entries) {
+                var result = {};
+                angular.forEach(settings, function(definition, name) {
+                    if (typeof(definition.default) !== 'undefined') {
+                        result[name] = angular.copy(definition.default);
+                    }
+                });
+                angular.forEach(entries, function(entry) {
+                    result[entry.name] = entry.value;
+                });
+                angular.forEach(self.config, function(value, name) {
+                    result[name] = angular.copy(value);
+                });
+                return result;
+            });
+        }
+                self.get = function(name) {
+            return whenInitialized(getConfig, name);
+        };
+                self.getAll = function() {
+            return whenInitialized(getAllConfig);
+        };
+                self.isStatic = function(name) {
+            return whenInitialized(function() {
+                return typeof(self.config[name]) !== 'undefined';
+            });
+        };
+                self.getType = function(name) {
+            return settings[name] ? settings[name].type : undefined;
+        };
+                self.set = function(name, value) {
+            return whenInitialized(setConfig, name, value);
+        };
+                self.delete = function(name) {
+            return whenInitialized(deleteConfig, name);
+        };
+                self.watch = function(name, callback, scope) {
+            return $mmEvents.on(mmCoreEventConfigChanged, function(data) {
+                if (data.name === name) {
+                    callback(data.value);
+                }
+            }, scope);
+        };
+        return self;
+    };
+});
+
+angular.module('mm.core')
+.constant('mmCoreCryptoSecretKey', 'mm_crypto_secret')
+.constant('mmCoreCryptoDataKey', 'mm_crypto_data_key')
+.constant('mmCoreCryptoIterations', 100000)
+.factory('$mmCrypto', function($q, $log, $window, mmCoreCryptoSecretKey, mmCoreCryptoDataKey, mmCoreCryptoIterations) {
+    $log = $log.getInstance('$mmCrypto');
+    var self = {},
+        keyPromise,
+        unlockDeferred;
+        self.isAvailable = function() {
+        var crypto = $window.crypto;
+        return !!(crypto && crypto.subtle && crypto.getRandomValues && $window.TextEncoder && $window.TextDecoder);
+    };
+        self.hasPin = function() {
+        var stored = getStoredDataKey();
+        return !!(stored && stored.pin);
+    };
+        self.isLocked = function() {
+        return self.isAvailable() && self.hasPin() && !keyPromise;
+    };
+        self.unlock = function(pin) {
+        if (!self.isLocked()) {
+            return $q.when();
+        }
+        return unwrapKey(getStoredDataKey(), pin).then(function(key) {
+            $log.debug('Data unlocked.');
+            keyPromise = $q.when(key);
+            if (unlockDeferred) {
+                unlockDeferred.resolve(key);
+                unlockDeferred = undefined;
+            }
+        }, function() {
+            $log.debug('Wrong PIN, the data is still locked.');
+            return $q.reject();
+        });
+    };
+        self.setPin = function(newPin) {
+        if (self.isLocked()) {
+            return $q.reject();
+        }
+        return getKey().then(function(key) {
+            return wrapKey(key, newPin);
+        }).then(function() {
+            $log.debug(newPin ? 'PIN set.' : 'PIN removed, using the device secret.');
+        });
+    };
+        self.reset = function() {
+        $log.debug('Creating a new data key, the data encrypted before is lost.');
+        $window.localStorage.removeItem(mmCoreCryptoDataKey);
+        keyPromise = undefined;
+        return getKey().then(function(key) {
+            if (unlockDeferred) {
+                unlockDeferred.resolve(key);
+                unlockDeferred = undefined;
+            }
+        });
+    };
+        self.encrypt = function(text) {
+        return getKey().then(function(key) {
+            var iv = getRandomBytes(12);
+            return $q.when($window.crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, key,
+                    new $window.TextEncoder().encode(text))).then(function(data) {
+                return {
+                    iv: toBase64(iv),
+                    data: toBase64(new Uint8Array(data))
+                };
+            });
+        });
+    };
+        self.decrypt = function(encrypted) {
+        return getKey().then(function(key) {
+            return $q.when($window.crypto.subtle.decrypt({name: 'AES-GCM', iv: fromBase64(encrypted.iv)}, key,
+                    fromBase64(encrypted.data))).then(function(data) {
+                return new $window.TextDecoder().decode(new Uint8Array(data));
+            });
+        });
+    };
+        function getKey() {
+        var stored;
+        if (!self.isAvailable()) {
+            return $q.reject();
+        } else if (keyPromise) {
+            return keyPromise;
+        }
+        stored = getStoredDataKey();
+        if (stored && stored.pin) {
+            if (!unlockDeferred) {
+                $log.debug('The data is locked, waiting for the PIN.');
+                unlockDeferred = $q.defer();
+            }
+            return unlockDeferred.promise;
+        }
+        keyPromise = (stored ? unwrapKey(stored) : createDataKey()).catch(function(error) {
+            $log.error('Error getting the data key: ' + error);
+            keyPromise = undefined;
+            return $q.reject();
+        });
+        return keyPromise;
+    }
+        function createDataKey() {
+        var subtle = $window.crypto.subtle,
+            params = {name: 'AES-GCM', length: 256};
+        return $q.when(subtle.generateKey(params, true, ['encrypt', 'decrypt'])).then(function(key) {
+            return wrapKey(key).then(function() {
+                return key;
+            });
+        });
+    }
+        function wrapKey(key, pin) {
+        var subtle = $window.crypto.subtle,
+            salt = getRandomBytes(16),
+            iv = getRandomBytes(12);
+        return $q.all([
+            deriveKey(pin || getStoredValue(mmCoreCryptoSecretKey), salt),
+            $q.when(subtle.exportKey('raw', key))
+        ]).then(function(data) {
+            return $q.when(subtle.encrypt({name: 'AES-GCM', iv: iv}, data[0], data[1]));
+        }).then(function(wrapped) {
+            $window.localStorage.setItem(mmCoreCryptoDataKey, angular.toJson({
+                pin: !!pin,
+                salt: toBase64(salt),
+                iv: toBase64(iv),
+                data: toBase64(new Uint8Array(wrapped))
+            }));
+        });
+    }
+        function unwrapKey(stored, pin) {
+        var subtle = $window.crypto.subtle;
+        return deriveKey(pin || getStoredValue(mmCoreCryptoSecretKey), fromBase64(stored.salt)).then(function(kek) {
+            return $q.when(subtle.decrypt({name: 'AES-GCM', iv: fromBase64(stored.iv)}, kek, fromBase64(stored.data)));
+        }).then(function(raw) {
+            return $q.when(subtle.importKey('raw', raw, 'AES-GCM', true, ['encrypt', 'decrypt']));
+        });
+    }
+        function deriveKey(secret, salt) {
+        var subtle = $window.crypto.subtle;
+        secret = new $window.TextEncoder().encode(secret);
+        return $q.when(subtle.importKey('raw', secret, 'PBKDF2', false, ['deriveKey'])).then(function(base) {
+            return subtle.deriveKey({
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: mmCoreCryptoIterations,
+                hash: 'SHA-256'
+            }, base, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+        });
+    }
+        function getStoredDataKey() {
+        try {
+            return angular.fromJson($window.localStorage.getItem(mmCoreCryptoDataKey)) || undefined;
+        } catch(ex) {
+            return undefined;
+        }
+    }
+        function getStoredValue(name) {
+        var value = $window.localStorage.getItem(name);
+        if (!value) {
+            value = toBase64(getRandomBytes(32));
+            $window.localStorage.setItem(name, value);
+        }
+        return value;
+    }
+        function getRandomBytes(length) {
+        return $window.crypto.getRandomValues(new Uint8Array(length));
+    }
+        function toBase64(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return $window.btoa(binary);
+    }
+        function fromBase64(text) {
+        var binary = $window.atob(text),
+            bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    return self;
+})
+.run(function($ionicPlatform, $ionicPopup, $translate, $state, $log, $mmCrypto, $mmSitesManager) {
+    $log = $log.getInstance('$mmCrypto');
+        function askPin() {
+        $translate(['mm.core.enterpin', 'mm.core.wrongpin', 'mm.core.forgotpin', 'mm.core.errorresetdata'])
+                .then(function(strings) {
+                        function prompt(error) {
+                $ionicPopup.prompt({
+                    title: strings['mm.core.enterpin'],
+                    template: error,
+                    inputType: 'password'
+                }).then(function(pin) {
+                    if (typeof(pin) === 'undefined') {
+                        confirmReset();
+                        return;
+                    }
+                    $mmCrypto.unlock(pin).catch(function() {
+                        prompt(strings['mm.core.wrongpin']);
+                    });
+                });
+            }
+                        function confirmReset() {
+                $ionicPopup.confirm({template: strings['mm.core.forgotpin']}).then(function(confirmed) {
+                    if (!confirmed) {
+                        prompt();
+                        return;
+                    }
+                    $mmSitesManager.deleteAllSites().then(function() {
+                        return $mmCrypto.reset();
+                    }).then(function() {
+                        $state.go('mm_login.init');
+                    }).catch(function() {
+                        $log.error('Error deleting the encrypted data.');
+                        prompt(strings['mm.core.errorresetdata']);
+                    });
+                });
+            }
+            prompt();
+        });
+    }
+    $ionicPlatform.ready(function() {
+        if ($mmCrypto.isLocked()) {
+            askPin();
+        }
+    });
+});
+
+angular.module('mm.core')
+.constant('mmCoreDBVersionsStore', 'mm_store_versions')
+.constant('mmCoreDBMaxRecords', 99999999)
+.constant('mmCoreDBEncryptedField', 'mm_encrypted')
+.provider('$mmDB', function(mmCoreDBVersionsStore) {
+    var adapter;
+        this.setAdapter = function(name) {
+        adapter = name;
+    };
+        this.addStore = function(schema, store) {
+        var existing;
+        if (!angular.isObject(store) || typeof(store.name) !== 'string' || !store.name) {
+            throw new Error('Store name is undefined.');
+        } else if (store.name === mmCoreDBVersionsStore) {
+            throw new Error('Store name ' + store.name + ' is reserved.');
+        }
+        validateVersion(store);
+        validateIndexes(store);
+        angular.forEach(schema.stores, function(definedStore) {
+            if (definedStore.name === store.name) {
+                existing = definedStore;
+            }
+        });
+        if (existing) {
+            if (!angular.equals(getComparableDefinition(existing), getComparableDefinition(store))) {
+                throw new Error('Store ' + store.name + ' is already defined with a different definition.');
+            }
+            return false;
+        }
+        schema.stores.push(store);
+        return true;
+    };
+        function getStoreVersion(store) {
+        return typeof(store.version) === 'undefined' ? 1 : store.version;
+    }
+        function validateVersion(store) {
+        var version = getStoreVersion(store);
+        if (typeof(version) !== 'number' || version < 1 || version % 1 !== 0) {
+            throw new Error('Store ' + store.name + ' has an invalid version: ' + store.version + '.');
+        }
+        if (typeof(store.migrations) !== 'undefined' && !angular.isObject(store.migrations)) {
+            throw new Error('The migrations of store ' + store.name + ' must be an object.');
+        }
+        angular.forEach(store.migrations, function(migration, migrationVersion) {
+            var number = parseInt(migrationVersion, 10);
+            if (String(number) !== String(migrationVersion) || number < 2 || number > version) {
+                throw new Error('Store ' + store.name + ' has a migration for version ' + migrationVersion +
+                        ', it must be between 2 and ' + version + '.');
+            } else if (!angular.isFunction(migration)) {
+                throw new Error('The migration to version ' + migrationVersion + ' of store ' + store.name +
+                        ' is not a function.');
+            }
+        });
+    }
+        function validateIndexes(store) {
+        var names = [];
+        if (typeof(store.indexes) === 'undefined') {
+            return;
+        } else if (!angular.isArray(store.indexes)) {
+            throw new Error('The indexes of store ' + store.name + ' must be an array.');
+        }
+        angular.forEach(store.indexes, function(index) {
+            if (!angular.isObject(index) || typeof(index.name) !== 'string' || !index.name) {
+                throw new Error('Store ' + store.name + ' has an index without name.');
+            } else if (names.indexOf(index.name) > -1) {
+                throw new Error('Store ' + store.name + ' has more than one index named ' + index.name + '.');
+            } else if (typeof(index.keyPath) !== 'undefined' && typeof(index.keyPath) !== 'string' &&
+                    !angular.isArray(index.keyPath)) {
+                throw new Error('The keyPath of index ' + index.name + ' of store ' + store.name +
+                        ' must be a string or an array.');
+            }
+            names.push(index.name);
+        });
+    }
+        function getComparableDefinition(store) {
+        return {
+            name: store.name,
+            keyPath: store.keyPath,
+            autoIncrement: !!store.autoIncrement,
+            indexes: store.indexes || [],
+            version: getStoreVersion(store),
+            encrypted: !!store.encrypted
+        };
+    }
+    this.$get = function($q, $log, $injector, $mmCrypto, mmCoreDBMaxRecords, mmCoreDBEncryptedField) {
+        $log = $log.getInstance('$mmDB');
+        var self = {};
+                function callDBFunction(db, func) {
+            var deferred = $q.defer();
+            try {
+                if (typeof(db) != 'undefined') {
+                    db[func].apply(db, Array.prototype.slice.call(arguments, 2)).then(function(result) {
+                        if (typeof(result) == 'undefined') {
+                            deferred.reject();
+                        } else {
+                            deferred.resolve(result);
+                        }
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
+                    deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error executing function '+func+' to DB '+db.getName());
+                $log.error(ex.name+': '+ex.message);
+                deferred.reject();
+            }
+            return deferred.promise;
+        }
+                function callWhere(db, store, field_name, op, value, op2, value2) {
+            var deferred = $q.defer();
+            try {
+                if (typeof(db) != 'undefined') {
+                    db.from(store).where(field_name, op, value, op2, value2).list().then(function(list) {
+                        deferred.resolve(list);
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
+                    deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error querying db '+db.getName()+'. '+ex.name+': '+ex.message);
+                deferred.reject();
+            }
+            return deferred.promise;
+        }
+                function callWhereEqual(db, store, field_name, value) {
+            var deferred = $q.defer();
+            try {
+                if (typeof(db) != 'undefined') {
+                    db.from(store).where(field_name, '=', value).list().then(function(list) {
+                        deferred.resolve(list);
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
+                    deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error getting where equal from db '+db.getName()+'. '+ex.name+': '+ex.message);
+                deferred.reject();
+            }
+            return deferred.promise;
+        }
+                function callEach(db, store, callback, definition) {
+            var deferred = $q.defer();
+            callDBFunction(db, 'values', store, undefined, mmCoreDBMaxRecords).then(function(entries) {
+                return decryptRecords(definition, entries);
+            }).then(function(entries) {
+                for (var i = 0; i < entries.length; i++) {
+                    callback(entries[i]);
+                }
+                deferred.resolve();
+            }, function() {
+                deferred.reject();
+            });
+            return deferred.promise;
+        };
+                function getClearFields(definition) {
+            var fields = [];
+            function addKeyPath(keyPath) {
+                if (angular.isArray(keyPath)) {
+                    angular.forEach(keyPath, addKeyPath);
+                } else if (keyPath) {
+                    fields.push(keyPath.split('.')[0]);
+                }
+            }
+            addKeyPath(definition.keyPath);
+            angular.forEach(definition.indexes, function(index) {
+                addKeyPath(index.keyPath || index.name);
+            });
+            return fields;
+        }
+                function encryptRecord(definition, record) {
+            if (!definition || !definition.encrypted || !angular.isObject(record)) {
+                return $q.when(record);
+            } else if (!$mmCrypto.isAvailable()) {
+                $log.warn('Encryption not supported, the records of ' + definition.name + ' are stored as they are.');
+                return $q.when(record);
+            }
+            return $mmCrypto.encrypt(angular.toJson(record)).then(function(encrypted) {
+                var stored = {};
+                angular.forEach(getClearFields(definition), function(field) {
+                    if (typeof(record[field]) !== 'undefined') {
+                        stored[field] = record[field];
+                    }
+                });
+                stored[mmCoreDBEncryptedField] = encrypted;
+                return stored;
+            }, function() {
+                $log.error('Error encrypting a record of ' + definition.name);
+                return $q.reject();
+            });
+        }
+                function encryptRecords(definition, records) {
+            return $q.all(records.map(function(record) {
+                return encryptRecord(definition, record);
+            }));
+        }
+                function decryptRecord(definition, record) {
+            if (!definition || !definition.encrypted || !angular.isObject(record) || !record[mmCoreDBEncryptedField]) {
+                return $q.when(record);
+            }
+            return $mmCrypto.decrypt(record[mmCoreDBEncryptedField]).then(function(text) {
+                var decrypted = angular.fromJson(text);
+                angular.forEach(record, function(value, field) {
+                    if (field !== mmCoreDBEncryptedField) {
+                        decrypted[field] = value;
+                    }
+                });
+                return decrypted;
+            }, function() {
+                $log.error('Error decrypting a record of ' + definition.name);
+                return $q.reject();
+            });
+        }
+                function decryptRecords(definition, records) {
+            var failed = 0;
+            return $q.all(records.map(function(record) {
+                return decryptRecord(definition, record).catch(function() {
+                    failed++;
+                });
+            })).then(function(decrypted) {
+                if (failed) {
+                    return $q.reject(new Error(failed + ' records of store ' + definition.name +
+                            ' cannot be decrypted.'));
+                }
+                return decrypted;
+            });
+        }
+                function addKeyRangeCondition(range, op, value) {
+            switch (op) {
+                case '=':
+                    range.lower = value;
+                    range.upper = value;
+                    break;
+                case '<':
+                case '<=':
+                    range.upper = value;
+                    range.upperOpen = op == '<';
+                    break;
+                case '>':
+                case '>=':
+                    range.lower = value;
+                    range.lowerOpen = op == '>';
+                    break;
+                case '^':
+                    range.lower = value;
+                    range.upper = value + '\uffff';
+                    break;
+                default:
+                    throw new Error('Invalid operator ' + op);
+            }
+        }
+                function callQuery(db, store, options) {
+            var limit, offset, reverse;
+            options = options || {};
+            limit = typeof(options.limit) == 'undefined' ? mmCoreDBMaxRecords : options.limit;
+            offset = options.offset || 0;
+            reverse = options.order == 'desc';
+            if (options.index) {
+                return callDBFunction(db, 'values', store, options.index, options.range, limit, offset, reverse);
+            } else {
+                return callDBFunction(db, 'values', store, options.range, limit, offset, reverse);
+            }
+        }
+                function callRemoveWhere(db, store, field_name, op, value, op2, value2) {
+            var range;
+            try {
+                range = self.getKeyRange(op, value, op2, value2);
+            } catch(ex) {
+                $log.error('Error removing from db '+db.getName()+'. '+ex.message);
+                return $q.reject();
+            }
+            return callDBFunction(db, 'remove', store, field_name, range);
+        }
+                function createStorage(name, schema) {
+            try {
+                return new ydn.db.Storage(name, schema);
+            } catch(ex) {
+                $log.error('Error opening DB ' + name + '. ' + ex.name + ': ' + ex.message);
+            }
+        }
+                function getStorageSchema(schema) {
+            var storageSchema = {
+                autoSchema: schema.autoSchema,
+                stores: []
+            };
+            angular.forEach(schema.stores, function(store) {
+                var storageStore = angular.copy(store);
+                delete storageStore.version;
+                delete storageStore.migrations;
+                delete storageStore.encrypted;
+                storageSchema.stores.push(storageStore);
+            });
+            storageSchema.stores.push({
+                name: mmCoreDBVersionsStore,
+                keyPath: 'name'
+            });
+            return storageSchema;
+        }
+                function migrateRecords(store, version, records) {
+            var migrations = store.migrations || {},
+                target = getStoreVersion(store);
+            for (var v = version + 1; v <= target; v++) {
+                if (migrations[v]) {
+                    records = records.map(migrations[v]).filter(function(record) {
+                        return record !== null && typeof(record) !== 'undefined';
+                    });
+                }
+            }
+            return records;
+        }
+                function openDB(name, schema) {
+            var storageSchema = getStorageSchema(schema),
+                versionedStores = [],
+                migrated = {},
+                installed = {},
+                storage,
+                promise;
+            angular.forEach(schema.stores, function(store) {
+                if (getStoreVersion(store) > 1) {
+                    versionedStores.push(store);
+                }
+            });
+            if (!versionedStores.length) {
+                return $q.when(createStorage(name, storageSchema));
+            }
+            storage = createStorage(name, {
+                autoSchema: true,
+                stores: [{name: mmCoreDBVersionsStore, keyPath: 'name'}]
+            });
+            promise = callDBFunction(storage, 'values', mmCoreDBVersionsStore, undefined, mmCoreDBMaxRecords);
+            return promise.then(function(entries) {
+                angular.forEach(entries, function(entry) {
+                    installed[entry.name] = entry.version;
+                });
+            }).catch(function() {
+            }).then(function() {
+                var promises = [];
+                angular.forEach(versionedStores, function(store) {
+                    var from = installed[store.name] || 1,
+                        to = getStoreVersion(store),
+                        stored;
+                    if (from > to) {
+                        $log.warn('Store ' + store.name + ' in DB ' + name + ' has version ' + from +
+                                ', newer than the defined version ' + to + '.');
+                    } else if (from < to) {
+                        $log.debug('Migrating store ' + store.name + ' in DB ' + name + ' from version ' + from +
+                                ' to version ' + to + '.');
+                        stored = callDBFunction(storage, 'values', store.name, undefined, mmCoreDBMaxRecords);
+                        promises.push(stored.catch(function() {
+                            return [];
+                        }).then(function(records) {
+                            return decryptRecords(store, records);
+                        }).then(function(records) {
+                            try {
+                                migrated[store.name] = migrateRecords(store, from, records);
+                            } catch(ex) {
+                                $log.error('Error migrating store ' + store.name + ' in DB ' + name + '. ' + ex);
+                            }
+                        }, function(error) {
+                            $log.error('Store ' + store.name + ' in DB ' + name + ' cannot be migrated. ' + error);
+                        }));
+                    }
+                });
+                return $q.all(promises);
+            }).then(function() {
+                var promises = [];
+                if (storage) {
+                    storage.close();
+                }
+                storage = createStorage(name, storageSchema);
+                angular.forEach(versionedStores, function(store) {
+                    var records = migrated[store.name];
+                    if (!records) {
+                        return;
+                    }
+                    promises.push(encryptRecords(store, records).then(function(encrypted) {
+                        records = encrypted;
+                        return callDBFunction(storage, 'clear', store.name);
+                    }).then(function() {
+                        if (records.length) {
+                            return callDBFunction(storage, 'put', store.name, records);
+                        }
+                    }).then(function() {
+                        return callDBFunction(storage, 'put', mmCoreDBVersionsStore, {
+                            name: store.name,
+                            version: getStoreVersion(store)
+                        });
+                    }).catch(function() {
+                        $log.error('Error storing the migrated records of store ' + store.name + ' in DB ' + name);
+                    }));
+                });
+                return $q.all(promises);
+            }).then(function() {
+                return storage;
+            });
+        }
+                self.getDB = function(name, schema) {
+            var db,
+                ready,
+                definitions = {};
+            if (adapter) {
+                return $injector.get(adapter).getDB(name, schema);
+            }
+            angular.forEach(schema.stores, function(store) {
+                definitions[store.name] = store;
+            });
+            ready = openDB(name, schema).then(function(storage) {
+                db = storage;
+            });
+                        function whenReady(func) {
+                var args = Array.prototype.slice.call(arguments, 1);
+                return ready.then(function() {
+                    return func.apply(null, [db].concat(args));
+                });
+            }
+                        function decryptResult(store) {
+                return function(result) {
+                    if (angular.isArray(result)) {
+                        return decryptRecords(definitions[store], result);
+                    }
+                    return decryptRecord(definitions[store], result);
+                };
+            }
+            return {
+                                getName: function() {
+                    return name;
+                },
+                                get: function(store, id) {
+                    return whenReady(callDBFunction, 'get', store, id).then(decryptResult(store));
+                },
+                                getAll: function(store) {
+                    return whenReady(callDBFunction, 'values', store, undefined, mmCoreDBMaxRecords)
+                            .then(decryptResult(store));
+                },
+                                keys: function(store) {
+                    return whenReady(callDBFunction, 'keys', store, undefined, mmCoreDBMaxRecords);
+                },
+                                count: function(store) {
+                    return whenReady(callDBFunction, 'count', store);
+                },
+                                insert: function(store, value) {
+                    return encryptRecord(definitions[store], value).then(function(record) {
+                        return whenReady(callDBFunction, 'put', store, record);
+                    });
+                },
+                                remove: function(store, id) {
+                    return whenReady(callDBFunction, 'remove', store, id);
+                },
+                                where: function(store, field_name, op, value, op2, value2) {
+                    return whenReady(callWhere, store, field_name, op, value, op2, value2).then(decryptResult(store));
+                },
+                                whereEqual: function(store, field_name, value) {
+                    return whenReady(callWhereEqual, store, field_name, value).then(decryptResult(store));
+                },
+                                each: function(store, callback) {
+                    return whenReady(callEach, store, callback, definitions[store]);
+                },
+                                query: function(store, options) {
+                    return whenReady(callQuery, store, options).then(decryptResult(store));
+                },
+                                insertMany: function(store, values) {
+                    if (!values || !values.length) {
+                        return $q.when([]);
+                    }
+                    return encryptRecords(definitions[store], values).then(function(records) {
+                        return whenReady(callDBFunction, 'put', store, records);
+                    });
+                },
+                                removeWhere: function(store, field_name, op, value, op2, value2) {
+                    return whenReady(callRemoveWhere, store, field_name, op, value, op2, value2);
+                },
+                                clear: function(store) {
+                    return whenReady(callDBFunction, 'clear', store);
+                },
+                                close: function() {
+                    ready.then(function() {
+                        if (db) {
+                            db.close();
+                            db = undefined;
+                        }
+                    });
+                }
+            };
         };
-    function init() {
-        var deferred = $q.defer();
-        $http.get('config.json').then(function(response) {
-            var data = response.data;
-            for (var name in data) {
-                self.config[name] = data[name];
+                self.deleteDB = function(name) {
+            if (adapter) {
+                return $injector.get(adapter).deleteDB(name);
             }
-            initialized = true;
-            deferred.resolve();
-        }, deferred.reject);
-        return deferred.promise;
+            return ydn.db.deleteDatabase(name);
+        };
+                self.getKeyRange = function(op, value, op2, value2) {
+            var range = {};
+            addKeyRangeCondition(range, op, value);
+            if (op2) {
+                addKeyRangeCondition(range, op2, value2);
+            }
+            return range;
+        };
+        return self;
     };
-        self.get = function(name) {
-        if (!initialized) {
-            return init().then(function() {
-                return getConfig(name);
-            }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
+});
+
+angular.module('mm.core')
+.factory('$mmDBMemoryAdapter', function($q, $log, $mmDB, mmCoreDBMaxRecords) {
+    $log = $log.getInstance('$mmDBMemoryAdapter');
+    var self = {},
+        databases = {},
+        keyTypes = ['number', 'date', 'string', 'array'];
+        function getKeyType(key) {
+        var valid;
+        if (typeof(key) === 'number') {
+            return isNaN(key) ? -1 : 0;
+        } else if (key instanceof Date) {
+            return isNaN(key.getTime()) ? -1 : 1;
+        } else if (typeof(key) === 'string') {
+            return 2;
+        } else if (angular.isArray(key)) {
+            valid = true;
+            angular.forEach(key, function(value) {
+                if (getKeyType(value) == -1) {
+                    valid = false;
+                }
             });
+            return valid ? 3 : -1;
         }
-        return getConfig(name);
-        function getConfig(name) {
-            var deferred = $q.defer(),
-                value = self.config[name];
-            if (typeof(value) == 'undefined') {
-                $mmApp.getDB().get(mmCoreConfigStore, name).then(function(entry) {
-                    deferred.resolve(entry.value);
-                }, deferred.reject);
-            } else {
-                deferred.resolve(value);
+        return -1;
+    }
+        function compareKeys(a, b) {
+        var typeA = getKeyType(a),
+            typeB = getKeyType(b),
+            result;
+        if (typeA != typeB) {
+            return typeA - typeB;
+        } else if (keyTypes[typeA] == 'array') {
+            for (var i = 0; i < a.length && i < b.length; i++) {
+                result = compareKeys(a[i], b[i]);
+                if (result !== 0) {
+                    return result;
+                }
             }
-            return deferred.promise;
+            return a.length - b.length;
+        } else if (keyTypes[typeA] == 'date') {
+            a = a.getTime();
+            b = b.getTime();
         }
-    };
-        self.set = function(name, value) {
-        if (!initialized) {
-            return init().then(function() {
-                return setConfig(name, value);
-            }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
-            });
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+        function isInRange(key, range) {
+        var result;
+        if (!range) {
+            return true;
         }
-        return setConfig(name, value);
-        function setConfig(name, value) {
-            var deferred,
-                fromStatic = self.config[name];
-            if (typeof(fromStatic) === 'undefined') {
-                return $mmApp.getDB().insert(mmCoreConfigStore, {name: name, value: value});
+        if (typeof(range.lower) !== 'undefined' && range.lower !== null) {
+            result = compareKeys(key, range.lower);
+            if (result < 0 || (result === 0 && range.lowerOpen)) {
+                return false;
             }
-            $log.error('Cannot save static config setting \'' + name + '\'.');
-            deferred = $q.defer()
-            deferred.reject();
-            return deferred.promise;
         }
-    };
-        self.delete = function(name) {
-        if (!initialized) {
-            return init().then(function() {
-                return deleteConfig(name);
-            }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
+        if (typeof(range.upper) !== 'undefined' && range.upper !== null) {
+            result = compareKeys(key, range.upper);
+            if (result > 0 || (result === 0 && range.upperOpen)) {
+                return false;
+            }
+        }
+        return true;
+    }
+        function getKeyPathValue(record, keyPath) {
+        var value = record;
+        if (angular.isArray(keyPath)) {
+            value = keyPath.map(function(path) {
+                return getKeyPathValue(record, path);
             });
+            return getKeyType(value) == -1 ? undefined : value;
         }
-        return deleteConfig(name);
-        function deleteConfig(name) {
-            var deferred,
-                fromStatic = self.config[name];
-            if (typeof(fromStatic) === 'undefined') {
-                return $mmApp.getDB().remove(mmCoreConfigStore, name);
-            }
-            $log.error('Cannot delete static config setting \'' + name + '\'.');
-            deferred = $q.defer()
-            deferred.reject();
-            return deferred.promise;
+        angular.forEach(keyPath.split('.'), function(field) {
+            value = angular.isObject(value) ? value[field] : undefined;
+        });
+        return value;
+    }
+        function getStore(db, name) {
+        var definition;
+        if (!db.stores[name]) {
+            angular.forEach(db.schema.stores, function(store) {
+                if (store.name === name) {
+                    definition = store;
+                }
+            });
+            db.stores[name] = {
+                definition: definition || {name: name},
+                entries: [],
+                nextKey: 1
+            };
         }
-    };
-    return self;
-});
-
-angular.module('mm.core')
-.factory('$mmDB', function($q, $log) {
-    $log = $log.getInstance('$mmDB');
-    var self = {};
-        function callDBFunction(db, func) {
-        var deferred = $q.defer();
-        try {
-            if (typeof(db) != 'undefined') {
-                db[func].apply(db, Array.prototype.slice.call(arguments, 2)).then(function(result) {
-                    if (typeof(result) == 'undefined') {
-                        deferred.reject();
-                    } else {
-                        deferred.resolve(result);
-                    }
-                });
-            } else {
-                deferred.reject();
+        return db.stores[name];
+    }
+        function getFieldKeyPath(store, field) {
+        var keyPath;
+        if (field === store.definition.keyPath) {
+            return field;
+        }
+        angular.forEach(store.definition.indexes, function(index) {
+            if (index.name === field) {
+                keyPath = index.keyPath || index.name;
             }
-        } catch(ex) {
-            $log.error('Error executing function '+func+' to DB '+db.getName());
-            $log.error(ex.name+': '+ex.message);
-            deferred.reject();
+        });
+        if (typeof(keyPath) === 'undefined') {
+            throw new Error('Index ' + field + ' not found in store ' + store.definition.name);
         }
-        return deferred.promise;
+        return keyPath;
     }
-        function callWhere(db, store, field_name, op, value, op2, value2) {
-        var deferred = $q.defer();
-        try {
-            if (typeof(db) != 'undefined') {
-                db.from(store).where(field_name, op, value, op2, value2).list().then(function(list) {
-                    deferred.resolve(list);
-                }, function() {
-                    deferred.reject();
-                });
+        function findKey(store, key) {
+        var low = 0,
+            high = store.entries.length,
+            middle,
+            result;
+        while (low < high) {
+            middle = Math.floor((low + high) / 2);
+            result = compareKeys(store.entries[middle].key, key);
+            if (result === 0) {
+                return {position: middle, found: true};
+            } else if (result < 0) {
+                low = middle + 1;
             } else {
-                deferred.reject();
+                high = middle;
             }
-        } catch(ex) {
-            $log.error('Error querying db '+db.getName()+'. '+ex.name+': '+ex.message);
-            deferred.reject();
         }
-        return deferred.promise;
+        return {position: low, found: false};
     }
-        function callWhereEqual(db, store, field_name, value) {
-        var deferred = $q.defer();
-        try {
-            if (typeof(db) != 'undefined') {
-                db.from(store).where(field_name, '=', value).list().then(function(list) {
-                    deferred.resolve(list);
-                }, function() {
-                    deferred.reject();
-                });
-            } else {
-                deferred.reject();
+        function putRecord(store, value) {
+        var keyPath = store.definition.keyPath,
+            record = angular.copy(value),
+            key = keyPath ? getKeyPathValue(record, keyPath) : undefined,
+            position;
+        if (typeof(key) === 'undefined' && store.definition.autoIncrement) {
+            key = store.nextKey;
+            if (keyPath) {
+                record[keyPath] = key;
             }
-        } catch(ex) {
-            $log.error('Error getting where equal from db '+db.getName()+'. '+ex.name+': '+ex.message);
-            deferred.reject();
         }
-        return deferred.promise;
+        if (getKeyType(key) == -1) {
+            throw new Error('Invalid key for a record of store ' + store.definition.name);
+        }
+        if (typeof(key) === 'number' && key >= store.nextKey) {
+            store.nextKey = Math.floor(key) + 1;
+        }
+        position = findKey(store, key);
+        store.entries.splice(position.position, position.found ? 1 : 0, {key: key, record: record});
+        return key;
     }
-        function callEach(db, store, callback) {
-        var deferred = $q.defer();
-        callDBFunction(db, 'values', store, undefined, 99999999).then(function(entries) {
-            for (var i = 0; i < entries.length; i++) {
-                callback(entries[i]);
+        function listRecords(store, field, range, reverse) {
+        var keyPath = field ? getFieldKeyPath(store, field) : undefined,
+            list = [];
+        angular.forEach(store.entries, function(entry) {
+            var key = keyPath ? getKeyPathValue(entry.record, keyPath) : entry.key;
+            if (getKeyType(key) != -1 && isInRange(key, range)) {
+                list.push({key: key, record: entry.record});
             }
-            deferred.resolve();
-        }, function() {
-            deferred.reject();
         });
-        return deferred.promise;
-    };
+        if (keyPath) {
+            list = list.map(function(item, position) {
+                item.position = position;
+                return item;
+            }).sort(function(a, b) {
+                return compareKeys(a.key, b.key) || a.position - b.position;
+            });
+        }
+        if (reverse) {
+            list.reverse();
+        }
+        return list.map(function(item) {
+            return item.record;
+        });
+    }
+        function run(db, storeName, operation) {
+        var result;
+        try {
+            result = operation(getStore(db, storeName));
+        } catch(ex) {
+            $log.error('Error in DB ' + db.name + '. ' + ex.message);
+            return $q.reject();
+        }
+        return typeof(result) === 'undefined' ? $q.reject() : $q.when(angular.copy(result));
+    }
         self.getDB = function(name, schema) {
-        var db = new ydn.db.Storage(name, schema);
+        var db = databases[name];
+        if (!db) {
+            db = databases[name] = {
+                name: name,
+                stores: {}
+            };
+        }
+        db.schema = schema || {stores: []};
         return {
-                        getName: function() {
-                return db.getName();
+            getName: function() {
+                return name;
+            },
+            get: function(store, id) {
+                return run(db, store, function(store) {
+                    var position = findKey(store, id);
+                    return position.found ? store.entries[position.position].record : undefined;
+                });
+            },
+            getAll: function(store) {
+                return run(db, store, function(store) {
+                    return listRecords(store);
+                });
+            },
+            keys: function(store) {
+                return run(db, store, function(store) {
+                    return store.entries.map(function(entry) {
+                        return entry.key;
+                    });
+                });
+            },
+            count: function(store) {
+                return run(db, store, function(store) {
+                    return store.entries.length;
+                });
+            },
+            insert: function(store, value) {
+                return run(db, store, function(store) {
+                    return putRecord(store, value);
+                });
             },
-                        get: function(store, id) {
-                return callDBFunction(db, 'get', store, id);
+            insertMany: function(store, values) {
+                return run(db, store, function(store) {
+                    return (values || []).map(function(value) {
+                        return putRecord(store, value);
+                    });
+                });
             },
-                        getAll: function(store) {
-                return callDBFunction(db, 'values', store, undefined, 99999999);
+            remove: function(store, id) {
+                return run(db, store, function(store) {
+                    var position = findKey(store, id);
+                    if (position.found) {
+                        store.entries.splice(position.position, 1);
+                        return 1;
+                    }
+                    return 0;
+                });
             },
-                        count: function(store) {
-                return callDBFunction(db, 'count', store);
+            removeWhere: function(store, field_name, op, value, op2, value2) {
+                return run(db, store, function(store) {
+                    var records = listRecords(store, field_name, $mmDB.getKeyRange(op, value, op2, value2));
+                    store.entries = store.entries.filter(function(entry) {
+                        return records.indexOf(entry.record) == -1;
+                    });
+                    return records.length;
+                });
             },
-                        insert: function(store, value) {
-                return callDBFunction(db, 'put', store, value);
+            clear: function(store) {
+                return run(db, store, function(store) {
+                    var count = store.entries.length;
+                    store.entries = [];
+                    return count;
+                });
             },
-                        remove: function(store, id) {
-                return callDBFunction(db, 'remove', store, id);
+            where: function(store, field_name, op, value, op2, value2) {
+                return run(db, store, function(store) {
+                    return listRecords(store, field_name, $mmDB.getKeyRange(op, value, op2, value2));
+                });
             },
-                        where: function(store, field_name, op, value, op2, value2) {
-                return callWhere(db, store, field_name, op, value, op2, value2);
+            whereEqual: function(store, field_name, value) {
+                return run(db, store, function(store) {
+                    return listRecords(store, field_name, $mmDB.getKeyRange('=', value));
+                });
             },
-                        whereEqual: function(store, field_name, value) {
-                return callWhereEqual(db, store, field_name, value);
+            query: function(store, options) {
+                options = options || {};
+                return run(db, store, function(store) {
+                    var offset = options.offset || 0,
+                        limit = typeof(options.limit) == 'undefined' ? mmCoreDBMaxRecords : options.limit;
+                    return listRecords(store, options.index, options.range, options.order == 'desc')
+                            .slice(offset, offset + limit);
+                });
             },
-                        each: function(store, callback) {
-                return callEach(db, store, callback);
+            each: function(store, callback) {
+                return run(db, store, function(store) {
+                    return listRecords(store);
+                }).then(function(records) {
+                    angular.forEach(records, function(record) {
+                        callback(record);
+                    });
+                });
             },
-                        close: function() {
-                db.close();
-                db = undefined;
+            close: function() {
             }
         };
     };
         self.deleteDB = function(name) {
-        return ydn.db.deleteDatabase(name);
+        delete databases[name];
+        return $q.when();
+    };
+    return self;
+});
+
+angular.module('mm.core')
+.constant('mmCoreErrorReportsStore', 'error_reports')
+.constant('mmCoreErrorReportsMax', 20)
+.constant('mmCoreErrorReportsInterval', 5000)
+.config(function($mmAppProvider, $provide, mmCoreErrorReportsStore) {
+    var stores = [
+        {
+            name: mmCoreErrorReportsStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                {
+                    name: 'time'
+                }
+            ]
+        }
+    ];
+    $mmAppProvider.registerStores(stores);
+    $provide.decorator('$exceptionHandler', ['$delegate', '$injector', function($delegate, $injector) {
+        return function(exception, cause) {
+            $delegate(exception, cause);
+            try {
+                var data = {type: 'exception', cause: cause};
+                $injector.get('$mmErrorReporter').report(exception, data).catch(function() {
+                });
+            } catch(ex) {
+            }
+        };
+    }]);
+})
+.factory('$mmErrorReporter', function($q, $log, $http, $window, $mmApp, $mmConfig, $mmLog, $mmSite,
+            mmCoreErrorReportsStore, mmCoreErrorReportsMax, mmCoreErrorReportsInterval, mmCoreWSTimeout,
+            mmCoreWSLogRedacted, mmCoreWSLogTokenRegex) {
+    $log = $log.getInstance('$mmErrorReporter');
+    var self = {},
+        lastError = {},
+        sending;
+        self.report = function(error, data) {
+        var message = getMessage(error),
+            now = new Date().getTime();
+        data = data || {};
+        if (message === lastError.message && now - lastError.time < mmCoreErrorReportsInterval) {
+            return $q.when();
+        }
+        lastError = {message: message, time: now};
+        return getEndpoint().then(function(url) {
+            if (!url) {
+                return;
+            }
+            return getReport(error, data, now).then(storeReport).then(function() {
+                return self.sendReports().catch(function() {
+                });
+            });
+        });
+    };
+        self.sendReports = function() {
+        if (sending) {
+            return sending;
+        } else if (!$mmApp.isOnline()) {
+            return $q.when();
+        }
+        sending = getEndpoint().then(function(url) {
+            if (!url) {
+                return;
+            }
+            return $mmApp.getDB().query(mmCoreErrorReportsStore, {index: 'time'}).then(function(reports) {
+                if (reports.length) {
+                    $log.debug('Sending ' + reports.length + ' error reports.');
+                }
+                return sendList(url, reports);
+            });
+        }).finally(function() {
+            sending = undefined;
+        });
+        return sending;
+    };
+        function getEndpoint() {
+        return $mmConfig.get('error_report_url').catch(function() {
+            return '';
+        });
+    }
+        function getMessage(error) {
+        if (error instanceof Error) {
+            return error.name + ': ' + error.message;
+        } else if (angular.isObject(error) && typeof(error.message) === 'string') {
+            return error.message;
+        } else if (typeof(error) === 'string') {
+            return error;
+        }
+        try {
+            return angular.toJson(error) || String(error);
+        } catch(ex) {
+            return String(error);
+        }
+    }
+        function redact(text) {
+        if (typeof(text) !== 'string') {
+            return text;
+        }
+        return text.replace(mmCoreWSLogTokenRegex, '$1' + mmCoreWSLogRedacted);
+    }
+        function getReport(error, data, time) {
+        var release = $mmSite.getRelease(),
+            report = {
+                type: data.type || 'error',
+                time: time,
+                message: redact(getMessage(error)),
+                stack: error && typeof(error.stack) === 'string' ? redact(error.stack) : undefined,
+                cause: redact(data.cause),
+                useragent: $window.navigator.userAgent,
+                siteurl: $mmSite.getURL(),
+                siterelease: release ? release.release : undefined
+            },
+            promises = [];
+        angular.forEach(['versionname', 'versioncode'], function(name) {
+            promises.push($mmConfig.get(name).then(function(value) {
+                report[name] = value;
+            }).catch(function() {
+            }));
+        });
+        promises.push($mmLog.getEntries().then(function(entries) {
+            report.log = entries.reverse().map(function(entry) {
+                return {
+                    time: entry.time,
+                    level: entry.level,
+                    classname: entry.classname,
+                    message: redact(entry.message)
+                };
+            });
+        }).catch(function() {
+            report.log = [];
+        }));
+        return $q.all(promises).then(function() {
+            return report;
+        });
+    }
+        function storeReport(report) {
+        var db = $mmApp.getDB();
+        return db.insert(mmCoreErrorReportsStore, report).then(function() {
+            return db.query(mmCoreErrorReportsStore, {index: 'time', order: 'desc', offset: mmCoreErrorReportsMax,
+                    limit: 1});
+        }).then(function(reports) {
+            if (reports.length) {
+                return db.removeWhere(mmCoreErrorReportsStore, 'time', '<=', reports[0].time);
+            }
+        });
+    }
+        function sendList(url, reports) {
+        var report = reports.shift(),
+            db = $mmApp.getDB(),
+            id,
+            options = {
+                headers: {'Content-Type': 'application/json'},
+                timeout: mmCoreWSTimeout
+            };
+        if (typeof(report) === 'undefined') {
+            return $q.when();
+        }
+        id = report.id;
+        report = angular.copy(report);
+        delete report.id;
+        return $http.post(url, angular.toJson(report), options).catch(function(response) {
+            if (response.status >= 400 && response.status < 500) {
+                $log.warn('Error report rejected by the server with status ' + response.status);
+                return;
+            }
+            return $q.reject();
+        }).then(function() {
+            return db.remove(mmCoreErrorReportsStore, id);
+        }).then(function() {
+            return sendList(url, reports);
+        });
+    }
+    return self;
+})
+.run(function($window, $injector, $ionicPlatform, $mmApp) {
+        function report(error, data) {
+        try {
+            $injector.get('$mmErrorReporter').report(error, data).catch(function() {
+            });
+        } catch(ex) {
+        }
+    }
+    $window.addEventListener('error', function(e) {
+        var source = e.filename ? e.filename + ':' + e.lineno + ':' + e.colno : undefined;
+        report(e.error || e.message, {type: 'error', cause: source});
+    });
+    $window.addEventListener('unhandledrejection', function(e) {
+        report(e.reason, {type: 'unhandledrejection'});
+    });
+    $mmApp.onNetworkChange(function(online) {
+        if (online) {
+            $injector.get('$mmErrorReporter').sendReports().catch(function() {
+            });
+        }
+    });
+    $ionicPlatform.ready(function() {
+        $injector.get('$mmErrorReporter').sendReports().catch(function() {
+        });
+    });
+});
+
+angular.module('mm.core')
+.constant('mmCoreEventLogin', 'mm_login')
+.constant('mmCoreEventLogout', 'mm_logout')
+.constant('mmCoreEventSessionExpired', 'mm_session_expired')
+.constant('mmCoreEventSiteAdded', 'mm_site_added')
+.constant('mmCoreEventSiteUpdated', 'mm_site_updated')
+.constant('mmCoreEventSiteDeleted', 'mm_site_deleted')
+.constant('mmCoreEventLanguageChanged', 'mm_language_changed')
+.constant('mmCoreEventNetworkChange', 'mm_network_change')
+.constant('mmCoreEventConfigChanged', 'mm_config_changed')
+.factory('$mmEvents', function($log) {
+    $log = $log.getInstance('$mmEvents');
+    var self = {},
+        observers = {};
+        self.on = function(eventName, callback, scope) {
+        var observer = {
+            callback: callback,
+            off: function() {
+                var index;
+                if (observers[eventName]) {
+                    index = observers[eventName].indexOf(observer);
+                    if (index > -1) {
+                        observers[eventName].splice(index, 1);
+                    }
+                }
+            }
+        };
+        $log.debug("New observer listening to event '" + eventName + "'");
+        if (!observers[eventName]) {
+            observers[eventName] = [];
+        }
+        observers[eventName].push(observer);
+        if (scope) {
+            scope.$on('$destroy', observer.off);
+        }
+        return observer;
+    };
+        self.once = function(eventName, callback, scope) {
+        var observer = self.on(eventName, function(data) {
+            observer.off();
+            callback(data);
+        }, scope);
+        return observer;
+    };
+        self.trigger = function(eventName, data) {
+        $log.debug("Event '" + eventName + "' triggered.");
+        if (observers[eventName]) {
+            angular.forEach(observers[eventName].slice(), function(observer) {
+                try {
+                    observer.callback(data);
+                } catch(err) {
+                    $log.error("Error in an observer of event '" + eventName + "': " + err);
+                }
+            });
+        }
     };
     return self;
 });
 
 angular.module('mm.core')
-.factory('$mmFS', function($ionicPlatform, $cordovaFile, $log, $q) {
+.constant('mmCoreFSEmulatedBasePath', 'mmfs://app/')
+.factory('$mmFS', function($ionicPlatform, $cordovaFile, $log, $q, mmCoreFSEmulatedBasePath) {
     $log = $log.getInstance('$mmFS');
     var self = {},
         initialized = false,
@@ -373,6 +1996,8 @@ angular.module('mm.core')
                 basePath = cordova.file.externalApplicationStorageDirectory;
             } else if (ionic.Platform.isIOS()) {
                 basePath = cordova.file.documentsDirectory;
+            } else if (!window.cordova) {
+                basePath = mmCoreFSEmulatedBasePath;
             } else {
                 $log.error('Error getting device OS.');
                 deferred.reject();
@@ -539,14 +2164,16 @@ angular.module('mm.core')
 });
 
 angular.module('mm.core')
-.factory('$mmLang', function($translate, $translatePartialLoader, $mmConfig) {
+.factory('$mmLang', function($translate, $translatePartialLoader, $mmConfig, $mmEvents, mmCoreEventLanguageChanged) {
     var self = {};
         self.registerLanguageFolder = function(path) {
         $translatePartialLoader.addPart(path);
     };
-    self.changeCurrentLanguage = function(language) {
-        $translate.use(language);
+        self.changeCurrentLanguage = function(language) {
         $mmConfig.set('current_language', language);
+        return $translate.use(language).then(function() {
+            $mmEvents.trigger(mmCoreEventLanguageChanged, language);
+        });
     };
         self.translateErrorAndReject = function(deferred, errorkey) {
         $translate(errorkey).then(function(errorMessage) {
@@ -557,7 +2184,10 @@ angular.module('mm.core')
     };
     return self;
 })
-.config(function($translateProvider, $translatePartialLoaderProvider) {
+.config(function($translateProvider, $translatePartialLoaderProvider, $mmConfigProvider) {
+    $mmConfigProvider.registerSetting('current_language', {
+        type: 'string'
+    });
     $translateProvider.useLoader('$translatePartialLoader', {
       urlTemplate: '{part}/{lang}.json'
     });
@@ -580,20 +2210,105 @@ angular.module('mm.core')
                 $translate.use('en');
             });
         });
-    });
-});
-angular.module('mm.core')
-.constant('mmCoreLogEnabledDefault', true)
-.constant('mmCoreLogEnabledConfigName', 'debug_enabled')
-.provider('$mmLog', function(mmCoreLogEnabledDefault) {
-    var isEnabled = mmCoreLogEnabledDefault,
-        self = this;
-    function prepareLogFn(logFn, className) {
+    });
+});
+angular.module('mm.core')
+.constant('mmCoreLogEnabledDefault', true)
+.constant('mmCoreLogEnabledConfigName', 'debug_enabled')
+.constant('mmCoreLogLevelsConfigName', 'log_levels')
+.constant('mmCoreLogLevels', ['debug', 'log', 'info', 'warn', 'error'])
+.constant('mmCoreLogStore', 'log_entries')
+.constant('mmCoreLogDefaultLength', 100)
+.constant('mmCoreLogStoreDelay', 1000)
+.constant('mmCoreLogExportFolder', 'logs')
+.config(function($mmAppProvider, $mmConfigProvider, mmCoreLogStore, mmCoreLogEnabledConfigName,
+            mmCoreLogLevelsConfigName, mmCoreLogEnabledDefault) {
+    var stores = [
+        {
+            name: mmCoreLogStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                {
+                    name: 'time'
+                }
+            ]
+        }
+    ];
+    $mmAppProvider.registerStores(stores);
+    var settings = {};
+    settings[mmCoreLogEnabledConfigName] = {
+        type: 'boolean',
+        default: mmCoreLogEnabledDefault
+    };
+    settings[mmCoreLogLevelsConfigName] = {
+        type: 'object',
+        default: {}
+    };
+    $mmConfigProvider.registerSettings(settings);
+})
+.provider('$mmLog', function(mmCoreLogEnabledDefault, mmCoreLogDefaultLength, mmCoreLogLevels, mmCoreWSLogRedacted,
+            mmCoreWSLogTokenRegex) {
+    var isEnabled = mmCoreLogEnabledDefault,
+        self = this,
+        levelRules = {},
+        classLevels = {},
+        pendingEntries = [],
+        onEntryAdded;
+        function getClassLevel(className) {
+        var level,
+            matchedLength = -1;
+        if (typeof(classLevels[className]) !== 'undefined') {
+            return classLevels[className];
+        }
+        if (levelRules[className]) {
+            level = levelRules[className];
+        } else {
+            angular.forEach(levelRules, function(ruleLevel, pattern) {
+                var prefix = pattern.slice(0, -1);
+                if (pattern.slice(-1) === '*' && className.indexOf(prefix) === 0 && prefix.length > matchedLength) {
+                    matchedLength = prefix.length;
+                    level = ruleLevel;
+                }
+            });
+        }
+        classLevels[className] = Math.max(0, mmCoreLogLevels.indexOf(level));
+        return classLevels[className];
+    }
+        function toText(value) {
+        if (typeof(value) === 'string') {
+            return value;
+        } else if (value instanceof Error) {
+            return value.stack || value.name + ': ' + value.message;
+        }
+        try {
+            return angular.isObject(value) ? angular.toJson(value) : String(value);
+        } catch(ex) {
+            return String(value);
+        }
+    }
+        function addEntry(level, className, args) {
+        pendingEntries.push({
+            time: new Date().getTime(),
+            level: level,
+            classname: className,
+            message: args.map(toText).join(' ').replace(mmCoreWSLogTokenRegex, '$1' + mmCoreWSLogRedacted)
+        });
+        if (pendingEntries.length > mmCoreLogDefaultLength) {
+            pendingEntries.splice(0, pendingEntries.length - mmCoreLogDefaultLength);
+        }
+        if (onEntryAdded) {
+            onEntryAdded();
+        }
+    }
+    function prepareLogFn(logFn, className, level) {
         className = className || '';
+        var levelIndex = mmCoreLogLevels.indexOf(level);
         var enhancedLogFn = function() {
-            if (isEnabled) {
+            if (isEnabled && levelIndex >= getClassLevel(className)) {
                 var args = Array.prototype.slice.call(arguments),
                     now  = new Date().toLocaleString();
+                addEntry(level, className, args);
                 args[0] = now + ' ' + className + ': ' + args[0];
                 logFn.apply(null, args);
             }
@@ -613,65 +2328,359 @@ angular.module('mm.core')
         })($log);
         var getInstance = function(className) {
             return {
-                log   : prepareLogFn(_$log.log, className),
-                info  : prepareLogFn(_$log.info, className),
-                warn  : prepareLogFn(_$log.warn, className),
-                debug : prepareLogFn(_$log.debug, className),
-                error : prepareLogFn(_$log.error, className)
+                log   : prepareLogFn(_$log.log, className, 'log'),
+                info  : prepareLogFn(_$log.info, className, 'info'),
+                warn  : prepareLogFn(_$log.warn, className, 'warn'),
+                debug : prepareLogFn(_$log.debug, className, 'debug'),
+                error : prepareLogFn(_$log.error, className, 'error')
             };
         };
-        $log.log   = prepareLogFn($log.log);
-        $log.info  = prepareLogFn($log.info);
-        $log.warn  = prepareLogFn($log.warn);
-        $log.debug = prepareLogFn($log.debug);
-        $log.error = prepareLogFn($log.error);
+        $log.log   = prepareLogFn($log.log, undefined, 'log');
+        $log.info  = prepareLogFn($log.info, undefined, 'info');
+        $log.warn  = prepareLogFn($log.warn, undefined, 'warn');
+        $log.debug = prepareLogFn($log.debug, undefined, 'debug');
+        $log.error = prepareLogFn($log.error, undefined, 'error');
         $log.getInstance = getInstance;
         return $log;
     };
-    this.$get = function($mmConfig, mmCoreLogEnabledDefault, mmCoreLogEnabledConfigName) {
-        var self = {};
+    this.$get = function($q, $timeout, $mmConfig, $mmApp, $mmFS, mmCoreLogEnabledConfigName, mmCoreLogLevelsConfigName,
+            mmCoreLogStore, mmCoreLogStoreDelay, mmCoreLogExportFolder) {
+        var self = {},
+            maxLength = mmCoreLogDefaultLength,
+            storeEnabled = true,
+            storeTimeout,
+            levelsLoaded;
                 function init() {
             $mmConfig.get(mmCoreLogEnabledConfigName).then(function(enabled) {
                 isEnabled = enabled;
-            }, function() {
-                isEnabled = mmCoreLogEnabledDefault;
             });
+            $mmConfig.watch(mmCoreLogEnabledConfigName, function(enabled) {
+                isEnabled = enabled;
+            });
+            $mmConfig.get('log_length').then(function(length) {
+                maxLength = length;
+            });
+            levelsLoaded = $mmConfig.get(mmCoreLogLevelsConfigName).then(setLevelRules, function() {
+            });
+            $mmConfig.watch(mmCoreLogLevelsConfigName, setLevelRules);
+            onEntryAdded = function() {
+                if (storeEnabled && !storeTimeout) {
+                    storeTimeout = $timeout(storePendingEntries, mmCoreLogStoreDelay, false);
+                }
+            };
+            onEntryAdded();
         }
         init();
+                function setLevelRules(rules) {
+            levelRules = angular.copy(rules) || {};
+            classLevels = {};
+        }
+                function storePendingEntries() {
+            var db = $mmApp.getDB(),
+                entries = pendingEntries;
+            if (storeTimeout) {
+                $timeout.cancel(storeTimeout);
+                storeTimeout = undefined;
+            }
+            if (!storeEnabled || !entries.length) {
+                return $q.when();
+            }
+            pendingEntries = [];
+            return db.insertMany(mmCoreLogStore, entries).then(function() {
+                return db.query(mmCoreLogStore, {index: 'time', order: 'desc', offset: maxLength});
+            }).then(function(entries) {
+                return $q.all(entries.map(function(entry) {
+                    return db.remove(mmCoreLogStore, entry.id);
+                }));
+            }).catch(function() {
+                storeEnabled = false;
+                pendingEntries = [];
+            });
+        }
                 self.enabled = function(flag) {
             $mmConfig.set(mmCoreLogEnabledConfigName, flag);
             isEnabled = flag;
+        };
+                self.isEnabled = function() {
+            return isEnabled;
+        };
+                self.getLevels = function() {
+            return levelsLoaded.then(function() {
+                return angular.copy(levelRules);
+            });
+        };
+                self.setLevel = function(pattern, level) {
+            if (!pattern || (level && mmCoreLogLevels.indexOf(level) == -1)) {
+                return $q.reject();
+            }
+            return levelsLoaded.then(function() {
+                if (level) {
+                    levelRules[pattern] = level;
+                } else {
+                    delete levelRules[pattern];
+                }
+                classLevels = {};
+                return $mmConfig.set(mmCoreLogLevelsConfigName, angular.copy(levelRules));
+            });
+        };
+                self.getEntries = function(filter) {
+            var minLevel;
+            filter = filter || {};
+            minLevel = mmCoreLogLevels.indexOf(filter.level);
+            return storePendingEntries().then(function() {
+                return $mmApp.getDB().query(mmCoreLogStore, {index: 'time', order: 'desc'});
+            }).then(function(entries) {
+                return entries.filter(function(entry) {
+                    if (filter.classname && (entry.classname || '').indexOf(filter.classname) !== 0) {
+                        return false;
+                    }
+                    return mmCoreLogLevels.indexOf(entry.level) >= minLevel;
+                });
+            });
+        };
+                self.clearEntries = function() {
+            pendingEntries = [];
+            return $mmApp.getDB().clear(mmCoreLogStore);
+        };
+                self.exportEntries = function(filter) {
+            var now = new Date(),
+                path = mmCoreLogExportFolder + '/log-' + now.getTime() + '.txt';
+            return $mmFS.createDir(mmCoreLogExportFolder, false).then(function() {
+                return self.getEntries(filter);
+            }).then(function(entries) {
+                var lines = entries.reverse().map(function(entry) {
+                    return new Date(entry.time).toISOString() + ' ' + entry.level.toUpperCase() + ' ' +
+                            entry.classname + ': ' + entry.message;
+                });
+                return $mmFS.writeFile(path, lines.join('\n') + '\n');
+            }).then(function() {
+                return $mmFS.getBasePath();
+            }).then(function(basePath) {
+                return basePath + path;
+            });
         };
         return self;
     };
+})
+.run(function($ionicPlatform, $injector) {
+    $ionicPlatform.ready(function() {
+        $injector.get('$mmLog');
+    });
 });
 
 angular.module('mm.core')
 .value('mmCoreWSPrefix', 'local_mobile_')
+.provider('$mmSite', function($injector) {
+        this.registerStore = function(store) {
+        $injector.get('$mmSitesFactoryProvider').registerStore(store);
+    };
+        this.registerStores = function(stores) {
+        $injector.get('$mmSitesFactoryProvider').registerStores(stores);
+    };
+    this.$get = function($q, $mmWS, $mmEvents, $mmSitesFactory, mmCoreWSErrorAuth, mmCoreEventLogin, mmCoreEventLogout) {
+        var self = {},
+            currentSite;
+                self.getCurrentSite = function() {
+            return currentSite;
+        };
+                self.canAccessMyFiles = function() {
+            return !!currentSite && currentSite.canAccessMyFiles();
+        };
+                self.canDownloadFiles = function() {
+            return !!currentSite && currentSite.canDownloadFiles();
+        };
+                self.canUploadFiles = function() {
+            return !!currentSite && currentSite.canUploadFiles();
+        };
+                self.fetchSiteInfo = function() {
+            if (!currentSite) {
+                return notLoggedIn();
+            }
+            return currentSite.fetchSiteInfo();
+        };
+                self.isLoggedIn = function() {
+            return typeof(currentSite) != 'undefined' && currentSite.isLoggedIn();
+        };
+                self.logout = function() {
+            var siteid = currentSite ? currentSite.getId() : undefined;
+            currentSite = undefined;
+            if (typeof(siteid) !== 'undefined') {
+                $mmEvents.trigger(mmCoreEventLogout, siteid);
+            }
+        };
+                self.setCandidateSite = function(siteurl, token) {
+            currentSite = $mmSitesFactory.makeSite(undefined, siteurl, token);
+        };
+                self.deleteCandidateSite = function() {
+            currentSite = undefined;
+        };
+                self.setSite = function(id, siteurl, token, infos) {
+            if (angular.isObject(id)) {
+                currentSite = id;
+            } else {
+                currentSite = $mmSitesFactory.makeSite(id, siteurl, token, infos);
+            }
+            $mmEvents.trigger(mmCoreEventLogin, currentSite.getId());
+        };
+                self.deleteSite = function(siteid) {
+            if (typeof(currentSite) !== 'undefined' && currentSite.id == siteid) {
+                self.logout();
+            }
+            return $mmSitesFactory.deleteSiteDb(siteid);
+        };
+                self.read = function(method, data, preSets) {
+            if (!currentSite) {
+                return notLoggedIn();
+            }
+            return currentSite.read(method, data, preSets);
+        };
+                self.write = function(method, data, preSets) {
+            if (!currentSite) {
+                return notLoggedIn();
+            }
+            return currentSite.write(method, data, preSets);
+        };
+                self.request = function(method, data, preSets) {
+            if (!currentSite) {
+                return notLoggedIn();
+            }
+            return currentSite.request(method, data, preSets);
+        };
+                self.invalidateWsCache = function() {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.invalidateWsCache();
+        };
+                self.invalidateWsCacheForKey = function(key) {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.invalidateWsCacheForKey(key);
+        };
+                self.invalidateWsCacheForKeyStartingWith = function(key) {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.invalidateWsCacheForKeyStartingWith(key);
+        };
+                self.purgeWsCache = function() {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.purgeWsCache();
+        };
+                self.getWsCacheStats = function() {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.getWsCacheStats();
+        };
+                self.wsAvailable = function(method, checkPrefix) {
+            return !!currentSite && currentSite.wsAvailable(method, checkPrefix);
+        };
+                self.getRelease = function() {
+            return currentSite ? currentSite.getRelease() : undefined;
+        };
+                self.isVersionGreaterEqualThan = function(release) {
+            return !!currentSite && currentSite.isVersionGreaterEqualThan(release);
+        };
+                self.getId = function() {
+            return currentSite ? currentSite.getId() : undefined;
+        };
+                self.getDb = function() {
+            return currentSite ? currentSite.getDb() : undefined;
+        };
+                self.getURL = function() {
+            return currentSite ? currentSite.getURL() : undefined;
+        };
+                self.getToken = function() {
+            return currentSite ? currentSite.getToken() : undefined;
+        };
+                self.getInfo = function() {
+            return currentSite ? currentSite.getInfo() : undefined;
+        };
+                self.getUserId = function() {
+            return currentSite ? currentSite.getUserId() : undefined;
+        };
+                self.fixPluginfileURL = function(url, token) {
+            if (!currentSite) {
+                return url;
+            }
+            return currentSite.fixPluginfileURL(url, token);
+        };
+                self.uploadFile = function(uri, options) {
+            if (!currentSite) {
+                return notLoggedIn();
+            }
+            return currentSite.uploadFile(uri, options);
+        };
+                function notLoggedIn() {
+            var deferred = $q.defer();
+            $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
+            return deferred.promise;
+        }
+        return self;
+    };
+})
+.run(function($interval, $ionicPlatform, $mmConfig, $mmSite) {
+    $ionicPlatform.ready(function() {
+        $mmConfig.get('cache_maintenance_time').then(function(interval) {
+            $interval(function() {
+                if ($mmSite.isLoggedIn()) {
+                    $mmSite.purgeWsCache().catch(function() {
+                    });
+                }
+            }, interval);
+        });
+    });
+});
+
+angular.module('mm.core')
 .constant('mmCoreWSCacheStore', 'wscache')
-.config(function($mmSiteProvider, mmCoreWSCacheStore) {
+.constant('mmCoreWSCacheAccessStore', 'wscache_access')
+.constant('mmCoreSyncQueueStore', 'sync_queue')
+.config(function($mmSitesFactoryProvider, mmCoreWSCacheStore, mmCoreWSCacheAccessStore, mmCoreSyncQueueStore) {
     var stores = [
         {
             name: mmCoreWSCacheStore,
+            keyPath: 'id',
+            indexes: [
+                {
+                    name: 'key'
+                }
+            ],
+            encrypted: true,
+            version: 2,
+            migrations: {
+                2: function(entry) {
+                    if (typeof(entry.key) === 'undefined') {
+                        entry.expirationtime = 0;
+                    }
+                    return entry;
+                }
+            }
+        },
+        {
+            name: mmCoreWSCacheAccessStore,
             keyPath: 'id'
+        },
+        {
+            name: mmCoreSyncQueueStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            encrypted: true
         }
     ];
-    $mmSiteProvider.registerStores(stores);
+    $mmSitesFactoryProvider.registerStores(stores);
 })
-.provider('$mmSite', function() {
+.provider('$mmSitesFactory', function($mmDBProvider) {
         var siteSchema = {
         autoSchema: true,
         stores: []
     };
         this.registerStore = function(store) {
-        if (typeof(store.name) === 'undefined') {
-            console.log('$mmSite: Error: store name is undefined.');
-            return;
-        } else if (storeExists(store.name)) {
-            console.log('$mmSite: Error: store ' + store.name + ' is already defined.');
-            return;
-        }
-        siteSchema.stores.push(store);
+        $mmDBProvider.addStore(siteSchema, store);
     };
         this.registerStores = function(stores) {
         var self = this;
@@ -679,18 +2688,10 @@ angular.module('mm.core')
             self.registerStore(store);
         });
     };
-        function storeExists(name) {
-        var exists = false;
-        angular.forEach(siteSchema.stores, function(store) {
-            if (store.name === name) {
-                exists = true;
-            }
-        });
-        return exists;
-    }
-    this.$get = function($http, $q, $mmWS, $mmDB, $mmConfig, $log, md5, $cordovaNetwork, $mmLang, $mmUtil,
-        mmCoreWSCacheStore, mmCoreWSPrefix) {
-        $log = $log.getInstance('$mmSite');
+    this.$get = function($q, $mmWS, $mmWSLog, $mmDB, $mmConfig, $log, md5, $mmApp, $mmUtil, mmCoreWSCacheStore,
+            mmCoreWSCacheAccessStore, mmCoreSyncQueueStore, mmCoreWSPrefix, mmCoreWSRetries, mmCoreWSErrorNetwork,
+            mmCoreWSErrorAuth, mmCoreWSErrorUnavailable, mmCoreWSBatchFunction) {
+        $log = $log.getInstance('$mmSitesFactory');
                 var deprecatedFunctions = {
             "core_grade_get_definitions": "core_grading_get_definitions",
             "moodle_course_create_courses": "core_course_create_courses",
@@ -719,7 +2720,7 @@ angular.module('mm.core')
             "moodle_webservice_get_siteinfo": "core_webservice_get_site_info",
         };
         var self = {},
-            currentSite;
+            ongoingCalls = {};
                 function Site(id, siteurl, token, infos) {
             this.id = id;
             this.siteurl = siteurl;
@@ -729,61 +2730,107 @@ angular.module('mm.core')
                 this.db = $mmDB.getDB('Site-' + this.id, siteSchema);
             }
         }
-                self.canAccessMyFiles = function() {
-            var infos = self.getInfo();
+                Site.prototype.getId = function() {
+            return this.id;
+        };
+                Site.prototype.getURL = function() {
+            return this.siteurl;
+        };
+                Site.prototype.getToken = function() {
+            return this.token;
+        };
+                Site.prototype.getInfo = function() {
+            return this.infos;
+        };
+                Site.prototype.setInfo = function(infos) {
+            this.infos = infos;
+        };
+                Site.prototype.getDb = function() {
+            return this.db;
+        };
+                Site.prototype.getUserId = function() {
+            if (typeof(this.infos) !== 'undefined' && typeof(this.infos.userid) !== 'undefined') {
+                return this.infos.userid;
+            } else {
+                return undefined;
+            }
+        };
+                Site.prototype.getRelease = function() {
+            var infos = this.infos,
+                matches,
+                build;
+            if (typeof(infos) === 'undefined' || typeof(infos.release) !== 'string') {
+                return undefined;
+            }
+            matches = infos.release.match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+            if (!matches) {
+                return undefined;
+            }
+            build = infos.release.match(/Build:\s*(\w+)/);
+            return {
+                release: infos.release,
+                major: parseInt(matches[1], 10),
+                minor: parseInt(matches[2], 10),
+                patch: matches[3] ? parseInt(matches[3], 10) : 0,
+                build: build ? build[1] : undefined,
+                version: infos.version ? parseFloat(infos.version) : undefined
+            };
+        };
+                Site.prototype.isVersionGreaterEqualThan = function(release) {
+            var siteRelease = this.getRelease(),
+                siteNumbers,
+                numbers;
+            if (!siteRelease) {
+                return false;
+            }
+            siteNumbers = [siteRelease.major, siteRelease.minor, siteRelease.patch];
+            numbers = String(release).split('.');
+            for (var i = 0; i < siteNumbers.length; i++) {
+                var number = parseInt(numbers[i], 10) || 0;
+                if (siteNumbers[i] != number) {
+                    return siteNumbers[i] > number;
+                }
+            }
+            return true;
+        };
+                Site.prototype.isLoggedIn = function() {
+            return typeof(this.token) != 'undefined' && this.token != '';
+        };
+                Site.prototype.canAccessMyFiles = function() {
+            var infos = this.getInfo();
             return infos && (typeof infos.usercanmanageownfiles === 'undefined' || infos.usercanmanageownfiles);
         };
-                self.canDownloadFiles = function() {
-            var infos = self.getInfo();
+                Site.prototype.canDownloadFiles = function() {
+            var infos = this.getInfo();
             return infos && infos.downloadfiles;
         };
-                self.canUploadFiles = function() {
-            var infos = self.getInfo();
+                Site.prototype.canUploadFiles = function() {
+            var infos = this.getInfo();
             return infos && infos.uploadfiles;
         };
-                self.fetchSiteInfo = function() {
-            var deferred = $q.defer();
-            if (!self.isLoggedIn()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.login.notloggedin');
+                Site.prototype.fetchSiteInfo = function() {
+            var site = this,
+                deferred = $q.defer();
+            if (!site.isLoggedIn()) {
+                $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
                 return deferred.promise;
             }
             function siteDataRetrieved(infos) {
-                currentSite.infos = infos;
+                site.infos = infos;
                 deferred.resolve(infos);
             }
             var preSets = {
                 getFromCache: 0,
                 saveToCache: 0
             };
-            self.read('core_webservice_get_site_info', {}, preSets).then(siteDataRetrieved, function(error) {
-                self.read('moodle_webservice_get_siteinfo', {}, preSets).then(siteDataRetrieved, function(error) {
+            site.read('core_webservice_get_site_info', {}, preSets).then(siteDataRetrieved, function(error) {
+                site.read('moodle_webservice_get_siteinfo', {}, preSets).then(siteDataRetrieved, function(error) {
                     deferred.reject(error);
                 });
             });
             return deferred.promise;
         };
-                self.isLoggedIn = function() {
-            return typeof(currentSite) != 'undefined' && typeof(currentSite.token) != 'undefined' && currentSite.token != '';
-        };
-                self.logout = function() {
-            currentSite = undefined;
-        };
-                self.setCandidateSite = function(siteurl, token) {
-            currentSite = new Site(undefined, siteurl, token);
-        };
-                self.deleteCandidateSite = function() {
-            currentSite = undefined;
-        };
-                self.setSite = function(id, siteurl, token, infos) {
-            currentSite = new Site(id, siteurl, token, infos);
-        };
-                self.deleteSite = function(siteid) {
-            if (typeof(currentSite) !== 'undefined' && currentSite.id == siteid) {
-                self.logout();
-            }
-            return $mmDB.deleteDB('Site-' + siteid);
-        };
-                self.read = function(method, data, preSets) {
+                Site.prototype.read = function(method, data, preSets) {
             preSets = preSets || {};
             if (typeof(preSets.getFromCache) === 'undefined') {
                 preSets.getFromCache = 1;
@@ -794,9 +2841,12 @@ angular.module('mm.core')
             if (typeof(preSets.sync) === 'undefined') {
                 preSets.sync = 0;
             }
-            return self.request(method, data, preSets);
+            if (typeof(preSets.retries) === 'undefined') {
+                preSets.retries = mmCoreWSRetries;
+            }
+            return this.request(method, data, preSets);
         };
-                self.write = function(method, data, preSets) {
+                Site.prototype.write = function(method, data, preSets) {
             preSets = preSets || {};
             if (typeof(preSets.getFromCache) === 'undefined') {
                 preSets.getFromCache = 0;
@@ -805,121 +2855,238 @@ angular.module('mm.core')
                 preSets.saveToCache = 0;
             }
             if (typeof(preSets.sync) === 'undefined') {
-                preSets.sync = 0;
+                preSets.sync = 1;
             }
-            return self.request(method, data, preSets);
+            return this.request(method, data, preSets);
         };
-                self.request = function(method, data, preSets) {
-            var deferred = $q.defer();
-            if (!self.isLoggedIn()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.login.notloggedin');
+                Site.prototype.request = function(method, data, preSets) {
+            var site = this,
+                deferred = $q.defer();
+            if (!site.isLoggedIn()) {
+                $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
                 return deferred.promise;
             }
-            method = getCompatibleFunction(method);
-            if (self.getInfo() && !self.wsAvailable(method, false)) {
-                if (self.wsAvailable(mmCoreWSPrefix + method, false)) {
+            preSets = preSets || {};
+            if (preSets.sync && !$mmApp.isOnline()) {
+                addToSyncQueue(site, method, data).then(function(id) {
+                    $log.debug('Device is offline, WS call ' + method + ' added to the sync queue.');
+                    deferred.resolve({queued: true, id: id});
+                }, function() {
+                    $mmWS.translateErrorAndReject(deferred, 'mm.core.networkerrormsg', mmCoreWSErrorNetwork);
+                });
+                return deferred.promise;
+            }
+            method = getCompatibleFunction(site, method);
+            if (site.getInfo() && !site.wsAvailable(method, false)) {
+                if (site.wsAvailable(mmCoreWSPrefix + method, false)) {
                     $log.info("Using compatibility WS method '" + mmCoreWSPrefix + method + "'");
                     method = mmCoreWSPrefix + method;
                 } else {
                     $log.error("WS function '" + method + "' is not available, even in compatibility mode.");
-                    $mmLang.translateErrorAndReject(deferred, 'mm.core.wsfunctionnotavailable');
+                    $mmWS.translateErrorAndReject(deferred, 'mm.core.wsfunctionnotavailable',
+                            mmCoreWSErrorUnavailable);
                     return deferred.promise;
                 }
             }
-            preSets = preSets || {};
-            preSets.wstoken = currentSite.token;
-            preSets.siteurl = currentSite.siteurl;
-            getFromCache(method, data, preSets).then(function(data) {
-                deferred.resolve(data);
+            if (preSets.batch && !site.wsAvailable(mmCoreWSBatchFunction, false)) {
+                preSets.batch = false;
+            }
+            preSets.wstoken = site.token;
+            preSets.siteurl = site.siteurl;
+            var start = new Date().getTime();
+            getFromCache(site, method, data, preSets).then(function(cached) {
+                if (!cached.expired) {
+                    recordCachedCall(site, method, data, start);
+                    deferred.resolve(cached.data);
+                    return;
+                }
+                $log.debug('Using expired cached element while it is updated in background.');
+                deferred.notify(cached.data);
+                callWS(cached.data);
             }, function() {
-                var mustSaveToCache = preSets.saveToCache;
+                callWS();
+            });
+                        function callWS(expiredData) {
+                var mustGetFromCache = preSets.getFromCache,
+                    mustSaveToCache = preSets.saveToCache,
+                    cacheKey = preSets.cacheKey,
+                    cacheTTL = preSets.cacheTTL;
                 delete preSets.getFromCache;
                 delete preSets.saveToCache;
                 delete preSets.omitExpires;
-                $mmWS.call(method, data, preSets).then(function(response) {
+                delete preSets.sync;
+                delete preSets.cacheKey;
+                delete preSets.cacheTTL;
+                delete preSets.updateInBackground;
+                getWSPromise(site, method, data, preSets, mustGetFromCache || mustSaveToCache).then(function(response) {
                     if (mustSaveToCache) {
-                        saveToCache(method, data, response);
+                        saveToCache(site, method, data, response, cacheKey, cacheTTL);
                     }
                     deferred.resolve(response);
                 }, function(error) {
+                    if (typeof(expiredData) !== 'undefined') {
+                        $log.debug('WS call failed. Keep using the expired cached element.');
+                        deferred.resolve(expiredData);
+                        return;
+                    }
                     $log.debug('WS call failed. Try to get the value from the cache.');
+                    preSets.getFromCache = mustGetFromCache;
                     preSets.omitExpires = true;
-                    getFromCache(method, data, preSets).then(function(data) {
-                        deferred.resolve(data);
+                    getFromCache(site, method, data, preSets).then(function(cached) {
+                        recordCachedCall(site, method, data, start);
+                        deferred.resolve(cached.data);
                     }, function() {
                         deferred.reject(error);
                     });
                 });
+            }
+            return deferred.promise;
+        };
+                Site.prototype.invalidateWsCache = function() {
+            var db = this.db;
+            if (!db) {
+                return $q.reject();
+            }
+            $log.debug('Invalidate all the cache for site: ' + this.id);
+            return db.getAll(mmCoreWSCacheStore).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+                Site.prototype.invalidateWsCacheForKey = function(key) {
+            var db = this.db;
+            if (!db) {
+                return $q.reject();
+            } else if (!key) {
+                return $q.when();
+            }
+            $log.debug('Invalidate cache for key: ' + key);
+            return db.whereEqual(mmCoreWSCacheStore, 'key', key).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+                Site.prototype.invalidateWsCacheForKeyStartingWith = function(key) {
+            var db = this.db;
+            if (!db) {
+                return $q.reject();
+            } else if (!key) {
+                return $q.when();
+            }
+            $log.debug('Invalidate cache for key starting with: ' + key);
+            return db.where(mmCoreWSCacheStore, 'key', '^', key).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+                Site.prototype.purgeWsCache = function() {
+            var site = this,
+                db = site.db;
+            if (!db) {
+                return $q.reject();
+            }
+            var promises = [
+                $mmConfig.get('cache_max_entries'),
+                $mmConfig.get('cache_max_size'),
+                $mmConfig.get('cache_expired_keep_time'),
+                getCacheAccesses(db)
+            ];
+            return $q.all(promises).then(function(data) {
+                var maxEntries = data[0],
+                    maxSize = data[1],
+                    keepTime = data[2],
+                    accesses = data[3],
+                    now = new Date().getTime(),
+                    toDelete = [],
+                    kept = 0,
+                    size = 0,
+                    full = false;
+                accesses.sort(function(a, b) {
+                    return b.lastaccess - a.lastaccess;
+                });
+                angular.forEach(accesses, function(access) {
+                    var entrySize = access.size || 0;
+                    if (now > access.expirationtime && now - access.lastaccess > keepTime) {
+                        toDelete.push(access.id);
+                        return;
+                    }
+                    full = full || (maxEntries && kept + 1 > maxEntries) || (maxSize && size + entrySize > maxSize);
+                    if (full) {
+                        toDelete.push(access.id);
+                    } else {
+                        kept++;
+                        size += entrySize;
+                    }
+                });
+                if (!toDelete.length) {
+                    return 0;
+                }
+                $log.debug('Purge ' + toDelete.length + ' cache entries of site ' + site.id);
+                promises = [];
+                angular.forEach(toDelete, function(id) {
+                    promises.push(db.remove(mmCoreWSCacheStore, id));
+                    promises.push(db.remove(mmCoreWSCacheAccessStore, id));
+                });
+                return $q.all(promises).then(function() {
+                    return toDelete.length;
+                });
+            });
+        };
+                Site.prototype.getWsCacheStats = function() {
+            var db = this.db;
+            if (!db) {
+                return $q.reject();
+            }
+            return getCacheAccesses(db).then(function(accesses) {
+                var now = new Date().getTime(),
+                    stats = {
+                        entries: accesses.length,
+                        expired: 0,
+                        size: 0
+                    };
+                angular.forEach(accesses, function(access) {
+                    stats.size += access.size || 0;
+                    if (now > access.expirationtime) {
+                        stats.expired++;
+                    }
+                });
+                return stats;
             });
-            return deferred.promise;
         };
-                self.wsAvailable = function(method, checkPrefix) {
+                Site.prototype.wsAvailable = function(method, checkPrefix) {
             checkPrefix = (typeof checkPrefix === 'undefined') ? true : checkPrefix;
-            if (!self.isLoggedIn() || typeof(currentSite.infos) == 'undefined') {
+            if (!this.isLoggedIn() || typeof(this.infos) == 'undefined') {
                 return false;
             }
-            for (var i = 0; i < currentSite.infos.functions.length; i++) {
-                var f = currentSite.infos.functions[i];
+            for (var i = 0; i < this.infos.functions.length; i++) {
+                var f = this.infos.functions[i];
                 if (f.name == method) {
                     return true;
                 }
             }
             if (checkPrefix) {
-                return self.wsAvailable(mmCoreWSPrefix + method, false);
+                return this.wsAvailable(mmCoreWSPrefix + method, false);
             }
             return false;
         };
-                self.getId = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.id) !== 'undefined') {
-                return currentSite.id;
-            } else {
-                return undefined;
-            }
-        };
-                self.getURL = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.siteurl) !== 'undefined') {
-                return currentSite.siteurl;
-            } else {
-                return undefined;
-            }
-        };
-                self.getToken = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.token) !== 'undefined') {
-                return currentSite.token;
-            } else {
-                return undefined;
-            }
-        };
-                self.getInfo = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.infos) !== 'undefined') {
-                return currentSite.infos;
-            } else {
-                return undefined;
-            }
-        };
-                self.getUserId = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.infos) !== 'undefined'
-                    && typeof(currentSite.infos.userid) !== 'undefined') {
-                return currentSite.infos.userid;
-            } else {
-                return undefined;
-            }
-        };
-                self.fixPluginfileURL = function(url, token) {
+                Site.prototype.fixPluginfileURL = function(url, token) {
             if (!token) {
-                token = self.getToken();
+                token = this.getToken();
             }
             return $mmUtil.fixPluginfileURL(url, token);
         };
-                self.uploadFile = function(uri, options) {
+                Site.prototype.uploadFile = function(uri, options) {
             return $mmWS.uploadFile(uri, options, {
-                siteurl: self.getURL(),
-                token: self.getToken()
+                siteurl: this.getURL(),
+                token: this.getToken()
             });
         };
-                function getCompatibleFunction(method) {
+                self.makeSite = function(id, siteurl, token, infos) {
+            return new Site(id, siteurl, token, infos);
+        };
+                self.deleteSiteDb = function(siteid) {
+            return $mmDB.deleteDB('Site-' + siteid);
+        };
+                function getCompatibleFunction(site, method) {
             if (typeof deprecatedFunctions[method] !== "undefined") {
-                if (self.wsAvailable(deprecatedFunctions[method])) {
+                if (site.wsAvailable(deprecatedFunctions[method])) {
                     $log.warn("You are using deprecated Web Services: " + method +
                         " you must replace it with the newer function: " + deprecatedFunctions[method]);
                     return deprecatedFunctions[method];
@@ -927,9 +3094,9 @@ angular.module('mm.core')
                     $log.warn("You are using deprecated Web Services. " +
                         "Your remote site seems to be outdated, consider upgrade it to the latest Moodle version.");
                 }
-            } else if (!self.wsAvailable(method)) {
+            } else if (!site.wsAvailable(method)) {
                 for (var oldFunc in deprecatedFunctions) {
-                    if (deprecatedFunctions[oldFunc] === method && self.wsAvailable(oldFunc)) {
+                    if (deprecatedFunctions[oldFunc] === method && site.wsAvailable(oldFunc)) {
                         $log.warn("Your remote site doesn't support the function " + method +
                             ", it seems to be outdated, consider upgrade it to the latest Moodle version.");
                         return oldFunc;
@@ -938,9 +3105,52 @@ angular.module('mm.core')
             }
             return method;
         }
-                function getFromCache(method, data, preSets) {
-            var result,
-                db = currentSite.db,
+                function addToSyncQueue(site, method, data) {
+            var db = site.db;
+            if (!db) {
+                return $q.reject();
+            }
+            return db.insert(mmCoreSyncQueueStore, {
+                method: method,
+                data: data,
+                timecreated: new Date().getTime()
+            });
+        }
+                function getCacheId(method, data) {
+            return md5.createHash(method + ':' + JSON.stringify(data));
+        }
+                function getWSPromise(site, method, data, preSets, cacheable) {
+            if (!cacheable) {
+                return $mmWS.call(method, data, preSets);
+            }
+            var callId = site.id + ':' + getCacheId(method, data),
+                ongoing = ongoingCalls[callId];
+            if (ongoing) {
+                $log.debug('Identical WS call ' + method + ' is being sent, use its response.');
+            } else {
+                ongoing = $mmWS.call(method, data, preSets);
+                ongoingCalls[callId] = ongoing;
+                ongoing.finally(function() {
+                    delete ongoingCalls[callId];
+                });
+            }
+            return ongoing.then(function(response) {
+                return angular.copy(response);
+            });
+        }
+                function recordCachedCall(site, method, data, start) {
+            $mmWSLog.record({
+                method: method,
+                siteurl: site.siteurl,
+                params: data,
+                time: start,
+                duration: new Date().getTime() - start,
+                fromCache: true,
+                success: true
+            });
+        }
+                function getFromCache(site, method, data, preSets) {
+            var db = site.db,
                 deferred = $q.defer(),
                 key;
             if (!db) {
@@ -950,23 +3160,31 @@ angular.module('mm.core')
                 deferred.reject();
                 return deferred.promise;
             }
-            key = md5.createHash(method + ':' + JSON.stringify(data));
+            key = getCacheId(method, data);
             db.get(mmCoreWSCacheStore, key).then(function(entry) {
-                var now = new Date().getTime();
-                try {
-                    preSets.omitExpires = preSets.omitExpires || $cordovaNetwork.isOffline();
-                } catch(err) {}
-                if (!preSets.omitExpires) {
-                    if (now > entry.expirationtime) {
+                var now = new Date().getTime(),
+                    expirationTime = entry.expirationtime,
+                    expired = false;
+                preSets.omitExpires = preSets.omitExpires || !$mmApp.isOnline();
+                if (preSets.cacheTTL && entry.timemodified) {
+                    expirationTime = Math.min(expirationTime, entry.timemodified + preSets.cacheTTL);
+                }
+                if (!preSets.omitExpires && now > expirationTime) {
+                    if (!preSets.updateInBackground) {
                         $log.debug('Cached element found, but it is expired');
                         deferred.reject();
                         return;
                     }
+                    expired = true;
                 }
                 if (typeof(entry) !== 'undefined' && typeof(entry.data) !== 'undefined') {
-                    var expires = (entry.expirationtime - now) / 1000;
+                    var expires = (expirationTime - now) / 1000;
                     $log.info('Cached element found, id: ' + key + ' expires in ' + expires + ' seconds');
-                    deferred.resolve(entry.data);
+                    db.insert(mmCoreWSCacheAccessStore, getCacheAccess(entry, now));
+                    deferred.resolve({
+                        data: entry.data,
+                        expired: expired
+                    });
                     return;
                 }
                 deferred.reject();
@@ -975,24 +3193,88 @@ angular.module('mm.core')
             });
             return deferred.promise;
         }
-                function saveToCache(method, data, response) {
-            var db = currentSite.db,
+                function saveToCache(site, method, data, response, cacheKey, cacheTTL) {
+            var db = site.db,
                 deferred = $q.defer(),
-                key = md5.createHash(method + ':' + JSON.stringify(data));
+                key = getCacheId(method, data);
             if (!db) {
                 deferred.reject();
             } else {
                 $mmConfig.get('cache_expiration_time').then(function(cacheExpirationTime) {
-                    var entry = {
-                        id: key,
-                        data: response
-                    };
-                    entry.expirationtime = new Date().getTime() + cacheExpirationTime;
+                    var now = new Date().getTime(),
+                        entry = {
+                            id: key,
+                            data: response
+                        };
+                    entry.timemodified = now;
+                    entry.expirationtime = now + (cacheTTL || cacheExpirationTime);
+                    entry.size = getSize(response);
+                    if (cacheKey) {
+                        entry.key = cacheKey;
+                    }
                     db.insert(mmCoreWSCacheStore, entry);
+                    db.insert(mmCoreWSCacheAccessStore, getCacheAccess(entry, now));
                     deferred.resolve();
                 }, deferred.reject);
             }
             return deferred.promise;
+        }
+                function invalidateEntries(db, entries) {
+            var promises = [];
+            angular.forEach(entries, function(entry) {
+                entry.expirationtime = 0;
+                promises.push(db.insert(mmCoreWSCacheStore, entry));
+                promises.push(db.get(mmCoreWSCacheAccessStore, entry.id).then(function(access) {
+                    access.expirationtime = 0;
+                    return db.insert(mmCoreWSCacheAccessStore, access);
+                }, function() {
+                }));
+            });
+            return $q.all(promises);
+        }
+                function getCacheAccess(entry, lastAccess) {
+            return {
+                id: entry.id,
+                lastaccess: lastAccess,
+                expirationtime: entry.expirationtime,
+                size: typeof(entry.size) === 'undefined' ? getSize(entry.data) : entry.size
+            };
+        }
+                function getCacheAccesses(db) {
+            return $q.all([db.keys(mmCoreWSCacheStore), db.getAll(mmCoreWSCacheAccessStore)]).then(function(data) {
+                var ids = data[0],
+                    accesses = {},
+                    now = new Date().getTime(),
+                    promises = [];
+                angular.forEach(data[1], function(access) {
+                    accesses[access.id] = access;
+                });
+                angular.forEach(ids, function(id) {
+                    var access = accesses[id];
+                    if (access && typeof(access.expirationtime) !== 'undefined') {
+                        return;
+                    }
+                    promises.push(db.get(mmCoreWSCacheStore, id).then(function(entry) {
+                        var lastAccess = (access && access.lastaccess) || entry.lastaccess || now;
+                        accesses[id] = getCacheAccess(entry, lastAccess);
+                        return db.insert(mmCoreWSCacheAccessStore, accesses[id]);
+                    }));
+                });
+                return $q.all(promises).then(function() {
+                    return ids.filter(function(id) {
+                        return !!accesses[id];
+                    }).map(function(id) {
+                        return accesses[id];
+                    });
+                });
+            });
+        }
+                function getSize(response) {
+            try {
+                return JSON.stringify(response).length * 2;
+            } catch(ex) {
+                return 0;
+            }
         }
         return self;
     };
@@ -1005,7 +3287,8 @@ angular.module('mm.core')
     var stores = [
         {
             name: mmCoreSitesStore,
-            keyPath: 'id'
+            keyPath: 'id',
+            encrypted: true
         },
         {
             name: mmCoreCurrentSiteStore,
@@ -1014,11 +3297,14 @@ angular.module('mm.core')
     ];
     $mmAppProvider.registerStores(stores);
 })
-.factory('$mmSitesManager', function($http, $q, $mmSite, md5, $mmLang, $mmConfig, $mmApp, $mmWS, $mmUtil, $mmFS,
-                                     $cordovaNetwork, mmCoreSitesStore, mmCoreCurrentSiteStore, $log) {
+.factory('$mmSitesManager', function($http, $q, $mmSite, md5, $mmLang, $mmConfig, $mmApp, $mmWS, $mmUtil,
+                                     $mmFS, $mmSyncQueue, $mmSitesFactory, mmCoreSitesStore,
+                                     mmCoreCurrentSiteStore, $mmEvents, mmCoreEventSiteAdded, mmCoreEventSiteUpdated,
+                                     mmCoreEventSiteDeleted, $log) {
     $log = $log.getInstance('$mmSitesManager');
     var self = {},
         services = {},
+        sites = {},
         db = $mmApp.getDB(),
         sessionRestored = false;
         self.getDemoSiteData = function(siteurl) {
@@ -1134,10 +3420,10 @@ angular.module('mm.core')
         var deferred = $q.defer();
         $mmSite.setCandidateSite(siteurl, token);
         $mmSite.fetchSiteInfo().then(function(infos) {
-            if (isValidMoodleVersion(infos.functions)) {
+            if (isValidMoodleVersion()) {
                 var siteid = md5.createHash(siteurl + infos.username);
                 self.addSite(siteid, siteurl, token, infos);
-                $mmSite.setSite(siteid, siteurl, token, infos);
+                $mmSite.setSite(sites[siteid]);
                 self.login(siteid);
                 deferred.resolve();
             } else {
@@ -1165,13 +3451,8 @@ angular.module('mm.core')
         $mmConfig.get('wsservice').then(deferred.resolve, deferred.reject);
         return deferred.promise;
     };
-        function isValidMoodleVersion(sitefunctions) {
-        for(var i = 0; i < sitefunctions.length; i++) {
-            if (sitefunctions[i].name.indexOf("component_strings") > -1) {
-                return true;
-            }
-        }
-        return false;
+        function isValidMoodleVersion() {
+        return $mmSite.wsAvailable('core_get_component_strings');
     };
         self.addSite = function(id, siteurl, token, infos) {
         db.insert(mmCoreSitesStore, {
@@ -1180,18 +3461,82 @@ angular.module('mm.core')
             token: token,
             infos: infos
         });
+        sites[id] = $mmSitesFactory.makeSite(id, siteurl, token, infos);
+        $mmEvents.trigger(mmCoreEventSiteAdded, id);
+    };
+        self.getSite = function(siteid) {
+        if (typeof(siteid) === 'undefined') {
+            var currentSite = $mmSite.getCurrentSite();
+            return currentSite ? $q.when(currentSite) : $q.reject();
+        } else if (sites[siteid]) {
+            return $q.when(sites[siteid]);
+        }
+        return db.get(mmCoreSitesStore, siteid).then(getSiteObject);
+    };
+        self.updateSiteInfo = function(siteid) {
+        return self.getSite(siteid).then(function(site) {
+            siteid = site.getId();
+            return site.fetchSiteInfo().then(function(infos) {
+                return db.get(mmCoreSitesStore, siteid).then(function(entry) {
+                    entry.infos = infos;
+                    return db.insert(mmCoreSitesStore, entry);
+                }).then(function() {
+                    $log.debug('Site info updated for site ' + siteid);
+                    $mmEvents.trigger(mmCoreEventSiteUpdated, siteid);
+                    return infos;
+                });
+            });
+        });
+    };
+        function getSiteObject(site) {
+        if (!sites[site.id]) {
+            sites[site.id] = $mmSitesFactory.makeSite(site.id, site.siteurl, site.token, site.infos);
+        }
+        return sites[site.id];
+    }
+        self.setSiteLoggedOut = function(siteid, loggedOut) {
+        $log.debug('Set site ' + siteid + ' as logged out: ' + loggedOut);
+        return db.get(mmCoreSitesStore, siteid).then(function(site) {
+            site.loggedOut = loggedOut;
+            return db.insert(mmCoreSitesStore, site);
+        });
     };
         self.loadSite = function(siteid) {
         $log.debug('Load site '+siteid);
         return db.get(mmCoreSitesStore, siteid).then(function(site) {
-            $mmSite.setSite(siteid, site.siteurl, site.token, site.infos);
+            if (site.loggedOut) {
+                $log.debug('Site ' + siteid + ' is logged out, the user needs to authenticate again.');
+                return $q.reject();
+            }
+            $mmSite.setSite(getSiteObject(site));
             self.login(siteid);
+            $mmSyncQueue.process().catch(function() {
+            });
+            $mmSite.purgeWsCache().catch(function() {
+                $log.warn('Error purging the WS cache of site ' + siteid);
+            });
+            self.updateSiteInfo(siteid).catch(function() {
+            });
         });
     };
         self.deleteSite = function(siteid) {
         $log.debug('Delete site '+siteid);
+        delete sites[siteid];
         return $mmSite.deleteSite(siteid).then(function() {
             return db.remove(mmCoreSitesStore, siteid);
+        }).then(function() {
+            $mmEvents.trigger(mmCoreEventSiteDeleted, siteid);
+        });
+    };
+        self.deleteAllSites = function() {
+        return db.keys(mmCoreSitesStore).then(function(ids) {
+            var promises = [];
+            angular.forEach(ids, function(siteid) {
+                promises.push(self.deleteSite(siteid));
+            });
+            return $q.all(promises);
+        }).then(function() {
+            return self.logout();
         });
     };
         self.hasNoSites = function() {
@@ -1215,6 +3560,8 @@ angular.module('mm.core')
                 formattedSites.push({
                     id: site.id,
                     siteurl: site.siteurl,
+                    username: site.infos.username,
+                    loggedOut: !!site.loggedOut,
                     fullname: site.infos.fullname,
                     sitename: site.infos.sitename,
                     avatar: site.infos.userpictureurl
@@ -1251,20 +3598,15 @@ angular.module('mm.core')
                 $log.debug('File ' + downloadURL + ' already downloaded.');
                 return fileEntry.toInternalURL();
             }, function() {
-                try {
-                    if ($cordovaNetwork.isOnline()) {
-                        $log.debug('File ' + downloadURL + ' not downloaded. Lets download.');
-                        return $mmWS.downloadFile(downloadURL, path.file).then(function(fileEntry) {
-                            return fileEntry.toInternalURL();
-                        }, function(err) {
-                            return downloadURL;
-                        });
-                    } else {
-                        $log.debug('File ' + downloadURL + ' not downloaded, but the device is offline.');
+                if ($mmApp.isOnline()) {
+                    $log.debug('File ' + downloadURL + ' not downloaded. Lets download.');
+                    return $mmWS.downloadFile(downloadURL, path.file).then(function(fileEntry) {
+                        return fileEntry.toInternalURL();
+                    }, function(err) {
                         return downloadURL;
-                    }
-                } catch(err) {
-                    $log.debug('File ' + downloadURL + ' not downloaded, but cordova is not available.');
+                    });
+                } else {
+                    $log.debug('File ' + downloadURL + ' not downloaded, but the device is offline.');
                     return downloadURL;
                 }
             });
@@ -1307,6 +3649,126 @@ angular.module('mm.core')
     return self;
 });
 
+angular.module('mm.core')
+.factory('$mmSyncQueue', function($q, $log, $injector, $mmApp, mmCoreSyncQueueStore, mmCoreWSErrorNetwork,
+            mmCoreWSErrorAuth) {
+    $log = $log.getInstance('$mmSyncQueue');
+    var self = {},
+        observers = {},
+        processing;
+        self.registerObserver = function(name, callback) {
+        $log.debug("Register observer '" + name + "' for sync queue.");
+        observers[name] = callback;
+    };
+        function getSite(siteid) {
+        return $injector.get('$mmSitesManager').getSite(siteid);
+    }
+        function getSiteDb(siteid) {
+        return getSite(siteid).then(function(site) {
+            var db = site.getDb();
+            return db ? db : $q.reject();
+        });
+    }
+        self.getEntries = function(method, siteid) {
+        return getSiteDb(siteid).then(function(db) {
+            return db.getAll(mmCoreSyncQueueStore);
+        }).then(function(entries) {
+            entries = entries.filter(function(entry) {
+                return typeof(method) === 'undefined' || entry.method === method;
+            });
+            return entries.sort(function(a, b) {
+                return a.id - b.id;
+            });
+        });
+    };
+        self.cancel = function(id, siteid) {
+        return getSiteDb(siteid).then(function(db) {
+            $log.debug('Cancel sync queue entry ' + id);
+            return db.remove(mmCoreSyncQueueStore, id);
+        });
+    };
+        self.process = function() {
+        if (processing) {
+            return processing;
+        } else if (!$mmApp.isOnline()) {
+            return $q.when();
+        }
+        processing = $injector.get('$mmSitesManager').getSites().then(function(sites) {
+            var promises = [];
+            angular.forEach(sites, function(site) {
+                if (!site.loggedOut) {
+                    promises.push(processSite(site.id));
+                }
+            });
+            return $q.all(promises);
+        }).finally(function() {
+            processing = undefined;
+        });
+        return processing;
+    };
+        function processSite(siteid) {
+        return getSite(siteid).then(function(site) {
+            return self.getEntries(undefined, siteid).then(function(entries) {
+                if (entries.length) {
+                    $log.debug('Processing ' + entries.length + ' entries in the sync queue of site ' + siteid);
+                }
+                return processEntries(site, entries);
+            });
+        });
+    }
+        function processEntries(site, entries) {
+        var entry = entries.shift(),
+            siteid = site.getId();
+        if (typeof(entry) === 'undefined') {
+            return $q.when();
+        }
+        return site.write(entry.method, entry.data, {sync: 0}).then(function(response) {
+            return self.cancel(entry.id, siteid).finally(function() {
+                notifyObservers(entry, true, response, siteid);
+            });
+        }, function(error) {
+            if (!$mmApp.isOnline() || (error && error.type === mmCoreWSErrorNetwork)) {
+                $log.debug('Site cannot be reached, stop processing the sync queue.');
+                return $q.reject();
+            } else if (error && error.type === mmCoreWSErrorAuth) {
+                $log.debug('User needs to authenticate again, stop processing the sync queue.');
+                return $q.reject();
+            }
+            $log.error('Queued WS call ' + entry.method + ' failed: ' + error);
+            return self.cancel(entry.id, siteid).finally(function() {
+                notifyObservers(entry, false, error, siteid);
+            });
+        }).then(function() {
+            return processEntries(site, entries);
+        });
+    }
+        function notifyObservers(entry, success, result, siteid) {
+        angular.forEach(observers, function(callback) {
+            if (typeof(callback) === 'function') {
+                callback(entry, success, result, siteid);
+            }
+        });
+    }
+    return self;
+})
+.run(function($interval, $ionicPlatform, $mmApp, $mmConfig, $mmSyncQueue) {
+    $mmApp.onNetworkChange(function(online) {
+        if (online) {
+            $mmSyncQueue.process().catch(function() {
+            });
+        }
+    });
+    $ionicPlatform.ready(function() {
+        $mmConfig.get('sync_ws_on').then(function(enabled) {
+            if (enabled) {
+                $mmConfig.get('sync_ws').then(function(interval) {
+                    $interval($mmSyncQueue.process, interval);
+                });
+            }
+        });
+    });
+});
+
 angular.module('mm.core')
 .factory('$mmURLDelegate', function($log) {
     $log = $log.getInstance('$mmURLDelegate');
@@ -1514,6 +3976,9 @@ angular.module('mm.core')
                 self.showErrorModal = function(errorMessage, needsTranslate) {
             var errorKey = 'mm.core.error',
                 langKeys = [errorKey];
+            if (angular.isObject(errorMessage) && typeof(errorMessage.message) !== 'undefined') {
+                errorMessage = errorMessage.message;
+            }
             if (needsTranslate) {
                 langKeys.push(errorMessage);
             }
@@ -1598,49 +4063,127 @@ angular.module('mm.core')
 });
 
 angular.module('mm.core')
-.factory('$mmWS', function($http, $q, $log, $mmLang, $cordovaFileTransfer, $cordovaNetwork, $mmFS) {
+.constant('mmCoreWSTimeout', 30000)
+.constant('mmCoreWSRetries', 2)
+.constant('mmCoreWSRetryDelay', 1000)
+.constant('mmCoreWSErrorNetwork', 'network')
+.constant('mmCoreWSErrorMoodle', 'moodle')
+.constant('mmCoreWSErrorAuth', 'auth')
+.constant('mmCoreWSErrorUnavailable', 'unavailable')
+.constant('mmCoreWSBatchFunction', 'tool_mobile_call_external_functions')
+.factory('$mmWS', function($http, $q, $log, $timeout, $translate, $cordovaFileTransfer, $mmApp,
+            $mmFS, $mmEvents, $mmWSLog, mmCoreEventSessionExpired, mmCoreWSTimeout, mmCoreWSRetryDelay, mmCoreWSErrorNetwork,
+            mmCoreWSErrorMoodle, mmCoreWSErrorAuth, mmCoreWSErrorUnavailable, mmCoreWSBatchFunction) {
     $log = $log.getInstance('$mmWS');
-    var self = {};
+    var self = {},
+        batchQueues = {};
+        function WSError(type, message, payload) {
+        this.type = type;
+        this.message = message;
+        this.payload = payload;
+        if (payload) {
+            this.errorcode = payload.errorcode;
+            this.debuginfo = payload.debuginfo;
+        }
+    }
+        WSError.prototype.toString = function() {
+        return this.message;
+    };
+        self.createError = function(type, message, payload) {
+        return new WSError(type, message, payload);
+    };
+        self.isWSError = function(error) {
+        return error instanceof WSError;
+    };
+        self.translateErrorAndReject = function(deferred, errorkey, type, payload) {
+        $translate(errorkey).then(function(errorMessage) {
+            deferred.reject(self.createError(type, errorMessage, payload));
+        }, function() {
+            deferred.reject(self.createError(type, errorkey, payload));
+        });
+    };
         self.call = function(method, data, preSets) {
+        var start = new Date().getTime(),
+            params = angular.copy(data);
+        function record(success, error) {
+            $mmWSLog.record({
+                method: method,
+                siteurl: preSets ? preSets.siteurl : undefined,
+                params: params,
+                time: start,
+                duration: new Date().getTime() - start,
+                success: success,
+                error: error
+            });
+        }
+        return sendCall(method, data, preSets).then(function(response) {
+            record(true);
+            return response;
+        }, function(error) {
+            record(false, error);
+            return $q.reject(error);
+        });
+    };
+        function sendCall(method, data, preSets) {
         var deferred = $q.defer(),
             siteurl;
         data = convertValuesToString(data);
         if (typeof(preSets) === 'undefined' || preSets == null ||
                 typeof(preSets.wstoken) === 'undefined' || typeof(preSets.siteurl) === 'undefined') {
-            $mmLang.translateErrorAndReject(deferred, 'mm.core.unexpectederror');
+            self.translateErrorAndReject(deferred, 'mm.core.unexpectederror', mmCoreWSErrorUnavailable);
             return deferred.promise;
         }
-        try {
-            if ($cordovaNetwork.isOffline()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.core.networkerrormsg');
-                return deferred.promise;
-            }
-        } catch(err) {}
+        if (!$mmApp.isOnline()) {
+            self.translateErrorAndReject(deferred, 'mm.core.networkerrormsg', mmCoreWSErrorNetwork);
+            return deferred.promise;
+        }
+        if (preSets.batch) {
+            return addToBatch(method, data, preSets);
+        }
         data.wsfunction = method;
         data.wstoken = preSets.wstoken;
         siteurl = preSets.siteurl + '/webservice/rest/server.php?moodlewsrestformat=json';
-        var ajaxData = data;
-        $http.post(siteurl, ajaxData).then(function(data) {
+        var ajaxData = data,
+            timeout = preSets.timeout || mmCoreWSTimeout,
+            retries = preSets.retries || 0,
+            retryDelay = typeof(preSets.retryDelay) !== 'undefined' ? preSets.retryDelay : mmCoreWSRetryDelay;
+                function post(attempt) {
+            return $http.post(siteurl, ajaxData, {timeout: timeout}).catch(function(error) {
+                if (attempt < retries && isRetriable(error)) {
+                    var delay = retryDelay * Math.pow(2, attempt);
+                    $log.debug('WS call ' + method + ' failed, retrying in ' + delay + ' ms.');
+                    return $timeout(function() {
+                        return post(attempt + 1);
+                    }, delay);
+                }
+                return $q.reject(error);
+            });
+        }
+        post(0).then(function(data) {
             if (!data && !data.data && !preSets.responseExpected) {
                 data = {};
             } else {
                 data = data.data;
             }
             if (!data) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.core.cannotconnect');
+                self.translateErrorAndReject(deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork);
                 return;
             }
             if (typeof(data.exception) !== 'undefined') {
                 if (data.errorcode == 'invalidtoken' || data.errorcode == 'accessexception') {
                     $log.error("Critical error: " + JSON.stringify(data));
-                    $mmLang.translateErrorAndReject(deferred, 'mm.core.lostconnection');
+                    $mmEvents.trigger(mmCoreEventSessionExpired, {
+                        siteurl: preSets.siteurl,
+                        token: preSets.wstoken
+                    });
+                    self.translateErrorAndReject(deferred, 'mm.core.lostconnection', mmCoreWSErrorAuth, data);
                 } else {
-                    deferred.reject(data.message);
+                    deferred.reject(self.createError(mmCoreWSErrorMoodle, data.message, data));
                 }
                 return;
             }
             if (typeof(data.debuginfo) != 'undefined') {
-                deferred.reject('Error. ' + data.message);
+                deferred.reject(self.createError(mmCoreWSErrorMoodle, 'Error. ' + data.message, data));
                 return;
             }
             $log.info('WS: Data received from WS ' + typeof(data));
@@ -1649,10 +4192,118 @@ angular.module('mm.core')
             }
             deferred.resolve(angular.copy(data));
         }, function(error) {
-            $mmLang.translateErrorAndReject(deferred, 'mm.core.cannotconnect');
+            self.translateErrorAndReject(deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork, error);
         });
         return deferred.promise;
-    };
+    }
+        function addToBatch(method, data, preSets) {
+        var deferred = $q.defer(),
+            transport = getTransportPreSets(preSets),
+            queueId = JSON.stringify(transport),
+            queue = batchQueues[queueId];
+        if (!queue) {
+            queue = batchQueues[queueId] = {
+                preSets: transport,
+                calls: []
+            };
+            $timeout(function() {
+                delete batchQueues[queueId];
+                sendBatch(queue);
+            }, 0);
+        }
+        queue.calls.push({
+            method: method,
+            data: data,
+            preSets: angular.extend({}, preSets, {batch: false}),
+            deferred: deferred
+        });
+        return deferred.promise;
+    }
+        function getTransportPreSets(preSets) {
+        return {
+            siteurl: preSets.siteurl,
+            wstoken: preSets.wstoken,
+            timeout: preSets.timeout || mmCoreWSTimeout,
+            retries: preSets.retries || 0,
+            retryDelay: typeof(preSets.retryDelay) !== 'undefined' ? preSets.retryDelay : mmCoreWSRetryDelay
+        };
+    }
+        function sendBatch(queue) {
+        var calls = queue.calls,
+            data = {};
+        if (calls.length == 1) {
+            sendSeparately(queue);
+            return;
+        }
+        $log.debug('Sending ' + calls.length + ' WS calls in a batch.');
+        angular.forEach(calls, function(call, index) {
+            data['requests[' + index + '][function]'] = call.method;
+            data['requests[' + index + '][arguments]'] = JSON.stringify(unflattenParams(call.data));
+        });
+        sendCall(mmCoreWSBatchFunction, data, queue.preSets).then(function(result) {
+            angular.forEach(calls, function(call, index) {
+                var response = result.responses && result.responses[index];
+                if (!response) {
+                    self.translateErrorAndReject(call.deferred, 'mm.core.unexpectederror', mmCoreWSErrorUnavailable);
+                } else if (response.error) {
+                    call.deferred.reject(getBatchError(response));
+                } else if (!response.data && call.preSets.responseExpected) {
+                    self.translateErrorAndReject(call.deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork);
+                } else {
+                    $log.info('WS: Data received from batched WS ' + call.method);
+                    call.deferred.resolve(response.data ? JSON.parse(response.data) : {});
+                }
+            });
+        }, function(error) {
+            if (error.type === mmCoreWSErrorNetwork || error.type === mmCoreWSErrorAuth) {
+                angular.forEach(calls, function(call) {
+                    call.deferred.reject(error);
+                });
+            } else {
+                $log.debug('Batch request failed, sending the calls separately.');
+                sendSeparately(queue);
+            }
+        });
+    }
+        function sendSeparately(queue) {
+        angular.forEach(queue.calls, function(call) {
+            sendCall(call.method, call.data, call.preSets).then(call.deferred.resolve, call.deferred.reject);
+        });
+    }
+        function getBatchError(response) {
+        var exception;
+        try {
+            exception = JSON.parse(response.exception) || {};
+        } catch(ex) {
+            exception = {};
+        }
+        if (exception.errorcode == 'invalidtoken' || exception.errorcode == 'accessexception') {
+            return self.createError(mmCoreWSErrorAuth, exception.message, exception);
+        }
+        return self.createError(mmCoreWSErrorMoodle, exception.message, exception);
+    }
+        function unflattenParams(data) {
+        var result = {};
+        angular.forEach(data, function(value, name) {
+            var path = name.replace(/\]/g, '').split('['),
+                target = result,
+                last = path.pop();
+            angular.forEach(path, function(key) {
+                if (!angular.isObject(target[key])) {
+                    target[key] = {};
+                }
+                target = target[key];
+            });
+            target[last] = value;
+        });
+        return result;
+    }
+        function isRetriable(error) {
+        if (!$mmApp.isOnline()) {
+            return false;
+        }
+        return !error || error.status <= 0 || error.status >= 500;
+    }
         function convertValuesToString(data) {
         var result = [];
         if (!angular.isArray(data) && angular.isObject(data)) {
@@ -1711,6 +4362,82 @@ angular.module('mm.core')
     return self;
 });
 
+angular.module('mm.core')
+.constant('mmCoreWSLogDefaultLength', 100)
+.constant('mmCoreWSLogRedacted', '[redacted]')
+.constant('mmCoreWSLogTokenRegex', /([?&](?:wstoken|token)=)[^&#\s'"]+/gi)
+.factory('$mmWSLog', function($log, $mmConfig, $mmLog, mmCoreWSLogDefaultLength, mmCoreWSLogRedacted) {
+    $log = $log.getInstance('$mmWSLog');
+    var self = {},
+        calls = [],
+        maxLength = mmCoreWSLogDefaultLength,
+        devDebug = false,
+        redactedParams = ['wstoken', 'token', 'password'];
+    $mmConfig.get('log_length').then(function(length) {
+        maxLength = length;
+        trimCalls();
+    });
+    $mmConfig.get('dev_debug').then(function(enabled) {
+        devDebug = enabled;
+    });
+        self.isEnabled = function() {
+        return devDebug && $mmLog.isEnabled();
+    };
+        self.record = function(call) {
+        if (!self.isEnabled()) {
+            return;
+        }
+        var error = call.error;
+        if (typeof(error) === 'object' && error !== null) {
+            error = {
+                type: error.type,
+                message: error.message,
+                errorcode: error.errorcode,
+                debuginfo: error.debuginfo
+            };
+        }
+        calls.push({
+            method: call.method,
+            siteurl: call.siteurl,
+            params: redact(call.params),
+            time: call.time,
+            duration: call.duration,
+            fromCache: !!call.fromCache,
+            success: !!call.success,
+            error: error
+        });
+        trimCalls();
+    };
+        self.getCalls = function() {
+        return calls.slice().reverse();
+    };
+        self.clear = function() {
+        $log.debug('Clear the recorded WS calls.');
+        calls = [];
+    };
+        function redact(params) {
+        var result;
+        if (!angular.isObject(params)) {
+            return params;
+        }
+        result = angular.isArray(params) ? [] : {};
+        angular.forEach(params, function(value, key) {
+            if (redactedParams.indexOf(key) > -1) {
+                result[key] = mmCoreWSLogRedacted;
+            } else {
+                result[key] = redact(value);
+            }
+        });
+        return result;
+    }
+        function trimCalls() {
+        if (calls.length > maxLength) {
+            calls.splice(0, calls.length - maxLength);
+        }
+    }
+    return self;
+});
+
 angular.module('mm.core')
 .filter('mmNoTags', function() {
     return function(text) {
@@ -1882,10 +4609,36 @@ angular.module('mm.core.courses', [])
     });
 });
 
+angular.module('mm.core.emulator', [])
+.config(function($provide, $mmDBProvider) {
+        function emulate(emulator) {
+        return ['$delegate', '$injector', function($delegate, $injector) {
+            return window.cordova ? $delegate : $injector.get(emulator);
+        }];
+    }
+    $provide.decorator('$cordovaFile', emulate('$mmEmulatorFile'));
+    $provide.decorator('$cordovaFileTransfer', emulate('$mmEmulatorFileTransfer'));
+    $provide.decorator('$cordovaNetwork', emulate('$mmEmulatorNetwork'));
+    $provide.decorator('$cordovaGlobalization', emulate('$mmEmulatorGlobalization'));
+    if (!window.cordova && !window.indexedDB && !window.openDatabase) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }
+});
+
 angular.module('mm.core.login', [])
 .constant('mmLoginLaunchSiteURL', 'mmLoginLaunchSiteURL')
 .constant('mmLoginLaunchPassport', 'mmLoginLaunchPassport')
 .constant('mmLoginSSOCode', 2)
+.config(function($mmConfigProvider, mmLoginLaunchSiteURL, mmLoginLaunchPassport) {
+    var settings = {};
+    settings[mmLoginLaunchSiteURL] = {
+        type: 'string'
+    };
+    settings[mmLoginLaunchPassport] = {
+        type: 'number'
+    };
+    $mmConfigProvider.registerSettings(settings);
+})
 .config(function($stateProvider, $urlRouterProvider) {
     $stateProvider
     .state('mm_login', {
@@ -1929,7 +4682,8 @@ angular.module('mm.core.login', [])
         templateUrl: 'core/components/login/templates/credentials.html',
         controller: 'mmLoginCredentialsCtrl',
         params: {
-            siteurl: ''
+            siteurl: '',
+            username: ''
         },
         onEnter: function($state, $stateParams) {
             if (!$stateParams.siteurl) {
@@ -1943,7 +4697,7 @@ angular.module('mm.core.login', [])
     });
 })
 .run(function($log, $q, $state, $mmUtil, $translate, $mmSitesManager, $rootScope, $mmSite, $mmURLDelegate, $mmConfig,
-                $ionicHistory, mmLoginLaunchSiteURL, mmLoginLaunchPassport, md5) {
+                $ionicHistory, $mmEvents, mmLoginLaunchSiteURL, mmLoginLaunchPassport, mmCoreEventSessionExpired, md5) {
     $log = $log.getInstance('mmLogin');
     $mmURLDelegate.register('mmLoginSSO', function(url) {
         var ssoScheme = 'moodlemobile://token=';
@@ -1977,6 +4731,21 @@ angular.module('mm.core.login', [])
         });
         return true;
     });
+    $mmEvents.on(mmCoreEventSessionExpired, function(data) {
+        var siteid = $mmSite.getId();
+        if (typeof(siteid) === 'undefined' || data.token !== $mmSite.getToken()) {
+            return;
+        }
+        var siteurl = $mmSite.getURL(),
+            infos = $mmSite.getInfo(),
+            username = infos ? infos.username : '';
+        $log.debug('Session expired in site ' + siteid);
+        $mmSitesManager.setSiteLoggedOut(siteid, true).finally(function() {
+            $mmSitesManager.logout().finally(function() {
+                $state.go('mm_login.credentials', {siteurl: siteurl, username: username});
+            });
+        });
+    });
     $rootScope.$on('$stateChangeStart', function(event, toState, toParams, fromState, fromParams) {
         if (toState.name.substr(0, 8) !== 'mm_login' && !$mmSite.isLoggedIn()) {
             event.preventDefault();
@@ -2026,6 +4795,40 @@ angular.module('mm.core.login', [])
     };
 });
 
+angular.module('mm.core.settings', [])
+.config(function($stateProvider) {
+    $stateProvider
+    .state('site.settings', {
+        url: '/settings',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/index.html',
+                controller: 'mmSettingsIndexCtrl'
+            }
+        }
+    })
+    .state('site.settings-wscalls', {
+        url: '/wscalls',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/wscalls.html',
+                controller: 'mmSettingsWSCallsCtrl'
+            }
+        },
+        cache: false
+    })
+    .state('site.settings-logs', {
+        url: '/logs',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/logs.html',
+                controller: 'mmSettingsLogsCtrl'
+            }
+        },
+        cache: false
+    });
+});
+
 angular.module('mm.core.sidemenu', [])
 .config(function($stateProvider) {
     $stateProvider
@@ -2065,30 +4868,35 @@ angular.module('mm.core.course')
         $scope.summary = null;
     }
     function loadContent(sectionid) {
-        $translate('mm.core.loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
         if (sectionid < 0) {
-            $mmCourse.getSections(courseid).then(function(sections) {
+            return $mmCourse.getSections(courseid).then(function(sections) {
                 $scope.sections = sections;
             }, function() {
                 $mmUtil.showErrorModal('mm.course.couldnotloadsectioncontent', true);
-            }).finally(function() {
-                $mmUtil.closeModalLoading();
             });
         } else {
-            $mmCourse.getSection(courseid, sectionid).then(function(section) {
+            return $mmCourse.getSection(courseid, sectionid).then(function(section) {
                 $scope.sections = [section];
                 $scope.title = section.name;
                 $scope.summary = section.summary;
             }, function() {
                 $mmUtil.showErrorModal('mm.course.couldnotloadsectioncontent', true);
-            }).finally(function() {
-                $mmUtil.closeModalLoading();
             });
         }
     }
-    loadContent(sectionid);
+    $scope.refreshSection = function() {
+        $mmCourse.invalidateSections(courseid).finally(function() {
+            return loadContent(sectionid);
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+    $translate('mm.core.loading').then(function(str) {
+        $mmUtil.showModalLoading(str);
+    });
+    loadContent(sectionid).finally(function() {
+        $mmUtil.closeModalLoading();
+    });
 });
 
 angular.module('mm.core.course')
@@ -2098,10 +4906,7 @@ angular.module('mm.core.course')
     $scope.courseid = courseid;
     $scope.fullname = course.fullname;
     function loadSections() {
-        $translate('mm.core.loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
-        $mmCourse.getSections(courseid).then(function(sections) {
+        return $mmCourse.getSections(courseid).then(function(sections) {
             $translate('mm.course.showall').then(function(str) {
                 var result = [{
                     name: str,
@@ -2111,14 +4916,24 @@ angular.module('mm.core.course')
             });
         }, function(error) {
             $mmUtil.showErrorModal('mm.course.couldnotloadsections', true);
-        }).finally(function() {
-            $mmUtil.closeModalLoading();
         });
     }
     $scope.getState = function(section) {
         return 'site.mm_course-section';
     };
-    loadSections();
+    $scope.refreshSections = function() {
+        $mmCourse.invalidateSections(courseid).finally(function() {
+            return loadSections();
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+    $translate('mm.core.loading').then(function(str) {
+        $mmUtil.showModalLoading(str);
+    });
+    loadSections().finally(function() {
+        $mmUtil.closeModalLoading();
+    });
 });
 
 angular.module('mm.core.course')
@@ -2155,6 +4970,9 @@ angular.module('mm.core.course')
 angular.module('mm.core.course')
 .factory('$mmCourse', function($mmSite, $translate, $q) {
     var self = {};
+        function getSectionsCacheKey(courseid) {
+        return 'mmCourse:sections:' + courseid;
+    }
         self.getSection = function(courseid, sectionid) {
         var deferred = $q.defer();
         if (sectionid < 0) {
@@ -2168,131 +4986,661 @@ angular.module('mm.core.course')
                     break;
                 }
             }
-            deferred.reject('Unkown section');
-        }, function(error) {
-            deferred.reject(error);
+            deferred.reject('Unkown section');
+        }, function(error) {
+            deferred.reject(error);
+        });
+        return deferred.promise;
+    };
+        self.getSections = function(courseid) {
+        return $mmSite.read('core_course_get_contents', {
+            courseid: courseid,
+            options: []
+        }, {
+            cacheKey: getSectionsCacheKey(courseid),
+            batch: true
+        });
+    };
+        self.invalidateSections = function(courseid) {
+        return $mmSite.invalidateWsCacheForKey(getSectionsCacheKey(courseid));
+    };
+    return self;
+});
+
+angular.module('mm.core.course')
+.factory('$mmCourseDelegate', function($log) {
+    $log = $log.getInstance('$mmCourseDelegate');
+    var contentHandlers = {},
+        self = {};
+        self.registerContentHandler = function(addon, handles, callback) {
+        if (typeof contentHandlers[handles] !== 'undefined') {
+            $log.error("Addon '" + contentHandlers[handles].addon + "' already registered as handler for '" + handles + "'");
+            return;
+        }
+        $log.debug("Registered addon '" + addon + "' as course content handler.");
+        contentHandlers[handles] = {
+            addon: addon,
+            callback: callback
+        };
+    };
+        self.getDataFromContentHandlerFor = function(handles, module) {
+        var data = {
+            icon: module.modicon,
+            title: module.name
+        };
+        if (typeof contentHandlers[handles] === 'undefined') {
+            data.state = 'site.mm_course-modcontent';
+            data.stateParams = { module: module };
+            if (module.url) {
+                data.buttons = [{
+                    icon: 'ion-ios-browsers-outline',
+                    callback: function($scope) {
+                        window.open(module.url, "_system");
+                    }
+                }];
+            }
+            return data;
+        }
+        data = angular.extend(data, contentHandlers[handles].callback(module));
+        return data;
+    };
+    return self;
+});
+
+angular.module('mm.core.courses')
+.controller('mmCoursesListCtrl', function($scope, $mmCourses, $mmCoursesDelegate, $mmUtil, $translate,
+            $mmEvents, mmCoreEventSiteUpdated) {
+    function showCourses(courses) {
+        $scope.courses = courses;
+        $scope.filterText = '';
+    }
+    function fetchCourses() {
+        return $mmCourses.getUserCourses().then(showCourses, function(error) {
+            if (typeof(error) !== 'undefined' && error != '') {
+                $mmUtil.showErrorModal(error);
+            } else {
+                $mmUtil.showErrorModal('mm.courses.errorloadcourses', true);
+            }
+        }, function(courses) {
+            showCourses(courses);
+            $mmUtil.closeModalLoading();
+        });
+    }
+    $translate('mm.core.loading').then(function(loadingString) {
+        $mmUtil.showModalLoading(loadingString);
+    });
+    fetchCourses().finally(function() {
+        $mmUtil.closeModalLoading();
+    });
+    $scope.refreshCourses = function() {
+        $mmCourses.invalidateUserCourses().finally(function() {
+            return fetchCourses();
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+    var plugins = $mmCoursesDelegate.getData();
+    $scope.hasPlugins = Object.keys(plugins).length;
+    $scope.plugins = plugins;
+    $mmEvents.on(mmCoreEventSiteUpdated, function() {
+        $scope.hasPlugins = Object.keys(plugins).length;
+    }, $scope);
+});
+
+angular.module('mm.core.courses')
+.run(function($translate, mmCoursesFrontPage) {
+    $translate('mm.courses.frontpage').then(function(value) {
+        mmCoursesFrontPage.shortname = value;
+        mmCoursesFrontPage.fullname = value;
+    });
+})
+.factory('$mmCourses', function($q, $mmSite, mmCoursesFrontPage) {
+    var self = {};
+        function getUserCoursesCacheKey() {
+        return 'mmCourses:usercourses';
+    }
+        self.getUserCourses = function() {
+        var userid = $mmSite.getUserId();
+        if (typeof(userid) === 'undefined') {
+            return $q.reject();
+        }
+        var data = {userid: userid},
+            preSets = {
+                cacheKey: getUserCoursesCacheKey(),
+                updateInBackground: true,
+                batch: true
+            };
+        return $mmSite.read('core_enrol_get_users_courses', data, preSets).then(function(courses) {
+            return courses;
+        });
+    };
+        self.invalidateUserCourses = function() {
+        return $mmSite.invalidateWsCacheForKey(getUserCoursesCacheKey());
+    };
+    return self;
+});
+
+angular.module('mm.core.courses')
+.factory('$mmCoursesDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
+    $log = $log.getInstance('$mmCoursesDelegate');
+    var plugins = {},
+        self = {},
+        data,
+        controllers = [];
+        self.registerPlugin = function(name, callback) {
+        $log.debug("Register plugin '"+name+"' in course.");
+        plugins[name] = callback;
+    };
+        self.updatePluginData = function(name) {
+        $log.debug("Update plugin '"+name+"' data in course.");
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
+        if (typeof(pluginData) !== 'undefined') {
+            data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+        self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in course.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
+        }
+    };
+        self.getData = function() {
+        if (typeof(data) == 'undefined') {
+            data = {};
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
+        }
+        return data;
+    };
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
+    return self;
+});
+
+angular.module('mm.core.emulator')
+.constant('mmEmulatorFileDBName', 'MoodleMobileFiles')
+.constant('mmEmulatorFileStore', 'files')
+.factory('$mmEmulatorFile', function($q, $window, $mmDB, $cordovaFileError, mmEmulatorFileDBName, mmEmulatorFileStore) {
+    var self = {},
+        db = $mmDB.getDB(mmEmulatorFileDBName, {
+            autoSchema: true,
+            stores: [
+                {
+                    name: mmEmulatorFileStore,
+                    keyPath: 'path',
+                    indexes: [
+                        {
+                            name: 'parent'
+                        }
+                    ]
+                }
+            ]
+        }),
+        objectURLs = {};
+        function fileError(code, message) {
+        return $q.reject({code: code, message: message || $cordovaFileError[code]});
+    }
+        function normalize(path) {
+        var matches = path.match(/^([a-z\-]+:\/\/)?(.*)$/i),
+            scheme = matches[1] || '';
+        return scheme + matches[2].replace(/\/+/g, '/').replace(/\/$/, '');
+    }
+        function join(path, name) {
+        return normalize(name ? path + '/' + name : path);
+    }
+        function getParentPath(path) {
+        return path.substr(0, path.lastIndexOf('/'));
+    }
+        function isRoot(path) {
+        return path.replace(/^[a-z\-]+:\/\//i, '').indexOf('/') == -1;
+    }
+        function getRecord(path) {
+        if (isRoot(path)) {
+            return $q.when({path: path, name: path, isDir: true});
+        }
+        return db.get(mmEmulatorFileStore, path).then(function(record) {
+            return record ? record : fileError(1);
+        }, function() {
+            return fileError(1);
+        });
+    }
+        function getDescendants(path) {
+        return db.getAll(mmEmulatorFileStore).then(function(records) {
+            return records.filter(function(record) {
+                return record.path.indexOf(path + '/') === 0;
+            });
+        });
+    }
+        function storeRecord(record) {
+        return getRecord(record.parent).then(function(parent) {
+            if (!parent.isDir) {
+                return fileError(11);
+            }
+            revokeObjectURL(record.path);
+            return db.insert(mmEmulatorFileStore, record).then(function() {
+                return record;
+            });
+        });
+    }
+        function removeRecord(path) {
+        revokeObjectURL(path);
+        return db.remove(mmEmulatorFileStore, path);
+    }
+        function makeRecord(path, isDir, data) {
+        return {
+            path: path,
+            parent: getParentPath(path),
+            name: path.substr(path.lastIndexOf('/') + 1),
+            isDir: isDir,
+            data: data,
+            size: data ? data.size : 0,
+            modified: new Date().getTime()
+        };
+    }
+        function toBlob(data) {
+        if (data instanceof $window.Blob) {
+            return data;
+        }
+        return new $window.Blob([data]);
+    }
+        function getObjectURL(record) {
+        if (!objectURLs[record.path]) {
+            objectURLs[record.path] = $window.URL.createObjectURL(record.data || toBlob(''));
+        }
+        return objectURLs[record.path];
+    }
+        function revokeObjectURL(path) {
+        if (objectURLs[path]) {
+            $window.URL.revokeObjectURL(objectURLs[path]);
+            delete objectURLs[path];
+        }
+    }
+        function makeEntry(record) {
+        var entry = {
+            name: record.name,
+            fullPath: record.path,
+            isFile: !record.isDir,
+            isDirectory: !!record.isDir,
+            toURL: function() {
+                return record.isDir ? record.path + '/' : getObjectURL(record);
+            },
+            toInternalURL: function() {
+                return entry.toURL();
+            },
+            file: function(success) {
+                success(record.data || toBlob(''));
+            },
+            createReader: function() {
+                return {
+                    readEntries: function(success, error) {
+                        db.whereEqual(mmEmulatorFileStore, 'parent', record.path).then(function(records) {
+                            success(records.map(makeEntry));
+                        }, error);
+                    }
+                };
+            },
+            remove: function(success, error) {
+                removeRecord(record.path).then(success, error);
+            }
+        };
+        entry.nativeURL = entry.toURL();
+        return entry;
+    }
+        function getTypedRecord(path, isDir) {
+        return getRecord(path).then(function(record) {
+            if (!!record.isDir !== isDir) {
+                return fileError(13, isDir ? 'input is not a directory' : 'input is not a file');
+            }
+            return record;
+        });
+    }
+        function create(path, isDir, replaceBool) {
+        return getRecord(path).then(function(record) {
+            if (!replaceBool) {
+                return fileError(12);
+            } else if (!!record.isDir !== isDir) {
+                return fileError(11);
+            }
+            return makeEntry(record);
+        }, function() {
+            return storeRecord(makeRecord(path, isDir, isDir ? undefined : toBlob(''))).then(makeEntry);
+        });
+    }
+        function copy(from, to, isDir, remove) {
+        return getTypedRecord(from, isDir).then(function(record) {
+            var promise = isDir ? getDescendants(from) : $q.when([]);
+            return promise.then(function(descendants) {
+                var root = makeRecord(to, isDir, record.data);
+                return storeRecord(root).then(function() {
+                    descendants.sort(function(a, b) {
+                        return a.path < b.path ? -1 : 1;
+                    });
+                    return descendants.reduce(function(previous, descendant) {
+                        return previous.then(function() {
+                            var path = to + descendant.path.substr(from.length);
+                            return storeRecord(makeRecord(path, descendant.isDir, descendant.data));
+                        });
+                    }, $q.when());
+                }).then(function() {
+                    if (remove) {
+                        return $q.all(descendants.map(function(descendant) {
+                            return removeRecord(descendant.path);
+                        })).then(function() {
+                            return removeRecord(from);
+                        });
+                    }
+                }).then(function() {
+                    return makeEntry(root);
+                });
+            });
+        });
+    }
+        function read(path, method) {
+        return getTypedRecord(path, false).then(function(record) {
+            var deferred = $q.defer(),
+                reader = new $window.FileReader();
+            reader.onloadend = function() {
+                if (reader.error) {
+                    deferred.reject(reader.error);
+                } else {
+                    deferred.resolve(reader.result);
+                }
+            };
+            reader[method](record.data || toBlob(''));
+            return deferred.promise;
+        });
+    }
+    self.getFreeDiskSpace = function() {
+        var storage = $window.navigator.storage;
+        if (storage && storage.estimate) {
+            return $q.when(storage.estimate()).then(function(estimate) {
+                return Math.floor((estimate.quota - estimate.usage) / 1024);
+            });
+        }
+        return fileError(9, 'The free space cannot be calculated in this browser.');
+    };
+    self.checkDir = function(path, dir) {
+        return getTypedRecord(join(path, dir), true).then(makeEntry);
+    };
+    self.checkFile = function(path, file) {
+        return getTypedRecord(join(path, file), false).then(makeEntry);
+    };
+    self.createDir = function(path, dirName, replaceBool) {
+        return create(join(path, dirName), true, replaceBool);
+    };
+    self.createFile = function(path, fileName, replaceBool) {
+        return create(join(path, fileName), false, replaceBool);
+    };
+    self.removeDir = function(path, dirName) {
+        var fullPath = join(path, dirName);
+        return getTypedRecord(fullPath, true).then(function() {
+            return getDescendants(fullPath);
+        }).then(function(descendants) {
+            if (descendants.length) {
+                return fileError(9, 'The directory is not empty.');
+            }
+            return removeRecord(fullPath).then(function() {
+                return {success: true, fileRemoved: fullPath};
+            });
+        });
+    };
+    self.removeFile = function(path, fileName) {
+        var fullPath = join(path, fileName);
+        return getTypedRecord(fullPath, false).then(function() {
+            return removeRecord(fullPath);
+        }).then(function() {
+            return {success: true, fileRemoved: fullPath};
+        });
+    };
+    self.removeRecursively = function(path, dirName) {
+        var fullPath = join(path, dirName);
+        return getTypedRecord(fullPath, true).then(function() {
+            return getDescendants(fullPath);
+        }).then(function(descendants) {
+            return $q.all(descendants.map(function(descendant) {
+                return removeRecord(descendant.path);
+            }));
+        }).then(function() {
+            return removeRecord(fullPath);
+        }).then(function() {
+            return {success: true, fileRemoved: fullPath};
+        });
+    };
+    self.writeFile = function(path, fileName, text, replaceBool) {
+        var fullPath = join(path, fileName);
+        return getRecord(fullPath).then(function(record) {
+            if (!replaceBool) {
+                return fileError(12);
+            } else if (record.isDir) {
+                return fileError(11);
+            }
+        }, function() {
+        }).then(function() {
+            return storeRecord(makeRecord(fullPath, false, toBlob(text)));
+        }).then(function(record) {
+            return {type: 'writeend', target: {length: record.size}};
         });
-        return deferred.promise;
     };
-        self.getSections = function(courseid) {
-        return $mmSite.read('core_course_get_contents', {
-            courseid: courseid,
-            options: []
+    self.writeExistingFile = function(path, fileName, text) {
+        var fullPath = join(path, fileName);
+        return getTypedRecord(fullPath, false).then(function(record) {
+            var data = new $window.Blob([record.data || '', toBlob(text)], {type: record.data ? record.data.type : ''});
+            return storeRecord(makeRecord(fullPath, false, data));
+        }).then(function(record) {
+            return {type: 'writeend', target: {length: record.size}};
         });
     };
+    self.readAsText = function(path, file) {
+        return read(join(path, file), 'readAsText');
+    };
+    self.readAsDataURL = function(path, file) {
+        return read(join(path, file), 'readAsDataURL');
+    };
+    self.readAsBinaryString = function(path, file) {
+        return read(join(path, file), 'readAsBinaryString');
+    };
+    self.readAsArrayBuffer = function(path, file) {
+        return read(join(path, file), 'readAsArrayBuffer');
+    };
+    self.moveFile = function(path, fileName, newPath, newFileName) {
+        return copy(join(path, fileName), join(newPath, newFileName || fileName), false, true);
+    };
+    self.moveDir = function(path, dirName, newPath, newDirName) {
+        return copy(join(path, dirName), join(newPath, newDirName || dirName), true, true);
+    };
+    self.copyDir = function(path, dirName, newPath, newDirName) {
+        return copy(join(path, dirName), join(newPath, newDirName || dirName), true, false);
+    };
+    self.copyFile = function(path, fileName, newPath, newFileName) {
+        return copy(join(path, fileName), join(newPath, newFileName || fileName), false, false);
+    };
     return self;
 });
 
-angular.module('mm.core.course')
-.factory('$mmCourseDelegate', function($log) {
-    $log = $log.getInstance('$mmCourseDelegate');
-    var contentHandlers = {},
-        self = {};
-        self.registerContentHandler = function(addon, handles, callback) {
-        if (typeof contentHandlers[handles] !== 'undefined') {
-            $log.error("Addon '" + contentHandlers[handles].addon + "' already registered as handler for '" + handles + "'");
-            return;
-        }
-        $log.debug("Registered addon '" + addon + "' as course content handler.");
-        contentHandlers[handles] = {
-            addon: addon,
-            callback: callback
-        };
-    };
-        self.getDataFromContentHandlerFor = function(handles, module) {
-        var data = {
-            icon: module.modicon,
-            title: module.name
+angular.module('mm.core.emulator')
+.factory('$mmEmulatorFileTransfer', function($q, $window, $mmEmulatorFile) {
+    var self = {},
+        FILE_NOT_FOUND_ERR = 1,
+        CONNECTION_ERR = 3;
+        function transferError(code, source, target, xhr) {
+        return {
+            code: code,
+            source: source,
+            target: target,
+            http_status: xhr ? xhr.status : null,
+            body: xhr && xhr.responseType !== 'blob' ? xhr.responseText : null,
+            exception: null
         };
-        if (typeof contentHandlers[handles] === 'undefined') {
-            data.state = 'site.mm_course-modcontent';
-            data.stateParams = { module: module };
-            if (module.url) {
-                data.buttons = [{
-                    icon: 'ion-ios-browsers-outline',
-                    callback: function($scope) {
-                        window.open(module.url, "_system");
-                    }
-                }];
+    }
+        function createDirs(path) {
+        var matches = path.match(/^([a-z\-]+:\/\/[^\/]*)\/?(.*)$/i),
+            promise = $q.when(),
+            base;
+        if (!matches) {
+            return promise;
+        }
+        base = matches[1];
+        angular.forEach(matches[2].split('/'), function(dirName) {
+            if (dirName) {
+                var parent = base;
+                promise = promise.then(function() {
+                    return $mmEmulatorFile.createDir(parent, dirName, true);
+                });
+                base = base + '/' + dirName;
             }
-            return data;
+        });
+        return promise;
+    }
+        function getFileData(filePath) {
+        if (/^(https?|blob|data):/i.test(filePath)) {
+            var deferred = $q.defer(),
+                xhr = new $window.XMLHttpRequest();
+            xhr.open('GET', filePath, true);
+            xhr.responseType = 'blob';
+            xhr.onload = function() {
+                deferred.resolve(xhr.response);
+            };
+            xhr.onerror = deferred.reject;
+            xhr.send();
+            return deferred.promise;
         }
-        data = angular.extend(data, contentHandlers[handles].callback(module));
-        return data;
+        return $mmEmulatorFile.checkFile(filePath, '').then(function(fileEntry) {
+            var deferred = $q.defer();
+            fileEntry.file(deferred.resolve, deferred.reject);
+            return deferred.promise;
+        });
+    }
+    self.download = function(source, filePath) {
+        var deferred = $q.defer(),
+            xhr = new $window.XMLHttpRequest(),
+            directory = filePath.substr(0, filePath.lastIndexOf('/')),
+            fileName = filePath.substr(filePath.lastIndexOf('/') + 1);
+        xhr.open('GET', source, true);
+        xhr.responseType = 'blob';
+        xhr.onprogress = function(progress) {
+            deferred.notify(progress);
+        };
+        xhr.onload = function() {
+            if (xhr.status < 200 || xhr.status >= 300) {
+                deferred.reject(transferError(xhr.status == 404 ? FILE_NOT_FOUND_ERR : CONNECTION_ERR, source,
+                        filePath, xhr));
+                return;
+            }
+            createDirs(directory).then(function() {
+                return $mmEmulatorFile.writeFile(directory, fileName, xhr.response, true);
+            }).then(function() {
+                return $mmEmulatorFile.checkFile(filePath, '');
+            }).then(deferred.resolve, deferred.reject);
+        };
+        xhr.onerror = function() {
+            deferred.reject(transferError(CONNECTION_ERR, source, filePath, xhr));
+        };
+        xhr.send();
+        deferred.promise.abort = function() {
+            xhr.abort();
+        };
+        return deferred.promise;
+    };
+    self.upload = function(server, filePath, options) {
+        options = options || {};
+        return getFileData(filePath).then(function(data) {
+            var deferred = $q.defer(),
+                xhr = new $window.XMLHttpRequest(),
+                formData = new $window.FormData(),
+                fileName = options.fileName || filePath.substr(filePath.lastIndexOf('/') + 1);
+            angular.forEach(options.params, function(value, name) {
+                formData.append(name, value);
+            });
+            formData.append(options.fileKey || 'file', data, fileName);
+            xhr.open(options.httpMethod || 'POST', server, true);
+            xhr.upload.onprogress = function(progress) {
+                deferred.notify(progress);
+            };
+            xhr.onload = function() {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    deferred.reject(transferError(CONNECTION_ERR, filePath, server, xhr));
+                    return;
+                }
+                deferred.resolve({
+                    bytesSent: data.size,
+                    responseCode: xhr.status,
+                    response: xhr.responseText,
+                    headers: {}
+                });
+            };
+            xhr.onerror = function() {
+                deferred.reject(transferError(CONNECTION_ERR, filePath, server, xhr));
+            };
+            xhr.send(formData);
+            return deferred.promise;
+        }, function() {
+            return $q.reject(transferError(FILE_NOT_FOUND_ERR, filePath, server));
+        });
     };
     return self;
 });
 
-angular.module('mm.core.courses')
-.controller('mmCoursesListCtrl', function($scope, $mmCourses, $mmCoursesDelegate, $mmUtil, $translate) {
-    $translate('mm.core.loading').then(function(loadingString) {
-        $mmUtil.showModalLoading(loadingString);
-    });
-    $mmCourses.getUserCourses().then(function(courses) {
-        $scope.courses = courses;
-        $scope.filterText = '';
-    }, function(error) {
-        if (typeof(error) !== 'undefined' && error != '') {
-            $mmUtil.showErrorModal(error);
-        } else {
-            $mmUtil.showErrorModal('mm.courses.errorloadcourses', true);
-        }
-    }).finally(function() {
-        $mmUtil.closeModalLoading();
+angular.module('mm.core.emulator')
+.factory('$mmEmulatorGlobalization', function($q, $window) {
+    var self = {},
+        notSupported = ['dateToString', 'stringToDate', 'getDatePattern', 'getDateNames', 'isDayLightSavingsTime',
+                'getFirstDayOfWeek', 'numberToString', 'stringToNumber', 'getNumberPattern', 'getCurrencyPattern'];
+        function getLanguage() {
+        var navigator = $window.navigator;
+        return navigator.language || navigator.userLanguage || 'en';
+    }
+    self.getPreferredLanguage = function() {
+        return $q.when({value: getLanguage()});
+    };
+    self.getLocaleName = function() {
+        return $q.when({value: getLanguage()});
+    };
+    angular.forEach(notSupported, function(name) {
+        self[name] = function() {
+            return $q.reject({code: 0, message: name + ' is not supported in the browser.'});
+        };
     });
-    var plugins = $mmCoursesDelegate.getData();
-    $scope.hasPlugins = Object.keys(plugins).length;
-    $scope.plugins = plugins;
+    return self;
 });
 
-angular.module('mm.core.courses')
-.run(function($translate, mmCoursesFrontPage) {
-    $translate('mm.courses.frontpage').then(function(value) {
-        mmCoursesFrontPage.shortname = value;
-        mmCoursesFrontPage.fullname = value;
-    });
-})
-.factory('$mmCourses', function($q, $mmSite, mmCoursesFrontPage) {
+angular.module('mm.core.emulator')
+.factory('$mmEmulatorNetwork', function($rootScope, $window, $timeout) {
     var self = {};
-    self.getUserCourses = function() {
-        var userid = $mmSite.getUserId();
-        if (typeof(userid) === 'undefined') {
-            return $q.reject();
-        }
-        var data = {userid: userid};
-        return $mmSite.read('core_enrol_get_users_courses', data).then(function(courses) {
-            return courses;
+        function broadcast(eventName) {
+        $timeout(function() {
+            $rootScope.$broadcast(eventName, self.getNetwork());
         });
     }
-    return self;
-});
-
-angular.module('mm.core.courses')
-.factory('$mmCoursesDelegate', function($log) {
-    $log = $log.getInstance('$mmCoursesDelegate');
-    var plugins = {},
-        self = {},
-        data,
-        controllers = [];
-        self.registerPlugin = function(name, callback) {
-        $log.debug("Register plugin '"+name+"' in course.");
-        plugins[name] = callback;
+    function onlineEvent() {
+        broadcast('$cordovaNetwork:online');
+    }
+    function offlineEvent() {
+        broadcast('$cordovaNetwork:offline');
+    }
+    $window.addEventListener('online', onlineEvent, false);
+    $window.addEventListener('offline', offlineEvent, false);
+    self.getNetwork = function() {
+        return self.isOnline() ? 'wifi' : 'none';
     };
-        self.updatePluginData = function(name) {
-        $log.debug("Update plugin '"+name+"' data in course.");
-        var pluginData = plugins[name]();
-        if (typeof(pluginData) !== 'undefined') {
-            data[name] = pluginData;
-        }
+    self.isOnline = function() {
+        return $window.navigator.onLine !== false;
     };
-        self.getData = function() {
-        if (typeof(data) == 'undefined') {
-            data = {};
-            angular.forEach(plugins, function(callback, plugin) {
-                self.updatePluginData(plugin);
-            });
-        }
-        return data;
+    self.isOffline = function() {
+        return !self.isOnline();
+    };
+    self.clearOfflineWatch = function() {
+        $window.removeEventListener('offline', offlineEvent);
+        $rootScope.$$listeners['$cordovaNetwork:offline'] = [];
+    };
+    self.clearOnlineWatch = function() {
+        $window.removeEventListener('online', onlineEvent);
+        $rootScope.$$listeners['$cordovaNetwork:online'] = [];
     };
     return self;
 });
@@ -2300,7 +5648,10 @@ angular.module('mm.core.courses')
 angular.module('mm.core.login')
 .controller('mmLoginCredentialsCtrl', function($scope, $state, $stateParams, $mmSitesManager, $mmUtil, $translate) {
     $scope.siteurl = $stateParams.siteurl;
-    $scope.credentials = {};
+    $scope.credentials = {
+        username: $stateParams.username
+    };
+    $scope.sessionExpired = !!$stateParams.username;
     $scope.login = function() {
         var siteurl = $scope.siteurl,
             username = $scope.credentials.username,
@@ -2466,7 +5817,12 @@ angular.module('mm.core.login')
             });
     };
     $scope.login = function(index) {
-        var siteid = $scope.sites[index].id;
+        var site = $scope.sites[index],
+            siteid = site.id;
+        if (site.loggedOut) {
+            $state.go('mm_login.credentials', {siteurl: site.siteurl, username: site.username});
+            return;
+        }
         $mmSitesManager.loadSite(siteid).then(function() {
             $state.go('site.mm_courses');
         }, function(error) {
@@ -2479,21 +5835,198 @@ angular.module('mm.core.login')
     };
 });
 
+angular.module('mm.core.settings')
+.controller('mmSettingsIndexCtrl', function($scope, $q, $ionicPopup, $translate, $mmLog, $mmConfig, $mmCrypto, $mmUtil,
+            $mmSite, mmCoreLogLevels) {
+    $scope.debug = {
+        enabled: $mmLog.isEnabled()
+    };
+    $scope.levels = mmCoreLogLevels;
+    $scope.logLevels = [];
+    $scope.newLogLevel = {
+        pattern: '',
+        level: mmCoreLogLevels[0]
+    };
+    function fetchLogLevels() {
+        return $mmLog.getLevels().then(function(rules) {
+            $scope.logLevels = Object.keys(rules).sort().map(function(pattern) {
+                return {
+                    pattern: pattern,
+                    level: rules[pattern]
+                };
+            });
+        });
+    }
+    fetchLogLevels();
+    $scope.debugChanged = function() {
+        $mmLog.enabled($scope.debug.enabled);
+    };
+    $scope.logLevelChanged = function(rule) {
+        $mmLog.setLevel(rule.pattern, rule.level).then(fetchLogLevels);
+    };
+    $scope.addLogLevel = function() {
+        $mmLog.setLevel($scope.newLogLevel.pattern, $scope.newLogLevel.level).then(function() {
+            $scope.newLogLevel.pattern = '';
+            return fetchLogLevels();
+        });
+    };
+    $mmSite.getWsCacheStats().then(function(stats) {
+        stats.sizekb = Math.round(stats.size / 1024);
+        $scope.cacheStats = stats;
+    });
+    $scope.crypto = {
+        available: $mmCrypto.isAvailable(),
+        hasPin: $mmCrypto.hasPin()
+    };
+        function askNewPin() {
+        var strings,
+            pin;
+        return $translate(['mm.settings.newpin', 'mm.settings.confirmpin']).then(function(translated) {
+            strings = translated;
+            return $ionicPopup.prompt({title: strings['mm.settings.newpin'], inputType: 'password'});
+        }).then(function(newPin) {
+            if (!newPin) {
+                return $q.reject();
+            }
+            pin = newPin;
+            return $ionicPopup.prompt({title: strings['mm.settings.confirmpin'], inputType: 'password'});
+        }).then(function(confirmation) {
+            if (typeof(confirmation) === 'undefined') {
+                return $q.reject();
+            } else if (confirmation !== pin) {
+                $mmUtil.showErrorModal('mm.settings.pinsdontmatch', true);
+                return $q.reject();
+            }
+            return pin;
+        });
+    }
+    $scope.setPin = function() {
+        askNewPin().then(function(pin) {
+            return $mmCrypto.setPin(pin).then(function() {
+                $scope.crypto.hasPin = true;
+            }, function() {
+                $mmUtil.showErrorModal('mm.settings.errorsetpin', true);
+            });
+        });
+    };
+    $scope.removePin = function() {
+        $ionicPopup.confirm({template: $translate('mm.settings.confirmremovepin')}).then(function(confirmed) {
+            if (confirmed) {
+                $mmCrypto.setPin().then(function() {
+                    $scope.crypto.hasPin = false;
+                }, function() {
+                    $mmUtil.showErrorModal('mm.settings.errorsetpin', true);
+                });
+            }
+        });
+    };
+    $mmConfig.get('dev_debug').then(function(devDebug) {
+        $scope.devDebug = devDebug;
+    });
+});
+
+angular.module('mm.core.settings')
+.controller('mmSettingsLogsCtrl', function($scope, $q, $translate, $mmLog, $mmUtil, $cordovaSocialSharing,
+            mmCoreLogLevels) {
+    $scope.filter = {
+        classname: '',
+        level: ''
+    };
+    $scope.levels = mmCoreLogLevels;
+    $scope.entries = [];
+    $scope.isEnabled = $mmLog.isEnabled();
+    function fetchEntries() {
+        return $mmLog.getEntries($scope.filter).then(function(entries) {
+            $scope.entries = entries;
+        });
+    }
+    fetchEntries();
+    $scope.refreshEntries = function() {
+        fetchEntries().catch(function() {
+            $mmUtil.showErrorModal('mm.settings.errorloadinglogs', true);
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+    $scope.filterChanged = function() {
+        fetchEntries();
+    };
+    $scope.clearEntries = function() {
+        $mmLog.clearEntries().then(function() {
+            $scope.entries = [];
+        });
+    };
+    $scope.exportEntries = function() {
+        $mmLog.exportEntries($scope.filter).then(function(fileURL) {
+            return $q.when().then(function() {
+                return $translate('mm.settings.logssubject');
+            }).then(function(subject) {
+                return $cordovaSocialSharing.share(undefined, subject, fileURL);
+            }).catch(function() {
+                $mmUtil.showModal('mm.settings.logs', 'mm.settings.logsexported');
+            });
+        }, function() {
+            $mmUtil.showErrorModal('mm.settings.errorexportlogs', true);
+        });
+    };
+});
+
+angular.module('mm.core.settings')
+.controller('mmSettingsWSCallsCtrl', function($scope, $q, $mmWSLog, $mmUtil, $cordovaClipboard) {
+    $scope.filterText = '';
+    $scope.calls = $mmWSLog.getCalls();
+    $scope.isEnabled = $mmWSLog.isEnabled();
+    $scope.refreshCalls = function() {
+        $scope.calls = $mmWSLog.getCalls();
+        $scope.$broadcast('scroll.refreshComplete');
+    };
+    $scope.clearCalls = function() {
+        $mmWSLog.clear();
+        $scope.calls = [];
+    };
+    $scope.toggleCall = function(call) {
+        call.expanded = !call.expanded;
+    };
+    $scope.copyCall = function(call) {
+        var json = angular.toJson({
+            method: call.method,
+            siteurl: call.siteurl,
+            params: call.params,
+            time: new Date(call.time).toISOString(),
+            duration: call.duration,
+            fromCache: call.fromCache,
+            success: call.success,
+            error: call.error
+        }, true);
+        $q.when().then(function() {
+            return $cordovaClipboard.copy(json);
+        }).then(function() {
+            $mmUtil.showModal('mm.settings.wscalls', 'mm.settings.copiedtoclipboard');
+        }, function() {
+            $mmUtil.showErrorModal('mm.settings.errorcopytoclipboard', true);
+        });
+    };
+});
+
 angular.module('mm.core.sidemenu')
-.controller('mmSideMenuCtrl', function($scope, $state, $mmSideMenuDelegate, $mmSitesManager, $mmSite, $mmConfig) {
+.controller('mmSideMenuCtrl', function($scope, $state, $mmSideMenuDelegate, $mmSitesManager, $mmSite, $mmConfig,
+            $mmEvents, mmCoreEventSiteUpdated) {
     $scope.plugins = $mmSideMenuDelegate.getData();
     $scope.siteinfo = $mmSite.getInfo();
+    $mmEvents.on(mmCoreEventSiteUpdated, function() {
+        $scope.siteinfo = $mmSite.getInfo();
+    }, $scope);
     $scope.logout = function() {
-        $mmSitesManager.logout().finally(function() {
+        $mmSitesManager.logout().catch(function() {
+        }).finally(function() {
             $state.go('mm_login.sites');
         });
     };
     $scope.docsurl = 'http://docs.moodle.org/en/Mobile_app';
-    if (typeof($scope.siteinfo) !== 'undefined' && typeof($scope.siteinfo.release) === 'string') {
-        var release = $scope.siteinfo.release.substr(0, 3).replace(".", "");
-        if (parseInt(release) >= 24) {
-            $scope.docsurl = $scope.docsurl.replace("http://docs.moodle.org/", "http://docs.moodle.org/" + release + "/");
-        }
+    if ($mmSite.isVersionGreaterEqualThan('2.4')) {
+        var release = $mmSite.getRelease(),
+            docsVersion = '' + release.major + release.minor;
+        $scope.docsurl = $scope.docsurl.replace("http://docs.moodle.org/", "http://docs.moodle.org/" + docsVersion + "/");
     }
     $mmConfig.get('current_language').then(function(lang) {
         $mmConfig.get('languages').then(function(languages) {
@@ -2505,21 +6038,31 @@ angular.module('mm.core.sidemenu')
 });
 
 angular.module('mm.core.sidemenu')
-.factory('$mmSideMenuDelegate', function($log) {
+.factory('$mmSideMenuDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
     $log = $log.getInstance('$mmSideMenuDelegate');
     var plugins = {},
         self = {},
-        data,
-        controllers = [];
+        data;
         self.registerPlugin = function(name, callback) {
         $log.debug("Register plugin '"+name+"' in side menu.");
         plugins[name] = callback;
     };
         self.updatePluginData = function(name) {
         $log.debug("Update plugin '"+name+"' data in side menu.");
-        var pluginData = plugins[name]();
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
         if (typeof(pluginData) !== 'undefined') {
             data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+        self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in side menu.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
         }
     };
         self.getData = function() {
@@ -2531,6 +6074,8 @@ angular.module('mm.core.sidemenu')
         }
         return data;
     }
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
     return self;
 });
 
@@ -2580,7 +6125,10 @@ angular.module('mm.addons.files', ['mm.core'])
 
 angular.module('mm.addons.participants', [])
 .constant('mmaParticipantsListLimit', 50)
-.config(function($stateProvider) {
+.config(function($stateProvider, $mmAddonRequirementsProvider) {
+    $mmAddonRequirementsProvider.register('mmaParticipants', {
+        functions: ['core_enrol_get_enrolled_users', 'core_user_get_course_user_profiles']
+    });
     $stateProvider
         .state('site.participants', {
             url: '/participants',
@@ -2645,7 +6193,7 @@ angular.module('mm.addons.files')
 
 angular.module('mm.addons.files')
 .controller('mmaFilesListController', function($q, $scope, $stateParams, $ionicActionSheet,
-        $mmaFiles, $mmSite, $translate, $timeout, $mmUtil, $mmFS, $mmWS, $mmaFilesHelper) {
+        $mmaFiles, $mmSite, $translate, $timeout, $mmUtil, $mmFS, $mmWS, $mmaFilesHelper, $mmApp) {
     var path = $stateParams.path,
         root = $stateParams.root,
         title,
@@ -2653,10 +6201,11 @@ angular.module('mm.addons.files')
         siteInfos = $mmSite.getInfo(),
         showUpload = (root === 'my' && !path && $mmSite.canUploadFiles());
     $scope.count = -1;
+    $scope.isOnline = $mmApp.isOnline();
+    $mmApp.onNetworkChange(function(online) {
+        $scope.isOnline = online;
+    }, $scope);
     function fetchFiles(root, path, refresh) {
-        $translate('loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
         refresh = (typeof refresh === 'undefined') ? false : refresh;
         if (!path) {
             if (root === 'site') {
@@ -2682,7 +6231,7 @@ angular.module('mm.addons.files')
                 return q.promise;
             })();
         }
-        $q.all([promise, title]).then(function(data) {
+        return $q.all([promise, title]).then(function(data) {
             var files = data[0],
                 title = data[1];
             $scope.files = files.entries;
@@ -2690,14 +6239,28 @@ angular.module('mm.addons.files')
             $scope.title = title;
         }, function() {
             $mmUtil.showErrorModal('mma.files.couldnotloadfiles', true);
-        }).finally(function() {
+        });
+    }
+    function fetchFilesWithLoading(root, path, refresh) {
+        $translate('loading').then(function(str) {
+            $mmUtil.showModalLoading(str);
+        });
+        return fetchFiles(root, path, refresh).finally(function() {
             $mmUtil.closeModalLoading();
         });
     }
-    fetchFiles(root, path);
+    fetchFilesWithLoading(root, path);
+    $scope.refreshFiles = function() {
+        fetchFiles(root, path, true).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
     $scope.download = function(file) {
         if (!$mmSite.canDownloadFiles()) {
             return false;
+        } else if (!$mmApp.isOnline()) {
+            $mmUtil.showErrorModal('mm.core.networkerrormsg', true);
+            return false;
         }
         $translate('mma.files.downloading').then(function(str) {
             $mmUtil.showModalLoading(str);
@@ -2713,7 +6276,7 @@ angular.module('mm.addons.files')
     if (showUpload) {
         $scope.add = function() {
             $mmaFilesHelper.pickAndUploadFile().then(function() {
-                fetchFiles(root, path, true);
+                fetchFilesWithLoading(root, path, true);
             }, function(err) {
                 if (err) {
                     $mmUtil.showErrorModal(err);
@@ -2724,7 +6287,9 @@ angular.module('mm.addons.files')
 });
 
 angular.module('mm.addons.files')
-.factory('$mmaFiles', function($mmSite, $mmUtil, $mmFS, $mmWS, $q, $timeout, $log, md5) {
+.constant('mmaFilesEventFileUploaded', 'mma_files_file_uploaded')
+.factory('$mmaFiles', function($mmSite, $mmUtil, $mmFS, $mmWS, $mmEvents, $q, $timeout, $log, md5,
+            mmaFilesEventFileUploaded) {
     $log = $log.getInstance('$mmaFiles');
     var self = {},
         defaultParams = {
@@ -2735,6 +6300,9 @@ angular.module('mm.addons.files')
             "filepath": "",
             "filename": ""
         };
+        function getFilesListCacheKey(params) {
+        return 'mmaFiles:list:' + md5.createHash(JSON.stringify(params));
+    }
     self.canAccessFiles = function() {
         return $mmSite.wsAvailable('core_files_get_files');
     };
@@ -2764,11 +6332,14 @@ angular.module('mm.addons.files')
     };
         self.getFiles = function(params, refresh) {
         var deferred = $q.defer(),
-            options = {};
-        if (refresh === true) {
-            options.getFromCache = false;
-        }
-        $mmSite.read('core_files_get_files', params, options).then(function(result) {
+            options = {
+                cacheKey: getFilesListCacheKey(params)
+            },
+            promise = refresh === true ? self.invalidateDirectory(params) : $q.when();
+        promise.catch(function() {
+        }).then(function() {
+            return $mmSite.read('core_files_get_files', params, options);
+        }).then(function(result) {
             var data = {
                 entries: [],
                 count: 0
@@ -2816,6 +6387,12 @@ angular.module('mm.addons.files')
         self.getSiteFiles = function(refresh) {
         var params = angular.copy(defaultParams, {});
         return self.getFiles(params, refresh);
+    };
+        self.invalidateDirectory = function(params) {
+        return $mmSite.invalidateWsCacheForKey(getFilesListCacheKey(params));
+    };
+        self.invalidateAllLists = function() {
+        return $mmSite.invalidateWsCacheForKeyStartingWith('mmaFiles:list:');
     };
         self.isPluginEnabled = function() {
         var canAccessFiles = self.canAccessFiles(),
@@ -2837,6 +6414,7 @@ angular.module('mm.addons.files')
                     $mmFS.removeExternalFile(uri);
                 }, 500);
             }
+            $mmEvents.trigger(mmaFilesEventFileUploaded, result);
             deferred.resolve(result);
         }, function(error) {
             if (deleteAfterUpload) {
@@ -2882,13 +6460,13 @@ angular.module('mm.addons.files')
 });
 
 angular.module('mm.addons.files')
-.factory('$mmaFilesHelper', function($q, $mmUtil, $cordovaNetwork, $ionicActionSheet,
+.factory('$mmaFilesHelper', function($q, $mmUtil, $mmApp, $ionicActionSheet,
         $log, $translate, $mmaFiles, $cordovaCamera, $cordovaCapture) {
     $log = $log.getInstance('$mmaFilesHelper');
     var self = {};
         self.pickAndUploadFile = function() {
         var deferred = $q.defer();
-        if (!$cordovaNetwork.isOnline()) {
+        if (!$mmApp.isOnline()) {
             $mmUtil.showErrorModal('mma.files.errormustbeonlinetoupload', true);
             deferred.reject();
             return deferred.promise;
@@ -3007,15 +6585,15 @@ angular.module('mm.addons.participants')
     };
     function fetchParticipants(refresh) {
         var firstToGet = refresh ? 0 : $scope.participants.length;
-        return $mmaParticipants.getParticipants(courseid, firstToGet).then(function(data) {
-            if (refresh) {
-                $scope.participants = data.participants;
-            } else {
-                $scope.participants = $scope.participants.concat(data.participants);
-            }
+        function showParticipants(data) {
+            $scope.participants = $scope.participants.slice(0, firstToGet).concat(data.participants);
             $scope.canLoadMore = data.canLoadMore;
-        }, function(message) {
+        }
+        return $mmaParticipants.getParticipants(courseid, firstToGet).then(showParticipants, function(message) {
             $mmUtil.showErrorModal(message);
+        }, function(data) {
+            showParticipants(data);
+            $mmUtil.closeModalLoading();
         });
     }
     $translate('mm.core.loading').then(function(loadingString) {
@@ -3030,7 +6608,9 @@ angular.module('mm.addons.participants')
         });
     };
     $scope.refreshParticipants = function() {
-        fetchParticipants(true).finally(function() {
+        $mmaParticipants.invalidateParticipantsList(courseid).finally(function() {
+            return fetchParticipants(true);
+        }).finally(function() {
             $scope.$broadcast('scroll.refreshComplete');
         });
     };
@@ -3067,7 +6647,8 @@ angular.module('mm.addons.participants')
 });
 
 angular.module('mm.addons.participants')
-.factory('$mmaParticipantsDelegate', function($log) {
+.factory('$mmaParticipantsDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
     $log = $log.getInstance('$mmaParticipantsDelegate');
     var plugins = {},
         self = {},
@@ -3079,9 +6660,19 @@ angular.module('mm.addons.participants')
     };
         self.updatePluginData = function(name) {
         $log.debug("Update plugin '"+name+"' data in participant.");
-        var pluginData = plugins[name]();
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
         if (typeof(pluginData) !== 'undefined') {
             data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+        self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in participant.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
         }
     };
         self.getData = function() {
@@ -3093,6 +6684,8 @@ angular.module('mm.addons.participants')
         }
         return data;
     };
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
     return self;
 });
 
@@ -3100,6 +6693,12 @@ angular.module('mm.addons.participants')
 .factory('$mmaParticipants', function($q, $log, $mmSite, $mmUtil, mmaParticipantsListLimit, $mmLang, $mmUtil) {
     $log = $log.getInstance('$mmaParticipants');
     var self = {};
+        function getParticipantsListCacheKey(courseid) {
+        return 'mmaParticipants:list:' + courseid;
+    }
+        function getParticipantCacheKey(courseid, userid) {
+        return 'mmaParticipants:participant:' + courseid + ':' + userid;
+    }
         self.getParticipants = function(courseid, limitFrom, limitNumber) {
         if (typeof(limitFrom) === 'undefined') {
             limitFrom = 0;
@@ -3115,10 +6714,17 @@ angular.module('mm.addons.participants')
             "options[1][name]" : "limitnumber",
             "options[1][value]": limitNumber,
         };
-        return $mmSite.read('core_enrol_get_enrolled_users', data).then(function(users) {
+        var preSets = {
+            cacheKey: getParticipantsListCacheKey(courseid),
+            updateInBackground: true,
+            batch: true
+        };
+        function formatParticipants(users) {
             var canLoadMore = users.length >= limitNumber;
             return {participants: users, canLoadMore: canLoadMore};
-        });
+        }
+        return $mmSite.read('core_enrol_get_enrolled_users', data, preSets).then(formatParticipants, undefined,
+                formatParticipants);
     };
         self.getParticipant = function(courseid, userid) {
         $log.debug('Get participant with ID ' + userid + ' in course '+courseid);
@@ -3127,7 +6733,10 @@ angular.module('mm.addons.participants')
             "userlist[0][userid]": userid,
             "userlist[0][courseid]": courseid
         };
-        $mmSite.read('core_user_get_course_user_profiles', data).then(function(users) {
+        var preSets = {
+            cacheKey: getParticipantCacheKey(courseid, userid)
+        };
+        $mmSite.read('core_user_get_course_user_profiles', data, preSets).then(function(users) {
             if (users.length == 0) {
                 $mmLang.translateErrorAndReject(deferred, 'errorparticipantnotfound');
                 return;
@@ -3142,6 +6751,12 @@ angular.module('mm.addons.participants')
             });
         }, deferred.reject);
         return deferred.promise;
+    };
+        self.invalidateParticipantsList = function(courseid) {
+        return $mmSite.invalidateWsCacheForKey(getParticipantsListCacheKey(courseid));
+    };
+        self.invalidateParticipant = function(courseid, userid) {
+        return $mmSite.invalidateWsCacheForKey(getParticipantCacheKey(courseid, userid));
     };
     return self;
 });
@@ -0,0 +1,424 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Bootstrap of the app.
+ *
+ * The app is started manually in the element with the attribute mm-app, once the extra addons are loaded. The addons
+ * are JS bundles that declare angular modules, they're loaded in this order:
+ *     - The URLs listed in 'extra_js' in config.json. They must be files of the app or use https.
+ *     - The URLs provided by the last site used, if 'site_extra_js' is enabled in config.json. The site provides them
+ *       with the WS function set in 'site_extra_js_wsfunction', see $mmAddonLoader.
+ *       They must use https and be in the same origin as the site, or in one of the origins listed in
+ *       'site_extra_js_origins' in config.json (e.g. "https://addons.example.com").
+ *
+ * Example of an addon bundle:
+ *
+ * angular.module('mma.myaddon', ['mm.core', 'mm.core.sidemenu'])
+ *
+ * .run(function($mmSideMenuDelegate) {
+ *     $mmSideMenuDelegate.registerPlugin('mmaMyAddon', function() {
+ *         return {
+ *             icon: 'ion-star',
+ *             title: 'My addon',
+ *             state: 'site.myaddon'
+ *         };
+ *     });
+ * });
+ *
+ * Loading is sandboxed: an addon that cannot be downloaded, throws an error while it's loaded, uses a module it
+ * doesn't declare (e.g. angular.module('mm.core').run(...)) or requires a module that doesn't exist is skipped. The
+ * services, constants, config and run blocks of an addon that throw an error are skipped, and so are the ones that
+ * replace or decorate a service that the addon doesn't declare. If the app cannot be started with the addons, it's
+ * started without them. The failures are logged once the app is started, see $mmAddonLoader#getAddons.
+ *
+ * The sandbox protects the app from faulty addons, not from malicious ones: the addons run with the same privileges
+ * as the app. That's why they can only be loaded from trusted origins.
+ */
+angular.element(document).ready(function() {
+
+    var element = document.querySelector('[mm-app]'),
+        siteStorageKey = 'mm_site_extra_js', // Same as mmCoreAddonsSiteStorageKey.
+        loadTimeout = 10000, // Time (in ms) to wait for each addon.
+        registerMethods = ['provider', 'factory', 'service', 'value', 'constant'], // Methods of $provide.
+        addons = [],
+        $injector,
+        $http,
+        $q,
+        $log;
+
+    if (!element) {
+        // Nothing to bootstrap, e.g. when running the unit tests.
+        return;
+    }
+
+    $injector = angular.injector(['ng']);
+    $http = $injector.get('$http');
+    $q = $injector.get('$q');
+    $log = $injector.get('$log');
+
+    /**
+     * Get the origin of a URL, resolving it from the URL of the app if it's relative.
+     *
+     * @param  {String} url The URL.
+     * @return {String}     The origin: protocol, host and port.
+     */
+    function getOrigin(url) {
+        var link = document.createElement('a');
+        link.href = url;
+        return link.protocol + '//' + link.host;
+    }
+
+    /**
+     * Get the addons to load, checking that their URLs are allowed.
+     *
+     * @return {Promise} Promise resolved with the list of addons. The addons that can't be loaded have an error.
+     */
+    function getAddonsToLoad() {
+        return $http.get('config.json').then(function(response) {
+            var config = response.data || {},
+                appOrigin = getOrigin(document.location.href),
+                list = [],
+                urls = [],
+                stored,
+                siteOrigins;
+
+            /**
+             * Add an addon to the list.
+             *
+             * @param {String}  url     URL of the addon.
+             * @param {Boolean} allowed Whether the URL is allowed.
+             */
+            function addAddon(url, allowed) {
+                if (urls.indexOf(url) == -1) {
+                    urls.push(url);
+                    list.push({
+                        url: url,
+                        modules: [],
+                        services: [], // Services and constants registered by the addon.
+                        error: allowed ? undefined : 'The URL of the addon is not allowed.'
+                    });
+                }
+            }
+
+            angular.forEach(angular.isArray(config.extra_js) ? config.extra_js : [], function(url) {
+                var origin = getOrigin(url);
+                addAddon(url, origin === appOrigin || origin.indexOf('https://') === 0);
+            });
+
+            if (config.site_extra_js) {
+                try {
+                    stored = JSON.parse(localStorage.getItem(siteStorageKey)) || {};
+                } catch(ex) {
+                    // Not stored or invalid, ignore it.
+                    stored = {};
+                }
+
+                siteOrigins = angular.isArray(config.site_extra_js_origins) ? config.site_extra_js_origins : [];
+                if (stored.siteurl) {
+                    siteOrigins = siteOrigins.concat(getOrigin(stored.siteurl));
+                }
+
+                angular.forEach(angular.isArray(stored.urls) ? stored.urls : [], function(url) {
+                    var origin = getOrigin(url);
+                    addAddon(url, origin.indexOf('https://') === 0 && siteOrigins.indexOf(origin) != -1);
+                });
+            }
+
+            return list;
+        }, function() {
+            $log.error('Cannot read config.json, no extra addons loaded.');
+            return [];
+        });
+    }
+
+    /**
+     * Check that a module can be used to bootstrap the app.
+     *
+     * Throws an error if any of the modules it requires doesn't exist.
+     *
+     * @param {String} name Name of the module.
+     */
+    function checkModule(name) {
+        angular.forEach(angular.module(name).requires, function(required) {
+            try {
+                angular.module(required);
+            } catch(ex) {
+                throw new Error('Module ' + name + ' requires module ' + required + ', which is not available.');
+            }
+        });
+    }
+
+    /**
+     * Mark an addon as failed.
+     *
+     * @param {Object} addon Addon that failed.
+     * @param {Mixed}  error The error.
+     */
+    function addonFailed(addon, error) {
+        var message = String(error && error.message || error);
+        addon.error = addon.error || message;
+        $log.error('Error in addon ' + addon.url + ': ' + message);
+    }
+
+    /**
+     * Wrap a function so an error in it doesn't stop the bootstrap.
+     *
+     * @param  {Mixed}  fn       Function or array with the dependencies and the function.
+     * @param  {Object} addon    Addon the function belongs to.
+     * @param  {Object} locals   Locals to inject. Optional.
+     * @param  {Mixed}  fallback Value to return if the function fails. Optional.
+     * @return {Array}           Wrapped function.
+     */
+    function sandboxFunction(fn, addon, locals, fallback) {
+        return ['$injector', function($injector) {
+            try {
+                return $injector.invoke(fn, undefined, locals);
+            } catch(ex) {
+                addonFailed(addon, ex);
+                return fallback;
+            }
+        }];
+    }
+
+    /**
+     * Register a service or constant of an addon in $provide, sandboxing the function that creates it.
+     *
+     * Throws an error if the name is already used by another module.
+     *
+     * @param {Object} $injector Provider injector.
+     * @param {Object} $provide  The $provide service.
+     * @param {Object} addon     Addon the registration belongs to.
+     * @param {String} method    Method of $provide: provider, factory, service, value or constant.
+     * @param {Array}  args      Arguments of the method: the name and the provider, function or value.
+     */
+    function register($injector, $provide, addon, method, args) {
+        var name = args[0],
+            value = args[1];
+
+        if (typeof(name) !== 'string') {
+            throw new Error('The services and constants must be registered one by one, with their name.');
+        } else if ($injector.has(name)) {
+            // The provider injector knows the constants and the providers of the services.
+            throw new Error('Addon cannot replace ' + name + '.');
+        }
+
+        if (method == 'factory') {
+            value = sandboxFunction(value, addon, undefined, {});
+        } else if (method == 'service') {
+            method = 'factory';
+            value = ['$injector', function($injector) {
+                try {
+                    return $injector.instantiate(args[1]);
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                    return {};
+                }
+            }];
+        }
+
+        addon.services.push(name);
+        $provide[method](name, value);
+    }
+
+    /**
+     * Get a $provide for the config blocks of an addon. It doesn't let them replace or decorate the services that the
+     * addon doesn't declare.
+     *
+     * @param  {Object} $injector Provider injector.
+     * @param  {Object} addon     Addon the config blocks belong to.
+     * @return {Object}           The $provide to inject.
+     */
+    function getSandboxedProvide($injector, addon) {
+        var $provide = $injector.get('$provide'),
+            sandboxed = {};
+
+        angular.forEach(registerMethods, function(method) {
+            sandboxed[method] = function(name, value) {
+                register($injector, $provide, addon, method, [name, value]);
+            };
+        });
+        sandboxed.decorator = function(name, decorator) {
+            if (addon.services.indexOf(name) == -1) {
+                throw new Error('Addon cannot decorate ' + name + '.');
+            }
+            $provide.decorator(name, sandboxFunction(decorator, addon));
+        };
+
+        return sandboxed;
+    }
+
+    /**
+     * Sandbox the registrations of a module declared by an addon: services, constants, config and run blocks.
+     *
+     * @param {Object} module Module to sandbox.
+     * @param {Object} addon  Addon that declares the module.
+     */
+    function sandboxModule(module, addon) {
+        // The registrations are called as $injector.get(provider)[method].apply(provider, args).
+        module._invokeQueue = module._invokeQueue.map(function(invokeArgs) {
+            return ['$injector', 'invoke', [['$injector', function($injector) {
+                var provider = invokeArgs[0],
+                    method = invokeArgs[1];
+
+                try {
+                    if (provider == '$provide' && registerMethods.indexOf(method) != -1) {
+                        register($injector, $injector.get('$provide'), addon, method, invokeArgs[2]);
+                    } else if (provider == '$provide') {
+                        throw new Error('Addon cannot use $provide.' + method + ' for ' + invokeArgs[2][0] + '.');
+                    } else {
+                        provider = $injector.get(provider);
+                        provider[method].apply(provider, invokeArgs[2]);
+                    }
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                }
+            }]]];
+        });
+
+        angular.forEach(module._configBlocks, function(invokeArgs) {
+            // Each config block is invoked as $injector.invoke(block).
+            var block = invokeArgs[2][0];
+            invokeArgs[2][0] = ['$injector', function($injector) {
+                try {
+                    return $injector.invoke(block, undefined, {$provide: getSandboxedProvide($injector, addon)});
+                } catch(ex) {
+                    addonFailed(addon, ex);
+                }
+            }];
+        });
+        module._runBlocks = module._runBlocks.map(function(block) {
+            return sandboxFunction(block, addon);
+        });
+    }
+
+    /**
+     * Run the code of an addon and sandbox the modules it declares.
+     *
+     * Throws an error if the code fails or the modules cannot be used.
+     *
+     * @param {Object} addon Addon to run.
+     * @param {String} code  Code of the addon.
+     */
+    function runAddon(addon, code) {
+        var originalModule = angular.module,
+            modules = [];
+
+        // Keep track of the modules declared by the addon, and don't let it use the existing ones.
+        angular.module = function(name, requires) {
+            if (requires) {
+                try {
+                    originalModule(name);
+                } catch(ex) {
+                    modules.push(name);
+                    return originalModule.apply(angular, arguments);
+                }
+                throw new Error('Module ' + name + ' already exists.');
+            } else if (modules.indexOf(name) == -1) {
+                throw new Error('Addon cannot use module ' + name + ', it is not declared by the addon.');
+            }
+            return originalModule.apply(angular, arguments);
+        };
+
+        try {
+            new Function(code + '\n//# sourceURL=' + addon.url)();
+        } finally {
+            angular.module = originalModule;
+        }
+
+        angular.forEach(modules, checkModule);
+        angular.forEach(modules, function(name) {
+            sandboxModule(angular.module(name), addon);
+        });
+
+        addon.modules = modules;
+    }
+
+    /**
+     * Load a list of addons one after the other, an addon can use the modules declared in the previous ones.
+     *
+     * @param  {Array} list Addons to load.
+     * @return {Promise}    Promise resolved when all the addons have been loaded or skipped.
+     */
+    function loadAddons(list) {
+        var addon = list.shift(),
+            options = {timeout: loadTimeout, transformResponse: angular.identity};
+
+        if (typeof(addon) === 'undefined') {
+            return $q.when();
+        }
+
+        addons.push(addon);
+
+        if (addon.error) {
+            $log.error('Addon ' + addon.url + ' skipped: ' + addon.error);
+            return loadAddons(list);
+        }
+
+        return $http.get(addon.url, options).then(function(response) {
+            try {
+                runAddon(addon, response.data);
+            } catch(ex) {
+                return $q.reject(ex);
+            }
+        }).catch(function(error) {
+            addon.modules = [];
+            addon.error = error instanceof Error ? error.message : 'Cannot download the addon.';
+            $log.error('Addon ' + addon.url + ' skipped: ' + addon.error);
+        }).then(function() {
+            return loadAddons(list);
+        });
+    }
+
+    /**
+     * Start the app.
+     *
+     * @param {String[]} modules Modules of the addons to use.
+     */
+    function bootstrap(modules) {
+        angular.bootstrap(element, ['mm'].concat(modules, [['$mmAddonLoaderProvider', function($mmAddonLoaderProvider) {
+            $mmAddonLoaderProvider.setAddons(addons);
+        }]]));
+    }
+
+    getAddonsToLoad().then(loadAddons).finally(function() {
+        var modules = [],
+            html = element.innerHTML;
+
+        angular.forEach(addons, function(addon) {
+            modules = modules.concat(addon.modules);
+        });
+
+        try {
+            bootstrap(modules);
+        } catch(ex) {
+            if (!modules.length) {
+                throw ex;
+            }
+
+            $log.error('The app cannot be started with the addons, starting without them: ' + (ex && ex.message || ex));
+            angular.forEach(addons, function(addon) {
+                if (addon.modules.length) {
+                    addon.error = addon.error || 'The app cannot be started with the addon.';
+                    addon.modules = [];
+                }
+            });
+
+            // Undo what the failed bootstrap did in the element.
+            angular.element(element).removeData();
+            element.innerHTML = html;
+            bootstrap([]);
+        }
+    });
+});
@@ -35,29 +35,35 @@ angular.module('mm.core.course')
     }
 
     function loadContent(sectionid) {
-        $translate('mm.core.loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
         if (sectionid < 0) {
-            $mmCourse.getSections(courseid).then(function(sections) {
+            return $mmCourse.getSections(courseid).then(function(sections) {
                 $scope.sections = sections;
             }, function() {
                 $mmUtil.showErrorModal('mm.course.couldnotloadsectioncontent', true);
-            }).finally(function() {
-                $mmUtil.closeModalLoading();
             });
         } else {
-            $mmCourse.getSection(courseid, sectionid).then(function(section) {
+            return $mmCourse.getSection(courseid, sectionid).then(function(section) {
                 $scope.sections = [section];
                 $scope.title = section.name;
                 $scope.summary = section.summary;
             }, function() {
                 $mmUtil.showErrorModal('mm.course.couldnotloadsectioncontent', true);
-            }).finally(function() {
-                $mmUtil.closeModalLoading();
             });
         }
     }
 
-    loadContent(sectionid);
+    $scope.refreshSection = function() {
+        $mmCourse.invalidateSections(courseid).finally(function() {
+            return loadContent(sectionid);
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+
+    $translate('mm.core.loading').then(function(str) {
+        $mmUtil.showModalLoading(str);
+    });
+    loadContent(sectionid).finally(function() {
+        $mmUtil.closeModalLoading();
+    });
 });
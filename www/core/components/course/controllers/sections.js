@@ -29,10 +29,7 @@ angular.module('mm.core.course')
     $scope.fullname = course.fullname;
 
     function loadSections() {
-        $translate('mm.core.loading').then(function(str) {
-            $mmUtil.showModalLoading(str);
-        });
-        $mmCourse.getSections(courseid).then(function(sections) {
+        return $mmCourse.getSections(courseid).then(function(sections) {
             $translate('mm.course.showall').then(function(str) {
                 // Adding fake first section.
                 var result = [{
@@ -43,8 +40,6 @@ angular.module('mm.core.course')
             });
         }, function(error) {
             $mmUtil.showErrorModal('mm.course.couldnotloadsections', true);
-        }).finally(function() {
-            $mmUtil.closeModalLoading();
         });
     }
 
@@ -52,5 +47,18 @@ angular.module('mm.core.course')
         return 'site.mm_course-section';
     };
 
-    loadSections();
+    $scope.refreshSections = function() {
+        $mmCourse.invalidateSections(courseid).finally(function() {
+            return loadSections();
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+
+    $translate('mm.core.loading').then(function(str) {
+        $mmUtil.showModalLoading(str);
+    });
+    loadSections().finally(function() {
+        $mmUtil.closeModalLoading();
+    });
 });
@@ -24,6 +24,16 @@ angular.module('mm.core.course')
 .factory('$mmCourse', function($mmSite, $translate, $q) {
     var self = {};
 
+    /**
+     * Get cache key for section WS call.
+     *
+     * @param  {Number} courseid The course ID.
+     * @return {String}          Cache key.
+     */
+    function getSectionsCacheKey(courseid) {
+        return 'mmCourse:sections:' + courseid;
+    }
+
     /**
      * Return a specific section.
      *
@@ -70,8 +80,24 @@ angular.module('mm.core.course')
         return $mmSite.read('core_course_get_contents', {
             courseid: courseid,
             options: []
+        }, {
+            cacheKey: getSectionsCacheKey(courseid),
+            batch: true
         });
     };
 
+    /**
+     * Invalidates sections WS call.
+     *
+     * @module mm.core.course
+     * @ngdoc method
+     * @name $mmCourse#invalidateSections
+     * @param {Number} courseid The course ID.
+     * @return {Promise} Promise to be resolved when the data is invalidated.
+     */
+    self.invalidateSections = function(courseid) {
+        return $mmSite.invalidateWsCacheForKey(getSectionsCacheKey(courseid));
+    };
+
     return self;
 });
@@ -21,25 +21,49 @@ angular.module('mm.core.courses')
  * @ngdoc controller
  * @name mmCoursesListCtrl
  */
-.controller('mmCoursesListCtrl', function($scope, $mmCourses, $mmCoursesDelegate, $mmUtil, $translate) {
-    $translate('mm.core.loading').then(function(loadingString) {
-        $mmUtil.showModalLoading(loadingString);
-    });
+.controller('mmCoursesListCtrl', function($scope, $mmCourses, $mmCoursesDelegate, $mmUtil, $translate,
+            $mmEvents, mmCoreEventSiteUpdated) {
 
-    $mmCourses.getUserCourses().then(function(courses) {
+    function showCourses(courses) {
         $scope.courses = courses;
         $scope.filterText = ''; // Filter value MUST be set after courses are shown.
-    }, function(error) {
-        if (typeof(error) !== 'undefined' && error != '') {
-            $mmUtil.showErrorModal(error);
-        } else {
-            $mmUtil.showErrorModal('mm.courses.errorloadcourses', true);
-        }
-    }).finally(function() {
+    }
+
+    function fetchCourses() {
+        return $mmCourses.getUserCourses().then(showCourses, function(error) {
+            if (typeof(error) !== 'undefined' && error != '') {
+                $mmUtil.showErrorModal(error);
+            } else {
+                $mmUtil.showErrorModal('mm.courses.errorloadcourses', true);
+            }
+        }, function(courses) {
+            // Expired courses from cache, show them while they're updated.
+            showCourses(courses);
+            $mmUtil.closeModalLoading();
+        });
+    }
+
+    $translate('mm.core.loading').then(function(loadingString) {
+        $mmUtil.showModalLoading(loadingString);
+    });
+    fetchCourses().finally(function() {
         $mmUtil.closeModalLoading();
     });
 
+    $scope.refreshCourses = function() {
+        $mmCourses.invalidateUserCourses().finally(function() {
+            return fetchCourses();
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+
     var plugins = $mmCoursesDelegate.getData();
     $scope.hasPlugins = Object.keys(plugins).length;
     $scope.plugins = plugins;
+
+    $mmEvents.on(mmCoreEventSiteUpdated, function() {
+        // The delegate has already updated the plugins.
+        $scope.hasPlugins = Object.keys(plugins).length;
+    }, $scope);
 });
@@ -32,6 +32,24 @@ angular.module('mm.core.courses')
 
     var self = {};
 
+    /**
+     * Get cache key for get user courses WS call.
+     *
+     * @return {String} Cache key.
+     */
+    function getUserCoursesCacheKey() {
+        return 'mmCourses:usercourses';
+    }
+
+    /**
+     * Get the courses the current user is enrolled in.
+     *
+     * @module mm.core.courses
+     * @ngdoc method
+     * @name $mmCourses#getUserCourses
+     * @return {Promise} Promise to be resolved with the courses. If there are expired courses in cache they're
+     *                   notified while the new ones are retrieved.
+     */
     self.getUserCourses = function() {
         var userid = $mmSite.getUserId();
 
@@ -39,8 +57,14 @@ angular.module('mm.core.courses')
             return $q.reject();
         }
 
-        var data = {userid: userid};
-        return $mmSite.read('core_enrol_get_users_courses', data).then(function(courses) {
+        var data = {userid: userid},
+            preSets = {
+                cacheKey: getUserCoursesCacheKey(),
+                updateInBackground: true,
+                batch: true
+            };
+
+        return $mmSite.read('core_enrol_get_users_courses', data, preSets).then(function(courses) {
             // TODO: For now we won't show front page in the course list because we cannot retrieve its summary.
             // courses.unshift(mmCoursesFrontPage);
 
@@ -50,7 +74,19 @@ angular.module('mm.core.courses')
 
             return courses;
         });
-    }
+    };
+
+    /**
+     * Invalidates get user courses WS call.
+     *
+     * @module mm.core.courses
+     * @ngdoc method
+     * @name $mmCourses#invalidateUserCourses
+     * @return {Promise} Promise to be resolved when the data is invalidated.
+     */
+    self.invalidateUserCourses = function() {
+        return $mmSite.invalidateWsCacheForKey(getUserCoursesCacheKey());
+    };
 
     return self;
 });
@@ -22,7 +22,8 @@ angular.module('mm.core.courses')
  * @ngdoc service
  * @name $mmCoursesDelegate
  */
-.factory('$mmCoursesDelegate', function($log) {
+.factory('$mmCoursesDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
 
     $log = $log.getInstance('$mmCoursesDelegate');
 
@@ -53,9 +54,24 @@ angular.module('mm.core.courses')
      */
     self.updatePluginData = function(name) {
         $log.debug("Update plugin '"+name+"' data in course.");
-        var pluginData = plugins[name]();
+        // Plugins whose requirements aren't met by the site are not shown, see $mmAddonRequirements.
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
         if (typeof(pluginData) !== 'undefined') {
             data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+
+    /**
+     * Update the data of all the registered plugins. The plugins that are no longer enabled are removed.
+     */
+    self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in course.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
         }
     };
 
@@ -74,5 +90,10 @@ angular.module('mm.core.courses')
         return data;
     };
 
+    // The functions available in the site might have changed, check which plugins are enabled now.
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    // The user switched to another site.
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
+
     return self;
 });
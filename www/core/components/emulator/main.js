@@ -0,0 +1,55 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Emulation of the Cordova plugins used by the app, to run it in a desktop browser.
+ *
+ * @module mm.core.emulator
+ * @description
+ * When the app isn't running under Cordova, the ngCordova services are replaced by emulated versions:
+ *     - $cordovaFile: Files are stored in IndexedDB, see $mmEmulatorFile.
+ *     - $cordovaFileTransfer: Files are downloaded and uploaded using XHR, see $mmEmulatorFileTransfer.
+ *     - $cordovaNetwork: The network status is read from navigator.onLine, see $mmEmulatorNetwork.
+ *     - $cordovaGlobalization: The language is read from navigator.language, see $mmEmulatorGlobalization.
+ *
+ * If the browser supports neither IndexedDB nor WebSQL, the databases are kept in memory, see $mmDBMemoryAdapter.
+ *
+ * The sites must allow cross-origin requests to download and upload files, or the browser must be started
+ * with the web security disabled.
+ */
+angular.module('mm.core.emulator', [])
+
+.config(function($provide, $mmDBProvider) {
+
+    /**
+     * Create a decorator that replaces a service by its emulated version when running in a browser.
+     *
+     * @param  {String} emulator Name of the service that emulates it.
+     * @return {Array}           Decorator.
+     */
+    function emulate(emulator) {
+        return ['$delegate', '$injector', function($delegate, $injector) {
+            return window.cordova ? $delegate : $injector.get(emulator);
+        }];
+    }
+
+    $provide.decorator('$cordovaFile', emulate('$mmEmulatorFile'));
+    $provide.decorator('$cordovaFileTransfer', emulate('$mmEmulatorFileTransfer'));
+    $provide.decorator('$cordovaNetwork', emulate('$mmEmulatorNetwork'));
+    $provide.decorator('$cordovaGlobalization', emulate('$mmEmulatorGlobalization'));
+
+    if (!window.cordova && !window.indexedDB && !window.openDatabase) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }
+});
@@ -0,0 +1,492 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.emulator')
+
+.constant('mmEmulatorFileDBName', 'MoodleMobileFiles')
+.constant('mmEmulatorFileStore', 'files')
+
+/**
+ * Emulation of $cordovaFile for browsers. The files and directories are stored in IndexedDB.
+ *
+ * @module mm.core.emulator
+ * @ngdoc service
+ * @name $mmEmulatorFile
+ * @description
+ * Every entry is stored with its full path, e.g. 'mmfs://app/siteid/files/file.pdf'. The paths without any slash
+ * after the scheme are the roots of the file system, they always exist.
+ *
+ * The entries returned implement the subset of the FileEntry and DirectoryEntry interfaces used by the app. The URL
+ * of a file entry is an object URL of its contents, so it can be used to display or open the file.
+ */
+.factory('$mmEmulatorFile', function($q, $window, $mmDB, $cordovaFileError, mmEmulatorFileDBName, mmEmulatorFileStore) {
+
+    var self = {},
+        db = $mmDB.getDB(mmEmulatorFileDBName, {
+            autoSchema: true,
+            stores: [
+                {
+                    name: mmEmulatorFileStore,
+                    keyPath: 'path',
+                    indexes: [
+                        {
+                            name: 'parent'
+                        }
+                    ]
+                }
+            ]
+        }),
+        objectURLs = {};
+
+    /**
+     * Create an error like the ones returned by the File plugin.
+     *
+     * @param  {Number} code    Error code, see $cordovaFileError.
+     * @param  {String} message Error message. Defaults to the name of the error.
+     * @return {Promise}        Promise rejected with the error.
+     */
+    function fileError(code, message) {
+        return $q.reject({code: code, message: message || $cordovaFileError[code]});
+    }
+
+    /**
+     * Normalize a path: remove duplicated and trailing slashes.
+     *
+     * @param  {String} path Path to normalize.
+     * @return {String}      Normalized path.
+     */
+    function normalize(path) {
+        var matches = path.match(/^([a-z\-]+:\/\/)?(.*)$/i),
+            scheme = matches[1] || '';
+        return scheme + matches[2].replace(/\/+/g, '/').replace(/\/$/, '');
+    }
+
+    /**
+     * Get the full path of an entry inside a directory.
+     *
+     * @param  {String} path Path of the directory.
+     * @param  {String} name Relative path of the entry. Optional.
+     * @return {String}      Full path.
+     */
+    function join(path, name) {
+        return normalize(name ? path + '/' + name : path);
+    }
+
+    /**
+     * Get the path of the parent of an entry.
+     *
+     * @param  {String} path Full path of the entry.
+     * @return {String}      Path of the parent.
+     */
+    function getParentPath(path) {
+        return path.substr(0, path.lastIndexOf('/'));
+    }
+
+    /**
+     * Check if a path is the root of the file system.
+     *
+     * @param  {String} path Full path.
+     * @return {Boolean}     True if it's a root, false otherwise.
+     */
+    function isRoot(path) {
+        return path.replace(/^[a-z\-]+:\/\//i, '').indexOf('/') == -1;
+    }
+
+    /**
+     * Get the stored record of an entry.
+     *
+     * @param  {String} path Full path of the entry.
+     * @return {Promise}     Promise resolved with the record. Rejected with NOT_FOUND_ERR if it doesn't exist.
+     */
+    function getRecord(path) {
+        if (isRoot(path)) {
+            return $q.when({path: path, name: path, isDir: true});
+        }
+
+        return db.get(mmEmulatorFileStore, path).then(function(record) {
+            return record ? record : fileError(1);
+        }, function() {
+            return fileError(1);
+        });
+    }
+
+    /**
+     * Get the records of all the entries inside a directory, including subdirectories.
+     *
+     * @param  {String} path Full path of the directory.
+     * @return {Promise}     Promise resolved with the records.
+     */
+    function getDescendants(path) {
+        return db.getAll(mmEmulatorFileStore).then(function(records) {
+            return records.filter(function(record) {
+                return record.path.indexOf(path + '/') === 0;
+            });
+        });
+    }
+
+    /**
+     * Store a record, checking that its parent directory exists.
+     *
+     * @param  {Object} record Record to store.
+     * @return {Promise}       Promise resolved with the record.
+     */
+    function storeRecord(record) {
+        return getRecord(record.parent).then(function(parent) {
+            if (!parent.isDir) {
+                return fileError(11);
+            }
+            revokeObjectURL(record.path);
+            return db.insert(mmEmulatorFileStore, record).then(function() {
+                return record;
+            });
+        });
+    }
+
+    /**
+     * Delete a record.
+     *
+     * @param  {String} path Full path of the entry.
+     * @return {Promise}     Promise resolved when the record is deleted.
+     */
+    function removeRecord(path) {
+        revokeObjectURL(path);
+        return db.remove(mmEmulatorFileStore, path);
+    }
+
+    /**
+     * Create the record of an entry.
+     *
+     * @param  {String}  path  Full path of the entry.
+     * @param  {Boolean} isDir True if it's a directory, false if it's a file.
+     * @param  {Blob}    data  Contents of the file.
+     * @return {Object}        Record.
+     */
+    function makeRecord(path, isDir, data) {
+        return {
+            path: path,
+            parent: getParentPath(path),
+            name: path.substr(path.lastIndexOf('/') + 1),
+            isDir: isDir,
+            data: data,
+            size: data ? data.size : 0,
+            modified: new Date().getTime()
+        };
+    }
+
+    /**
+     * Convert some data to a Blob.
+     *
+     * @param  {Mixed} data Blob, string or ArrayBuffer.
+     * @return {Blob}       Blob.
+     */
+    function toBlob(data) {
+        if (data instanceof $window.Blob) {
+            return data;
+        }
+        return new $window.Blob([data]);
+    }
+
+    /**
+     * Get an object URL for the contents of a file. The same URL is returned until the file changes.
+     *
+     * @param  {Object} record Record of the file.
+     * @return {String}        Object URL.
+     */
+    function getObjectURL(record) {
+        if (!objectURLs[record.path]) {
+            objectURLs[record.path] = $window.URL.createObjectURL(record.data || toBlob(''));
+        }
+        return objectURLs[record.path];
+    }
+
+    /**
+     * Release the object URL of a file, if any.
+     *
+     * @param {String} path Full path of the file.
+     */
+    function revokeObjectURL(path) {
+        if (objectURLs[path]) {
+            $window.URL.revokeObjectURL(objectURLs[path]);
+            delete objectURLs[path];
+        }
+    }
+
+    /**
+     * Create an entry object from a record, implementing the FileEntry or DirectoryEntry functions used by the app.
+     *
+     * @param  {Object} record Record of the entry.
+     * @return {Object}        Entry.
+     */
+    function makeEntry(record) {
+        var entry = {
+            name: record.name,
+            fullPath: record.path,
+            isFile: !record.isDir,
+            isDirectory: !!record.isDir,
+            toURL: function() {
+                return record.isDir ? record.path + '/' : getObjectURL(record);
+            },
+            toInternalURL: function() {
+                return entry.toURL();
+            },
+            file: function(success) {
+                success(record.data || toBlob(''));
+            },
+            createReader: function() {
+                return {
+                    readEntries: function(success, error) {
+                        db.whereEqual(mmEmulatorFileStore, 'parent', record.path).then(function(records) {
+                            success(records.map(makeEntry));
+                        }, error);
+                    }
+                };
+            },
+            remove: function(success, error) {
+                removeRecord(record.path).then(success, error);
+            }
+        };
+        entry.nativeURL = entry.toURL();
+        return entry;
+    }
+
+    /**
+     * Get an entry, checking its type.
+     *
+     * @param  {String}  path  Full path of the entry.
+     * @param  {Boolean} isDir True if it must be a directory, false if it must be a file.
+     * @return {Promise}       Promise resolved with the record.
+     */
+    function getTypedRecord(path, isDir) {
+        return getRecord(path).then(function(record) {
+            if (!!record.isDir !== isDir) {
+                return fileError(13, isDir ? 'input is not a directory' : 'input is not a file');
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Create a directory or an empty file.
+     *
+     * @param  {String}  path        Full path of the entry.
+     * @param  {Boolean} isDir       True to create a directory, false to create a file.
+     * @param  {Boolean} replaceBool True to return the existing entry if it already exists, false to fail.
+     * @return {Promise}             Promise resolved with the entry.
+     */
+    function create(path, isDir, replaceBool) {
+        return getRecord(path).then(function(record) {
+            if (!replaceBool) {
+                return fileError(12);
+            } else if (!!record.isDir !== isDir) {
+                return fileError(11);
+            }
+            return makeEntry(record);
+        }, function() {
+            return storeRecord(makeRecord(path, isDir, isDir ? undefined : toBlob(''))).then(makeEntry);
+        });
+    }
+
+    /**
+     * Copy or move an entry and all its contents.
+     *
+     * @param  {String}  from   Full path of the entry.
+     * @param  {String}  to     Full path of the destination.
+     * @param  {Boolean} isDir  True if the entry must be a directory, false if it must be a file.
+     * @param  {Boolean} remove True to remove the original entry (move), false to keep it (copy).
+     * @return {Promise}        Promise resolved with the new entry.
+     */
+    function copy(from, to, isDir, remove) {
+        return getTypedRecord(from, isDir).then(function(record) {
+            var promise = isDir ? getDescendants(from) : $q.when([]);
+
+            return promise.then(function(descendants) {
+                var root = makeRecord(to, isDir, record.data);
+
+                return storeRecord(root).then(function() {
+                    // Descendants are sorted by path, so the parents are always stored first.
+                    descendants.sort(function(a, b) {
+                        return a.path < b.path ? -1 : 1;
+                    });
+                    return descendants.reduce(function(previous, descendant) {
+                        return previous.then(function() {
+                            var path = to + descendant.path.substr(from.length);
+                            return storeRecord(makeRecord(path, descendant.isDir, descendant.data));
+                        });
+                    }, $q.when());
+                }).then(function() {
+                    if (remove) {
+                        return $q.all(descendants.map(function(descendant) {
+                            return removeRecord(descendant.path);
+                        })).then(function() {
+                            return removeRecord(from);
+                        });
+                    }
+                }).then(function() {
+                    return makeEntry(root);
+                });
+            });
+        });
+    }
+
+    /**
+     * Read the contents of a file.
+     *
+     * @param  {String} path   Full path of the file.
+     * @param  {String} method Name of the FileReader function to use.
+     * @return {Promise}       Promise resolved with the contents.
+     */
+    function read(path, method) {
+        return getTypedRecord(path, false).then(function(record) {
+            var deferred = $q.defer(),
+                reader = new $window.FileReader();
+
+            reader.onloadend = function() {
+                if (reader.error) {
+                    deferred.reject(reader.error);
+                } else {
+                    deferred.resolve(reader.result);
+                }
+            };
+            reader[method](record.data || toBlob(''));
+
+            return deferred.promise;
+        });
+    }
+
+    self.getFreeDiskSpace = function() {
+        var storage = $window.navigator.storage;
+        if (storage && storage.estimate) {
+            return $q.when(storage.estimate()).then(function(estimate) {
+                // The plugin returns the free space in KB.
+                return Math.floor((estimate.quota - estimate.usage) / 1024);
+            });
+        }
+        return fileError(9, 'The free space cannot be calculated in this browser.');
+    };
+
+    self.checkDir = function(path, dir) {
+        return getTypedRecord(join(path, dir), true).then(makeEntry);
+    };
+
+    self.checkFile = function(path, file) {
+        return getTypedRecord(join(path, file), false).then(makeEntry);
+    };
+
+    self.createDir = function(path, dirName, replaceBool) {
+        return create(join(path, dirName), true, replaceBool);
+    };
+
+    self.createFile = function(path, fileName, replaceBool) {
+        return create(join(path, fileName), false, replaceBool);
+    };
+
+    self.removeDir = function(path, dirName) {
+        var fullPath = join(path, dirName);
+        return getTypedRecord(fullPath, true).then(function() {
+            return getDescendants(fullPath);
+        }).then(function(descendants) {
+            if (descendants.length) {
+                return fileError(9, 'The directory is not empty.');
+            }
+            return removeRecord(fullPath).then(function() {
+                return {success: true, fileRemoved: fullPath};
+            });
+        });
+    };
+
+    self.removeFile = function(path, fileName) {
+        var fullPath = join(path, fileName);
+        return getTypedRecord(fullPath, false).then(function() {
+            return removeRecord(fullPath);
+        }).then(function() {
+            return {success: true, fileRemoved: fullPath};
+        });
+    };
+
+    self.removeRecursively = function(path, dirName) {
+        var fullPath = join(path, dirName);
+        return getTypedRecord(fullPath, true).then(function() {
+            return getDescendants(fullPath);
+        }).then(function(descendants) {
+            return $q.all(descendants.map(function(descendant) {
+                return removeRecord(descendant.path);
+            }));
+        }).then(function() {
+            return removeRecord(fullPath);
+        }).then(function() {
+            return {success: true, fileRemoved: fullPath};
+        });
+    };
+
+    self.writeFile = function(path, fileName, text, replaceBool) {
+        var fullPath = join(path, fileName);
+        return getRecord(fullPath).then(function(record) {
+            if (!replaceBool) {
+                return fileError(12);
+            } else if (record.isDir) {
+                return fileError(11);
+            }
+        }, function() {
+            // The file doesn't exist, it will be created.
+        }).then(function() {
+            return storeRecord(makeRecord(fullPath, false, toBlob(text)));
+        }).then(function(record) {
+            return {type: 'writeend', target: {length: record.size}};
+        });
+    };
+
+    self.writeExistingFile = function(path, fileName, text) {
+        var fullPath = join(path, fileName);
+        return getTypedRecord(fullPath, false).then(function(record) {
+            var data = new $window.Blob([record.data || '', toBlob(text)], {type: record.data ? record.data.type : ''});
+            return storeRecord(makeRecord(fullPath, false, data));
+        }).then(function(record) {
+            return {type: 'writeend', target: {length: record.size}};
+        });
+    };
+
+    self.readAsText = function(path, file) {
+        return read(join(path, file), 'readAsText');
+    };
+
+    self.readAsDataURL = function(path, file) {
+        return read(join(path, file), 'readAsDataURL');
+    };
+
+    self.readAsBinaryString = function(path, file) {
+        return read(join(path, file), 'readAsBinaryString');
+    };
+
+    self.readAsArrayBuffer = function(path, file) {
+        return read(join(path, file), 'readAsArrayBuffer');
+    };
+
+    self.moveFile = function(path, fileName, newPath, newFileName) {
+        return copy(join(path, fileName), join(newPath, newFileName || fileName), false, true);
+    };
+
+    self.moveDir = function(path, dirName, newPath, newDirName) {
+        return copy(join(path, dirName), join(newPath, newDirName || dirName), true, true);
+    };
+
+    self.copyDir = function(path, dirName, newPath, newDirName) {
+        return copy(join(path, dirName), join(newPath, newDirName || dirName), true, false);
+    };
+
+    self.copyFile = function(path, fileName, newPath, newFileName) {
+        return copy(join(path, fileName), join(newPath, newFileName || fileName), false, false);
+    };
+
+    return self;
+});
@@ -0,0 +1,186 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.emulator')
+
+/**
+ * Emulation of $cordovaFileTransfer for browsers. The files are downloaded and uploaded using XHR, the downloaded
+ * files are stored using $mmEmulatorFile.
+ *
+ * @module mm.core.emulator
+ * @ngdoc service
+ * @name $mmEmulatorFileTransfer
+ */
+.factory('$mmEmulatorFileTransfer', function($q, $window, $mmEmulatorFile) {
+
+    var self = {},
+        FILE_NOT_FOUND_ERR = 1,
+        CONNECTION_ERR = 3;
+
+    /**
+     * Create an error like the ones returned by the FileTransfer plugin.
+     *
+     * @param  {Number} code   Error code.
+     * @param  {String} source Source of the transfer.
+     * @param  {String} target Target of the transfer.
+     * @param  {Object} xhr    XHR used in the transfer. Optional.
+     * @return {Object}        Error.
+     */
+    function transferError(code, source, target, xhr) {
+        return {
+            code: code,
+            source: source,
+            target: target,
+            http_status: xhr ? xhr.status : null,
+            body: xhr && xhr.responseType !== 'blob' ? xhr.responseText : null,
+            exception: null
+        };
+    }
+
+    /**
+     * Create a directory and all its parents, if they don't exist.
+     *
+     * @param  {String} path Full path of the directory.
+     * @return {Promise}     Promise resolved when the directory exists.
+     */
+    function createDirs(path) {
+        var matches = path.match(/^([a-z\-]+:\/\/[^\/]*)\/?(.*)$/i),
+            promise = $q.when(),
+            base;
+
+        if (!matches) {
+            return promise;
+        }
+
+        base = matches[1];
+        angular.forEach(matches[2].split('/'), function(dirName) {
+            if (dirName) {
+                var parent = base;
+                promise = promise.then(function() {
+                    return $mmEmulatorFile.createDir(parent, dirName, true);
+                });
+                base = base + '/' + dirName;
+            }
+        });
+
+        return promise;
+    }
+
+    /**
+     * Get the contents of a file to upload. It can be a file stored in the emulated file system or a URL.
+     *
+     * @param  {String} filePath Path or URL of the file.
+     * @return {Promise}         Promise resolved with the Blob.
+     */
+    function getFileData(filePath) {
+        if (/^(https?|blob|data):/i.test(filePath)) {
+            var deferred = $q.defer(),
+                xhr = new $window.XMLHttpRequest();
+
+            xhr.open('GET', filePath, true);
+            xhr.responseType = 'blob';
+            xhr.onload = function() {
+                deferred.resolve(xhr.response);
+            };
+            xhr.onerror = deferred.reject;
+            xhr.send();
+
+            return deferred.promise;
+        }
+
+        return $mmEmulatorFile.checkFile(filePath, '').then(function(fileEntry) {
+            var deferred = $q.defer();
+            fileEntry.file(deferred.resolve, deferred.reject);
+            return deferred.promise;
+        });
+    }
+
+    self.download = function(source, filePath) {
+        var deferred = $q.defer(),
+            xhr = new $window.XMLHttpRequest(),
+            directory = filePath.substr(0, filePath.lastIndexOf('/')),
+            fileName = filePath.substr(filePath.lastIndexOf('/') + 1);
+
+        xhr.open('GET', source, true);
+        xhr.responseType = 'blob';
+        xhr.onprogress = function(progress) {
+            deferred.notify(progress);
+        };
+        xhr.onload = function() {
+            if (xhr.status < 200 || xhr.status >= 300) {
+                deferred.reject(transferError(xhr.status == 404 ? FILE_NOT_FOUND_ERR : CONNECTION_ERR, source,
+                        filePath, xhr));
+                return;
+            }
+
+            createDirs(directory).then(function() {
+                return $mmEmulatorFile.writeFile(directory, fileName, xhr.response, true);
+            }).then(function() {
+                return $mmEmulatorFile.checkFile(filePath, '');
+            }).then(deferred.resolve, deferred.reject);
+        };
+        xhr.onerror = function() {
+            deferred.reject(transferError(CONNECTION_ERR, source, filePath, xhr));
+        };
+        xhr.send();
+
+        deferred.promise.abort = function() {
+            xhr.abort();
+        };
+        return deferred.promise;
+    };
+
+    self.upload = function(server, filePath, options) {
+        options = options || {};
+
+        return getFileData(filePath).then(function(data) {
+            var deferred = $q.defer(),
+                xhr = new $window.XMLHttpRequest(),
+                formData = new $window.FormData(),
+                fileName = options.fileName || filePath.substr(filePath.lastIndexOf('/') + 1);
+
+            angular.forEach(options.params, function(value, name) {
+                formData.append(name, value);
+            });
+            formData.append(options.fileKey || 'file', data, fileName);
+
+            xhr.open(options.httpMethod || 'POST', server, true);
+            xhr.upload.onprogress = function(progress) {
+                deferred.notify(progress);
+            };
+            xhr.onload = function() {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    deferred.reject(transferError(CONNECTION_ERR, filePath, server, xhr));
+                    return;
+                }
+                deferred.resolve({
+                    bytesSent: data.size,
+                    responseCode: xhr.status,
+                    response: xhr.responseText,
+                    headers: {}
+                });
+            };
+            xhr.onerror = function() {
+                deferred.reject(transferError(CONNECTION_ERR, filePath, server, xhr));
+            };
+            xhr.send(formData);
+
+            return deferred.promise;
+        }, function() {
+            return $q.reject(transferError(FILE_NOT_FOUND_ERR, filePath, server));
+        });
+    };
+
+    return self;
+});
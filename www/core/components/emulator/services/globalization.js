@@ -0,0 +1,57 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.emulator')
+
+/**
+ * Emulation of $cordovaGlobalization for browsers, based on navigator.language.
+ *
+ * @module mm.core.emulator
+ * @ngdoc service
+ * @name $mmEmulatorGlobalization
+ * @description
+ * Only the functions to get the language and the locale are emulated, the rest are always rejected.
+ */
+.factory('$mmEmulatorGlobalization', function($q, $window) {
+
+    var self = {},
+        notSupported = ['dateToString', 'stringToDate', 'getDatePattern', 'getDateNames', 'isDayLightSavingsTime',
+                'getFirstDayOfWeek', 'numberToString', 'stringToNumber', 'getNumberPattern', 'getCurrencyPattern'];
+
+    /**
+     * Get the language of the browser.
+     *
+     * @return {String} Language code, e.g. 'en-US'.
+     */
+    function getLanguage() {
+        var navigator = $window.navigator;
+        return navigator.language || navigator.userLanguage || 'en';
+    }
+
+    self.getPreferredLanguage = function() {
+        return $q.when({value: getLanguage()});
+    };
+
+    self.getLocaleName = function() {
+        return $q.when({value: getLanguage()});
+    };
+
+    angular.forEach(notSupported, function(name) {
+        self[name] = function() {
+            return $q.reject({code: 0, message: name + ' is not supported in the browser.'});
+        };
+    });
+
+    return self;
+});
@@ -0,0 +1,76 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.emulator')
+
+/**
+ * Emulation of $cordovaNetwork for browsers, based on navigator.onLine.
+ *
+ * @module mm.core.emulator
+ * @ngdoc service
+ * @name $mmEmulatorNetwork
+ * @description
+ * Browsers don't tell the type of connection, the device is considered to be on a WiFi network while it's online.
+ * The events '$cordovaNetwork:online' and '$cordovaNetwork:offline' are broadcasted in $rootScope like the plugin does.
+ */
+.factory('$mmEmulatorNetwork', function($rootScope, $window, $timeout) {
+
+    var self = {};
+
+    /**
+     * Broadcast a network event.
+     *
+     * @param {String} eventName Name of the event.
+     */
+    function broadcast(eventName) {
+        $timeout(function() {
+            $rootScope.$broadcast(eventName, self.getNetwork());
+        });
+    }
+
+    function onlineEvent() {
+        broadcast('$cordovaNetwork:online');
+    }
+
+    function offlineEvent() {
+        broadcast('$cordovaNetwork:offline');
+    }
+
+    $window.addEventListener('online', onlineEvent, false);
+    $window.addEventListener('offline', offlineEvent, false);
+
+    self.getNetwork = function() {
+        return self.isOnline() ? 'wifi' : 'none';
+    };
+
+    self.isOnline = function() {
+        return $window.navigator.onLine !== false;
+    };
+
+    self.isOffline = function() {
+        return !self.isOnline();
+    };
+
+    self.clearOfflineWatch = function() {
+        $window.removeEventListener('offline', offlineEvent);
+        $rootScope.$$listeners['$cordovaNetwork:offline'] = [];
+    };
+
+    self.clearOnlineWatch = function() {
+        $window.removeEventListener('online', onlineEvent);
+        $rootScope.$$listeners['$cordovaNetwork:online'] = [];
+    };
+
+    return self;
+});
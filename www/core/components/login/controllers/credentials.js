@@ -24,7 +24,10 @@ angular.module('mm.core.login')
 .controller('mmLoginCredentialsCtrl', function($scope, $state, $stateParams, $mmSitesManager, $mmUtil, $translate) {
 
     $scope.siteurl = $stateParams.siteurl;
-    $scope.credentials = {};
+    $scope.credentials = {
+        username: $stateParams.username
+    };
+    $scope.sessionExpired = !!$stateParams.username; // We only receive the username when re-authenticating.
 
     $scope.login = function() {
 
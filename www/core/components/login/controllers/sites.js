@@ -61,7 +61,15 @@ angular.module('mm.core.login')
     };
 
     $scope.login = function(index) {
-        var siteid = $scope.sites[index].id;
+        var site = $scope.sites[index],
+            siteid = site.id;
+
+        if (site.loggedOut) {
+            // The session expired, the user needs to authenticate again.
+            $state.go('mm_login.credentials', {siteurl: site.siteurl, username: site.username});
+            return;
+        }
+
         $mmSitesManager.loadSite(siteid).then(function() {
             $state.go('site.mm_courses');
         }, function(error) {
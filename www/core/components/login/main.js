@@ -18,6 +18,17 @@ angular.module('mm.core.login', [])
 .constant('mmLoginLaunchPassport', 'mmLoginLaunchPassport')
 .constant('mmLoginSSOCode', 2) // This code is returned by local_mobile Moodle plugin if SSO in browser is required.
 
+.config(function($mmConfigProvider, mmLoginLaunchSiteURL, mmLoginLaunchPassport) {
+    var settings = {};
+    settings[mmLoginLaunchSiteURL] = {
+        type: 'string'
+    };
+    settings[mmLoginLaunchPassport] = {
+        type: 'number'
+    };
+    $mmConfigProvider.registerSettings(settings);
+})
+
 .config(function($stateProvider, $urlRouterProvider) {
 
     $stateProvider
@@ -70,7 +81,8 @@ angular.module('mm.core.login', [])
         templateUrl: 'core/components/login/templates/credentials.html',
         controller: 'mmLoginCredentialsCtrl',
         params: {
-            siteurl: ''
+            siteurl: '',
+            username: ''
         },
         onEnter: function($state, $stateParams) {
             // Do not allow access to this page when the URL was not passed.
@@ -89,7 +101,7 @@ angular.module('mm.core.login', [])
 })
 
 .run(function($log, $q, $state, $mmUtil, $translate, $mmSitesManager, $rootScope, $mmSite, $mmURLDelegate, $mmConfig,
-                $ionicHistory, mmLoginLaunchSiteURL, mmLoginLaunchPassport, md5) {
+                $ionicHistory, $mmEvents, mmLoginLaunchSiteURL, mmLoginLaunchPassport, mmCoreEventSessionExpired, md5) {
 
     $log = $log.getInstance('mmLogin');
 
@@ -139,6 +151,27 @@ angular.module('mm.core.login', [])
         return true;
     });
 
+    // The token of the current site is no longer valid, ask the user to authenticate again.
+    $mmEvents.on(mmCoreEventSessionExpired, function(data) {
+        var siteid = $mmSite.getId();
+
+        // Ignore calls done with a different token (another site or the candidate site during login).
+        if (typeof(siteid) === 'undefined' || data.token !== $mmSite.getToken()) {
+            return;
+        }
+
+        var siteurl = $mmSite.getURL(),
+            infos = $mmSite.getInfo(),
+            username = infos ? infos.username : '';
+
+        $log.debug('Session expired in site ' + siteid);
+        $mmSitesManager.setSiteLoggedOut(siteid, true).finally(function() {
+            $mmSitesManager.logout().finally(function() {
+                $state.go('mm_login.credentials', {siteurl: siteurl, username: username});
+            });
+        });
+    });
+
     // Redirect depending on user session.
     $rootScope.$on('$stateChangeStart', function(event, toState, toParams, fromState, fromParams) {
 
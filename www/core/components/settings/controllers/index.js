@@ -0,0 +1,132 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.settings')
+
+/**
+ * Controller to handle the app settings.
+ *
+ * @module mm.core.settings
+ * @ngdoc controller
+ * @name mmSettingsIndexCtrl
+ */
+.controller('mmSettingsIndexCtrl', function($scope, $q, $ionicPopup, $translate, $mmLog, $mmConfig, $mmCrypto, $mmUtil,
+            $mmSite, mmCoreLogLevels) {
+
+    $scope.debug = {
+        enabled: $mmLog.isEnabled()
+    };
+    $scope.levels = mmCoreLogLevels;
+    $scope.logLevels = [];
+    $scope.newLogLevel = {
+        pattern: '',
+        level: mmCoreLogLevels[0]
+    };
+
+    function fetchLogLevels() {
+        return $mmLog.getLevels().then(function(rules) {
+            $scope.logLevels = Object.keys(rules).sort().map(function(pattern) {
+                return {
+                    pattern: pattern,
+                    level: rules[pattern]
+                };
+            });
+        });
+    }
+    fetchLogLevels();
+
+    $scope.debugChanged = function() {
+        $mmLog.enabled($scope.debug.enabled);
+    };
+
+    // Setting the level of a rule to none removes it.
+    $scope.logLevelChanged = function(rule) {
+        $mmLog.setLevel(rule.pattern, rule.level).then(fetchLogLevels);
+    };
+
+    $scope.addLogLevel = function() {
+        $mmLog.setLevel($scope.newLogLevel.pattern, $scope.newLogLevel.level).then(function() {
+            $scope.newLogLevel.pattern = '';
+            return fetchLogLevels();
+        });
+    };
+
+    $mmSite.getWsCacheStats().then(function(stats) {
+        stats.sizekb = Math.round(stats.size / 1024);
+        $scope.cacheStats = stats;
+    });
+
+    // The PIN protects the key the app data is encrypted with, see $mmCrypto.
+    $scope.crypto = {
+        available: $mmCrypto.isAvailable(),
+        hasPin: $mmCrypto.hasPin()
+    };
+
+    /**
+     * Ask the user for a new PIN twice.
+     *
+     * @return {Promise} Promise resolved with the PIN. Rejected if the user cancels or the PINs don't match.
+     */
+    function askNewPin() {
+        var strings,
+            pin;
+
+        return $translate(['mm.settings.newpin', 'mm.settings.confirmpin']).then(function(translated) {
+            strings = translated;
+            return $ionicPopup.prompt({title: strings['mm.settings.newpin'], inputType: 'password'});
+        }).then(function(newPin) {
+            if (!newPin) {
+                // Cancelled or empty.
+                return $q.reject();
+            }
+            pin = newPin;
+            return $ionicPopup.prompt({title: strings['mm.settings.confirmpin'], inputType: 'password'});
+        }).then(function(confirmation) {
+            if (typeof(confirmation) === 'undefined') {
+                return $q.reject();
+            } else if (confirmation !== pin) {
+                $mmUtil.showErrorModal('mm.settings.pinsdontmatch', true);
+                return $q.reject();
+            }
+            return pin;
+        });
+    }
+
+    $scope.setPin = function() {
+        askNewPin().then(function(pin) {
+            return $mmCrypto.setPin(pin).then(function() {
+                $scope.crypto.hasPin = true;
+            }, function() {
+                $mmUtil.showErrorModal('mm.settings.errorsetpin', true);
+            });
+        });
+    };
+
+    $scope.removePin = function() {
+        $ionicPopup.confirm({template: $translate('mm.settings.confirmremovepin')}).then(function(confirmed) {
+            if (confirmed) {
+                $mmCrypto.setPin().then(function() {
+                    $scope.crypto.hasPin = false;
+                }, function() {
+                    $mmUtil.showErrorModal('mm.settings.errorsetpin', true);
+                });
+            }
+        });
+    };
+
+    // The WS calls are only recorded in development builds, see $mmWSLog.
+    $mmConfig.get('dev_debug').then(function(devDebug) {
+        $scope.devDebug = devDebug;
+    });
+});
@@ -0,0 +1,76 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+angular.module('mm.core.settings')
+
+/**
+ * Controller to inspect the logged entries.
+ *
+ * @module mm.core.settings
+ * @ngdoc controller
+ * @name mmSettingsLogsCtrl
+ */
+.controller('mmSettingsLogsCtrl', function($scope, $q, $translate, $mmLog, $mmUtil, $cordovaSocialSharing,
+            mmCoreLogLevels) {
+
+    $scope.filter = {
+        classname: '',
+        level: ''
+    };
+    $scope.levels = mmCoreLogLevels;
+    $scope.entries = [];
+    $scope.isEnabled = $mmLog.isEnabled();
+
+    function fetchEntries() {
+        return $mmLog.getEntries($scope.filter).then(function(entries) {
+            $scope.entries = entries;
+        });
+    }
+    fetchEntries();
+
+    $scope.refreshEntries = function() {
+        fetchEntries().catch(function() {
+            $mmUtil.showErrorModal('mm.settings.errorloadinglogs', true);
+        }).finally(function() {
+            $scope.$broadcast('scroll.refreshComplete');
+        });
+    };
+
+    $scope.filterChanged = function() {
+        fetchEntries();
+    };
+
+    $scope.clearEntries = function() {
+        $mmLog.clearEntries().then(function() {
+            $scope.entries = [];
+        });
+    };
+
+    $scope.exportEntries = function() {
+        $mmLog.exportEntries($scope.filter).then(function(fileURL) {
+            // Use $q.when to catch the errors, $cordovaSocialSharing throws if the plugin isn't available.
+            return $q.when().then(function() {
+                return $translate('mm.settings.logssubject');
+            }).then(function(subject) {
+                return $cordovaSocialSharing.share(undefined, subject, fileURL);
+            }).catch(function() {
+                // The file can't be shared, at least it has been saved.
+                $mmUtil.showModal('mm.settings.logs', 'mm.settings.logsexported');
+            });
+        }, function() {
+            $mmUtil.showErrorModal('mm.settings.errorexportlogs', true);
+        });
+    };
+});
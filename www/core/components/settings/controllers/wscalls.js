@@ -0,0 +1,65 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.settings')
+
+/**
+ * Controller to inspect the latest WS calls.
+ *
+ * @module mm.core.settings
+ * @ngdoc controller
+ * @name mmSettingsWSCallsCtrl
+ */
+.controller('mmSettingsWSCallsCtrl', function($scope, $q, $mmWSLog, $mmUtil, $cordovaClipboard) {
+
+    $scope.filterText = '';
+    $scope.calls = $mmWSLog.getCalls();
+    $scope.isEnabled = $mmWSLog.isEnabled();
+
+    $scope.refreshCalls = function() {
+        $scope.calls = $mmWSLog.getCalls();
+        $scope.$broadcast('scroll.refreshComplete');
+    };
+
+    $scope.clearCalls = function() {
+        $mmWSLog.clear();
+        $scope.calls = [];
+    };
+
+    $scope.toggleCall = function(call) {
+        call.expanded = !call.expanded;
+    };
+
+    $scope.copyCall = function(call) {
+        var json = angular.toJson({
+            method: call.method,
+            siteurl: call.siteurl,
+            params: call.params,
+            time: new Date(call.time).toISOString(),
+            duration: call.duration,
+            fromCache: call.fromCache,
+            success: call.success,
+            error: call.error
+        }, true);
+
+        // Use $q.when to catch the errors, $cordovaClipboard throws if the plugin isn't available.
+        $q.when().then(function() {
+            return $cordovaClipboard.copy(json);
+        }).then(function() {
+            $mmUtil.showModal('mm.settings.wscalls', 'mm.settings.copiedtoclipboard');
+        }, function() {
+            $mmUtil.showErrorModal('mm.settings.errorcopytoclipboard', true);
+        });
+    };
+});
@@ -0,0 +1,53 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core.settings', [])
+
+.config(function($stateProvider) {
+
+    $stateProvider
+
+    .state('site.settings', {
+        url: '/settings',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/index.html',
+                controller: 'mmSettingsIndexCtrl'
+            }
+        }
+    })
+
+    .state('site.settings-wscalls', {
+        url: '/wscalls',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/wscalls.html',
+                controller: 'mmSettingsWSCallsCtrl'
+            }
+        },
+        cache: false
+    })
+
+    .state('site.settings-logs', {
+        url: '/logs',
+        views: {
+            'site': {
+                templateUrl: 'core/components/settings/templates/logs.html',
+                controller: 'mmSettingsLogsCtrl'
+            }
+        },
+        cache: false
+    });
+
+});
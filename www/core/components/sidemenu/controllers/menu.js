@@ -21,25 +21,30 @@ angular.module('mm.core.sidemenu')
  * @ngdoc controller
  * @name mmSideMenuCtrl
  */
-.controller('mmSideMenuCtrl', function($scope, $state, $mmSideMenuDelegate, $mmSitesManager, $mmSite, $mmConfig) {
+.controller('mmSideMenuCtrl', function($scope, $state, $mmSideMenuDelegate, $mmSitesManager, $mmSite, $mmConfig,
+            $mmEvents, mmCoreEventSiteUpdated) {
     $scope.plugins = $mmSideMenuDelegate.getData();
     $scope.siteinfo = $mmSite.getInfo();
 
+    $mmEvents.on(mmCoreEventSiteUpdated, function() {
+        $scope.siteinfo = $mmSite.getInfo();
+    }, $scope);
+
     $scope.logout = function() {
-        $mmSitesManager.logout().finally(function() {
+        $mmSitesManager.logout().catch(function() {
+            // The site couldn't be marked as logged out, go to the sites list anyway.
+        }).finally(function() {
             $state.go('mm_login.sites');
         });
     };
 
     // Get docs URL based on site version and current language.
     $scope.docsurl = 'http://docs.moodle.org/en/Mobile_app';
-    if (typeof($scope.siteinfo) !== 'undefined' && typeof($scope.siteinfo.release) === 'string') {
-        var release = $scope.siteinfo.release.substr(0, 3).replace(".", "");
-        // Check is a valid number.
-        if (parseInt(release) >= 24) {
-            // Append release number.
-            $scope.docsurl = $scope.docsurl.replace("http://docs.moodle.org/", "http://docs.moodle.org/" + release + "/");
-        }
+    if ($mmSite.isVersionGreaterEqualThan('2.4')) {
+        // Append release number, e.g. 29 for 2.9.
+        var release = $mmSite.getRelease(),
+            docsVersion = '' + release.major + release.minor;
+        $scope.docsurl = $scope.docsurl.replace("http://docs.moodle.org/", "http://docs.moodle.org/" + docsVersion + "/");
     }
 
     $mmConfig.get('current_language').then(function(lang) {
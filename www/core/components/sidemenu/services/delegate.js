@@ -22,14 +22,14 @@ angular.module('mm.core.sidemenu')
  * @ngdoc service
  * @name $mmSideMenuDelegate
  */
-.factory('$mmSideMenuDelegate', function($log) {
+.factory('$mmSideMenuDelegate', function($log, $mmEvents, $mmAddonRequirements, mmCoreEventLogin,
+            mmCoreEventSiteUpdated) {
 
     $log = $log.getInstance('$mmSideMenuDelegate');
 
     var plugins = {},
         self = {},
-        data,
-        controllers = [];
+        data;
 
     /**
      * Register a plugin to show in the side menu.
@@ -54,9 +54,24 @@ angular.module('mm.core.sidemenu')
      */
     self.updatePluginData = function(name) {
         $log.debug("Update plugin '"+name+"' data in side menu.");
-        var pluginData = plugins[name]();
+        // Plugins whose requirements aren't met by the site are not shown, see $mmAddonRequirements.
+        var pluginData = $mmAddonRequirements.isAddonEnabled(name) ? plugins[name]() : undefined;
         if (typeof(pluginData) !== 'undefined') {
             data[name] = pluginData;
+        } else {
+            delete data[name];
+        }
+    };
+
+    /**
+     * Update the data of all the registered plugins. The plugins that are no longer enabled are removed.
+     */
+    self.updateData = function() {
+        if (typeof(data) !== 'undefined') {
+            $log.debug('Update the data of all plugins in side menu.');
+            angular.forEach(plugins, function(callback, plugin) {
+                self.updatePluginData(plugin);
+            });
         }
     };
 
@@ -75,16 +90,10 @@ angular.module('mm.core.sidemenu')
         return data;
     }
 
-    // self.on = function(callback) {
-    //     controllers.push(callback);
-    // }
-
-    // self.notifyControllers = function() {
-    //     angular.forEach(controllers, function(callback) {
-    //         callback();
-    //     });
-
-    // }
+    // The functions available in the site might have changed, check which plugins are enabled now.
+    $mmEvents.on(mmCoreEventSiteUpdated, self.updateData);
+    // The user switched to another site.
+    $mmEvents.on(mmCoreEventLogin, self.updateData);
 
     return self;
 });
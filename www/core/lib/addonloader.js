@@ -0,0 +1,157 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+.constant('mmCoreAddonsSiteStorageKey', 'mm_site_extra_js') // Read by core/bootstrap.js, keep them in sync.
+
+/**
+ * Provider to know the extra addons loaded when the app started, and to set the ones provided by the site.
+ *
+ * @module mm.core
+ * @ngdoc provider
+ * @name $mmAddonLoader
+ * @description
+ * The extra addons are JS bundles loaded before the app is started, see core/bootstrap.js. They're listed in
+ * 'extra_js' in config.json.
+ *
+ * Sites can provide addons too if 'site_extra_js' is enabled in config.json. Moodle doesn't have a setting for them,
+ * so the site needs a plugin with a WS function that returns the URLs, and the name of that function must be set in
+ * 'site_extra_js_wsfunction' in config.json. The function must be added to the mobile service of the site, it's
+ * called without parameters and it must return an object with the list of URLs in 'urls':
+ *
+ * {"urls": ["https://somesite.example/local/myaddons/mobile.js"]}
+ *
+ * The function is called when the user logs in and when the site info is updated. The URLs are loaded the next time
+ * the app starts, they're kept in the localStorage with the URL of the site because the databases aren't available
+ * before the app is started. If the site doesn't have the function the site addons are removed. Only the https URLs
+ * in the same origin as the site, or in one of the origins listed in 'site_extra_js_origins' in config.json, are
+ * loaded.
+ */
+.provider('$mmAddonLoader', function() {
+
+    var addons = [];
+
+    /**
+     * Set the addons loaded when the app started. Used by the bootstrap, it shouldn't be called by other code.
+     *
+     * @param {Object[]} list Loaded addons. Each addon has the url, the names of its modules and the error if it
+     *                        failed.
+     */
+    this.setAddons = function(list) {
+        addons = list;
+    };
+
+    this.$get = function($q, $log, $window, $mmConfig, mmCoreAddonsSiteStorageKey) {
+
+        $log = $log.getInstance('$mmAddonLoader');
+
+        var self = {};
+
+        /**
+         * Get the extra addons loaded when the app started.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmAddonLoader#getAddons
+         * @return {Object[]} Addons, in the order they were loaded. Each addon has the url, the names of the modules
+         *                    it declares (modules) and the error if it failed (error). The modules of the addons that
+         *                    failed while they were loaded are not used.
+         */
+        self.getAddons = function() {
+            return angular.copy(addons);
+        };
+
+        /**
+         * Set the addons provided by the site, they'll be loaded the next time the app starts.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmAddonLoader#setSiteAddons
+         * @param  {String[]} urls    URLs of the addons. Empty to remove the current ones.
+         * @param  {String}   siteurl URL of the site that provides them.
+         * @return {Promise}          Promise resolved when the URLs are stored, rejected if the site addons are not
+         *                            enabled in config.json.
+         */
+        self.setSiteAddons = function(urls, siteurl) {
+            urls = angular.isArray(urls) ? urls.filter(angular.isString) : [];
+
+            return $mmConfig.get('site_extra_js').catch(function() {
+                return false;
+            }).then(function(enabled) {
+                if (!enabled) {
+                    $window.localStorage.removeItem(mmCoreAddonsSiteStorageKey);
+                    return urls.length ? $q.reject() : undefined;
+                }
+
+                if (urls.length) {
+                    $log.debug('Site addons for the next start: ' + urls.join(', '));
+                    $window.localStorage.setItem(mmCoreAddonsSiteStorageKey, angular.toJson({
+                        siteurl: siteurl,
+                        urls: urls
+                    }));
+                } else {
+                    $window.localStorage.removeItem(mmCoreAddonsSiteStorageKey);
+                }
+            });
+        };
+
+        return self;
+    };
+})
+
+.run(function($log, $mmEvents, $mmSite, $mmConfig, $mmAddonLoader, mmCoreEventLogin, mmCoreEventSiteUpdated) {
+    $log = $log.getInstance('$mmAddonLoader');
+
+    angular.forEach($mmAddonLoader.getAddons(), function(addon) {
+        if (addon.error) {
+            $log.error('Addon ' + addon.url + ' failed: ' + addon.error);
+        } else {
+            $log.debug('Addon ' + addon.url + ' loaded with modules: ' + addon.modules.join(', '));
+        }
+    });
+
+    /**
+     * Store the addons provided by the current site.
+     */
+    function storeSiteAddons() {
+        var siteurl = $mmSite.getURL();
+
+        $mmConfig.get('site_extra_js').then(function(enabled) {
+            if (!enabled) {
+                // Remove the addons stored while they were enabled.
+                return $mmAddonLoader.setSiteAddons([], siteurl);
+            }
+
+            return $mmConfig.get('site_extra_js_wsfunction').then(function(wsfunction) {
+                if (!wsfunction || !$mmSite.wsAvailable(wsfunction)) {
+                    $log.debug('The site does not provide addons.');
+                    return $mmAddonLoader.setSiteAddons([], siteurl);
+                }
+
+                return $mmSite.read(wsfunction, {}, {getFromCache: 0, saveToCache: 0}).then(function(response) {
+                    return $mmAddonLoader.setSiteAddons(response && response.urls, siteurl);
+                }, function() {
+                    // Keep the addons stored before, the site can't be reached.
+                    $log.debug('The addons of the site could not be retrieved.');
+                });
+            });
+        }).catch(function() {
+            // The site addons are not enabled in config.json.
+        });
+    }
+
+    $mmEvents.on(mmCoreEventLogin, storeSiteAddons);
+    $mmEvents.on(mmCoreEventSiteUpdated, storeSiteAddons);
+});
@@ -0,0 +1,107 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+/**
+ * Registry of the requirements of the addons.
+ *
+ * @module mm.core
+ * @ngdoc provider
+ * @name $mmAddonRequirements
+ * @description
+ * Addons declare the WS functions and the minimum Moodle release they need. The delegates don't show the addons
+ * whose requirements aren't met by the current site, so they don't need to check it themselves.
+ *
+ * Example:
+ *
+ * .config(function($mmAddonRequirementsProvider) {
+ *     $mmAddonRequirementsProvider.register('mmaMyAddon', {
+ *         functions: ['core_my_function'],
+ *         minVersion: '2.9'
+ *     });
+ * })
+ */
+.provider('$mmAddonRequirements', function() {
+
+    var requirements = {};
+
+    /**
+     * Register the requirements of an addon.
+     *
+     * @param {String} addon       Name of the addon, the same used to register it in the delegates.
+     * @param {Object} requirement Object with the list of WS functions the addon needs (functions) and the
+     *                             minimum Moodle release (minVersion). Both are optional.
+     */
+    this.register = function(addon, requirement) {
+        requirements[addon] = requirement;
+    };
+
+    this.$get = function($log, $mmSite) {
+
+        $log = $log.getInstance('$mmAddonRequirements');
+
+        var self = {};
+
+        /**
+         * Get the requirements of an addon.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmAddonRequirements#getRequirements
+         * @param  {String} addon Name of the addon.
+         * @return {Object}       Requirements of the addon. Undefined if it didn't register any.
+         */
+        self.getRequirements = function(addon) {
+            return requirements[addon];
+        };
+
+        /**
+         * Check if a site meets the requirements of an addon. Addons without requirements are always enabled.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmAddonRequirements#isAddonEnabled
+         * @param  {String} addon Name of the addon.
+         * @param  {Object} site  Site object to check, see $mmSitesManager#getSite. If not set, use the current site.
+         * @return {Boolean}      True if the addon can be used in the site, false otherwise.
+         */
+        self.isAddonEnabled = function(addon, site) {
+            var requirement = requirements[addon],
+                enabled = true;
+
+            if (typeof(requirement) === 'undefined') {
+                return true;
+            }
+
+            site = site || $mmSite;
+
+            if (requirement.minVersion && !site.isVersionGreaterEqualThan(requirement.minVersion)) {
+                $log.debug('Addon ' + addon + ' needs Moodle ' + requirement.minVersion);
+                return false;
+            }
+
+            angular.forEach(requirement.functions, function(method) {
+                if (enabled && !site.wsAvailable(method)) {
+                    $log.debug('Addon ' + addon + ' needs the WS function ' + method);
+                    enabled = false;
+                }
+            });
+
+            return enabled;
+        };
+
+        return self;
+    };
+});
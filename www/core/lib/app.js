@@ -32,8 +32,12 @@ angular.module('mm.core')
  *          keyPath: 'name'
  *      });
  *  })
+ *
+ * The stores are versioned, see $mmDB to know how to migrate the data of a store when its definition changes.
+ *
+ * It also keeps track of the network status. Use $mmApp#isOnline instead of $cordovaNetwork, it works in browsers too.
  */
-.provider('$mmApp', function() {
+.provider('$mmApp', function($injector) {
 
     /** Define the app storage schema. */
     var DBNAME = 'MoodleMobile',
@@ -43,20 +47,15 @@ angular.module('mm.core')
         };
 
     /**
-     * Register a store schema.
+     * Register a store schema. Registering the same store twice is allowed, but not with a different definition.
      *
-     * @param  {Object} store The store object definition.
+     * @param  {Object} store The store object definition. See $mmDBProvider#addStore.
      * @return {Void}
+     * @throws {Error} If the definition is not valid, or it conflicts with an already registered store.
      */
     this.registerStore = function(store) {
-        if (typeof(store.name) === 'undefined') {
-            console.log('$mmApp: Error: store name is undefined.');
-            return;
-        } else if (storeExists(store.name)) {
-            console.log('$mmApp: Error: store ' + store.name + ' is already defined.');
-            return;
-        }
-        dbschema.stores.push(store);
+        // $mmDBProvider is defined after this provider, get it when it's needed.
+        $injector.get('$mmDBProvider').addStore(dbschema, store);
     }
 
     /**
@@ -72,27 +71,11 @@ angular.module('mm.core')
         })
     }
 
-    /**
-     * Check if a store is already defined.
-     *
-     * @param  {String} name The name of the store.
-     * @return {Boolean} True when the store was already defined.
-     */
-    function storeExists(name) {
-        var exists = false;
-        angular.forEach(dbschema.stores, function(store) {
-            if (store.name === name) {
-                exists = true;
-            }
-        });
-        return exists;
-    }
-
-    this.$get = function($mmDB) {
+    this.$get = function($rootScope, $window, $timeout, $mmDB, $mmEvents, $cordovaNetwork, mmCoreEventNetworkChange) {
 
         var db = $mmDB.getDB(DBNAME, dbschema),
-            self = {};
-
+            self = {},
+            online;
 
         /**
          * Returns whether the current window supports child browsers.
@@ -125,6 +108,82 @@ angular.module('mm.core')
             return dbschema;
         };
 
+        /**
+         * Check if the device is online.
+         *
+         * When the network plugin isn't available, like in a browser, navigator.onLine is used instead.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmApp#isOnline
+         * @return {Boolean} True if the device is online, false otherwise.
+         */
+        self.isOnline = function() {
+            try {
+                return $cordovaNetwork.isOnline();
+            } catch(err) {
+                return $window.navigator.onLine !== false;
+            }
+        };
+
+        /**
+         * Check if the device is using a WiFi (or wired) connection, so big downloads won't be charged.
+         *
+         * Browsers don't tell the type of connection, we consider they are never metered.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmApp#isWifi
+         * @return {Boolean} True if the device is connected to a WiFi or wired network, false otherwise.
+         */
+        self.isWifi = function() {
+            try {
+                var type = $cordovaNetwork.getNetwork();
+                return type === Connection.WIFI || type === Connection.ETHERNET;
+            } catch(err) {
+                return self.isOnline();
+            }
+        };
+
+        /**
+         * Listen to the changes in the network status. It's a shortcut to listen to mmCoreEventNetworkChange,
+         * see $mmEvents#on.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmApp#onNetworkChange
+         * @param  {Function} callback Function to call when the device goes online or offline. It receives a boolean
+         *                             indicating if the device is online.
+         * @param  {Object}   scope    Scope the listener belongs to, it's removed when the scope is destroyed. Optional.
+         * @return {Object}            Observer. Call its function off() to stop listening.
+         */
+        self.onNetworkChange = function(callback, scope) {
+            return $mmEvents.on(mmCoreEventNetworkChange, callback, scope);
+        };
+
+        /**
+         * Notify the listeners if the network status has changed since the last check.
+         *
+         * Both the network plugin and the browser can fire the events, so we don't notify the same status twice.
+         */
+        function checkNetworkStatus() {
+            var isOnline = self.isOnline();
+            if (isOnline !== online) {
+                online = isOnline;
+                $mmEvents.trigger(mmCoreEventNetworkChange, online);
+            }
+        }
+
+        online = self.isOnline();
+        $rootScope.$on('$cordovaNetwork:online', checkNetworkStatus);
+        $rootScope.$on('$cordovaNetwork:offline', checkNetworkStatus);
+        $window.addEventListener('online', function() {
+            $timeout(checkNetworkStatus);
+        }, false);
+        $window.addEventListener('offline', function() {
+            $timeout(checkNetworkStatus);
+        }, false);
+
         return self;
     }
 });
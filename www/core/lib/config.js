@@ -15,6 +15,7 @@
 angular.module('mm.core')
 
 .constant('mmCoreConfigStore', 'config')
+.constant('mmCoreConfigTypes', ['boolean', 'number', 'string', 'object', 'array'])
 
 .config(function($mmAppProvider, mmCoreConfigStore) {
     var stores = [
@@ -27,156 +28,351 @@ angular.module('mm.core')
 })
 
 /**
- * Factory to provide access to app config and settings. It should not be abused into a temporary storage.
+ * Provider to give access to app config and settings. It should not be abused into a temporary storage.
  *
  * @module mm.core
- * @ngdoc service
+ * @ngdoc provider
  * @name $mmConfig
  * @description
- * Provides access to the app settings.
+ * Provides access to the app settings. The values in config.json are static, they cannot be changed. The rest of
+ * settings are stored in the app database.
+ *
+ * The settings stored in the database should be declared with their type and default value, so they can be
+ * validated when they're set. The default value is returned when the setting hasn't been set:
+ *
+ * .config(function($mmConfigProvider) {
+ *     $mmConfigProvider.registerSetting('mma_myaddon_enabled', {
+ *         type: 'boolean',
+ *         default: true
+ *     });
+ * })
+ *
+ * The code interested in a setting can be notified when it changes:
+ *
+ * $mmConfig.watch('mma_myaddon_enabled', function(enabled) {
+ *     // Do something.
+ * }, $scope);
  */
-.factory('$mmConfig', function($http, $q, $log, $mmApp, mmCoreConfigStore) {
+.provider('$mmConfig', function(mmCoreConfigTypes) {
 
-    $log = $log.getInstance('$mmConfig');
+    var settings = {};
 
-    var initialized = false,
-        self = {
-            config: {}
-        };
+    /**
+     * Get the type of a value, as declared in the settings.
+     *
+     * @param  {Mixed} value The value.
+     * @return {String}      The type.
+     */
+    function getType(value) {
+        if (angular.isArray(value)) {
+            return 'array';
+        } else if (value === null) {
+            return 'null';
+        }
+        return typeof(value);
+    }
+
+    /**
+     * Declare a setting stored in the app database.
+     *
+     * Throws an error if the definition is not valid or the setting is already declared with a different one.
+     *
+     * @param  {String} name       Name of the setting.
+     * @param  {Object} definition Definition of the setting:
+     *                                 - type String Type of the values: boolean, number, string, object or array.
+     *                                 - default Mixed Value returned when the setting is not set. Optional.
+     * @return {Boolean}           True if the setting was declared, false if it was already declared.
+     */
+    this.registerSetting = function(name, definition) {
+        definition = definition || {};
+
+        if (!name) {
+            throw new Error('Setting name is undefined.');
+        } else if (mmCoreConfigTypes.indexOf(definition.type) == -1) {
+            throw new Error('Setting ' + name + ' has an invalid type: ' + definition.type + '.');
+        } else if (typeof(definition.default) !== 'undefined' && getType(definition.default) !== definition.type) {
+            throw new Error('The default value of setting ' + name + ' is not of type ' + definition.type + '.');
+        }
 
-    function init() {
-        var deferred = $q.defer();
+        definition = {
+            type: definition.type,
+            default: angular.copy(definition.default)
+        };
 
-        $http.get('config.json').then(function(response) {
-            var data = response.data;
-            for (var name in data) {
-                self.config[name] = data[name];
+        if (settings[name]) {
+            if (angular.equals(settings[name], definition)) {
+                return false;
             }
-            initialized = true;
-            deferred.resolve();
-        }, deferred.reject);
+            throw new Error('Setting ' + name + ' is already defined with a different definition.');
+        }
 
-        return deferred.promise;
+        settings[name] = definition;
+        return true;
     };
 
     /**
-     * Get an app setting.
+     * Declare several settings stored in the app database.
      *
-     * @module mm.core
-     * @ngdoc method
-     * @name $mmConfig#get
-     * @param {String} name The config name.
-     * @return {Promise}    Resolves upon success along with the config data. Reject on failure.
-     * @description
-     * Get an app setting.
+     * @param {Object} definitions Definition of each setting, indexed by name. See $mmConfigProvider#registerSetting.
      */
-    self.get = function(name) {
+    this.registerSettings = function(definitions) {
+        var self = this;
+        angular.forEach(definitions, function(definition, name) {
+            self.registerSetting(name, definition);
+        });
+    };
 
-        if (!initialized) {
-            return init().then(function() {
-                return getConfig(name);
-            }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
-            });
-        }
+    this.$get = function($http, $q, $log, $mmApp, $mmEvents, mmCoreConfigStore, mmCoreEventConfigChanged) {
 
-        return getConfig(name);
+        $log = $log.getInstance('$mmConfig');
 
-        function getConfig(name) {
-            var deferred = $q.defer(),
-                value = self.config[name];
-
-            if (typeof(value) == 'undefined') {
-                $mmApp.getDB().get(mmCoreConfigStore, name).then(function(entry) {
-                    deferred.resolve(entry.value);
-                }, deferred.reject);
-            } else {
-                deferred.resolve(value);
-            }
+        var initialized = false,
+            self = {
+                config: {}
+            };
+
+        function init() {
+            var deferred = $q.defer();
+
+            $http.get('config.json').then(function(response) {
+                var data = response.data;
+                for (var name in data) {
+                    self.config[name] = data[name];
+                }
+                initialized = true;
+                deferred.resolve();
+            }, deferred.reject);
 
             return deferred.promise;
+        };
+
+        /**
+         * Run a function once the static config has been read.
+         *
+         * @param  {Function} fn Function to run. It receives the rest of arguments.
+         * @return {Promise}     Promise resolved with the result of the function.
+         */
+        function whenInitialized(fn) {
+            var args = Array.prototype.slice.call(arguments, 1);
+
+            if (!initialized) {
+                return init().then(function() {
+                    return fn.apply(null, args);
+                }, function() {
+                    $log.error('Failed to initialize $mmConfig.');
+                    return $q.reject();
+                });
+            }
+
+            return $q.when(fn.apply(null, args));
         }
-    };
 
-    /**
-     * Set an app setting.
-     *
-     * @module mm.core
-     * @ngdoc service
-     * @name $mmConfig#set
-     * @param {String} name The config name.
-     * @param {Mixed} value The config value.
-     * @return {Promise}    Promise which resolves on success, providing no data.
-     * @description
-     * Set an app setting.
-     */
-    self.set = function(name, value) {
+        /**
+         * Reject the change of a static setting.
+         *
+         * @param  {String} name The config name.
+         * @return {Promise}     Promise rejected with the error.
+         */
+        function rejectStaticChange(name) {
+            var error = new Error('Cannot change static config setting \'' + name + '\', it is set in config.json.');
+            $log.error(error.message);
+            return $q.reject(error);
+        }
+
+        /**
+         * Notify the watchers of a setting that its value changed.
+         *
+         * @param {String} name  The config name.
+         * @param {Mixed}  value The new value.
+         */
+        function notifyChange(name, value) {
+            $mmEvents.trigger(mmCoreEventConfigChanged, {name: name, value: angular.copy(value)});
+        }
+
+        /**
+         * Get the default value of a setting.
+         *
+         * @param  {String} name The config name.
+         * @return {Mixed}       Default value, undefined if the setting has no default value.
+         */
+        function getDefault(name) {
+            return settings[name] ? angular.copy(settings[name].default) : undefined;
+        }
+
+        function getConfig(name) {
+            var value = self.config[name];
+
+            if (typeof(value) != 'undefined') {
+                return value;
+            }
 
-        if (!initialized) {
-            return init().then(function() {
-                return setConfig(name, value);
+            return $mmApp.getDB().get(mmCoreConfigStore, name).then(function(entry) {
+                return entry.value;
             }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
+                var value = getDefault(name);
+                return typeof(value) != 'undefined' ? value : $q.reject();
             });
         }
 
-        return setConfig(name, value);
-
         function setConfig(name, value) {
-            var deferred,
-                fromStatic = self.config[name];
+            var type, error;
 
-            if (typeof(fromStatic) === 'undefined') {
-                return $mmApp.getDB().insert(mmCoreConfigStore, {name: name, value: value});
+            if (typeof(self.config[name]) !== 'undefined') {
+                return rejectStaticChange(name);
             }
 
-            $log.error('Cannot save static config setting \'' + name + '\'.');
-            deferred = $q.defer()
-            deferred.reject();
-            return deferred.promise;
+            type = getType(value);
+            if (settings[name] && type !== settings[name].type) {
+                error = new Error('Config setting \'' + name + '\' must be of type ' + settings[name].type +
+                        ', got ' + type + '.');
+                $log.error(error.message);
+                return $q.reject(error);
+            }
+
+            return $mmApp.getDB().insert(mmCoreConfigStore, {name: name, value: value}).then(function(result) {
+                notifyChange(name, value);
+                return result;
+            });
         }
-    };
 
-    /**
-     * Deletes an app setting.
-     *
-     * @module mm.core
-     * @ngdoc method
-     * @name $mmConfig#delete
-     * @param {String} name The config name.
-     * @return {Promise}    Promise which resolves on success, providing no data.
-     * @description
-     * Delete an app setting.
-     */
-    self.delete = function(name) {
+        function deleteConfig(name) {
+            if (typeof(self.config[name]) !== 'undefined') {
+                return rejectStaticChange(name);
+            }
 
-        if (!initialized) {
-            return init().then(function() {
-                return deleteConfig(name);
-            }, function() {
-                $log.error('Failed to initialize $mmConfig.');
-                return $q.reject();
+            return $mmApp.getDB().remove(mmCoreConfigStore, name).then(function(result) {
+                notifyChange(name, getDefault(name));
+                return result;
             });
         }
 
-        return deleteConfig(name);
+        function getAllConfig() {
+            return $mmApp.getDB().getAll(mmCoreConfigStore).then(function(entries) {
+                var result = {};
 
-        function deleteConfig(name) {
-            var deferred,
-                fromStatic = self.config[name];
-
-            if (typeof(fromStatic) === 'undefined') {
-                return $mmApp.getDB().remove(mmCoreConfigStore, name);
-            }
+                angular.forEach(settings, function(definition, name) {
+                    if (typeof(definition.default) !== 'undefined') {
+                        result[name] = angular.copy(definition.default);
+                    }
+                });
+                angular.forEach(entries, function(entry) {
+                    result[entry.name] = entry.value;
+                });
+                angular.forEach(self.config, function(value, name) {
+                    result[name] = angular.copy(value);
+                });
 
-            $log.error('Cannot delete static config setting \'' + name + '\'.');
-            deferred = $q.defer()
-            deferred.reject();
-            return deferred.promise;
+                return result;
+            });
         }
-    };
 
-    return self;
+        /**
+         * Get an app setting.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#get
+         * @param {String} name The config name.
+         * @return {Promise}    Resolves upon success along with the config data. Reject on failure.
+         * @description
+         * Get an app setting. If it's not set, the default value of the setting is returned if it has one.
+         */
+        self.get = function(name) {
+            return whenInitialized(getConfig, name);
+        };
+
+        /**
+         * Get all the app settings: the static ones, the ones stored and the default values of the rest.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#getAll
+         * @return {Promise} Promise resolved with an object with the value of each setting, indexed by name.
+         */
+        self.getAll = function() {
+            return whenInitialized(getAllConfig);
+        };
+
+        /**
+         * Check if a setting is static, set in config.json. Static settings cannot be changed.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#isStatic
+         * @param {String} name The config name.
+         * @return {Promise}    Promise resolved with true if the setting is static, false otherwise.
+         */
+        self.isStatic = function(name) {
+            return whenInitialized(function() {
+                return typeof(self.config[name]) !== 'undefined';
+            });
+        };
+
+        /**
+         * Get the declared type of a setting.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#getType
+         * @param {String} name The config name.
+         * @return {String}     The type: boolean, number, string, object or array. Undefined if it's not declared.
+         */
+        self.getType = function(name) {
+            return settings[name] ? settings[name].type : undefined;
+        };
+
+        /**
+         * Set an app setting.
+         *
+         * @module mm.core
+         * @ngdoc service
+         * @name $mmConfig#set
+         * @param {String} name The config name.
+         * @param {Mixed} value The config value.
+         * @return {Promise}    Promise which resolves on success, providing no data.
+         * @description
+         * Set an app setting. The promise is rejected with an error if the setting is static (set in config.json),
+         * or if the value is not of the type declared for the setting.
+         */
+        self.set = function(name, value) {
+            return whenInitialized(setConfig, name, value);
+        };
+
+        /**
+         * Deletes an app setting.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#delete
+         * @param {String} name The config name.
+         * @return {Promise}    Promise which resolves on success, providing no data.
+         * @description
+         * Delete an app setting. The promise is rejected with an error if the setting is static (set in config.json).
+         * The watchers receive the default value of the setting.
+         */
+        self.delete = function(name) {
+            return whenInitialized(deleteConfig, name);
+        };
+
+        /**
+         * Watch the changes of an app setting.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmConfig#watch
+         * @param  {String}   name     The config name.
+         * @param  {Function} callback Function to call when the setting changes. It receives the new value.
+         * @param  {Object}   scope    Scope the watcher belongs to, it's removed when the scope is destroyed. Optional.
+         * @return {Object}            Observer. Call its function off() to stop watching the setting.
+         */
+        self.watch = function(name, callback, scope) {
+            return $mmEvents.on(mmCoreEventConfigChanged, function(data) {
+                if (data.name === name) {
+                    callback(data.value);
+                }
+            }, scope);
+        };
+
+        return self;
+    };
 });
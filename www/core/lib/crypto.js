@@ -0,0 +1,444 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+angular.module('mm.core')
+
+.constant('mmCoreCryptoSecretKey', 'mm_crypto_secret')
+.constant('mmCoreCryptoDataKey', 'mm_crypto_data_key')
+.constant('mmCoreCryptoIterations', 100000)
+
+/**
+ * Service to encrypt and decrypt data using the Web Cryptography API.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmCrypto
+ * @description
+ * The data is encrypted with AES-GCM using a random data key. The data key is stored in the localStorage of the app,
+ * encrypted with a key derived with PBKDF2 from a secret: a random device secret generated the first time it's
+ * needed, or the PIN set with $mmCrypto#setPin. Changing the secret only encrypts the data key again, the data
+ * encrypted before can still be decrypted.
+ *
+ * IMPORTANT: The device secret is stored in the localStorage, next to the databases. It does NOT protect the data at
+ * rest: anyone who can read the files of the app can decrypt it. Only a PIN, which is never stored, protects it.
+ * When a PIN is set the data is locked every time the app starts, the user is asked for the PIN to unlock it. The
+ * calls to encrypt or decrypt wait until the data is unlocked, see $mmCrypto#unlock. If the user doesn't remember the
+ * PIN the sites are deleted and a new data key is created, see $mmCrypto#reset.
+ */
+.factory('$mmCrypto', function($q, $log, $window, mmCoreCryptoSecretKey, mmCoreCryptoDataKey, mmCoreCryptoIterations) {
+
+    $log = $log.getInstance('$mmCrypto');
+
+    var self = {},
+        keyPromise,
+        unlockDeferred;
+
+    /**
+     * Check if the device supports encryption.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#isAvailable
+     * @return {Boolean} True if the data can be encrypted, false otherwise.
+     */
+    self.isAvailable = function() {
+        var crypto = $window.crypto;
+        return !!(crypto && crypto.subtle && crypto.getRandomValues && $window.TextEncoder && $window.TextDecoder);
+    };
+
+    /**
+     * Check if the data key is protected with a PIN.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#hasPin
+     * @return {Boolean} True if a PIN is set, false if the device secret is used.
+     */
+    self.hasPin = function() {
+        var stored = getStoredDataKey();
+        return !!(stored && stored.pin);
+    };
+
+    /**
+     * Check if the data is locked: a PIN is set and it hasn't been entered since the app started.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#isLocked
+     * @return {Boolean} True if the data is locked, false otherwise.
+     */
+    self.isLocked = function() {
+        return self.isAvailable() && self.hasPin() && !keyPromise;
+    };
+
+    /**
+     * Unlock the data with the PIN. The pending calls to encrypt or decrypt continue once it's unlocked.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#unlock
+     * @param  {String} pin The PIN.
+     * @return {Promise}    Promise resolved when the data is unlocked. Rejected if the PIN is not correct.
+     */
+    self.unlock = function(pin) {
+        if (!self.isLocked()) {
+            return $q.when();
+        }
+
+        return unwrapKey(getStoredDataKey(), pin).then(function(key) {
+            $log.debug('Data unlocked.');
+            keyPromise = $q.when(key);
+            if (unlockDeferred) {
+                unlockDeferred.resolve(key);
+                unlockDeferred = undefined;
+            }
+        }, function() {
+            $log.debug('Wrong PIN, the data is still locked.');
+            return $q.reject();
+        });
+    };
+
+    /**
+     * Set the PIN that protects the data key, or go back to the device secret. The data key is encrypted again with
+     * the new secret, so the data stored before can still be decrypted. The data must be unlocked.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#setPin
+     * @param  {String} newPin The PIN. Undefined to use the device secret again.
+     * @return {Promise}       Promise resolved when the PIN is set. Rejected if the data is locked.
+     */
+    self.setPin = function(newPin) {
+        if (self.isLocked()) {
+            return $q.reject();
+        }
+
+        return getKey().then(function(key) {
+            return wrapKey(key, newPin);
+        }).then(function() {
+            $log.debug(newPin ? 'PIN set.' : 'PIN removed, using the device secret.');
+        });
+    };
+
+    /**
+     * Forget the data key and create a new one, e.g. when the user doesn't remember the PIN. The data encrypted
+     * before can't be decrypted anymore, it should be deleted. The pending calls to encrypt or decrypt continue with
+     * the new key.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#reset
+     * @return {Promise} Promise resolved when the new key is created.
+     */
+    self.reset = function() {
+        $log.debug('Creating a new data key, the data encrypted before is lost.');
+        $window.localStorage.removeItem(mmCoreCryptoDataKey);
+        keyPromise = undefined;
+
+        return getKey().then(function(key) {
+            if (unlockDeferred) {
+                unlockDeferred.resolve(key);
+                unlockDeferred = undefined;
+            }
+        });
+    };
+
+    /**
+     * Encrypt a text.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#encrypt
+     * @param  {String} text Text to encrypt.
+     * @return {Promise}     Promise resolved with the encrypted data: an object with the iv and the data, both encoded
+     *                       in base64. Rejected if the text couldn't be encrypted.
+     */
+    self.encrypt = function(text) {
+        return getKey().then(function(key) {
+            var iv = getRandomBytes(12);
+            return $q.when($window.crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, key,
+                    new $window.TextEncoder().encode(text))).then(function(data) {
+                return {
+                    iv: toBase64(iv),
+                    data: toBase64(new Uint8Array(data))
+                };
+            });
+        });
+    };
+
+    /**
+     * Decrypt some data encrypted with $mmCrypto#encrypt.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmCrypto#decrypt
+     * @param  {Object} encrypted Encrypted data.
+     * @return {Promise}          Promise resolved with the decrypted text. Rejected if the data couldn't be decrypted.
+     */
+    self.decrypt = function(encrypted) {
+        return getKey().then(function(key) {
+            return $q.when($window.crypto.subtle.decrypt({name: 'AES-GCM', iv: fromBase64(encrypted.iv)}, key,
+                    fromBase64(encrypted.data))).then(function(data) {
+                return new $window.TextDecoder().decode(new Uint8Array(data));
+            });
+        });
+    };
+
+    /**
+     * Get the data key, creating it the first time. If the data is locked, wait until it's unlocked.
+     *
+     * @return {Promise} Promise resolved with the key.
+     */
+    function getKey() {
+        var stored;
+
+        if (!self.isAvailable()) {
+            return $q.reject();
+        } else if (keyPromise) {
+            return keyPromise;
+        }
+
+        stored = getStoredDataKey();
+        if (stored && stored.pin) {
+            if (!unlockDeferred) {
+                $log.debug('The data is locked, waiting for the PIN.');
+                unlockDeferred = $q.defer();
+            }
+            return unlockDeferred.promise;
+        }
+
+        keyPromise = (stored ? unwrapKey(stored) : createDataKey()).catch(function(error) {
+            $log.error('Error getting the data key: ' + error);
+            keyPromise = undefined;
+            return $q.reject();
+        });
+
+        return keyPromise;
+    }
+
+    /**
+     * Create a random data key and store it encrypted with the device secret.
+     *
+     * @return {Promise} Promise resolved with the key.
+     */
+    function createDataKey() {
+        var subtle = $window.crypto.subtle,
+            params = {name: 'AES-GCM', length: 256};
+
+        return $q.when(subtle.generateKey(params, true, ['encrypt', 'decrypt'])).then(function(key) {
+            return wrapKey(key).then(function() {
+                return key;
+            });
+        });
+    }
+
+    /**
+     * Encrypt the data key with a secret and store it.
+     *
+     * @param  {Object} key Data key.
+     * @param  {String} pin PIN to use as the secret. If not set, use the device secret.
+     * @return {Promise}    Promise resolved when the key is stored.
+     */
+    function wrapKey(key, pin) {
+        var subtle = $window.crypto.subtle,
+            salt = getRandomBytes(16),
+            iv = getRandomBytes(12);
+
+        return $q.all([
+            deriveKey(pin || getStoredValue(mmCoreCryptoSecretKey), salt),
+            $q.when(subtle.exportKey('raw', key))
+        ]).then(function(data) {
+            return $q.when(subtle.encrypt({name: 'AES-GCM', iv: iv}, data[0], data[1]));
+        }).then(function(wrapped) {
+            $window.localStorage.setItem(mmCoreCryptoDataKey, angular.toJson({
+                pin: !!pin,
+                salt: toBase64(salt),
+                iv: toBase64(iv),
+                data: toBase64(new Uint8Array(wrapped))
+            }));
+        });
+    }
+
+    /**
+     * Decrypt the stored data key.
+     *
+     * @param  {Object} stored Stored data key.
+     * @param  {String} pin    PIN the key was encrypted with. If not set, use the device secret.
+     * @return {Promise}       Promise resolved with the key. Rejected if the secret is not correct.
+     */
+    function unwrapKey(stored, pin) {
+        var subtle = $window.crypto.subtle;
+
+        return deriveKey(pin || getStoredValue(mmCoreCryptoSecretKey), fromBase64(stored.salt)).then(function(kek) {
+            return $q.when(subtle.decrypt({name: 'AES-GCM', iv: fromBase64(stored.iv)}, kek, fromBase64(stored.data)));
+        }).then(function(raw) {
+            return $q.when(subtle.importKey('raw', raw, 'AES-GCM', true, ['encrypt', 'decrypt']));
+        });
+    }
+
+    /**
+     * Derive a key from a secret with PBKDF2.
+     *
+     * @param  {String}     secret The secret.
+     * @param  {Uint8Array} salt   Salt.
+     * @return {Promise}           Promise resolved with the key.
+     */
+    function deriveKey(secret, salt) {
+        var subtle = $window.crypto.subtle;
+
+        secret = new $window.TextEncoder().encode(secret);
+        return $q.when(subtle.importKey('raw', secret, 'PBKDF2', false, ['deriveKey'])).then(function(base) {
+            return subtle.deriveKey({
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: mmCoreCryptoIterations,
+                hash: 'SHA-256'
+            }, base, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+        });
+    }
+
+    /**
+     * Get the stored data key.
+     *
+     * @return {Object} Stored data key. Undefined if there's none.
+     */
+    function getStoredDataKey() {
+        try {
+            return angular.fromJson($window.localStorage.getItem(mmCoreCryptoDataKey)) || undefined;
+        } catch(ex) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Get a random value kept in the localStorage, generating it the first time.
+     *
+     * @param  {String} name Name of the value.
+     * @return {String}      The value, encoded in base64.
+     */
+    function getStoredValue(name) {
+        var value = $window.localStorage.getItem(name);
+        if (!value) {
+            value = toBase64(getRandomBytes(32));
+            $window.localStorage.setItem(name, value);
+        }
+        return value;
+    }
+
+    /**
+     * Generate random bytes.
+     *
+     * @param  {Number} length Number of bytes.
+     * @return {Uint8Array}    The bytes.
+     */
+    function getRandomBytes(length) {
+        return $window.crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Encode some bytes in base64.
+     *
+     * @param  {Uint8Array} bytes The bytes.
+     * @return {String}           Base64 string.
+     */
+    function toBase64(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return $window.btoa(binary);
+    }
+
+    /**
+     * Decode a base64 string.
+     *
+     * @param  {String} text Base64 string.
+     * @return {Uint8Array}  The bytes.
+     */
+    function fromBase64(text) {
+        var binary = $window.atob(text),
+            bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    return self;
+})
+
+.run(function($ionicPlatform, $ionicPopup, $translate, $state, $log, $mmCrypto, $mmSitesManager) {
+
+    $log = $log.getInstance('$mmCrypto');
+
+    /**
+     * Ask the user for the PIN until the data is unlocked. If the user cancels, offer to delete the encrypted data.
+     */
+    function askPin() {
+        $translate(['mm.core.enterpin', 'mm.core.wrongpin', 'mm.core.forgotpin', 'mm.core.errorresetdata'])
+                .then(function(strings) {
+            /**
+             * Show the prompt.
+             *
+             * @param {String} error Error to show, if the previous PIN wasn't correct.
+             */
+            function prompt(error) {
+                $ionicPopup.prompt({
+                    title: strings['mm.core.enterpin'],
+                    template: error,
+                    inputType: 'password'
+                }).then(function(pin) {
+                    if (typeof(pin) === 'undefined') {
+                        // Cancelled.
+                        confirmReset();
+                        return;
+                    }
+                    $mmCrypto.unlock(pin).catch(function() {
+                        prompt(strings['mm.core.wrongpin']);
+                    });
+                });
+            }
+
+            /**
+             * Offer to delete the sites and their data and create a new data key. Otherwise, ask for the PIN again.
+             */
+            function confirmReset() {
+                $ionicPopup.confirm({template: strings['mm.core.forgotpin']}).then(function(confirmed) {
+                    if (!confirmed) {
+                        prompt();
+                        return;
+                    }
+
+                    $mmSitesManager.deleteAllSites().then(function() {
+                        return $mmCrypto.reset();
+                    }).then(function() {
+                        $state.go('mm_login.init');
+                    }).catch(function() {
+                        $log.error('Error deleting the encrypted data.');
+                        prompt(strings['mm.core.errorresetdata']);
+                    });
+                });
+            }
+
+            prompt();
+        });
+    }
+
+    $ionicPlatform.ready(function() {
+        if ($mmCrypto.isLocked()) {
+            askPin();
+        }
+    });
+});
@@ -14,261 +14,976 @@
 
 angular.module('mm.core')
 
+.constant('mmCoreDBVersionsStore', 'mm_store_versions')
+.constant('mmCoreDBMaxRecords', 99999999) // ydn.db always needs a limit, this one is used to get all the records.
+.constant('mmCoreDBEncryptedField', 'mm_encrypted')
+
 /**
- * @ngdoc service
+ * @ngdoc provider
  * @name $mmDB
  * @module mm.core
  * @description
  * This service allows to interact with the local database to store and retrieve data.
+ *
+ * The stores are versioned. When the definition of a store changes (keyPath, indexes or the format of its records)
+ * its version must be increased, and a migration must be added for the new version if the existing records need to
+ * be transformed. A migration receives a record stored with the previous version and returns the record to store,
+ * or null to delete it. The migrations are applied when the database is opened, before it can be used. If a store
+ * doesn't define a version it is version 1.
+ *
+ * The fields used to filter or sort the records must be declared as indexes of the store. An index is an object with
+ * its name and, optionally, its keyPath (the field or list of fields it indexes, by default the name), unique and
+ * multiEntry. Adding an index to an existing store also requires increasing its version. E.g. to get the second page
+ * of the newest messages of a store with an index 'timecreated':
+ *
+ * db.query('messages', {index: 'timecreated', order: 'desc', limit: 20, offset: 20});
+ *
+ * The stores with sensitive data, like tokens or WS responses, should be encrypted. The records of an encrypted store
+ * are encrypted with $mmCrypto before storing them, except the primary key and the indexed fields. Encrypting an
+ * existing store doesn't require a new version, the records stored before are read as they are and encrypted the
+ * next time they're stored. If the device doesn't support encryption the records are stored without encrypting them.
+ * If a stored record can't be decrypted the read fails, the records are never skipped.
+ *
+ * Example:
+ *
+ * .config(function($mmSitesFactoryProvider) {
+ *      $mmSitesFactoryProvider.registerStore({
+ *          name: 'courses',
+ *          keyPath: 'courseid', // It used to be 'id'.
+ *          version: 2,
+ *          migrations: {
+ *              2: function(course) {
+ *                  course.courseid = course.id;
+ *                  delete course.id;
+ *                  return course;
+ *              }
+ *          }
+ *      });
+ *  })
  */
-.factory('$mmDB', function($q, $log) {
+.provider('$mmDB', function(mmCoreDBVersionsStore) {
 
-    $log = $log.getInstance('$mmDB');
+    var adapter;
 
-    var self = {};
+    /**
+     * Set the service that stores the data instead of ydn.db, like $mmDBMemoryAdapter. The service must implement
+     * the functions getDB and deleteDB, the DB objects must implement the same API as the ones returned by
+     * $mmDB#getDB.
+     *
+     * @param {String} name Name of the service. Undefined to use ydn.db.
+     */
+    this.setAdapter = function(name) {
+        adapter = name;
+    };
 
     /**
-     * Call a DB simple function.
-     * @param  {Object}  db      DB to use.
-     * @param  {String}  func    Name of the function to call.
-     * @return {Promise}         Promise to be resolved when the operation finishes.
+     * Add a store definition to a schema after validating it. Used by the providers that let other modules register
+     * their stores, like $mmAppProvider#registerStore.
+     *
+     * @param  {Object} schema The schema to add the store to.
+     * @param  {Object} store  The store object definition:
+     *                             - name String Name of the store.
+     *                             - keyPath String Primary key of the records. Optional.
+     *                             - autoIncrement Boolean True to generate the primary key. Optional.
+     *                             - indexes Array Indexes of the store, objects with the name of the field. Optional.
+     *                             - version Number Version of the store definition. Optional, defaults to 1.
+     *                             - migrations Object Functions to migrate a record from the previous version,
+     *                               indexed by the version they migrate to. Optional.
+     *                             - encrypted Boolean True to encrypt the records. Optional.
+     * @return {Boolean}       True if the store was added, false if the same store was already defined.
+     * @throws {Error}         If the definition is not valid, or it conflicts with an already defined store.
      */
-    function callDBFunction(db, func) {
-        var deferred = $q.defer();
+    this.addStore = function(schema, store) {
+        var existing;
 
-        try {
-            if (typeof(db) != 'undefined') {
-                db[func].apply(db, Array.prototype.slice.call(arguments, 2)).then(function(result) {
-                    if (typeof(result) == 'undefined') {
-                        deferred.reject();
-                    } else {
-                        deferred.resolve(result);
-                    }
-                });
-            } else {
-                deferred.reject();
+        if (!angular.isObject(store) || typeof(store.name) !== 'string' || !store.name) {
+            throw new Error('Store name is undefined.');
+        } else if (store.name === mmCoreDBVersionsStore) {
+            throw new Error('Store name ' + store.name + ' is reserved.');
+        }
+
+        validateVersion(store);
+        validateIndexes(store);
+
+        angular.forEach(schema.stores, function(definedStore) {
+            if (definedStore.name === store.name) {
+                existing = definedStore;
+            }
+        });
+
+        if (existing) {
+            if (!angular.equals(getComparableDefinition(existing), getComparableDefinition(store))) {
+                throw new Error('Store ' + store.name + ' is already defined with a different definition.');
             }
-        } catch(ex) {
-            $log.error('Error executing function '+func+' to DB '+db.getName());
-            $log.error(ex.name+': '+ex.message);
-            deferred.reject();
+            return false;
         }
 
-        return deferred.promise;
+        schema.stores.push(store);
+        return true;
+    };
+
+    /**
+     * Get the version of a store definition.
+     *
+     * @param  {Object} store The store object definition.
+     * @return {Number}       Version of the store.
+     */
+    function getStoreVersion(store) {
+        return typeof(store.version) === 'undefined' ? 1 : store.version;
     }
 
     /**
-     * Retrieve the list of entries matching certain conditions.
-     * @param  {Object}  db         DB to use.
-     * @param  {String}  store      Name of the store to get the entries from.
-     * @param  {String}  field_name Name of the field that should match the conditions.
-     * @param  {String}  op         First operator symbol. One of '<', '<=', '=', '>', '>=', '^'.
-     * @param  {String}  value      Value for the first operator.
-     * @param  {String}  op2        Second operator symbol.
-     * @param  {String}  value2     Value for the second operator.
-     * @return {Promise}            Promise to be resolved when the list is retrieved.
+     * Check that the version and migrations of a store definition are valid.
+     *
+     * @param  {Object} store The store object definition.
+     * @throws {Error}        If they are not valid.
      */
-    function callWhere(db, store, field_name, op, value, op2, value2) {
-        var deferred = $q.defer();
-
-        try {
-            if (typeof(db) != 'undefined') {
-                db.from(store).where(field_name, op, value, op2, value2).list().then(function(list) {
-                    deferred.resolve(list);
-                }, function() {
-                    deferred.reject();
-                });
-            } else {
-                deferred.reject();
+    function validateVersion(store) {
+        var version = getStoreVersion(store);
+
+        if (typeof(version) !== 'number' || version < 1 || version % 1 !== 0) {
+            throw new Error('Store ' + store.name + ' has an invalid version: ' + store.version + '.');
+        }
+
+        if (typeof(store.migrations) !== 'undefined' && !angular.isObject(store.migrations)) {
+            throw new Error('The migrations of store ' + store.name + ' must be an object.');
+        }
+
+        angular.forEach(store.migrations, function(migration, migrationVersion) {
+            var number = parseInt(migrationVersion, 10);
+            if (String(number) !== String(migrationVersion) || number < 2 || number > version) {
+                throw new Error('Store ' + store.name + ' has a migration for version ' + migrationVersion +
+                        ', it must be between 2 and ' + version + '.');
+            } else if (!angular.isFunction(migration)) {
+                throw new Error('The migration to version ' + migrationVersion + ' of store ' + store.name +
+                        ' is not a function.');
             }
-        } catch(ex) {
-            $log.error('Error querying db '+db.getName()+'. '+ex.name+': '+ex.message);
-            deferred.reject();
+        });
+    }
+
+    /**
+     * Check that the indexes of a store definition are valid.
+     *
+     * @param  {Object} store The store object definition.
+     * @throws {Error}        If they are not valid.
+     */
+    function validateIndexes(store) {
+        var names = [];
+
+        if (typeof(store.indexes) === 'undefined') {
+            return;
+        } else if (!angular.isArray(store.indexes)) {
+            throw new Error('The indexes of store ' + store.name + ' must be an array.');
         }
 
-        return deferred.promise;
+        angular.forEach(store.indexes, function(index) {
+            if (!angular.isObject(index) || typeof(index.name) !== 'string' || !index.name) {
+                throw new Error('Store ' + store.name + ' has an index without name.');
+            } else if (names.indexOf(index.name) > -1) {
+                throw new Error('Store ' + store.name + ' has more than one index named ' + index.name + '.');
+            } else if (typeof(index.keyPath) !== 'undefined' && typeof(index.keyPath) !== 'string' &&
+                    !angular.isArray(index.keyPath)) {
+                throw new Error('The keyPath of index ' + index.name + ' of store ' + store.name +
+                        ' must be a string or an array.');
+            }
+            names.push(index.name);
+        });
     }
 
     /**
-     * Retrieve the list of entries where a certain field is equal to a certain value.
-     * Important: the field must be an index.
-     * @param  {Object}  db         DB to use.
-     * @param  {String}  store      Name of the store to get the entries from.
-     * @param  {String}  field_name Name of the field to check.
-     * @param  {String}  value      Value the field should be equal to.
-     * @return {Promise}            Promise to be resolved when the list is retrieved.
+     * Get the part of a store definition that is used to tell if two definitions are the same.
+     *
+     * @param  {Object} store The store object definition.
+     * @return {Object}       Definition to compare.
      */
-    function callWhereEqual(db, store, field_name, value) {
-        var deferred = $q.defer();
-
-        try {
-            if (typeof(db) != 'undefined') {
-                db.from(store).where(field_name, '=', value).list().then(function(list) {
-                    deferred.resolve(list);
-                }, function() {
+    function getComparableDefinition(store) {
+        return {
+            name: store.name,
+            keyPath: store.keyPath,
+            autoIncrement: !!store.autoIncrement,
+            indexes: store.indexes || [],
+            version: getStoreVersion(store),
+            encrypted: !!store.encrypted
+        };
+    }
+
+    this.$get = function($q, $log, $injector, $mmCrypto, mmCoreDBMaxRecords, mmCoreDBEncryptedField) {
+
+        $log = $log.getInstance('$mmDB');
+
+        var self = {};
+
+        /**
+         * Call a DB simple function.
+         * @param  {Object}  db      DB to use.
+         * @param  {String}  func    Name of the function to call.
+         * @return {Promise}         Promise to be resolved when the operation finishes.
+         */
+        function callDBFunction(db, func) {
+            var deferred = $q.defer();
+
+            try {
+                if (typeof(db) != 'undefined') {
+                    db[func].apply(db, Array.prototype.slice.call(arguments, 2)).then(function(result) {
+                        if (typeof(result) == 'undefined') {
+                            deferred.reject();
+                        } else {
+                            deferred.resolve(result);
+                        }
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
+                    deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error executing function '+func+' to DB '+db.getName());
+                $log.error(ex.name+': '+ex.message);
+                deferred.reject();
+            }
+
+            return deferred.promise;
+        }
+
+        /**
+         * Retrieve the list of entries matching certain conditions.
+         * @param  {Object}  db         DB to use.
+         * @param  {String}  store      Name of the store to get the entries from.
+         * @param  {String}  field_name Name of the field that should match the conditions.
+         * @param  {String}  op         First operator symbol. One of '<', '<=', '=', '>', '>=', '^'.
+         * @param  {String}  value      Value for the first operator.
+         * @param  {String}  op2        Second operator symbol.
+         * @param  {String}  value2     Value for the second operator.
+         * @return {Promise}            Promise to be resolved when the list is retrieved.
+         */
+        function callWhere(db, store, field_name, op, value, op2, value2) {
+            var deferred = $q.defer();
+
+            try {
+                if (typeof(db) != 'undefined') {
+                    db.from(store).where(field_name, op, value, op2, value2).list().then(function(list) {
+                        deferred.resolve(list);
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
+                    deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error querying db '+db.getName()+'. '+ex.name+': '+ex.message);
+                deferred.reject();
+            }
+
+            return deferred.promise;
+        }
+
+        /**
+         * Retrieve the list of entries where a certain field is equal to a certain value.
+         * Important: the field must be an index.
+         * @param  {Object}  db         DB to use.
+         * @param  {String}  store      Name of the store to get the entries from.
+         * @param  {String}  field_name Name of the field to check.
+         * @param  {String}  value      Value the field should be equal to.
+         * @return {Promise}            Promise to be resolved when the list is retrieved.
+         */
+        function callWhereEqual(db, store, field_name, value) {
+            var deferred = $q.defer();
+
+            try {
+                if (typeof(db) != 'undefined') {
+                    db.from(store).where(field_name, '=', value).list().then(function(list) {
+                        deferred.resolve(list);
+                    }, function() {
+                        deferred.reject();
+                    });
+                } else {
                     deferred.reject();
+                }
+            } catch(ex) {
+                $log.error('Error getting where equal from db '+db.getName()+'. '+ex.name+': '+ex.message);
+                deferred.reject();
+            }
+
+            return deferred.promise;
+        }
+
+        /**
+         * Performs an operation with every entry in a certain store.
+         * @param  {Object}   db       DB to use.
+         * @param  {String}   store    Name of the store to get the entries from.
+         * @param  {Function} callback Function to call with each entry.
+         * @param  {Object}   definition The store object definition, to decrypt the entries. Optional.
+         * @return {Promise}           Promise to be resolved when the the operation has been applied to all entries.
+         */
+        function callEach(db, store, callback, definition) {
+            var deferred = $q.defer();
+
+            callDBFunction(db, 'values', store, undefined, mmCoreDBMaxRecords).then(function(entries) {
+                return decryptRecords(definition, entries);
+            }).then(function(entries) {
+                for (var i = 0; i < entries.length; i++) {
+                    callback(entries[i]);
+                }
+                deferred.resolve();
+            }, function() {
+                deferred.reject();
+            });
+
+            return deferred.promise;
+        };
+
+        /**
+         * Get the top level fields of the records of a store that aren't encrypted: the primary key and the indexes.
+         *
+         * @param  {Object} definition The store object definition.
+         * @return {Array}             Names of the fields.
+         */
+        function getClearFields(definition) {
+            var fields = [];
+
+            function addKeyPath(keyPath) {
+                if (angular.isArray(keyPath)) {
+                    angular.forEach(keyPath, addKeyPath);
+                } else if (keyPath) {
+                    fields.push(keyPath.split('.')[0]);
+                }
+            }
+
+            addKeyPath(definition.keyPath);
+            angular.forEach(definition.indexes, function(index) {
+                addKeyPath(index.keyPath || index.name);
+            });
+
+            return fields;
+        }
+
+        /**
+         * Encrypt a record of a store if the store is encrypted.
+         *
+         * @param  {Object} definition The store object definition. If not set, the record isn't encrypted.
+         * @param  {Object} record     The record.
+         * @return {Promise}           Promise resolved with the record to store.
+         */
+        function encryptRecord(definition, record) {
+            if (!definition || !definition.encrypted || !angular.isObject(record)) {
+                return $q.when(record);
+            } else if (!$mmCrypto.isAvailable()) {
+                $log.warn('Encryption not supported, the records of ' + definition.name + ' are stored as they are.');
+                return $q.when(record);
+            }
+
+            return $mmCrypto.encrypt(angular.toJson(record)).then(function(encrypted) {
+                var stored = {};
+                angular.forEach(getClearFields(definition), function(field) {
+                    if (typeof(record[field]) !== 'undefined') {
+                        stored[field] = record[field];
+                    }
+                });
+                stored[mmCoreDBEncryptedField] = encrypted;
+                return stored;
+            }, function() {
+                $log.error('Error encrypting a record of ' + definition.name);
+                return $q.reject();
+            });
+        }
+
+        /**
+         * Encrypt a list of records of a store if the store is encrypted.
+         *
+         * @param  {Object} definition The store object definition. If not set, the records aren't encrypted.
+         * @param  {Array}  records    The records.
+         * @return {Promise}           Promise resolved with the records to store.
+         */
+        function encryptRecords(definition, records) {
+            return $q.all(records.map(function(record) {
+                return encryptRecord(definition, record);
+            }));
+        }
+
+        /**
+         * Decrypt a stored record. Records that weren't encrypted are returned as they are.
+         *
+         * @param  {Object} definition The store object definition. If not set, the record isn't decrypted.
+         * @param  {Object} record     The stored record.
+         * @return {Promise}           Promise resolved with the record. Rejected if it can't be decrypted.
+         */
+        function decryptRecord(definition, record) {
+            if (!definition || !definition.encrypted || !angular.isObject(record) || !record[mmCoreDBEncryptedField]) {
+                return $q.when(record);
+            }
+
+            return $mmCrypto.decrypt(record[mmCoreDBEncryptedField]).then(function(text) {
+                var decrypted = angular.fromJson(text);
+                // The generated primary keys are only in the stored record.
+                angular.forEach(record, function(value, field) {
+                    if (field !== mmCoreDBEncryptedField) {
+                        decrypted[field] = value;
+                    }
                 });
+                return decrypted;
+            }, function() {
+                $log.error('Error decrypting a record of ' + definition.name);
+                return $q.reject();
+            });
+        }
+
+        /**
+         * Decrypt a list of stored records.
+         *
+         * @param  {Object} definition The store object definition. If not set, the records aren't decrypted.
+         * @param  {Array}  records    The stored records.
+         * @return {Promise}           Promise resolved with the records. Rejected with an error if any of them can't
+         *                             be decrypted, the records are not returned partially.
+         */
+        function decryptRecords(definition, records) {
+            var failed = 0;
+
+            return $q.all(records.map(function(record) {
+                return decryptRecord(definition, record).catch(function() {
+                    failed++;
+                });
+            })).then(function(decrypted) {
+                if (failed) {
+                    return $q.reject(new Error(failed + ' records of store ' + definition.name +
+                            ' cannot be decrypted.'));
+                }
+                return decrypted;
+            });
+        }
+
+        /**
+         * Add a condition to a key range.
+         *
+         * @param  {Object} range Key range to add the condition to.
+         * @param  {String} op    Operator symbol. One of '<', '<=', '=', '>', '>=', '^'.
+         * @param  {Mixed}  value Value for the operator.
+         * @return {Void}
+         * @throws {Error}        If the operator is not valid.
+         */
+        function addKeyRangeCondition(range, op, value) {
+            switch (op) {
+                case '=':
+                    range.lower = value;
+                    range.upper = value;
+                    break;
+                case '<':
+                case '<=':
+                    range.upper = value;
+                    range.upperOpen = op == '<';
+                    break;
+                case '>':
+                case '>=':
+                    range.lower = value;
+                    range.lowerOpen = op == '>';
+                    break;
+                case '^':
+                    range.lower = value;
+                    range.upper = value + '\uffff';
+                    break;
+                default:
+                    throw new Error('Invalid operator ' + op);
+            }
+        }
+
+        /**
+         * Retrieve a list of entries sorted by an index, optionally paginated.
+         * @param  {Object}  db      DB to use.
+         * @param  {String}  store   Name of the store to get the entries from.
+         * @param  {Object}  options Query options. See the query function of the DB object.
+         * @return {Promise}         Promise to be resolved when the list is retrieved.
+         */
+        function callQuery(db, store, options) {
+            var limit, offset, reverse;
+
+            options = options || {};
+            limit = typeof(options.limit) == 'undefined' ? mmCoreDBMaxRecords : options.limit;
+            offset = options.offset || 0;
+            reverse = options.order == 'desc';
+
+            if (options.index) {
+                return callDBFunction(db, 'values', store, options.index, options.range, limit, offset, reverse);
             } else {
-                deferred.reject();
+                return callDBFunction(db, 'values', store, options.range, limit, offset, reverse);
             }
-        } catch(ex) {
-            $log.error('Error getting where equal from db '+db.getName()+'. '+ex.name+': '+ex.message);
-            deferred.reject();
         }
 
-        return deferred.promise;
-    }
+        /**
+         * Remove the entries matching certain conditions.
+         * @param  {Object}  db         DB to use.
+         * @param  {String}  store      Name of the store to remove the entries from.
+         * @param  {String}  field_name Name of the field that should match the conditions. It must be an index.
+         * @param  {String}  op         First operator symbol. One of '<', '<=', '=', '>', '>=', '^'.
+         * @param  {String}  value      Value for the first operator.
+         * @param  {String}  op2        Second operator symbol.
+         * @param  {String}  value2     Value for the second operator.
+         * @return {Promise}            Promise to be resolved when the entries are removed.
+         */
+        function callRemoveWhere(db, store, field_name, op, value, op2, value2) {
+            var range;
 
-    /**
-     * Performs an operation with every entry in a certain store.
-     * @param  {Object}   db       DB to use.
-     * @param  {String}   store    Name of the store to get the entries from.
-     * @param  {Function} callback Function to call with each entry.
-     * @return {Promise}           Promise to be resolved when the the operation has been applied to all entries.
-     */
-    function callEach(db, store, callback) {
-        var deferred = $q.defer();
+            try {
+                range = self.getKeyRange(op, value, op2, value2);
+            } catch(ex) {
+                $log.error('Error removing from db '+db.getName()+'. '+ex.message);
+                return $q.reject();
+            }
+
+            return callDBFunction(db, 'remove', store, field_name, range);
+        }
 
-        callDBFunction(db, 'values', store, undefined, 99999999).then(function(entries) {
-            for (var i = 0; i < entries.length; i++) {
-                callback(entries[i]);
+        /**
+         * Open a ydn.db storage.
+         *
+         * @param  {String} name   DB name.
+         * @param  {Object} schema ydn.db schema.
+         * @return {Object}        ydn.db storage. Undefined if it couldn't be opened.
+         */
+        function createStorage(name, schema) {
+            try {
+                return new ydn.db.Storage(name, schema);
+            } catch(ex) {
+                $log.error('Error opening DB ' + name + '. ' + ex.name + ': ' + ex.message);
             }
-            deferred.resolve();
-        }, function() {
-            deferred.reject();
-        });
+        }
 
-        return deferred.promise;
-    };
+        /**
+         * Get the schema to pass to ydn.db from a DB schema, it doesn't support the versions of the stores.
+         *
+         * @param  {Object} schema DB schema.
+         * @return {Object}        ydn.db schema.
+         */
+        function getStorageSchema(schema) {
+            var storageSchema = {
+                autoSchema: schema.autoSchema,
+                stores: []
+            };
 
-    /**
-     * Create a new database object.
-     *
-     * @module mm.core
-     * @ngdoc method
-     * @name $mmDB#getDB
-     * @param  {String} name   DB name.
-     * @param  {Object} schema DB schema.
-     * @return {Object}        DB.
-     */
-    self.getDB = function(name, schema) {
-        var db = new ydn.db.Storage(name, schema);
+            angular.forEach(schema.stores, function(store) {
+                var storageStore = angular.copy(store);
+                delete storageStore.version;
+                delete storageStore.migrations;
+                delete storageStore.encrypted;
+                storageSchema.stores.push(storageStore);
+            });
+            storageSchema.stores.push({
+                name: mmCoreDBVersionsStore,
+                keyPath: 'name'
+            });
+
+            return storageSchema;
+        }
+
+        /**
+         * Apply the migrations of a store to its records.
+         *
+         * @param  {Object} store   The store object definition.
+         * @param  {Number} version Version the records were stored with.
+         * @param  {Array}  records Records to migrate.
+         * @return {Array}          Migrated records.
+         */
+        function migrateRecords(store, version, records) {
+            var migrations = store.migrations || {},
+                target = getStoreVersion(store);
+
+            for (var v = version + 1; v <= target; v++) {
+                if (migrations[v]) {
+                    records = records.map(migrations[v]).filter(function(record) {
+                        return record !== null && typeof(record) !== 'undefined';
+                    });
+                }
+            }
+
+            return records;
+        }
+
+        /**
+         * Open a DB, migrating the records of the stores whose version is newer than the installed one.
+         *
+         * The records to migrate are read before opening the DB with the new schema, because ydn.db deletes the data of
+         * a store when its keyPath changes.
+         *
+         * @param  {String} name   DB name.
+         * @param  {Object} schema DB schema.
+         * @return {Promise}       Promise resolved with the ydn.db storage when the DB is ready to be used.
+         */
+        function openDB(name, schema) {
+            var storageSchema = getStorageSchema(schema),
+                versionedStores = [],
+                migrated = {},
+                installed = {},
+                storage,
+                promise;
+
+            angular.forEach(schema.stores, function(store) {
+                if (getStoreVersion(store) > 1) {
+                    versionedStores.push(store);
+                }
+            });
+
+            if (!versionedStores.length) {
+                // Nothing to migrate, all the stores are in their first version.
+                return $q.when(createStorage(name, storageSchema));
+            }
+
+            // Open the DB without modifying the existing stores to read the installed versions and the records to
+            // migrate.
+            storage = createStorage(name, {
+                autoSchema: true,
+                stores: [{name: mmCoreDBVersionsStore, keyPath: 'name'}]
+            });
+
+            promise = callDBFunction(storage, 'values', mmCoreDBVersionsStore, undefined, mmCoreDBMaxRecords);
+            return promise.then(function(entries) {
+                angular.forEach(entries, function(entry) {
+                    installed[entry.name] = entry.version;
+                });
+            }).catch(function() {
+                // No versions stored yet, the DB is new or it was created before the stores were versioned.
+            }).then(function() {
+                var promises = [];
+
+                angular.forEach(versionedStores, function(store) {
+                    var from = installed[store.name] || 1,
+                        to = getStoreVersion(store),
+                        stored;
+
+                    if (from > to) {
+                        $log.warn('Store ' + store.name + ' in DB ' + name + ' has version ' + from +
+                                ', newer than the defined version ' + to + '.');
+                    } else if (from < to) {
+                        $log.debug('Migrating store ' + store.name + ' in DB ' + name + ' from version ' + from +
+                                ' to version ' + to + '.');
+                        stored = callDBFunction(storage, 'values', store.name, undefined, mmCoreDBMaxRecords);
+                        promises.push(stored.catch(function() {
+                            // The store doesn't exist yet.
+                            return [];
+                        }).then(function(records) {
+                            return decryptRecords(store, records);
+                        }).then(function(records) {
+                            try {
+                                migrated[store.name] = migrateRecords(store, from, records);
+                            } catch(ex) {
+                                $log.error('Error migrating store ' + store.name + ' in DB ' + name + '. ' + ex);
+                            }
+                        }, function(error) {
+                            // Keep the records as they are, the migration will be tried again next time.
+                            $log.error('Store ' + store.name + ' in DB ' + name + ' cannot be migrated. ' + error);
+                        }));
+                    }
+                });
+
+                return $q.all(promises);
+            }).then(function() {
+                var promises = [];
+
+                if (storage) {
+                    storage.close();
+                }
+                storage = createStorage(name, storageSchema);
+
+                angular.forEach(versionedStores, function(store) {
+                    var records = migrated[store.name];
+                    if (!records) {
+                        return;
+                    }
+
+                    promises.push(encryptRecords(store, records).then(function(encrypted) {
+                        records = encrypted;
+                        return callDBFunction(storage, 'clear', store.name);
+                    }).then(function() {
+                        if (records.length) {
+                            return callDBFunction(storage, 'put', store.name, records);
+                        }
+                    }).then(function() {
+                        return callDBFunction(storage, 'put', mmCoreDBVersionsStore, {
+                            name: store.name,
+                            version: getStoreVersion(store)
+                        });
+                    }).catch(function() {
+                        $log.error('Error storing the migrated records of store ' + store.name + ' in DB ' + name);
+                    }));
+                });
+
+                return $q.all(promises);
+            }).then(function() {
+                return storage;
+            });
+        }
+
+        /**
+         * Create a new database object.
+         *
+         * If some stores need to be migrated, the DB functions wait for the migration to finish.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmDB#getDB
+         * @param  {String} name   DB name.
+         * @param  {Object} schema DB schema. See $mmDBProvider#addStore.
+         * @return {Object}        DB.
+         */
+        self.getDB = function(name, schema) {
+            var db,
+                ready,
+                definitions = {};
+
+            if (adapter) {
+                return $injector.get(adapter).getDB(name, schema);
+            }
+
+            angular.forEach(schema.stores, function(store) {
+                definitions[store.name] = store;
+            });
+
+            ready = openDB(name, schema).then(function(storage) {
+                db = storage;
+            });
 
-        return {
-            /**
-             * Get DB name.
-             *
-             * @return {String} DB name.
-             */
-            getName: function() {
-                return db.getName();
-            },
-            /**
-             * Get an entry from a store.
-             *
-             * @param {String} store Name of the store.
-             * @param {Mixed}  id    Entry's identifier (primary key / keyPath).
-             * @return {Promise}     Promise resolved when the entry is retrieved. Resolve param: DB entry (object).
-             */
-            get: function(store, id) {
-                return callDBFunction(db, 'get', store, id);
-            },
-            /**
-             * Get all the entries from a store.
-             *
-             * @param {String} store Name of the store.
-             * @return {Promise}     Promise resolved when the entries are retrieved. Resolve param: DB entries (array).
-             */
-            getAll: function(store) {
-                return callDBFunction(db, 'values', store, undefined, 99999999);
-            },
-            /**
-             * Count the number of entries in a store.
-             *
-             * @param {String} store Name of the store.
-             * @return {Promise}     Promise resolved when the count is done. Resolve param: number of entries.
-             */
-            count: function(store) {
-                return callDBFunction(db, 'count', store);
-            },
-            /**
-             * Add an entry to a store.
-             *
-             * @param {String} store Name of the store.
-             * @param {Object} value Object to store. Primary key (keyPath) is required.
-             * @return {Promise}     Promise resolved when the entry is inserted. Resolve param: new entry's primary key.
-             */
-            insert: function(store, value) {
-                return callDBFunction(db, 'put', store, value);
-            },
-            /**
-             * Removes an entry from a store.
-             *
-             * @param {String} store Name of the store.
-             * @param {Mixed}  id    Entry's identifier (primary key / keyPath).
-             * @return {Promise}     Promise resolved when the entry is deleted. Resolve param: number of entries deleted.
-             */
-            remove: function(store, id) {
-                return callDBFunction(db, 'remove', store, id);
-            },
-            /**
-             * Get the entries where a field match certain conditions.
-             *
-             * @param {String} store      Name of the store.
-             * @param {String} field_name Name of the field to match.
-             * @param {String} op         First operator to apply to the field. <, <=, =, >, >=, ^ (start with).
-             * @param {Mixed}  value      Value to compare using the first operator.
-             * @param {String} op2        Second operator to apply to the field. Optional.
-             * @param {Mixed}  value2     Value to compare using the second operator. Optional.
-             * @return {Promise}          Promise resolved when the entries are retrieved. Resolve param: entries (array).
-             */
-            where: function(store, field_name, op, value, op2, value2) {
-                return callWhere(db, store, field_name, op, value, op2, value2);
-            },
             /**
-             * Get the entries where a field is equal to a certain value.
+             * Call a DB function once the DB is ready. The DB is passed as the first parameter.
              *
-             * @param {String} store      Name of the store.
-             * @param {String} field_name Name of the field to match.
-             * @param {Mixed}  value      Value to compare to the field.
-             * @return {Promise}          Promise resolved when the entries are retrieved. Resolve param: entries (array).
+             * @param  {Function} func Function to call.
+             * @return {Promise}       Promise returned by the function.
              */
-            whereEqual: function(store, field_name, value) {
-                return callWhereEqual(db, store, field_name, value);
-            },
+            function whenReady(func) {
+                var args = Array.prototype.slice.call(arguments, 1);
+                return ready.then(function() {
+                    return func.apply(null, [db].concat(args));
+                });
+            }
+
             /**
-             * Call a function with each of the entries from a store.
+             * Get a function to decrypt the result of a DB function, an entry or a list of entries of a store.
              *
-             * @param {String} store      Name of the store.
-             * @param {Function} callback Function to call with each entry.
-             * @return {Promise}          Promise resolved when the function is called for all entries. No resolve params.
+             * @param  {String} store Name of the store.
+             * @return {Function}     Function that receives the result and returns a promise resolved with it
+             *                        decrypted.
              */
-            each: function(store, callback) {
-                return callEach(db, store, callback);
-            },
-            /**
-             * Close the database.
-             */
-            close: function() {
-                db.close();
-                db = undefined;
+            function decryptResult(store) {
+                return function(result) {
+                    if (angular.isArray(result)) {
+                        return decryptRecords(definitions[store], result);
+                    }
+                    return decryptRecord(definitions[store], result);
+                };
             }
+
+            return {
+                /**
+                 * Get DB name.
+                 *
+                 * @return {String} DB name.
+                 */
+                getName: function() {
+                    return name;
+                },
+                /**
+                 * Get an entry from a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @param {Mixed}  id    Entry's identifier (primary key / keyPath).
+                 * @return {Promise}     Promise resolved when the entry is retrieved. Resolve param: DB entry (object).
+                 */
+                get: function(store, id) {
+                    return whenReady(callDBFunction, 'get', store, id).then(decryptResult(store));
+                },
+                /**
+                 * Get all the entries from a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @return {Promise}     Promise resolved when the entries are retrieved. Resolve param: DB entries (array).
+                 */
+                getAll: function(store) {
+                    return whenReady(callDBFunction, 'values', store, undefined, mmCoreDBMaxRecords)
+                            .then(decryptResult(store));
+                },
+                /**
+                 * Get the primary keys of all the entries from a store. The entries aren't read, so the keys of
+                 * an encrypted store can be retrieved while the data is locked.
+                 *
+                 * @param {String} store Name of the store.
+                 * @return {Promise}     Promise resolved when the keys are retrieved. Resolve param: keys (array).
+                 */
+                keys: function(store) {
+                    return whenReady(callDBFunction, 'keys', store, undefined, mmCoreDBMaxRecords);
+                },
+                /**
+                 * Count the number of entries in a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @return {Promise}     Promise resolved when the count is done. Resolve param: number of entries.
+                 */
+                count: function(store) {
+                    return whenReady(callDBFunction, 'count', store);
+                },
+                /**
+                 * Add an entry to a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @param {Object} value Object to store. Primary key (keyPath) is required.
+                 * @return {Promise}     Promise resolved when the entry is inserted. Resolve param: new entry's primary key.
+                 */
+                insert: function(store, value) {
+                    return encryptRecord(definitions[store], value).then(function(record) {
+                        return whenReady(callDBFunction, 'put', store, record);
+                    });
+                },
+                /**
+                 * Removes an entry from a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @param {Mixed}  id    Entry's identifier (primary key / keyPath).
+                 * @return {Promise}     Promise resolved when the entry is deleted. Resolve param: number of entries deleted.
+                 */
+                remove: function(store, id) {
+                    return whenReady(callDBFunction, 'remove', store, id);
+                },
+                /**
+                 * Get the entries where a field match certain conditions.
+                 *
+                 * @param {String} store      Name of the store.
+                 * @param {String} field_name Name of the field to match.
+                 * @param {String} op         First operator to apply to the field. <, <=, =, >, >=, ^ (start with).
+                 * @param {Mixed}  value      Value to compare using the first operator.
+                 * @param {String} op2        Second operator to apply to the field. Optional.
+                 * @param {Mixed}  value2     Value to compare using the second operator. Optional.
+                 * @return {Promise}          Promise resolved when the entries are retrieved. Resolve param: entries (array).
+                 */
+                where: function(store, field_name, op, value, op2, value2) {
+                    return whenReady(callWhere, store, field_name, op, value, op2, value2).then(decryptResult(store));
+                },
+                /**
+                 * Get the entries where a field is equal to a certain value.
+                 *
+                 * @param {String} store      Name of the store.
+                 * @param {String} field_name Name of the field to match.
+                 * @param {Mixed}  value      Value to compare to the field.
+                 * @return {Promise}          Promise resolved when the entries are retrieved. Resolve param: entries (array).
+                 */
+                whereEqual: function(store, field_name, value) {
+                    return whenReady(callWhereEqual, store, field_name, value).then(decryptResult(store));
+                },
+                /**
+                 * Call a function with each of the entries from a store.
+                 *
+                 * @param {String} store      Name of the store.
+                 * @param {Function} callback Function to call with each entry.
+                 * @return {Promise}          Promise resolved when the function is called for all entries. No resolve params.
+                 */
+                each: function(store, callback) {
+                    return whenReady(callEach, store, callback, definitions[store]);
+                },
+                /**
+                 * Get the entries from a store sorted by an index, optionally filtered by a key range and paginated.
+                 *
+                 * @param {String} store   Name of the store.
+                 * @param {Object} options Query options. All of them are optional:
+                 *                             - index String Name of the index to sort and filter by. By default,
+                 *                               the primary key.
+                 *                             - range Object Key range the index must be in: lower, upper,
+                 *                               lowerOpen and upperOpen. By default, all the entries.
+                 *                             - order String 'asc' or 'desc'. Defaults to 'asc'.
+                 *                             - limit Number Max number of entries to return. By default, all.
+                 *                             - offset Number Number of entries to skip. Defaults to 0.
+                 * @return {Promise}       Promise resolved when the entries are retrieved. Resolve param: entries.
+                 */
+                query: function(store, options) {
+                    return whenReady(callQuery, store, options).then(decryptResult(store));
+                },
+                /**
+                 * Add or replace several entries in a store at once.
+                 *
+                 * @param {String} store  Name of the store.
+                 * @param {Array}  values Objects to store. Primary key (keyPath) is required.
+                 * @return {Promise}      Promise resolved when the entries are inserted. Resolve param: primary keys.
+                 */
+                insertMany: function(store, values) {
+                    if (!values || !values.length) {
+                        return $q.when([]);
+                    }
+                    return encryptRecords(definitions[store], values).then(function(records) {
+                        return whenReady(callDBFunction, 'put', store, records);
+                    });
+                },
+                /**
+                 * Remove the entries where a field match certain conditions. The field must be an index.
+                 *
+                 * @param {String} store      Name of the store.
+                 * @param {String} field_name Name of the field to match.
+                 * @param {String} op         First operator to apply to the field. <, <=, =, >, >=, ^ (start with).
+                 * @param {Mixed}  value      Value to compare using the first operator.
+                 * @param {String} op2        Second operator to apply to the field. Optional.
+                 * @param {Mixed}  value2     Value to compare using the second operator. Optional.
+                 * @return {Promise}          Promise resolved when the entries are deleted. Resolve param: number of
+                 *                            entries deleted.
+                 */
+                removeWhere: function(store, field_name, op, value, op2, value2) {
+                    return whenReady(callRemoveWhere, store, field_name, op, value, op2, value2);
+                },
+                /**
+                 * Remove all the entries from a store.
+                 *
+                 * @param {String} store Name of the store.
+                 * @return {Promise}     Promise resolved when the entries are deleted.
+                 */
+                clear: function(store) {
+                    return whenReady(callDBFunction, 'clear', store);
+                },
+                /**
+                 * Close the database.
+                 */
+                close: function() {
+                    ready.then(function() {
+                        if (db) {
+                            db.close();
+                            db = undefined;
+                        }
+                    });
+                }
+            };
         };
-    };
 
-    /**
-     * Delete a DB.
-     *
-     * @module mm.core
-     * @ngdoc method
-     * @name $mmDB#deleteDB
-     * @param  {String} name   DB name.
-     * @return {Promise}       Promise to be resolved when the site DB is deleted.
-     */
-    self.deleteDB = function(name) {
-        return ydn.db.deleteDatabase(name);
-    };
+        /**
+         * Delete a DB.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmDB#deleteDB
+         * @param  {String} name   DB name.
+         * @return {Promise}       Promise to be resolved when the site DB is deleted.
+         */
+        self.deleteDB = function(name) {
+            if (adapter) {
+                return $injector.get(adapter).deleteDB(name);
+            }
+            return ydn.db.deleteDatabase(name);
+        };
 
-    return self;
+        /**
+         * Get the key range matching the conditions of a where, like the ones used by the function where of the
+         * DB objects.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmDB#getKeyRange
+         * @param  {String} op     First operator symbol. One of '<', '<=', '=', '>', '>=', '^'.
+         * @param  {Mixed}  value  Value for the first operator.
+         * @param  {String} op2    Second operator symbol. Optional.
+         * @param  {Mixed}  value2 Value for the second operator. Optional.
+         * @return {Object}        Key range: lower, upper, lowerOpen and upperOpen.
+         * @throws {Error}         If an operator is not valid.
+         */
+        self.getKeyRange = function(op, value, op2, value2) {
+            var range = {};
 
+            addKeyRangeCondition(range, op, value);
+            if (op2) {
+                addKeyRangeCondition(range, op2, value2);
+            }
+
+            return range;
+        };
+
+        return self;
+    };
 });
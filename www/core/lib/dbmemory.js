@@ -0,0 +1,464 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+angular.module('mm.core')
+
+/**
+ * DB adapter that keeps the data in memory, it doesn't depend on ydn.db nor on the storage of the browser.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmDBMemoryAdapter
+ * @description
+ * The data is lost when the app is closed, it's meant for unit tests and for browsers without IndexedDB nor WebSQL.
+ * To use it instead of ydn.db:
+ *
+ * .config(function($mmDBProvider) {
+ *     $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+ * })
+ *
+ * The DB objects implement the same API as the ones returned by $mmDB#getDB. The records are copied when they are
+ * stored and retrieved, like in IndexedDB. The versions of the stores aren't tracked and the migrations are never
+ * applied, because the data doesn't survive an update of the app. For the same reason, the encrypted stores aren't
+ * encrypted.
+ */
+.factory('$mmDBMemoryAdapter', function($q, $log, $mmDB, mmCoreDBMaxRecords) {
+
+    $log = $log.getInstance('$mmDBMemoryAdapter');
+
+    var self = {},
+        databases = {},
+        keyTypes = ['number', 'date', 'string', 'array'];
+
+    /**
+     * Get the type of a key, as ordered by IndexedDB.
+     *
+     * @param  {Mixed} key The key.
+     * @return {Number}    Index of the type in keyTypes. -1 if it's not a valid key.
+     */
+    function getKeyType(key) {
+        var valid;
+
+        if (typeof(key) === 'number') {
+            return isNaN(key) ? -1 : 0;
+        } else if (key instanceof Date) {
+            return isNaN(key.getTime()) ? -1 : 1;
+        } else if (typeof(key) === 'string') {
+            return 2;
+        } else if (angular.isArray(key)) {
+            valid = true;
+            angular.forEach(key, function(value) {
+                if (getKeyType(value) == -1) {
+                    valid = false;
+                }
+            });
+            return valid ? 3 : -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Compare two valid keys the way IndexedDB does.
+     *
+     * @param  {Mixed} a First key.
+     * @param  {Mixed} b Second key.
+     * @return {Number}  Negative if a goes first, positive if b goes first, 0 if they're equal.
+     */
+    function compareKeys(a, b) {
+        var typeA = getKeyType(a),
+            typeB = getKeyType(b),
+            result;
+
+        if (typeA != typeB) {
+            return typeA - typeB;
+        } else if (keyTypes[typeA] == 'array') {
+            for (var i = 0; i < a.length && i < b.length; i++) {
+                result = compareKeys(a[i], b[i]);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return a.length - b.length;
+        } else if (keyTypes[typeA] == 'date') {
+            a = a.getTime();
+            b = b.getTime();
+        }
+
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Check if a key is in a key range.
+     *
+     * @param  {Mixed}  key   The key.
+     * @param  {Object} range Key range: lower, upper, lowerOpen and upperOpen. If not set, all keys are in it.
+     * @return {Boolean}      True if the key is in the range.
+     */
+    function isInRange(key, range) {
+        var result;
+
+        if (!range) {
+            return true;
+        }
+        if (typeof(range.lower) !== 'undefined' && range.lower !== null) {
+            result = compareKeys(key, range.lower);
+            if (result < 0 || (result === 0 && range.lowerOpen)) {
+                return false;
+            }
+        }
+        if (typeof(range.upper) !== 'undefined' && range.upper !== null) {
+            result = compareKeys(key, range.upper);
+            if (result > 0 || (result === 0 && range.upperOpen)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the value of a keyPath in a record.
+     *
+     * @param  {Object} record  The record.
+     * @param  {Mixed}  keyPath Name of the field, or list of names for compound keys. Dots are used for nested fields.
+     * @return {Mixed}          The value, undefined if the record doesn't have it.
+     */
+    function getKeyPathValue(record, keyPath) {
+        var value = record;
+
+        if (angular.isArray(keyPath)) {
+            value = keyPath.map(function(path) {
+                return getKeyPathValue(record, path);
+            });
+            return getKeyType(value) == -1 ? undefined : value;
+        }
+
+        angular.forEach(keyPath.split('.'), function(field) {
+            value = angular.isObject(value) ? value[field] : undefined;
+        });
+        return value;
+    }
+
+    /**
+     * Get a store of a DB. Stores that aren't in the schema are created when needed, like with autoSchema.
+     *
+     * @param  {Object} db   The DB data.
+     * @param  {String} name Name of the store.
+     * @return {Object}      The store data.
+     */
+    function getStore(db, name) {
+        var definition;
+
+        if (!db.stores[name]) {
+            angular.forEach(db.schema.stores, function(store) {
+                if (store.name === name) {
+                    definition = store;
+                }
+            });
+
+            db.stores[name] = {
+                definition: definition || {name: name},
+                entries: [], // Sorted by key. Each entry has the key and the record.
+                nextKey: 1
+            };
+        }
+
+        return db.stores[name];
+    }
+
+    /**
+     * Get the keyPath of a field of a store. The field must be the primary key or an index.
+     *
+     * @param  {Object} store The store data.
+     * @param  {String} field Name of the field.
+     * @return {Mixed}        The keyPath.
+     * @throws {Error}        If the field is not the primary key nor an index.
+     */
+    function getFieldKeyPath(store, field) {
+        var keyPath;
+
+        if (field === store.definition.keyPath) {
+            return field;
+        }
+
+        angular.forEach(store.definition.indexes, function(index) {
+            if (index.name === field) {
+                keyPath = index.keyPath || index.name;
+            }
+        });
+
+        if (typeof(keyPath) === 'undefined') {
+            throw new Error('Index ' + field + ' not found in store ' + store.definition.name);
+        }
+        return keyPath;
+    }
+
+    /**
+     * Get the position of a key in the entries of a store.
+     *
+     * @param  {Object} store The store data.
+     * @param  {Mixed}  key   The key.
+     * @return {Object}       Object with the position and whether the key is already there (found).
+     */
+    function findKey(store, key) {
+        var low = 0,
+            high = store.entries.length,
+            middle,
+            result;
+
+        while (low < high) {
+            middle = Math.floor((low + high) / 2);
+            result = compareKeys(store.entries[middle].key, key);
+            if (result === 0) {
+                return {position: middle, found: true};
+            } else if (result < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return {position: low, found: false};
+    }
+
+    /**
+     * Add or replace a record in a store.
+     *
+     * @param  {Object} store The store data.
+     * @param  {Object} value The record.
+     * @return {Mixed}        Primary key of the record.
+     * @throws {Error}        If the record doesn't have a valid key.
+     */
+    function putRecord(store, value) {
+        var keyPath = store.definition.keyPath,
+            record = angular.copy(value),
+            key = keyPath ? getKeyPathValue(record, keyPath) : undefined,
+            position;
+
+        if (typeof(key) === 'undefined' && store.definition.autoIncrement) {
+            key = store.nextKey;
+            if (keyPath) {
+                record[keyPath] = key;
+            }
+        }
+
+        if (getKeyType(key) == -1) {
+            throw new Error('Invalid key for a record of store ' + store.definition.name);
+        }
+        if (typeof(key) === 'number' && key >= store.nextKey) {
+            store.nextKey = Math.floor(key) + 1;
+        }
+
+        position = findKey(store, key);
+        store.entries.splice(position.position, position.found ? 1 : 0, {key: key, record: record});
+        return key;
+    }
+
+    /**
+     * Get the records of a store sorted by a field and filtered by a key range.
+     *
+     * @param  {Object}  store   The store data.
+     * @param  {String}  field   Field to sort and filter by, it must be the primary key or an index. If not set,
+     *                           the primary key.
+     * @param  {Object}  range   Key range the field must be in. Optional.
+     * @param  {Boolean} reverse True to sort them in descending order.
+     * @return {Array}           Records (not copied).
+     */
+    function listRecords(store, field, range, reverse) {
+        var keyPath = field ? getFieldKeyPath(store, field) : undefined,
+            list = [];
+
+        angular.forEach(store.entries, function(entry) {
+            var key = keyPath ? getKeyPathValue(entry.record, keyPath) : entry.key;
+            if (getKeyType(key) != -1 && isInRange(key, range)) {
+                list.push({key: key, record: entry.record});
+            }
+        });
+
+        if (keyPath) {
+            // The entries are sorted by primary key, keep that order for the records with the same index value.
+            list = list.map(function(item, position) {
+                item.position = position;
+                return item;
+            }).sort(function(a, b) {
+                return compareKeys(a.key, b.key) || a.position - b.position;
+            });
+        }
+        if (reverse) {
+            list.reverse();
+        }
+
+        return list.map(function(item) {
+            return item.record;
+        });
+    }
+
+    /**
+     * Run an operation on a DB and return a promise, rejected if the operation throws an error or returns undefined
+     * (like the DB objects of $mmDB when an entry is not found).
+     *
+     * @param  {Object}   db        The DB data.
+     * @param  {String}   storeName Name of the store.
+     * @param  {Function} operation Function to call with the store data.
+     * @return {Promise}            Promise resolved with the result of the operation.
+     */
+    function run(db, storeName, operation) {
+        var result;
+
+        try {
+            result = operation(getStore(db, storeName));
+        } catch(ex) {
+            $log.error('Error in DB ' + db.name + '. ' + ex.message);
+            return $q.reject();
+        }
+
+        return typeof(result) === 'undefined' ? $q.reject() : $q.when(angular.copy(result));
+    }
+
+    /**
+     * Create a new database object, or get the data of an existing one.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmDBMemoryAdapter#getDB
+     * @param  {String} name   DB name.
+     * @param  {Object} schema DB schema.
+     * @return {Object}        DB. See $mmDB#getDB.
+     */
+    self.getDB = function(name, schema) {
+        var db = databases[name];
+
+        if (!db) {
+            db = databases[name] = {
+                name: name,
+                stores: {}
+            };
+        }
+        db.schema = schema || {stores: []};
+
+        return {
+            getName: function() {
+                return name;
+            },
+            get: function(store, id) {
+                return run(db, store, function(store) {
+                    var position = findKey(store, id);
+                    return position.found ? store.entries[position.position].record : undefined;
+                });
+            },
+            getAll: function(store) {
+                return run(db, store, function(store) {
+                    return listRecords(store);
+                });
+            },
+            keys: function(store) {
+                return run(db, store, function(store) {
+                    return store.entries.map(function(entry) {
+                        return entry.key;
+                    });
+                });
+            },
+            count: function(store) {
+                return run(db, store, function(store) {
+                    return store.entries.length;
+                });
+            },
+            insert: function(store, value) {
+                return run(db, store, function(store) {
+                    return putRecord(store, value);
+                });
+            },
+            insertMany: function(store, values) {
+                return run(db, store, function(store) {
+                    return (values || []).map(function(value) {
+                        return putRecord(store, value);
+                    });
+                });
+            },
+            remove: function(store, id) {
+                return run(db, store, function(store) {
+                    var position = findKey(store, id);
+                    if (position.found) {
+                        store.entries.splice(position.position, 1);
+                        return 1;
+                    }
+                    return 0;
+                });
+            },
+            removeWhere: function(store, field_name, op, value, op2, value2) {
+                return run(db, store, function(store) {
+                    var records = listRecords(store, field_name, $mmDB.getKeyRange(op, value, op2, value2));
+                    store.entries = store.entries.filter(function(entry) {
+                        return records.indexOf(entry.record) == -1;
+                    });
+                    return records.length;
+                });
+            },
+            clear: function(store) {
+                return run(db, store, function(store) {
+                    var count = store.entries.length;
+                    store.entries = [];
+                    return count;
+                });
+            },
+            where: function(store, field_name, op, value, op2, value2) {
+                return run(db, store, function(store) {
+                    return listRecords(store, field_name, $mmDB.getKeyRange(op, value, op2, value2));
+                });
+            },
+            whereEqual: function(store, field_name, value) {
+                return run(db, store, function(store) {
+                    return listRecords(store, field_name, $mmDB.getKeyRange('=', value));
+                });
+            },
+            query: function(store, options) {
+                options = options || {};
+                return run(db, store, function(store) {
+                    var offset = options.offset || 0,
+                        limit = typeof(options.limit) == 'undefined' ? mmCoreDBMaxRecords : options.limit;
+                    return listRecords(store, options.index, options.range, options.order == 'desc')
+                            .slice(offset, offset + limit);
+                });
+            },
+            each: function(store, callback) {
+                return run(db, store, function(store) {
+                    return listRecords(store);
+                }).then(function(records) {
+                    angular.forEach(records, function(record) {
+                        callback(record);
+                    });
+                });
+            },
+            close: function() {
+                // Nothing to do, the data is kept until the DB is deleted.
+            }
+        };
+    };
+
+    /**
+     * Delete a DB.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmDBMemoryAdapter#deleteDB
+     * @param  {String} name DB name.
+     * @return {Promise}     Promise resolved when the DB is deleted.
+     */
+    self.deleteDB = function(name) {
+        delete databases[name];
+        return $q.when();
+    };
+
+    return self;
+});
@@ -0,0 +1,358 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+.constant('mmCoreErrorReportsStore', 'error_reports')
+.constant('mmCoreErrorReportsMax', 20) // Number of reports kept while they can't be sent, the oldest are deleted.
+.constant('mmCoreErrorReportsInterval', 5000) // An error repeated within this time (in ms) is only reported once.
+
+.config(function($mmAppProvider, $provide, mmCoreErrorReportsStore) {
+    var stores = [
+        {
+            name: mmCoreErrorReportsStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                {
+                    name: 'time'
+                }
+            ]
+        }
+    ];
+    $mmAppProvider.registerStores(stores);
+
+    // Report the errors caught by angular, after handling them as usual.
+    $provide.decorator('$exceptionHandler', ['$delegate', '$injector', function($delegate, $injector) {
+        return function(exception, cause) {
+            $delegate(exception, cause);
+            try {
+                // $mmErrorReporter depends on services that use $exceptionHandler, get it when it's needed.
+                var data = {type: 'exception', cause: cause};
+                $injector.get('$mmErrorReporter').report(exception, data).catch(function() {
+                    // Don't report it, it could fail again.
+                });
+            } catch(ex) {
+                // The app is not ready to report errors yet.
+            }
+        };
+    }]);
+})
+
+/**
+ * Service to report the errors of the app to a server.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmErrorReporter
+ * @description
+ * The errors caught by angular ($exceptionHandler), the uncaught errors and the unhandled rejections of native
+ * promises are reported automatically. Reporting is disabled unless 'error_report_url' is set in config.json.
+ *
+ * The reports are queued in the app database and sent when the device is online, the oldest first. Each report is
+ * sent in a POST request as a JSON object with these fields:
+ *     - type String Type of error: 'exception', 'error' or 'unhandledrejection'. Other types can be reported.
+ *     - time Number Timestamp (in ms) of the error.
+ *     - message String Error message.
+ *     - stack String Stack trace, if known.
+ *     - cause String Cause given by angular, or the source (file:line:column) of an uncaught error, if known.
+ *     - versionname String Version name of the app.
+ *     - versioncode String Version code of the app.
+ *     - useragent String User agent of the device.
+ *     - siteurl String URL of the current site, if any.
+ *     - siterelease String Moodle release of the current site, if any.
+ *     - log Array Logged entries, the oldest first. Each entry has the time, level, classname and message.
+ *
+ * The tokens are never included in the reports.
+ */
+.factory('$mmErrorReporter', function($q, $log, $http, $window, $mmApp, $mmConfig, $mmLog, $mmSite,
+            mmCoreErrorReportsStore, mmCoreErrorReportsMax, mmCoreErrorReportsInterval, mmCoreWSTimeout,
+            mmCoreWSLogRedacted, mmCoreWSLogTokenRegex) {
+
+    $log = $log.getInstance('$mmErrorReporter');
+
+    var self = {},
+        lastError = {},
+        sending;
+
+    /**
+     * Report an error. The report is queued and sent if the device is online.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmErrorReporter#report
+     * @param  {Mixed}  error Error to report, usually an Error or a string.
+     * @param  {Object} data  Data about the error. Optional:
+     *                            - type String Type of error. Defaults to 'error'.
+     *                            - cause String Cause or source of the error.
+     * @return {Promise}      Promise resolved when the report is queued and the queue has been processed. It's
+     *                        rejected if the report couldn't be queued.
+     */
+    self.report = function(error, data) {
+        var message = getMessage(error),
+            now = new Date().getTime();
+
+        data = data || {};
+
+        if (message === lastError.message && now - lastError.time < mmCoreErrorReportsInterval) {
+            // The same error is probably being thrown in a loop, don't report it again.
+            return $q.when();
+        }
+        lastError = {message: message, time: now};
+
+        return getEndpoint().then(function(url) {
+            if (!url) {
+                // Reporting is disabled.
+                return;
+            }
+
+            return getReport(error, data, now).then(storeReport).then(function() {
+                return self.sendReports().catch(function() {
+                    // The report will be sent later.
+                });
+            });
+        });
+    };
+
+    /**
+     * Send the queued reports, the oldest first. If the device is offline or the server can't be reached the
+     * reports are kept for later. The reports rejected by the server are deleted.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmErrorReporter#sendReports
+     * @return {Promise} Promise resolved when the queue has been processed. It's rejected if the process is
+     *                   interrupted because the server can't be reached.
+     */
+    self.sendReports = function() {
+        if (sending) {
+            return sending;
+        } else if (!$mmApp.isOnline()) {
+            return $q.when();
+        }
+
+        sending = getEndpoint().then(function(url) {
+            if (!url) {
+                return;
+            }
+
+            return $mmApp.getDB().query(mmCoreErrorReportsStore, {index: 'time'}).then(function(reports) {
+                if (reports.length) {
+                    $log.debug('Sending ' + reports.length + ' error reports.');
+                }
+                return sendList(url, reports);
+            });
+        }).finally(function() {
+            sending = undefined;
+        });
+
+        return sending;
+    };
+
+    /**
+     * Get the URL the reports are sent to.
+     *
+     * @return {Promise} Promise resolved with the URL. Empty if reporting is disabled.
+     */
+    function getEndpoint() {
+        return $mmConfig.get('error_report_url').catch(function() {
+            return '';
+        });
+    }
+
+    /**
+     * Get the message of an error.
+     *
+     * @param  {Mixed} error The error.
+     * @return {String}      The message.
+     */
+    function getMessage(error) {
+        if (error instanceof Error) {
+            return error.name + ': ' + error.message;
+        } else if (angular.isObject(error) && typeof(error.message) === 'string') {
+            return error.message;
+        } else if (typeof(error) === 'string') {
+            return error;
+        }
+
+        try {
+            return angular.toJson(error) || String(error);
+        } catch(ex) {
+            return String(error);
+        }
+    }
+
+    /**
+     * Remove the tokens from a text.
+     *
+     * @param  {String} text The text.
+     * @return {String}      The text without tokens.
+     */
+    function redact(text) {
+        if (typeof(text) !== 'string') {
+            return text;
+        }
+        return text.replace(mmCoreWSLogTokenRegex, '$1' + mmCoreWSLogRedacted);
+    }
+
+    /**
+     * Build the report of an error.
+     *
+     * @param  {Mixed}  error The error.
+     * @param  {Object} data  Data about the error, see $mmErrorReporter#report.
+     * @param  {Number} time  Timestamp (in ms) of the error.
+     * @return {Promise}      Promise resolved with the report.
+     */
+    function getReport(error, data, time) {
+        var release = $mmSite.getRelease(),
+            report = {
+                type: data.type || 'error',
+                time: time,
+                message: redact(getMessage(error)),
+                stack: error && typeof(error.stack) === 'string' ? redact(error.stack) : undefined,
+                cause: redact(data.cause),
+                useragent: $window.navigator.userAgent,
+                siteurl: $mmSite.getURL(),
+                siterelease: release ? release.release : undefined
+            },
+            promises = [];
+
+        angular.forEach(['versionname', 'versioncode'], function(name) {
+            promises.push($mmConfig.get(name).then(function(value) {
+                report[name] = value;
+            }).catch(function() {
+                // Not set, ignore it.
+            }));
+        });
+
+        promises.push($mmLog.getEntries().then(function(entries) {
+            report.log = entries.reverse().map(function(entry) {
+                return {
+                    time: entry.time,
+                    level: entry.level,
+                    classname: entry.classname,
+                    message: redact(entry.message)
+                };
+            });
+        }).catch(function() {
+            report.log = [];
+        }));
+
+        return $q.all(promises).then(function() {
+            return report;
+        });
+    }
+
+    /**
+     * Add a report to the queue, and delete the oldest reports if there are too many.
+     *
+     * @param  {Object} report The report.
+     * @return {Promise}       Promise resolved when the report is queued.
+     */
+    function storeReport(report) {
+        var db = $mmApp.getDB();
+
+        return db.insert(mmCoreErrorReportsStore, report).then(function() {
+            // Get the newest report that doesn't fit, to delete it and the older ones.
+            return db.query(mmCoreErrorReportsStore, {index: 'time', order: 'desc', offset: mmCoreErrorReportsMax,
+                    limit: 1});
+        }).then(function(reports) {
+            if (reports.length) {
+                return db.removeWhere(mmCoreErrorReportsStore, 'time', '<=', reports[0].time);
+            }
+        });
+    }
+
+    /**
+     * Send a list of reports one after the other.
+     *
+     * @param  {String} url     URL to send the reports to.
+     * @param  {Array}  reports Reports to send.
+     * @return {Promise}        Promise resolved when all the reports are sent, rejected if the process is stopped.
+     */
+    function sendList(url, reports) {
+        var report = reports.shift(),
+            db = $mmApp.getDB(),
+            id,
+            options = {
+                headers: {'Content-Type': 'application/json'},
+                timeout: mmCoreWSTimeout
+            };
+
+        if (typeof(report) === 'undefined') {
+            return $q.when();
+        }
+
+        id = report.id;
+        report = angular.copy(report);
+        delete report.id;
+
+        return $http.post(url, angular.toJson(report), options).catch(function(response) {
+            if (response.status >= 400 && response.status < 500) {
+                // The server doesn't accept the report, sending it again won't work.
+                $log.warn('Error report rejected by the server with status ' + response.status);
+                return;
+            }
+            return $q.reject();
+        }).then(function() {
+            return db.remove(mmCoreErrorReportsStore, id);
+        }).then(function() {
+            return sendList(url, reports);
+        });
+    }
+
+    return self;
+})
+
+.run(function($window, $injector, $ionicPlatform, $mmApp) {
+    /**
+     * Report an error, unless the app is not ready to report errors yet.
+     *
+     * @param {Mixed}  error Error to report.
+     * @param {Object} data  Data about the error, see $mmErrorReporter#report.
+     */
+    function report(error, data) {
+        try {
+            $injector.get('$mmErrorReporter').report(error, data).catch(function() {
+                // Don't report it, it could fail again.
+            });
+        } catch(ex) {
+            // Nothing else can be done.
+        }
+    }
+
+    $window.addEventListener('error', function(e) {
+        var source = e.filename ? e.filename + ':' + e.lineno + ':' + e.colno : undefined;
+        report(e.error || e.message, {type: 'error', cause: source});
+    });
+    $window.addEventListener('unhandledrejection', function(e) {
+        report(e.reason, {type: 'unhandledrejection'});
+    });
+
+    // Send the queued reports as soon as the network is back.
+    $mmApp.onNetworkChange(function(online) {
+        if (online) {
+            $injector.get('$mmErrorReporter').sendReports().catch(function() {
+                // The reports will be sent later.
+            });
+        }
+    });
+
+    $ionicPlatform.ready(function() {
+        // Send the reports queued in previous executions.
+        $injector.get('$mmErrorReporter').sendReports().catch(function() {
+            // The reports will be sent later.
+        });
+    });
+});
@@ -0,0 +1,148 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+.constant('mmCoreEventLogin', 'mm_login')
+.constant('mmCoreEventLogout', 'mm_logout')
+.constant('mmCoreEventSessionExpired', 'mm_session_expired')
+.constant('mmCoreEventSiteAdded', 'mm_site_added')
+.constant('mmCoreEventSiteUpdated', 'mm_site_updated')
+.constant('mmCoreEventSiteDeleted', 'mm_site_deleted')
+.constant('mmCoreEventLanguageChanged', 'mm_language_changed')
+.constant('mmCoreEventNetworkChange', 'mm_network_change')
+.constant('mmCoreEventConfigChanged', 'mm_config_changed')
+
+/**
+ * Service to send and listen to application-wide events.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmEvents
+ * @description
+ * The core triggers these events:
+ *     - mmCoreEventLogin: The user logged in a site, or switched to another site. Receives the site ID.
+ *     - mmCoreEventLogout: The user logged out. Receives the site ID.
+ *     - mmCoreEventSessionExpired: The token of a site is no longer valid. Receives an object with the siteurl
+ *                                  and the token.
+ *     - mmCoreEventSiteAdded: A site was added to the sites list. Receives the site ID.
+ *     - mmCoreEventSiteUpdated: The info of a site was updated. Receives the site ID.
+ *     - mmCoreEventSiteDeleted: A site was deleted from the sites list. Receives the site ID.
+ *     - mmCoreEventLanguageChanged: The user changed the language of the app. Receives the new language.
+ *     - mmCoreEventNetworkChange: The device went online or offline. Receives a boolean, true if it's online.
+ *     - mmCoreEventConfigChanged: An app setting was set or deleted. Receives an object with the name and the new
+ *                                 value. Use $mmConfig#watch to listen to a single setting.
+ *
+ * Addons can use their own events, their names should start with the name of the addon.
+ *
+ * Example:
+ *
+ * .controller('mmaMyAddonCtrl', function($scope, $mmEvents, mmCoreEventLogout) {
+ *     // The observer is removed when the scope is destroyed.
+ *     $mmEvents.on(mmCoreEventLogout, function(siteid) {
+ *         // Do something.
+ *     }, $scope);
+ * })
+ */
+.factory('$mmEvents', function($log) {
+
+    $log = $log.getInstance('$mmEvents');
+
+    var self = {},
+        observers = {};
+
+    /**
+     * Listen to an event.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmEvents#on
+     * @param  {String}   eventName Name of the event.
+     * @param  {Function} callback  Function to call when the event is triggered. It receives the event data.
+     * @param  {Object}   scope     Scope the observer belongs to. If set, the observer is removed when the scope
+     *                              is destroyed. Optional.
+     * @return {Object}             Observer. Call its function off() to stop listening to the event.
+     */
+    self.on = function(eventName, callback, scope) {
+        var observer = {
+            callback: callback,
+            off: function() {
+                var index;
+                if (observers[eventName]) {
+                    index = observers[eventName].indexOf(observer);
+                    if (index > -1) {
+                        observers[eventName].splice(index, 1);
+                    }
+                }
+            }
+        };
+
+        $log.debug("New observer listening to event '" + eventName + "'");
+        if (!observers[eventName]) {
+            observers[eventName] = [];
+        }
+        observers[eventName].push(observer);
+
+        if (scope) {
+            scope.$on('$destroy', observer.off);
+        }
+
+        return observer;
+    };
+
+    /**
+     * Listen to an event only once, the observer is removed after the first time the event is triggered.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmEvents#once
+     * @param  {String}   eventName Name of the event.
+     * @param  {Function} callback  Function to call when the event is triggered. It receives the event data.
+     * @param  {Object}   scope     Scope the observer belongs to. If set, the observer is removed when the scope
+     *                              is destroyed. Optional.
+     * @return {Object}             Observer. Call its function off() to stop listening to the event.
+     */
+    self.once = function(eventName, callback, scope) {
+        var observer = self.on(eventName, function(data) {
+            observer.off();
+            callback(data);
+        }, scope);
+        return observer;
+    };
+
+    /**
+     * Trigger an event. The observers are called in the same order they were added.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmEvents#trigger
+     * @param {String} eventName Name of the event.
+     * @param {Mixed}  data      Data to pass to the observers. Optional.
+     */
+    self.trigger = function(eventName, data) {
+        $log.debug("Event '" + eventName + "' triggered.");
+        if (observers[eventName]) {
+            // Use a copy of the list, the observers might be removed while the event is being triggered.
+            angular.forEach(observers[eventName].slice(), function(observer) {
+                try {
+                    observer.callback(data);
+                } catch(err) {
+                    $log.error("Error in an observer of event '" + eventName + "': " + err);
+                }
+            });
+        }
+    };
+
+    return self;
+});
@@ -14,6 +14,8 @@
 
 angular.module('mm.core')
 
+.constant('mmCoreFSEmulatedBasePath', 'mmfs://app/')
+
 /**
  * @ngdoc service
  * @name $mmFS
@@ -21,7 +23,7 @@ angular.module('mm.core')
  * @description
  * This service handles the interaction with the FileSystem.
  */
-.factory('$mmFS', function($ionicPlatform, $cordovaFile, $log, $q) {
+.factory('$mmFS', function($ionicPlatform, $cordovaFile, $log, $q, mmCoreFSEmulatedBasePath) {
 
     $log = $log.getInstance('$mmFS');
 
@@ -55,6 +57,9 @@ angular.module('mm.core')
                 basePath = cordova.file.externalApplicationStorageDirectory;
             } else if (ionic.Platform.isIOS()) {
                 basePath = cordova.file.documentsDirectory;
+            } else if (!window.cordova) {
+                // Running in a browser, the file plugins are emulated by mm.core.emulator.
+                basePath = mmCoreFSEmulatedBasePath;
             } else {
                 $log.error('Error getting device OS.');
                 deferred.reject();
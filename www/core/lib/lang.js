@@ -21,7 +21,7 @@ angular.module('mm.core')
  * @description
  * This service allows to add new languages strings.
  */
-.factory('$mmLang', function($translate, $translatePartialLoader, $mmConfig) {
+.factory('$mmLang', function($translate, $translatePartialLoader, $mmConfig, $mmEvents, mmCoreEventLanguageChanged) {
 
     var self = {};
 
@@ -34,9 +34,21 @@ angular.module('mm.core')
         $translatePartialLoader.addPart(path);
     };
 
+    /**
+     * Change the language of the app. The event mmCoreEventLanguageChanged is triggered once the new language
+     * is loaded.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmLang#changeCurrentLanguage
+     * @param  {String} language Code of the new language.
+     * @return {Promise}         Promise to be resolved when the language is changed.
+     */
     self.changeCurrentLanguage = function(language) {
-        $translate.use(language);
         $mmConfig.set('current_language', language);
+        return $translate.use(language).then(function() {
+            $mmEvents.trigger(mmCoreEventLanguageChanged, language);
+        });
     };
 
     /**
@@ -56,7 +68,11 @@ angular.module('mm.core')
     return self;
 })
 
-.config(function($translateProvider, $translatePartialLoaderProvider) {
+.config(function($translateProvider, $translatePartialLoaderProvider, $mmConfigProvider) {
+
+    $mmConfigProvider.registerSetting('current_language', {
+        type: 'string'
+    });
 
     $translateProvider.useLoader('$translatePartialLoader', {
       urlTemplate: '{part}/{lang}.json'
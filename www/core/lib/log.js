@@ -16,6 +16,40 @@ angular.module('mm.core')
 
 .constant('mmCoreLogEnabledDefault', true) // Default value for logEnabled.
 .constant('mmCoreLogEnabledConfigName', 'debug_enabled')
+.constant('mmCoreLogLevelsConfigName', 'log_levels')
+.constant('mmCoreLogLevels', ['debug', 'log', 'info', 'warn', 'error']) // Sorted by severity.
+.constant('mmCoreLogStore', 'log_entries')
+.constant('mmCoreLogDefaultLength', 100) // Number of entries kept when 'log_length' isn't set.
+.constant('mmCoreLogStoreDelay', 1000) // Time (in ms) the entries are kept in memory before storing them.
+.constant('mmCoreLogExportFolder', 'logs')
+
+.config(function($mmAppProvider, $mmConfigProvider, mmCoreLogStore, mmCoreLogEnabledConfigName,
+            mmCoreLogLevelsConfigName, mmCoreLogEnabledDefault) {
+    var stores = [
+        {
+            name: mmCoreLogStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                {
+                    name: 'time'
+                }
+            ]
+        }
+    ];
+    $mmAppProvider.registerStores(stores);
+
+    var settings = {};
+    settings[mmCoreLogEnabledConfigName] = {
+        type: 'boolean',
+        default: mmCoreLogEnabledDefault
+    };
+    settings[mmCoreLogLevelsConfigName] = {
+        type: 'object',
+        default: {}
+    };
+    $mmConfigProvider.registerSettings(settings);
+})
 
 /**
  * Provider to decorate angular's $log service.
@@ -33,21 +67,113 @@ angular.module('mm.core')
  *
  * To permanently enable/disable logging messages, use:
  *     $mmLog.enabled(true/false)
+ *
+ * The minimum level logged can be set for each class, or for all the classes starting with a prefix. The most
+ * specific setting is used:
+ *     $mmLog.setLevel('$mmSite', 'warn')
+ *     $mmLog.setLevel('$mmaFiles*', 'debug')
+ *
+ * The logged messages are also stored in the app database, so they can be checked after the app is restarted. The
+ * number of entries kept is set by 'log_length', the oldest entries are deleted. See $mmLog#getEntries and
+ * $mmLog#exportEntries. The tokens in URLs are removed from the stored messages.
  */
-.provider('$mmLog', function(mmCoreLogEnabledDefault) {
+.provider('$mmLog', function(mmCoreLogEnabledDefault, mmCoreLogDefaultLength, mmCoreLogLevels, mmCoreWSLogRedacted,
+            mmCoreWSLogTokenRegex) {
 
     var isEnabled = mmCoreLogEnabledDefault,
-        self = this;
+        self = this,
+        levelRules = {}, // Minimum level of each class name or prefix (ending with *).
+        classLevels = {}, // Minimum level of each class that has logged something, index in mmCoreLogLevels.
+        pendingEntries = [], // Entries not stored yet.
+        onEntryAdded;
+
+    /**
+     * Get the minimum level a class logs, using the most specific rule that matches its name.
+     *
+     * @param  {String} className Name of the class.
+     * @return {Number}           Index of the level in mmCoreLogLevels.
+     */
+    function getClassLevel(className) {
+        var level,
+            matchedLength = -1;
+
+        if (typeof(classLevels[className]) !== 'undefined') {
+            return classLevels[className];
+        }
+
+        if (levelRules[className]) {
+            level = levelRules[className];
+        } else {
+            angular.forEach(levelRules, function(ruleLevel, pattern) {
+                var prefix = pattern.slice(0, -1);
+                if (pattern.slice(-1) === '*' && className.indexOf(prefix) === 0 && prefix.length > matchedLength) {
+                    matchedLength = prefix.length;
+                    level = ruleLevel;
+                }
+            });
+        }
+
+        classLevels[className] = Math.max(0, mmCoreLogLevels.indexOf(level));
+        return classLevels[className];
+    }
+
+    /**
+     * Convert a logged value to text.
+     *
+     * @param  {Mixed} value The value.
+     * @return {String}      The text.
+     */
+    function toText(value) {
+        if (typeof(value) === 'string') {
+            return value;
+        } else if (value instanceof Error) {
+            return value.stack || value.name + ': ' + value.message;
+        }
+
+        try {
+            return angular.isObject(value) ? angular.toJson(value) : String(value);
+        } catch(ex) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Keep a logged message to store it. The tokens are removed from the message, it's stored and can be exported.
+     *
+     * @param {String} level     Level of the message: debug, log, info, warn or error.
+     * @param {String} className Name of the class that logged it.
+     * @param {Array}  args      Arguments passed to the log function.
+     */
+    function addEntry(level, className, args) {
+        pendingEntries.push({
+            time: new Date().getTime(),
+            level: level,
+            classname: className,
+            message: args.map(toText).join(' ').replace(mmCoreWSLogTokenRegex, '$1' + mmCoreWSLogRedacted)
+        });
+
+        // Don't keep too many entries in memory if they can't be stored.
+        if (pendingEntries.length > mmCoreLogDefaultLength) {
+            pendingEntries.splice(0, pendingEntries.length - mmCoreLogDefaultLength);
+        }
+
+        if (onEntryAdded) {
+            onEntryAdded();
+        }
+    }
 
     // Function to pre-capture a logger function.
-    function prepareLogFn(logFn, className) {
+    function prepareLogFn(logFn, className, level) {
         className = className || '';
+        var levelIndex = mmCoreLogLevels.indexOf(level);
         // Invoke the specified 'logFn' with our new code.
         var enhancedLogFn = function() {
-            if (isEnabled) {
+            if (isEnabled && levelIndex >= getClassLevel(className)) {
                 var args = Array.prototype.slice.call(arguments),
                     now  = new Date().toLocaleString();
 
+                addEntry(level, className, args);
+
                 args[0] = now + ' ' + className + ': ' + args[0]; // Prepend timestamp and className to the original message.
                 logFn.apply(null, args);
             }
@@ -80,42 +206,107 @@ angular.module('mm.core')
         // Create the getInstance method so services/controllers can configure the className to be shown.
         var getInstance = function(className) {
             return {
-                log   : prepareLogFn(_$log.log, className),
-                info  : prepareLogFn(_$log.info, className),
-                warn  : prepareLogFn(_$log.warn, className),
-                debug : prepareLogFn(_$log.debug, className),
-                error : prepareLogFn(_$log.error, className)
+                log   : prepareLogFn(_$log.log, className, 'log'),
+                info  : prepareLogFn(_$log.info, className, 'info'),
+                warn  : prepareLogFn(_$log.warn, className, 'warn'),
+                debug : prepareLogFn(_$log.debug, className, 'debug'),
+                error : prepareLogFn(_$log.error, className, 'error')
             };
         };
 
         // Decorate original $log functions too. This way if a service/controller uses $log without $log.getInstance,
         // it's going to prepend the date and 'Core'.
-        $log.log   = prepareLogFn($log.log);
-        $log.info  = prepareLogFn($log.info);
-        $log.warn  = prepareLogFn($log.warn);
-        $log.debug = prepareLogFn($log.debug);
-        $log.error = prepareLogFn($log.error);
+        $log.log   = prepareLogFn($log.log, undefined, 'log');
+        $log.info  = prepareLogFn($log.info, undefined, 'info');
+        $log.warn  = prepareLogFn($log.warn, undefined, 'warn');
+        $log.debug = prepareLogFn($log.debug, undefined, 'debug');
+        $log.error = prepareLogFn($log.error, undefined, 'error');
         $log.getInstance = getInstance;
 
         return $log;
     };
 
-    this.$get = function($mmConfig, mmCoreLogEnabledDefault, mmCoreLogEnabledConfigName) {
-        var self = {};
+    this.$get = function($q, $timeout, $mmConfig, $mmApp, $mmFS, mmCoreLogEnabledConfigName, mmCoreLogLevelsConfigName,
+            mmCoreLogStore, mmCoreLogStoreDelay, mmCoreLogExportFolder) {
+        var self = {},
+            maxLength = mmCoreLogDefaultLength,
+            storeEnabled = true,
+            storeTimeout,
+            levelsLoaded;
 
         /**
-         * Initialize logging, enabling/disabling it based on settings and mmCoreLogEnabledDefault.
+         * Initialize logging, enabling/disabling it based on settings and mmCoreLogEnabledDefault. The settings are
+         * watched, so they're applied as soon as they change.
          */
         function init() {
             $mmConfig.get(mmCoreLogEnabledConfigName).then(function(enabled) {
                 isEnabled = enabled;
-            }, function() {
-                // Not set, use default value.
-                isEnabled = mmCoreLogEnabledDefault;
             });
+            $mmConfig.watch(mmCoreLogEnabledConfigName, function(enabled) {
+                isEnabled = enabled;
+            });
+
+            $mmConfig.get('log_length').then(function(length) {
+                maxLength = length;
+            });
+
+            levelsLoaded = $mmConfig.get(mmCoreLogLevelsConfigName).then(setLevelRules, function() {
+                // Config not available, all the classes log everything.
+            });
+            $mmConfig.watch(mmCoreLogLevelsConfigName, setLevelRules);
+
+            // Store the entries logged until now, and the new ones after a while.
+            onEntryAdded = function() {
+                if (storeEnabled && !storeTimeout) {
+                    storeTimeout = $timeout(storePendingEntries, mmCoreLogStoreDelay, false);
+                }
+            };
+            onEntryAdded();
         }
         init();
 
+        /**
+         * Set the minimum levels of the classes and prefixes.
+         *
+         * @param {Object} rules Level of each class name or prefix.
+         */
+        function setLevelRules(rules) {
+            levelRules = angular.copy(rules) || {};
+            classLevels = {};
+        }
+
+        /**
+         * Store the entries that haven't been stored yet, and delete the oldest entries if there are too many.
+         *
+         * @return {Promise} Promise resolved when the entries are stored.
+         */
+        function storePendingEntries() {
+            var db = $mmApp.getDB(),
+                entries = pendingEntries;
+
+            if (storeTimeout) {
+                $timeout.cancel(storeTimeout);
+                storeTimeout = undefined;
+            }
+            if (!storeEnabled || !entries.length) {
+                return $q.when();
+            }
+
+            pendingEntries = [];
+            return db.insertMany(mmCoreLogStore, entries).then(function() {
+                // Get the entries that don't fit to delete them. Several entries can have the same time.
+                return db.query(mmCoreLogStore, {index: 'time', order: 'desc', offset: maxLength});
+            }).then(function(entries) {
+                return $q.all(entries.map(function(entry) {
+                    return db.remove(mmCoreLogStore, entry.id);
+                }));
+            }).catch(function() {
+                // Don't log it, it would add a new entry that couldn't be stored either. Stop trying until next start.
+                storeEnabled = false;
+                pendingEntries = [];
+            });
+        }
+
         /**
          * Enable/disable logging in the app.
          *
@@ -129,6 +320,137 @@ angular.module('mm.core')
             isEnabled = flag;
         };
 
+        /**
+         * Check if logging is enabled in the app.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#isEnabled
+         * @return {Boolean} True if logging is enabled, false otherwise.
+         */
+        self.isEnabled = function() {
+            return isEnabled;
+        };
+
+        /**
+         * Get the minimum levels set for classes and prefixes.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#getLevels
+         * @return {Promise} Promise resolved with an object with the level of each class name or prefix.
+         */
+        self.getLevels = function() {
+            return levelsLoaded.then(function() {
+                return angular.copy(levelRules);
+            });
+        };
+
+        /**
+         * Set the minimum level logged by a class, or by the classes starting with a prefix. The setting is stored.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#setLevel
+         * @param  {String} pattern Name of the class, or prefix followed by * (e.g. '$mmaFiles*').
+         * @param  {String} level   Minimum level: debug, log, info, warn or error. Undefined to remove the setting.
+         * @return {Promise}        Promise resolved when the setting is stored.
+         */
+        self.setLevel = function(pattern, level) {
+            if (!pattern || (level && mmCoreLogLevels.indexOf(level) == -1)) {
+                return $q.reject();
+            }
+
+            return levelsLoaded.then(function() {
+                if (level) {
+                    levelRules[pattern] = level;
+                } else {
+                    delete levelRules[pattern];
+                }
+                classLevels = {};
+                return $mmConfig.set(mmCoreLogLevelsConfigName, angular.copy(levelRules));
+            });
+        };
+
+        /**
+         * Get the logged entries, the most recent first.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#getEntries
+         * @param  {Object} filter Filter to apply. Optional, all the entries are returned if not set:
+         *                             - classname String Only return the entries of the classes starting with it.
+         *                             - level String Only return the entries with this level or a more severe one:
+         *                               debug, log, info, warn or error.
+         * @return {Promise}       Promise resolved with the entries. Each entry has the time (in ms), the level, the
+         *                         classname and the message.
+         */
+        self.getEntries = function(filter) {
+            var minLevel;
+
+            filter = filter || {};
+            minLevel = mmCoreLogLevels.indexOf(filter.level);
+
+            return storePendingEntries().then(function() {
+                return $mmApp.getDB().query(mmCoreLogStore, {index: 'time', order: 'desc'});
+            }).then(function(entries) {
+                return entries.filter(function(entry) {
+                    if (filter.classname && (entry.classname || '').indexOf(filter.classname) !== 0) {
+                        return false;
+                    }
+                    return mmCoreLogLevels.indexOf(entry.level) >= minLevel;
+                });
+            });
+        };
+
+        /**
+         * Delete all the logged entries.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#clearEntries
+         * @return {Promise} Promise resolved when the entries are deleted.
+         */
+        self.clearEntries = function() {
+            pendingEntries = [];
+            return $mmApp.getDB().clear(mmCoreLogStore);
+        };
+
+        /**
+         * Write the logged entries in a text file, the oldest first.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmLog#exportEntries
+         * @param  {Object} filter Filter to apply, see $mmLog#getEntries. Optional.
+         * @return {Promise}       Promise resolved with the URL of the file.
+         */
+        self.exportEntries = function(filter) {
+            var now = new Date(),
+                path = mmCoreLogExportFolder + '/log-' + now.getTime() + '.txt';
+
+            return $mmFS.createDir(mmCoreLogExportFolder, false).then(function() {
+                return self.getEntries(filter);
+            }).then(function(entries) {
+                var lines = entries.reverse().map(function(entry) {
+                    return new Date(entry.time).toISOString() + ' ' + entry.level.toUpperCase() + ' ' +
+                            entry.classname + ': ' + entry.message;
+                });
+                return $mmFS.writeFile(path, lines.join('\n') + '\n');
+            }).then(function() {
+                return $mmFS.getBasePath();
+            }).then(function(basePath) {
+                return basePath + path;
+            });
+        };
+
         return self;
     };
+})
+
+.run(function($ionicPlatform, $injector) {
+    $ionicPlatform.ready(function() {
+        // Start storing the logged entries, including the ones logged before $mmLog was used.
+        $injector.get('$mmLog');
+    });
 });
@@ -16,157 +16,60 @@ angular.module('mm.core')
 
 .value('mmCoreWSPrefix', 'local_mobile_')
 
-.constant('mmCoreWSCacheStore', 'wscache')
-
-.config(function($mmSiteProvider, mmCoreWSCacheStore) {
-    var stores = [
-        {
-            name: mmCoreWSCacheStore,
-            keyPath: 'id'
-        }
-    ];
-    $mmSiteProvider.registerStores(stores);
-})
-
 /**
- * Service to provide functionalities related to a site.
+ * Service to provide functionalities related to the current site.
  *
  * @module mm.core
  * @ngdoc provider
  * @name $mmSite
  * @description
- * This provider is the interface with the DB database. The modules that need to store
- * information here need to register their stores.
+ * This service is a facade to the site object of the site the user is currently using, see $mmSitesFactory.
+ * To interact with any other stored site use $mmSitesManager#getSite.
  *
- * Example:
+ * The event mmCoreEventLogin is triggered when a site is set as the current site, and mmCoreEventLogout when
+ * the user logs out of it. See $mmEvents.
  *
- * .config(function($mmSiteProvider) {
- *      $mmSiteProvider.registerStore({
- *          name: 'courses',
- *          keyPath: 'id'
- *      });
- *  })
+ * The stores of the site DB are registered in $mmSitesFactoryProvider. The registration functions of this
+ * provider are kept for backwards compatibility.
  */
-.provider('$mmSite', function() {
-
-    /** Define the site storage schema. */
-    var siteSchema = {
-        autoSchema: true,
-        stores: []
-    };
+.provider('$mmSite', function($injector) {
 
     /**
-     * Register a store schema.
-     * IMPORTANT: Modifying the schema of an already existing store deletes all its data in WebSQL Storage.
-     * If a store schema needs to be modified, the data should be manually migrated to the new store.
+     * Register a store schema. See $mmSitesFactoryProvider#registerStore.
      *
      * @param  {Object} store The store object definition.
      * @return {Void}
      */
     this.registerStore = function(store) {
-        if (typeof(store.name) === 'undefined') {
-            console.log('$mmSite: Error: store name is undefined.');
-            return;
-        } else if (storeExists(store.name)) {
-            console.log('$mmSite: Error: store ' + store.name + ' is already defined.');
-            return;
-        }
-        siteSchema.stores.push(store);
+        $injector.get('$mmSitesFactoryProvider').registerStore(store);
     };
 
     /**
-     * Register multiple stores at once.
-     * IMPORTANT: Modifying the schema of an already existing store deletes all its data in WebSQL Storage.
-     * If a store schema needs to be modified, the data should be manually migrated to the new store.
+     * Register multiple stores at once. See $mmSitesFactoryProvider#registerStores.
      *
      * @param  {Array} stores Array of store objects.
      * @return {Void}
      */
     this.registerStores = function(stores) {
-        var self = this;
-        angular.forEach(stores, function(store) {
-            self.registerStore(store);
-        });
+        $injector.get('$mmSitesFactoryProvider').registerStores(stores);
     };
 
-    /**
-     * Check if a store is already defined.
-     *
-     * @param  {String} name The name of the store.
-     * @return {Boolean} True when the store was already defined.
-     */
-    function storeExists(name) {
-        var exists = false;
-        angular.forEach(siteSchema.stores, function(store) {
-            if (store.name === name) {
-                exists = true;
-            }
-        });
-        return exists;
-    }
-
-    this.$get = function($http, $q, $mmWS, $mmDB, $mmConfig, $log, md5, $cordovaNetwork, $mmLang, $mmUtil,
-        mmCoreWSCacheStore, mmCoreWSPrefix) {
-
-        $log = $log.getInstance('$mmSite');
-
-        /**
-         * List of deprecated WS functions with their corresponding NOT deprecated name.
-         *
-         * When the function does not have an equivalent set its value to true.
-         *
-         * @type {Object}
-         */
-        var deprecatedFunctions = {
-            "core_grade_get_definitions": "core_grading_get_definitions",
-            "moodle_course_create_courses": "core_course_create_courses",
-            "moodle_course_get_courses": "core_course_get_courses",
-            "moodle_enrol_get_enrolled_users": "core_enrol_get_enrolled_users",
-            "moodle_enrol_get_users_courses": "core_enrol_get_users_courses",
-            "moodle_file_get_files": "core_files_get_files",
-            "moodle_file_upload": "core_files_upload",
-            "moodle_group_add_groupmembers": "core_group_add_group_members",
-            "moodle_group_create_groups": "core_group_create_groups",
-            "moodle_group_delete_groupmembers": "core_group_delete_group_members",
-            "moodle_group_delete_groups": "core_group_delete_groups",
-            "moodle_group_get_course_groups": "core_group_get_course_groups",
-            "moodle_group_get_groupmembers": "core_group_get_group_members",
-            "moodle_group_get_groups": "core_group_get_groups",
-            "moodle_message_send_instantmessages": "core_message_send_instant_messages",
-            "moodle_notes_create_notes": "core_notes_create_notes",
-            "moodle_role_assign": "core_role_assign_role",
-            "moodle_role_unassign": "core_role_unassign_role",
-            "moodle_user_create_users": "core_user_create_users",
-            "moodle_user_delete_users": "core_user_delete_users",
-            "moodle_user_get_course_participants_by_id": "core_user_get_course_user_profiles",
-            "moodle_user_get_users_by_courseid": "core_enrol_get_enrolled_users",
-            // Both *_user_get_users_by_id are deprecated, but there is no equivalent available in the Mobile service.
-            "moodle_user_get_users_by_id": "core_user_get_users_by_id",
-            "moodle_user_update_users": "core_user_update_users",
-            "moodle_webservice_get_siteinfo": "core_webservice_get_site_info",
-        };
+    this.$get = function($q, $mmWS, $mmEvents, $mmSitesFactory, mmCoreWSErrorAuth, mmCoreEventLogin, mmCoreEventLogout) {
 
         var self = {},
             currentSite;
 
         /**
-         * Site object to store site data.
+         * Get the site object of the current site.
          *
-         * @param {String} id      Site ID.
-         * @param {String} siteurl Site URL.
-         * @param {String} token   User's token in the site.
-         * @param {Object} infos   Site's info.
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#getCurrentSite
+         * @return {Object} Current site object. Undefined if there's no current site.
          */
-        function Site(id, siteurl, token, infos) {
-            this.id = id;
-            this.siteurl = siteurl;
-            this.token = token;
-            this.infos = infos;
-
-            if (this.id) {
-                this.db = $mmDB.getDB('Site-' + this.id, siteSchema);
-            }
-        }
+        self.getCurrentSite = function() {
+            return currentSite;
+        };
 
         /**
          * Can the user access their private files?
@@ -177,8 +80,7 @@ angular.module('mm.core')
          * @return {Boolean} False when they cannot.
          */
         self.canAccessMyFiles = function() {
-            var infos = self.getInfo();
-            return infos && (typeof infos.usercanmanageownfiles === 'undefined' || infos.usercanmanageownfiles);
+            return !!currentSite && currentSite.canAccessMyFiles();
         };
 
         /**
@@ -190,8 +92,7 @@ angular.module('mm.core')
          * @return {Boolean} False when they cannot.
          */
         self.canDownloadFiles = function() {
-            var infos = self.getInfo();
-            return infos && infos.downloadfiles;
+            return !!currentSite && currentSite.canDownloadFiles();
         };
 
         /**
@@ -203,8 +104,7 @@ angular.module('mm.core')
          * @return {Boolean} False when they cannot.
          */
         self.canUploadFiles = function() {
-            var infos = self.getInfo();
-            return infos && infos.uploadfiles;
+            return !!currentSite && currentSite.canUploadFiles();
         };
 
         /**
@@ -216,32 +116,10 @@ angular.module('mm.core')
          * @return {Promise}        A promise to be resolved when the site info is retrieved.
          */
         self.fetchSiteInfo = function() {
-            var deferred = $q.defer();
-
-            if (!self.isLoggedIn()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.login.notloggedin');
-                return deferred.promise;
+            if (!currentSite) {
+                return notLoggedIn();
             }
-
-            function siteDataRetrieved(infos) {
-                currentSite.infos = infos;
-                deferred.resolve(infos);
-            }
-
-            // get_site_info won't be cached. The returned data is stored in the site.
-            var preSets = {
-                getFromCache: 0,
-                saveToCache: 0
-            };
-
-            // We have a valid token, try to get the site info.
-            self.read('core_webservice_get_site_info', {}, preSets).then(siteDataRetrieved, function(error) {
-                self.read('moodle_webservice_get_siteinfo', {}, preSets).then(siteDataRetrieved, function(error) {
-                    deferred.reject(error);
-                });
-            });
-
-            return deferred.promise;
+            return currentSite.fetchSiteInfo();
         };
 
         /**
@@ -253,7 +131,7 @@ angular.module('mm.core')
          * @return {Boolean} True if the user is logged in a site, false otherwise.
          */
         self.isLoggedIn = function() {
-            return typeof(currentSite) != 'undefined' && typeof(currentSite.token) != 'undefined' && currentSite.token != '';
+            return typeof(currentSite) != 'undefined' && currentSite.isLoggedIn();
         };
 
         /**
@@ -264,7 +142,11 @@ angular.module('mm.core')
          * @name $mmSite#logout
          */
         self.logout = function() {
+            var siteid = currentSite ? currentSite.getId() : undefined;
             currentSite = undefined;
+            if (typeof(siteid) !== 'undefined') {
+                $mmEvents.trigger(mmCoreEventLogout, siteid);
+            }
         };
 
         /**
@@ -277,7 +159,7 @@ angular.module('mm.core')
          * @param {String} token   User's token in the site.
          */
         self.setCandidateSite = function(siteurl, token) {
-            currentSite = new Site(undefined, siteurl, token);
+            currentSite = $mmSitesFactory.makeSite(undefined, siteurl, token);
         };
 
         /**
@@ -297,13 +179,18 @@ angular.module('mm.core')
          * @module mm.core
          * @ngdoc method
          * @name $mmSite#setSite
-         * @param {String} id      Site ID.
-         * @param {String} siteurl Site URL.
-         * @param {String} token   User's token in the site.
-         * @param {Object} infos   Site info.
+         * @param {Mixed}  id      Site ID, or the site object to use (see $mmSitesFactory#makeSite).
+         * @param {String} siteurl Site URL. Not needed if a site object is passed.
+         * @param {String} token   User's token in the site. Not needed if a site object is passed.
+         * @param {Object} infos   Site info. Not needed if a site object is passed.
          */
         self.setSite = function(id, siteurl, token, infos) {
-            currentSite = new Site(id, siteurl, token, infos);
+            if (angular.isObject(id)) {
+                currentSite = id;
+            } else {
+                currentSite = $mmSitesFactory.makeSite(id, siteurl, token, infos);
+            }
+            $mmEvents.trigger(mmCoreEventLogin, currentSite.getId());
         };
 
         /**
@@ -319,61 +206,50 @@ angular.module('mm.core')
             if (typeof(currentSite) !== 'undefined' && currentSite.id == siteid) {
                 self.logout();
             }
-            return $mmDB.deleteDB('Site-' + siteid);
+            return $mmSitesFactory.deleteSiteDb(siteid);
         };
 
         /**
-         * Read some data from the Moodle site using WS. Requests are cached by default.
+         * Read some data from the current site using WS. See the site object's read.
          *
          * @module mm.core
          * @ngdoc method
-         * @name $mmSite#logout
-         * @param  {String} read  WS method to use.
+         * @name $mmSite#read
+         * @param  {String} method  WS method to use.
          * @param  {Object} data    Data to send to the WS.
-         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires, sync.
+         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires, sync, cacheKey, cacheTTL,
+         *                          updateInBackground, timeout, retries, retryDelay, batch.
          * @return {Promise}        Promise to be resolved when the request is finished.
          */
         self.read = function(method, data, preSets) {
-            preSets = preSets || {};
-            if (typeof(preSets.getFromCache) === 'undefined') {
-                preSets.getFromCache = 1;
-            }
-            if (typeof(preSets.saveToCache) === 'undefined') {
-                preSets.saveToCache = 1;
+            if (!currentSite) {
+                return notLoggedIn();
             }
-            if (typeof(preSets.sync) === 'undefined') {
-                preSets.sync = 0;
-            }
-            return self.request(method, data, preSets);
+            return currentSite.read(method, data, preSets);
         };
 
         /**
-         * Sends some data to the Moodle site using WS. Requests are NOT cached by default.
+         * Sends some data to the current site using WS. See the site object's write.
          *
          * @module mm.core
          * @ngdoc method
          * @name $mmSite#write
          * @param  {String} method  WS method to use.
          * @param  {Object} data    Data to send to the WS.
-         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires.
+         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires, sync, timeout, retries, retryDelay.
+         *                          The call is added to the sync queue if the device is offline, unless the sync
+         *                          option is disabled.
          * @return {Promise}        Promise to be resolved when the request is finished.
          */
         self.write = function(method, data, preSets) {
-            preSets = preSets || {};
-            if (typeof(preSets.getFromCache) === 'undefined') {
-                preSets.getFromCache = 0;
-            }
-            if (typeof(preSets.saveToCache) === 'undefined') {
-                preSets.saveToCache = 0;
-            }
-            if (typeof(preSets.sync) === 'undefined') {
-                preSets.sync = 0;
+            if (!currentSite) {
+                return notLoggedIn();
             }
-            return self.request(method, data, preSets);
+            return currentSite.write(method, data, preSets);
         };
 
         /**
-         * WS request to the site.
+         * WS request to the current site. See the site object's request for the list of preSets.
          *
          * @module mm.core
          * @ngdoc method
@@ -381,82 +257,91 @@ angular.module('mm.core')
          * @param {string} method The WebService method to be called.
          * @param {Object} data Arguments to pass to the method.
          * @param {Object} preSets Extra settings.
-         *                    - getFromCache boolean (false) Use the cache when possible.
-         *                    - saveToCache boolean (false) Save the call results to the cache.
-         *                    - omitExpires boolean (false) Ignore cache expiry.
-         *                    - sync boolean (false) Add call to queue if device is not connected.
-         * @return {Promise}
-         * @description
-         *
-         * Sends a webservice request to the site. This method will automatically add the
-         * required parameters and pass it on to the low level API in $mmWS.call().
-         *
-         * Caching is also implemented, when enabled this method will returned a cached
-         * version of itself rather than contacting the server.
-         *
-         * This method is smart which means that it will try to map the method to a
-         * compatibility one if need be, usually that means that it will fallback on
-         * the 'local_mobile_' prefixed function if it is available and the non-prefixed is not.
+         * @return {Promise} Promise to be resolved when the request is finished.
          */
         self.request = function(method, data, preSets) {
-            var deferred = $q.defer();
-
-            if (!self.isLoggedIn()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.login.notloggedin');
-                return deferred.promise;
+            if (!currentSite) {
+                return notLoggedIn();
             }
+            return currentSite.request(method, data, preSets);
+        };
 
-            // Get the method to use based on the available ones.
-            method = getCompatibleFunction(method);
-
-            // Check if the method is available, use a prefixed version if possible.
-            // We ignore this check when we do not have the site info, as the list of functions is not loaded yet.
-            if (self.getInfo() && !self.wsAvailable(method, false)) {
-                if (self.wsAvailable(mmCoreWSPrefix + method, false)) {
-                    $log.info("Using compatibility WS method '" + mmCoreWSPrefix + method + "'");
-                    method = mmCoreWSPrefix + method;
-                } else {
-                    $log.error("WS function '" + method + "' is not available, even in compatibility mode.");
-                    $mmLang.translateErrorAndReject(deferred, 'mm.core.wsfunctionnotavailable');
-                    return deferred.promise;
-                }
+        /**
+         * Invalidates all the cache entries of the current site.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#invalidateWsCache
+         * @return {Promise} Promise to be resolved when the cache entries are invalidated.
+         */
+        self.invalidateWsCache = function() {
+            if (!currentSite) {
+                return $q.reject();
             }
+            return currentSite.invalidateWsCache();
+        };
 
-            preSets = preSets || {};
-            preSets.wstoken = currentSite.token;
-            preSets.siteurl = currentSite.siteurl;
-
-            getFromCache(method, data, preSets).then(function(data) {
-                deferred.resolve(data);
-            }, function() {
-                var mustSaveToCache = preSets.saveToCache;
-
-                // Do not pass those options to the core WS factory.
-                delete preSets.getFromCache;
-                delete preSets.saveToCache;
-                delete preSets.omitExpires;
-
-                // TODO: Sync
-
-                $mmWS.call(method, data, preSets).then(function(response) {
+        /**
+         * Invalidates all the cache entries with a certain key.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#invalidateWsCacheForKey
+         * @param  {String} key Key to search.
+         * @return {Promise}    Promise to be resolved when the cache entries are invalidated.
+         */
+        self.invalidateWsCacheForKey = function(key) {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.invalidateWsCacheForKey(key);
+        };
 
-                    if (mustSaveToCache) {
-                        saveToCache(method, data, response);
-                    }
+        /**
+         * Invalidates all the cache entries whose key starts with a certain value.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#invalidateWsCacheForKeyStartingWith
+         * @param  {String} key Key to search.
+         * @return {Promise}    Promise to be resolved when the cache entries are invalidated.
+         */
+        self.invalidateWsCacheForKeyStartingWith = function(key) {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.invalidateWsCacheForKeyStartingWith(key);
+        };
 
-                    deferred.resolve(response);
-                }, function(error) {
-                    $log.debug('WS call failed. Try to get the value from the cache.');
-                    preSets.omitExpires = true;
-                    getFromCache(method, data, preSets).then(function(data) {
-                        deferred.resolve(data);
-                    }, function() {
-                        deferred.reject(error);
-                    });
-                });
-            });
+        /**
+         * Remove old entries from the cache of the current site.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#purgeWsCache
+         * @return {Promise} Promise to be resolved with the number of entries deleted.
+         */
+        self.purgeWsCache = function() {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.purgeWsCache();
+        };
 
-            return deferred.promise;
+        /**
+         * Get some statistics about the cache of the current site.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#getWsCacheStats
+         * @return {Promise} Promise to be resolved with an object containing the number of entries (entries),
+         *                   the number of expired entries (expired) and the approximate size in bytes (size).
+         */
+        self.getWsCacheStats = function() {
+            if (!currentSite) {
+                return $q.reject();
+            }
+            return currentSite.getWsCacheStats();
         };
 
         /**
@@ -468,31 +353,35 @@ angular.module('mm.core')
          * @param  {String} method WS name.
          * @param  {Boolean=true} checkPrefix When true also checks with the compatibility prefix.
          * @return {Boolean}       True if the WS is available, false otherwise.
-         * @description
-         *
-         * This method checks if a web service function is available. By default it will
-         * also check if there is a compatibility function for it, e.g. a prefixed one.
          */
         self.wsAvailable = function(method, checkPrefix) {
-            checkPrefix = (typeof checkPrefix === 'undefined') ? true : checkPrefix;
-
-            if (!self.isLoggedIn() || typeof(currentSite.infos) == 'undefined') {
-                return false;
-            }
-
-            for (var i = 0; i < currentSite.infos.functions.length; i++) {
-                var f = currentSite.infos.functions[i];
-                if (f.name == method) {
-                    return true;
-                }
-            }
+            return !!currentSite && currentSite.wsAvailable(method, checkPrefix);
+        };
 
-            // Let's try again with the compatibility prefix.
-            if (checkPrefix) {
-                return self.wsAvailable(mmCoreWSPrefix + method, false);
-            }
+        /**
+         * Get the Moodle release of the current site, parsed from the site info.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#getRelease
+         * @return {Object} Object with the release string (release), its numbers (major, minor and patch), the build
+         *                  (build) and the version number (version). Undefined if the release is unknown.
+         */
+        self.getRelease = function() {
+            return currentSite ? currentSite.getRelease() : undefined;
+        };
 
-            return false;
+        /**
+         * Check if the Moodle release of the current site is greater than or equal to a certain release.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#isVersionGreaterEqualThan
+         * @param  {String} release Release to compare with, e.g. '2.9' or '2.9.1'.
+         * @return {Boolean}        True if the site release is greater or equal, false otherwise or if it's unknown.
+         */
+        self.isVersionGreaterEqualThan = function(release) {
+            return !!currentSite && currentSite.isVersionGreaterEqualThan(release);
         };
 
         /**
@@ -504,11 +393,19 @@ angular.module('mm.core')
          * @return {String} Current site ID.
          */
         self.getId = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.id) !== 'undefined') {
-                return currentSite.id;
-            } else {
-                return undefined;
-            }
+            return currentSite ? currentSite.getId() : undefined;
+        };
+
+        /**
+         * Get current site DB. If user is not logged in, return undefined.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSite#getDb
+         * @return {Object} Current site DB.
+         */
+        self.getDb = function() {
+            return currentSite ? currentSite.getDb() : undefined;
         };
 
         /**
@@ -520,11 +417,7 @@ angular.module('mm.core')
          * @return {String} Current site URL.
          */
         self.getURL = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.siteurl) !== 'undefined') {
-                return currentSite.siteurl;
-            } else {
-                return undefined;
-            }
+            return currentSite ? currentSite.getURL() : undefined;
         };
 
         /**
@@ -536,11 +429,7 @@ angular.module('mm.core')
          * @return {String} Current site token.
          */
         self.getToken = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.token) !== 'undefined') {
-                return currentSite.token;
-            } else {
-                return undefined;
-            }
+            return currentSite ? currentSite.getToken() : undefined;
         };
 
         /**
@@ -552,11 +441,7 @@ angular.module('mm.core')
          * @return {Object} Current site info.
          */
         self.getInfo = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.infos) !== 'undefined') {
-                return currentSite.infos;
-            } else {
-                return undefined;
-            }
+            return currentSite ? currentSite.getInfo() : undefined;
         };
 
         /**
@@ -568,12 +453,7 @@ angular.module('mm.core')
          * @return {Object} User's ID.
          */
         self.getUserId = function() {
-            if (typeof(currentSite) !== 'undefined' && typeof(currentSite.infos) !== 'undefined'
-                    && typeof(currentSite.infos.userid) !== 'undefined') {
-                return currentSite.infos.userid;
-            } else {
-                return undefined;
-            }
+            return currentSite ? currentSite.getUserId() : undefined;
         };
 
         /**
@@ -588,11 +468,10 @@ angular.module('mm.core')
          * @return {String}      Fixed URL.
          */
         self.fixPluginfileURL = function(url, token) {
-            if (!token) {
-                token = self.getToken();
+            if (!currentSite) {
+                return url;
             }
-            return $mmUtil.fixPluginfileURL(url, token);
-
+            return currentSite.fixPluginfileURL(url, token);
         };
 
         /*
@@ -606,128 +485,38 @@ angular.module('mm.core')
          * @return {Promise}
          */
         self.uploadFile = function(uri, options) {
-            return $mmWS.uploadFile(uri, options, {
-                siteurl: self.getURL(),
-                token: self.getToken()
-            });
-        };
-
-        /**
-         * Return the function to be used, based on the available functions in the site. It'll try to use non-deprecated
-         * functions first, and fallback to deprecated ones if needed.
-         *
-         * @param  {String} method WS function to check.
-         * @return {String}        Method to use based in the available functions.
-         */
-        function getCompatibleFunction(method) {
-            if (typeof deprecatedFunctions[method] !== "undefined") {
-                // Deprecated function is being used. Warn the developer.
-                if (self.wsAvailable(deprecatedFunctions[method])) {
-                    $log.warn("You are using deprecated Web Services: " + method +
-                        " you must replace it with the newer function: " + deprecatedFunctions[method]);
-                    return deprecatedFunctions[method];
-                } else {
-                    $log.warn("You are using deprecated Web Services. " +
-                        "Your remote site seems to be outdated, consider upgrade it to the latest Moodle version.");
-                }
-            } else if (!self.wsAvailable(method)) {
-                // Method not available. Check if there is a deprecated method to use.
-                for (var oldFunc in deprecatedFunctions) {
-                    if (deprecatedFunctions[oldFunc] === method && self.wsAvailable(oldFunc)) {
-                        $log.warn("Your remote site doesn't support the function " + method +
-                            ", it seems to be outdated, consider upgrade it to the latest Moodle version.");
-                        return oldFunc; // Use deprecated function.
-                    }
-                }
+            if (!currentSite) {
+                return notLoggedIn();
             }
-            return method;
-        }
-
-        /**
-         * Get a WS response from cache.
-         *
-         * @param {String} method  The WebService method.
-         * @param {Object} data    Arguments to pass to the method.
-         * @param {Object} preSets Extra settings.
-         * @return {Promise}       Promise to be resolved with the WS response.
-         */
-        function getFromCache(method, data, preSets) {
-            var result,
-                db = currentSite.db,
-                deferred = $q.defer(),
-                key;
-
-            if (!db) {
-                deferred.reject();
-                return deferred.promise;
-            } else if (!preSets.getFromCache) {
-                deferred.reject();
-                return deferred.promise;
-            }
-
-            key = md5.createHash(method + ':' + JSON.stringify(data));
-            db.get(mmCoreWSCacheStore, key).then(function(entry) {
-                var now = new Date().getTime();
-
-                try { // Use try/catch because $cordovaNetwork fails in Chromium (until mm.emulator is migrated).
-                    preSets.omitExpires = preSets.omitExpires || $cordovaNetwork.isOffline(); // omitExpires in offline.
-                } catch(err) {}
-
-                if (!preSets.omitExpires) {
-                    if (now > entry.expirationtime) {
-                        $log.debug('Cached element found, but it is expired');
-                        deferred.reject();
-                        return;
-                    }
-                }
-
-                if (typeof(entry) !== 'undefined' && typeof(entry.data) !== 'undefined') {
-                    var expires = (entry.expirationtime - now) / 1000;
-                    $log.info('Cached element found, id: ' + key + ' expires in ' + expires + ' seconds');
-                    deferred.resolve(entry.data);
-                    return;
-                }
-
-                deferred.reject();
-            }, function() {
-                deferred.reject();
-            });
-
-            return deferred.promise;
-        }
+            return currentSite.uploadFile(uri, options);
+        };
 
         /**
-         * Save a WS response to cache.
+         * Reject a call because there is no current site.
          *
-         * @param {String} method  The WebService method.
-         * @param {Object} data    Arguments to pass to the method.
-         * @param {Object} preSets Extra settings.
-         * @return {Promise}       Promise to be resolved when the response is saved.
+         * @return {Promise} Rejected promise.
          */
-        function saveToCache(method, data, response) {
-            var db = currentSite.db,
-                deferred = $q.defer(),
-                key = md5.createHash(method + ':' + JSON.stringify(data));
-
-            if (!db) {
-                deferred.reject();
-            } else {
-                $mmConfig.get('cache_expiration_time').then(function(cacheExpirationTime) {
-
-                    var entry = {
-                        id: key,
-                        data: response
-                    };
-                    entry.expirationtime = new Date().getTime() + cacheExpirationTime;
-                    db.insert(mmCoreWSCacheStore, entry);
-                    deferred.resolve();
-
-                }, deferred.reject);
-            }
-
+        function notLoggedIn() {
+            var deferred = $q.defer();
+            $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
             return deferred.promise;
         }
 
         return self;
     };
+})
+
+.run(function($interval, $ionicPlatform, $mmConfig, $mmSite) {
+    $ionicPlatform.ready(function() {
+        // The cache is also purged when a site is loaded, but the app can stay open for a long time.
+        $mmConfig.get('cache_maintenance_time').then(function(interval) {
+            $interval(function() {
+                if ($mmSite.isLoggedIn()) {
+                    $mmSite.purgeWsCache().catch(function() {
+                        // It will be purged in the next run.
+                    });
+                }
+            }, interval);
+        });
+    });
 });
@@ -0,0 +1,1183 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+.constant('mmCoreWSCacheStore', 'wscache')
+.constant('mmCoreWSCacheAccessStore', 'wscache_access')
+.constant('mmCoreSyncQueueStore', 'sync_queue')
+
+.config(function($mmSitesFactoryProvider, mmCoreWSCacheStore, mmCoreWSCacheAccessStore, mmCoreSyncQueueStore) {
+    var stores = [
+        {
+            name: mmCoreWSCacheStore,
+            keyPath: 'id',
+            indexes: [
+                {
+                    name: 'key'
+                }
+            ],
+            encrypted: true,
+            version: 2,
+            migrations: {
+                2: function(entry) {
+                    // The entries cached without a key cannot be invalidated, expire them so they're fetched again.
+                    if (typeof(entry.key) === 'undefined') {
+                        entry.expirationtime = 0;
+                    }
+                    return entry;
+                }
+            }
+        },
+        {
+            // Last time each cache entry was used, with its expiration time and size. It's stored apart so a cache
+            // hit doesn't rewrite the response, and the cache can be purged without reading the responses.
+            name: mmCoreWSCacheAccessStore,
+            keyPath: 'id'
+        },
+        {
+            name: mmCoreSyncQueueStore,
+            keyPath: 'id',
+            autoIncrement: true,
+            encrypted: true
+        }
+    ];
+    $mmSitesFactoryProvider.registerStores(stores);
+})
+
+/**
+ * Provider to create site objects.
+ *
+ * @module mm.core
+ * @ngdoc provider
+ * @name $mmSitesFactory
+ * @description
+ * Every site has its own database. The modules that need to store information in it need to register their stores.
+ *
+ * The site objects expose the functions to interact with a site: read, write, cache, database... They don't depend
+ * on the site the user is currently using, use $mmSitesManager#getSite to get any stored site. Use $mmSite to
+ * interact with the current site.
+ *
+ * Example:
+ *
+ * .config(function($mmSitesFactoryProvider) {
+ *      $mmSitesFactoryProvider.registerStore({
+ *          name: 'courses',
+ *          keyPath: 'id'
+ *      });
+ *  })
+ *
+ * The stores are versioned, see $mmDB to know how to migrate the data of a store when its definition changes.
+ */
+.provider('$mmSitesFactory', function($mmDBProvider) {
+
+    /** Define the site storage schema. */
+    var siteSchema = {
+        autoSchema: true,
+        stores: []
+    };
+
+    /**
+     * Register a store schema. Registering the same store twice is allowed, but not with a different definition.
+     * IMPORTANT: If the definition of an already existing store is modified, its version must be increased. Add a
+     * migration for the new version if the existing records need to be transformed, see $mmDB.
+     *
+     * @param  {Object} store The store object definition. See $mmDBProvider#addStore.
+     * @return {Void}
+     * @throws {Error} If the definition is not valid, or it conflicts with an already registered store.
+     */
+    this.registerStore = function(store) {
+        $mmDBProvider.addStore(siteSchema, store);
+    };
+
+    /**
+     * Register multiple stores at once. See $mmSitesFactoryProvider#registerStore.
+     *
+     * @param  {Array} stores Array of store objects.
+     * @return {Void}
+     */
+    this.registerStores = function(stores) {
+        var self = this;
+        angular.forEach(stores, function(store) {
+            self.registerStore(store);
+        });
+    };
+
+    this.$get = function($q, $mmWS, $mmWSLog, $mmDB, $mmConfig, $log, md5, $mmApp, $mmUtil, mmCoreWSCacheStore,
+            mmCoreWSCacheAccessStore, mmCoreSyncQueueStore, mmCoreWSPrefix, mmCoreWSRetries, mmCoreWSErrorNetwork,
+            mmCoreWSErrorAuth, mmCoreWSErrorUnavailable, mmCoreWSBatchFunction) {
+
+        $log = $log.getInstance('$mmSitesFactory');
+
+        /**
+         * List of deprecated WS functions with their corresponding NOT deprecated name.
+         *
+         * When the function does not have an equivalent set its value to true.
+         *
+         * @type {Object}
+         */
+        var deprecatedFunctions = {
+            "core_grade_get_definitions": "core_grading_get_definitions",
+            "moodle_course_create_courses": "core_course_create_courses",
+            "moodle_course_get_courses": "core_course_get_courses",
+            "moodle_enrol_get_enrolled_users": "core_enrol_get_enrolled_users",
+            "moodle_enrol_get_users_courses": "core_enrol_get_users_courses",
+            "moodle_file_get_files": "core_files_get_files",
+            "moodle_file_upload": "core_files_upload",
+            "moodle_group_add_groupmembers": "core_group_add_group_members",
+            "moodle_group_create_groups": "core_group_create_groups",
+            "moodle_group_delete_groupmembers": "core_group_delete_group_members",
+            "moodle_group_delete_groups": "core_group_delete_groups",
+            "moodle_group_get_course_groups": "core_group_get_course_groups",
+            "moodle_group_get_groupmembers": "core_group_get_group_members",
+            "moodle_group_get_groups": "core_group_get_groups",
+            "moodle_message_send_instantmessages": "core_message_send_instant_messages",
+            "moodle_notes_create_notes": "core_notes_create_notes",
+            "moodle_role_assign": "core_role_assign_role",
+            "moodle_role_unassign": "core_role_unassign_role",
+            "moodle_user_create_users": "core_user_create_users",
+            "moodle_user_delete_users": "core_user_delete_users",
+            "moodle_user_get_course_participants_by_id": "core_user_get_course_user_profiles",
+            "moodle_user_get_users_by_courseid": "core_enrol_get_enrolled_users",
+            // Both *_user_get_users_by_id are deprecated, but there is no equivalent available in the Mobile service.
+            "moodle_user_get_users_by_id": "core_user_get_users_by_id",
+            "moodle_user_update_users": "core_user_update_users",
+            "moodle_webservice_get_siteinfo": "core_webservice_get_site_info",
+        };
+
+        var self = {},
+            ongoingCalls = {}; // Cacheable WS calls being sent, to share them between identical requests.
+
+        /**
+         * Site object to store site data and interact with the site.
+         *
+         * @param {String} id      Site ID. Candidate sites (during login) don't have an ID nor a DB.
+         * @param {String} siteurl Site URL.
+         * @param {String} token   User's token in the site.
+         * @param {Object} infos   Site's info.
+         */
+        function Site(id, siteurl, token, infos) {
+            this.id = id;
+            this.siteurl = siteurl;
+            this.token = token;
+            this.infos = infos;
+
+            if (this.id) {
+                this.db = $mmDB.getDB('Site-' + this.id, siteSchema);
+            }
+        }
+
+        /**
+         * Get site ID.
+         *
+         * @return {String} Site ID.
+         */
+        Site.prototype.getId = function() {
+            return this.id;
+        };
+
+        /**
+         * Get site URL.
+         *
+         * @return {String} Site URL.
+         */
+        Site.prototype.getURL = function() {
+            return this.siteurl;
+        };
+
+        /**
+         * Get site token.
+         *
+         * @return {String} Site token.
+         */
+        Site.prototype.getToken = function() {
+            return this.token;
+        };
+
+        /**
+         * Get site info.
+         *
+         * @return {Object} Site info.
+         */
+        Site.prototype.getInfo = function() {
+            return this.infos;
+        };
+
+        /**
+         * Set site info.
+         *
+         * @param {Object} infos Site info.
+         */
+        Site.prototype.setInfo = function(infos) {
+            this.infos = infos;
+        };
+
+        /**
+         * Get site DB.
+         *
+         * @return {Object} Site DB. Undefined for candidate sites.
+         */
+        Site.prototype.getDb = function() {
+            return this.db;
+        };
+
+        /**
+         * Get site user's ID.
+         *
+         * @return {Number} User's ID.
+         */
+        Site.prototype.getUserId = function() {
+            if (typeof(this.infos) !== 'undefined' && typeof(this.infos.userid) !== 'undefined') {
+                return this.infos.userid;
+            } else {
+                return undefined;
+            }
+        };
+
+        /**
+         * Get the Moodle release of the site, parsed from the site info.
+         *
+         * @return {Object} Object with the release string (release), its numbers (major, minor and patch), the build
+         *                  (build) and the version number (version). Undefined if the release is unknown.
+         */
+        Site.prototype.getRelease = function() {
+            var infos = this.infos,
+                matches,
+                build;
+
+            if (typeof(infos) === 'undefined' || typeof(infos.release) !== 'string') {
+                return undefined;
+            }
+
+            // Releases look like "2.9.1+ (Build: 20150716)".
+            matches = infos.release.match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+            if (!matches) {
+                return undefined;
+            }
+            build = infos.release.match(/Build:\s*(\w+)/);
+
+            return {
+                release: infos.release,
+                major: parseInt(matches[1], 10),
+                minor: parseInt(matches[2], 10),
+                patch: matches[3] ? parseInt(matches[3], 10) : 0,
+                build: build ? build[1] : undefined,
+                version: infos.version ? parseFloat(infos.version) : undefined
+            };
+        };
+
+        /**
+         * Check if the Moodle release of the site is greater than or equal to a certain release.
+         *
+         * @param  {String} release Release to compare with, e.g. '2.9' or '2.9.1'.
+         * @return {Boolean}        True if the site release is greater or equal, false otherwise or if it's unknown.
+         */
+        Site.prototype.isVersionGreaterEqualThan = function(release) {
+            var siteRelease = this.getRelease(),
+                siteNumbers,
+                numbers;
+
+            if (!siteRelease) {
+                return false;
+            }
+
+            siteNumbers = [siteRelease.major, siteRelease.minor, siteRelease.patch];
+            numbers = String(release).split('.');
+            for (var i = 0; i < siteNumbers.length; i++) {
+                var number = parseInt(numbers[i], 10) || 0;
+                if (siteNumbers[i] != number) {
+                    return siteNumbers[i] > number;
+                }
+            }
+            return true;
+        };
+
+        /**
+         * Check if the site has a token to send WS calls.
+         *
+         * @return {Boolean} True if the user is logged in the site, false otherwise.
+         */
+        Site.prototype.isLoggedIn = function() {
+            return typeof(this.token) != 'undefined' && this.token != '';
+        };
+
+        /**
+         * Can the user access their private files?
+         *
+         * @return {Boolean} False when they cannot.
+         */
+        Site.prototype.canAccessMyFiles = function() {
+            var infos = this.getInfo();
+            return infos && (typeof infos.usercanmanageownfiles === 'undefined' || infos.usercanmanageownfiles);
+        };
+
+        /**
+         * Can the user download files?
+         *
+         * @return {Boolean} False when they cannot.
+         */
+        Site.prototype.canDownloadFiles = function() {
+            var infos = this.getInfo();
+            return infos && infos.downloadfiles;
+        };
+
+        /**
+         * Can the user upload files?
+         *
+         * @return {Boolean} False when they cannot.
+         */
+        Site.prototype.canUploadFiles = function() {
+            var infos = this.getInfo();
+            return infos && infos.uploadfiles;
+        };
+
+        /**
+         * Fetch the site info from the Moodle site and store it in the site object.
+         *
+         * @return {Promise} A promise to be resolved when the site info is retrieved.
+         */
+        Site.prototype.fetchSiteInfo = function() {
+            var site = this,
+                deferred = $q.defer();
+
+            if (!site.isLoggedIn()) {
+                $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
+                return deferred.promise;
+            }
+
+            function siteDataRetrieved(infos) {
+                site.infos = infos;
+                deferred.resolve(infos);
+            }
+
+            // get_site_info won't be cached. The returned data is stored in the site.
+            var preSets = {
+                getFromCache: 0,
+                saveToCache: 0
+            };
+
+            // We have a valid token, try to get the site info.
+            site.read('core_webservice_get_site_info', {}, preSets).then(siteDataRetrieved, function(error) {
+                site.read('moodle_webservice_get_siteinfo', {}, preSets).then(siteDataRetrieved, function(error) {
+                    deferred.reject(error);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        /**
+         * Read some data from the Moodle site using WS. Requests are cached by default.
+         *
+         * @param  {String} method  WS method to use.
+         * @param  {Object} data    Data to send to the WS.
+         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires, sync, cacheKey, cacheTTL,
+         *                          updateInBackground, timeout, retries, retryDelay, batch.
+         * @return {Promise}        Promise to be resolved when the request is finished.
+         */
+        Site.prototype.read = function(method, data, preSets) {
+            preSets = preSets || {};
+            if (typeof(preSets.getFromCache) === 'undefined') {
+                preSets.getFromCache = 1;
+            }
+            if (typeof(preSets.saveToCache) === 'undefined') {
+                preSets.saveToCache = 1;
+            }
+            if (typeof(preSets.sync) === 'undefined') {
+                preSets.sync = 0;
+            }
+            if (typeof(preSets.retries) === 'undefined') {
+                // Reading is idempotent, it can be retried safely.
+                preSets.retries = mmCoreWSRetries;
+            }
+            return this.request(method, data, preSets);
+        };
+
+        /**
+         * Sends some data to the Moodle site using WS. Requests are NOT cached by default.
+         *
+         * @param  {String} method  WS method to use.
+         * @param  {Object} data    Data to send to the WS.
+         * @param  {Object} preSets Options: getFromCache, saveToCache, omitExpires, sync, timeout, retries, retryDelay.
+         *                          Writes are not retried unless the retries option is set. They're added to the
+         *                          sync queue if the device is offline unless the sync option is disabled.
+         * @return {Promise}        Promise to be resolved when the request is finished.
+         */
+        Site.prototype.write = function(method, data, preSets) {
+            preSets = preSets || {};
+            if (typeof(preSets.getFromCache) === 'undefined') {
+                preSets.getFromCache = 0;
+            }
+            if (typeof(preSets.saveToCache) === 'undefined') {
+                preSets.saveToCache = 0;
+            }
+            if (typeof(preSets.sync) === 'undefined') {
+                preSets.sync = 1;
+            }
+            return this.request(method, data, preSets);
+        };
+
+        /**
+         * WS request to the site.
+         *
+         * @param {string} method The WebService method to be called.
+         * @param {Object} data Arguments to pass to the method.
+         * @param {Object} preSets Extra settings.
+         *                    - getFromCache boolean (false) Use the cache when possible.
+         *                    - saveToCache boolean (false) Save the call results to the cache.
+         *                    - omitExpires boolean (false) Ignore cache expiry.
+         *                    - sync boolean (false) Add call to queue if device is not connected.
+         *                    - cacheKey string Key to store along with the cached response. It allows invalidating
+         *                      the entry, see Site#invalidateWsCacheForKey.
+         *                    - cacheTTL number Time (in ms) the cached response is valid. Defaults to the
+         *                      'cache_expiration_time' config.
+         *                    - updateInBackground boolean (false) If the cached response is expired, notify it right
+         *                      away and fetch the new data. The promise is resolved with the new data, or with the
+         *                      expired one if the WS call fails.
+         *                    - timeout, retries, retryDelay: see $mmWS#call.
+         *                    - batch boolean (false) Send the call along with other calls done at the same time in a
+         *                      single request. Ignored if the site doesn't support it, see $mmWS#call.
+         * @return {Promise}  When the call is added to the sync queue the promise is resolved with an object
+         *                    containing 'queued' (true) and 'id' (the ID of the queue entry). If the call fails the
+         *                    promise is rejected with an error object, see $mmWS#createError.
+         * @description
+         *
+         * Sends a webservice request to the site. This method will automatically add the
+         * required parameters and pass it on to the low level API in $mmWS.call().
+         *
+         * Caching is also implemented, when enabled this method will returned a cached
+         * version of itself rather than contacting the server.
+         *
+         * Example of a call showing the cached data while it's updated:
+         *
+         * site.read('core_enrol_get_users_courses', data, {updateInBackground: true}).then(function(courses) {
+         *     // Fresh data.
+         * }, function(error) {
+         *     // Error.
+         * }, function(courses) {
+         *     // Expired cached data, received before the fresh data.
+         * });
+         *
+         * If the device is offline and the 'sync' preset is set, the call is stored in the site's sync queue
+         * so it can be sent later on, see $mmSyncQueue.
+         *
+         * Identical cacheable requests done while the first one is still being sent don't send a new WS call,
+         * they receive the response of the ongoing one.
+         *
+         * This method is smart which means that it will try to map the method to a
+         * compatibility one if need be, usually that means that it will fallback on
+         * the 'local_mobile_' prefixed function if it is available and the non-prefixed is not.
+         */
+        Site.prototype.request = function(method, data, preSets) {
+            var site = this,
+                deferred = $q.defer();
+
+            if (!site.isLoggedIn()) {
+                $mmWS.translateErrorAndReject(deferred, 'mm.login.notloggedin', mmCoreWSErrorAuth);
+                return deferred.promise;
+            }
+
+            preSets = preSets || {};
+
+            if (preSets.sync && !$mmApp.isOnline()) {
+                // Store the original method, the compatible one will be determined when the call is sent.
+                addToSyncQueue(site, method, data).then(function(id) {
+                    $log.debug('Device is offline, WS call ' + method + ' added to the sync queue.');
+                    deferred.resolve({queued: true, id: id});
+                }, function() {
+                    $mmWS.translateErrorAndReject(deferred, 'mm.core.networkerrormsg', mmCoreWSErrorNetwork);
+                });
+                return deferred.promise;
+            }
+
+            // Get the method to use based on the available ones.
+            method = getCompatibleFunction(site, method);
+
+            // Check if the method is available, use a prefixed version if possible.
+            // We ignore this check when we do not have the site info, as the list of functions is not loaded yet.
+            if (site.getInfo() && !site.wsAvailable(method, false)) {
+                if (site.wsAvailable(mmCoreWSPrefix + method, false)) {
+                    $log.info("Using compatibility WS method '" + mmCoreWSPrefix + method + "'");
+                    method = mmCoreWSPrefix + method;
+                } else {
+                    $log.error("WS function '" + method + "' is not available, even in compatibility mode.");
+                    $mmWS.translateErrorAndReject(deferred, 'mm.core.wsfunctionnotavailable',
+                            mmCoreWSErrorUnavailable);
+                    return deferred.promise;
+                }
+            }
+
+            if (preSets.batch && !site.wsAvailable(mmCoreWSBatchFunction, false)) {
+                // The site doesn't support batching the calls, send it on its own.
+                preSets.batch = false;
+            }
+
+            preSets.wstoken = site.token;
+            preSets.siteurl = site.siteurl;
+
+            var start = new Date().getTime();
+
+            getFromCache(site, method, data, preSets).then(function(cached) {
+                if (!cached.expired) {
+                    recordCachedCall(site, method, data, start);
+                    deferred.resolve(cached.data);
+                    return;
+                }
+
+                // Return the expired data right away and update it in background.
+                $log.debug('Using expired cached element while it is updated in background.');
+                deferred.notify(cached.data);
+                callWS(cached.data);
+            }, function() {
+                callWS();
+            });
+
+            /**
+             * Send the request to the site.
+             *
+             * @param {Mixed} expiredData Expired data already notified to the caller. Optional.
+             */
+            function callWS(expiredData) {
+                var mustGetFromCache = preSets.getFromCache,
+                    mustSaveToCache = preSets.saveToCache,
+                    cacheKey = preSets.cacheKey,
+                    cacheTTL = preSets.cacheTTL;
+
+                // Do not pass those options to the core WS factory.
+                delete preSets.getFromCache;
+                delete preSets.saveToCache;
+                delete preSets.omitExpires;
+                delete preSets.sync;
+                delete preSets.cacheKey;
+                delete preSets.cacheTTL;
+                delete preSets.updateInBackground;
+
+                getWSPromise(site, method, data, preSets, mustGetFromCache || mustSaveToCache).then(function(response) {
+
+                    if (mustSaveToCache) {
+                        saveToCache(site, method, data, response, cacheKey, cacheTTL);
+                    }
+
+                    deferred.resolve(response);
+                }, function(error) {
+                    if (typeof(expiredData) !== 'undefined') {
+                        $log.debug('WS call failed. Keep using the expired cached element.');
+                        deferred.resolve(expiredData);
+                        return;
+                    }
+
+                    $log.debug('WS call failed. Try to get the value from the cache.');
+                    preSets.getFromCache = mustGetFromCache;
+                    preSets.omitExpires = true;
+                    getFromCache(site, method, data, preSets).then(function(cached) {
+                        recordCachedCall(site, method, data, start);
+                        deferred.resolve(cached.data);
+                    }, function() {
+                        deferred.reject(error);
+                    });
+                });
+            }
+
+            return deferred.promise;
+        };
+
+        /**
+         * Invalidates all the cache entries of the site.
+         *
+         * @return {Promise} Promise to be resolved when the cache entries are invalidated.
+         */
+        Site.prototype.invalidateWsCache = function() {
+            var db = this.db;
+
+            if (!db) {
+                return $q.reject();
+            }
+
+            $log.debug('Invalidate all the cache for site: ' + this.id);
+            return db.getAll(mmCoreWSCacheStore).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+
+        /**
+         * Invalidates all the cache entries with a certain key.
+         *
+         * @param  {String} key Key to search.
+         * @return {Promise}    Promise to be resolved when the cache entries are invalidated.
+         */
+        Site.prototype.invalidateWsCacheForKey = function(key) {
+            var db = this.db;
+
+            if (!db) {
+                return $q.reject();
+            } else if (!key) {
+                return $q.when();
+            }
+
+            $log.debug('Invalidate cache for key: ' + key);
+            return db.whereEqual(mmCoreWSCacheStore, 'key', key).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+
+        /**
+         * Invalidates all the cache entries whose key starts with a certain value.
+         *
+         * @param  {String} key Key to search.
+         * @return {Promise}    Promise to be resolved when the cache entries are invalidated.
+         */
+        Site.prototype.invalidateWsCacheForKeyStartingWith = function(key) {
+            var db = this.db;
+
+            if (!db) {
+                return $q.reject();
+            } else if (!key) {
+                return $q.when();
+            }
+
+            $log.debug('Invalidate cache for key starting with: ' + key);
+            return db.where(mmCoreWSCacheStore, 'key', '^', key).then(function(entries) {
+                return invalidateEntries(db, entries);
+            });
+        };
+
+        /**
+         * Remove old entries from the cache of the site.
+         *
+         * Expired entries are still used when the device is offline, so they're only deleted if they haven't been
+         * used for 'cache_expired_keep_time'. Then, if the cache still exceeds 'cache_max_entries' or 'cache_max_size'
+         * (in bytes), the least recently used entries are deleted.
+         *
+         * Only the access records are read, not the cached responses. The entries cached before the access records
+         * kept the expiration time and the size are read once, to create their access record.
+         *
+         * @return {Promise} Promise to be resolved with the number of entries deleted.
+         */
+        Site.prototype.purgeWsCache = function() {
+            var site = this,
+                db = site.db;
+
+            if (!db) {
+                return $q.reject();
+            }
+
+            var promises = [
+                $mmConfig.get('cache_max_entries'),
+                $mmConfig.get('cache_max_size'),
+                $mmConfig.get('cache_expired_keep_time'),
+                getCacheAccesses(db)
+            ];
+
+            return $q.all(promises).then(function(data) {
+                var maxEntries = data[0],
+                    maxSize = data[1],
+                    keepTime = data[2],
+                    accesses = data[3],
+                    now = new Date().getTime(),
+                    toDelete = [],
+                    kept = 0,
+                    size = 0,
+                    full = false;
+
+                // Most recently used entries first.
+                accesses.sort(function(a, b) {
+                    return b.lastaccess - a.lastaccess;
+                });
+
+                angular.forEach(accesses, function(access) {
+                    var entrySize = access.size || 0;
+
+                    if (now > access.expirationtime && now - access.lastaccess > keepTime) {
+                        toDelete.push(access.id);
+                        return;
+                    }
+
+                    full = full || (maxEntries && kept + 1 > maxEntries) || (maxSize && size + entrySize > maxSize);
+                    if (full) {
+                        toDelete.push(access.id);
+                    } else {
+                        kept++;
+                        size += entrySize;
+                    }
+                });
+
+                if (!toDelete.length) {
+                    return 0;
+                }
+
+                $log.debug('Purge ' + toDelete.length + ' cache entries of site ' + site.id);
+                promises = [];
+                angular.forEach(toDelete, function(id) {
+                    promises.push(db.remove(mmCoreWSCacheStore, id));
+                    promises.push(db.remove(mmCoreWSCacheAccessStore, id));
+                });
+                return $q.all(promises).then(function() {
+                    return toDelete.length;
+                });
+            });
+        };
+
+        /**
+         * Get some statistics about the cache of the site. Only the access records are read, not the cached responses.
+         *
+         * @return {Promise} Promise to be resolved with an object containing the number of entries (entries),
+         *                   the number of expired entries (expired) and the approximate size in bytes (size).
+         */
+        Site.prototype.getWsCacheStats = function() {
+            var db = this.db;
+
+            if (!db) {
+                return $q.reject();
+            }
+
+            return getCacheAccesses(db).then(function(accesses) {
+                var now = new Date().getTime(),
+                    stats = {
+                        entries: accesses.length,
+                        expired: 0,
+                        size: 0
+                    };
+
+                angular.forEach(accesses, function(access) {
+                    stats.size += access.size || 0;
+                    if (now > access.expirationtime) {
+                        stats.expired++;
+                    }
+                });
+
+                return stats;
+            });
+        };
+
+        /**
+         * Check if a WS is available in the site.
+         *
+         * @param  {String} method WS name.
+         * @param  {Boolean=true} checkPrefix When true also checks with the compatibility prefix.
+         * @return {Boolean}       True if the WS is available, false otherwise.
+         * @description
+         *
+         * This method checks if a web service function is available. By default it will
+         * also check if there is a compatibility function for it, e.g. a prefixed one.
+         */
+        Site.prototype.wsAvailable = function(method, checkPrefix) {
+            checkPrefix = (typeof checkPrefix === 'undefined') ? true : checkPrefix;
+
+            if (!this.isLoggedIn() || typeof(this.infos) == 'undefined') {
+                return false;
+            }
+
+            for (var i = 0; i < this.infos.functions.length; i++) {
+                var f = this.infos.functions[i];
+                if (f.name == method) {
+                    return true;
+                }
+            }
+
+            // Let's try again with the compatibility prefix.
+            if (checkPrefix) {
+                return this.wsAvailable(mmCoreWSPrefix + method, false);
+            }
+
+            return false;
+        };
+
+        /**
+         * Generic function for adding the wstoken to Moodle urls and for pointing to the correct script.
+         * Uses $mmUtil.fixPluginfileURL, passing the site's token if it's not set.
+         *
+         * @param {String} url   The url to be fixed.
+         * @param {String} token Token to use. If not set, use the site token.
+         * @return {String}      Fixed URL.
+         */
+        Site.prototype.fixPluginfileURL = function(url, token) {
+            if (!token) {
+                token = this.getToken();
+            }
+            return $mmUtil.fixPluginfileURL(url, token);
+        };
+
+        /*
+         * Uploads a file to the site using Cordova File API.
+         *
+         * @param {Object} uri File URI.
+         * @param {Object} options File settings: fileKey, fileName and mimeType.
+         * @return {Promise}
+         */
+        Site.prototype.uploadFile = function(uri, options) {
+            return $mmWS.uploadFile(uri, options, {
+                siteurl: this.getURL(),
+                token: this.getToken()
+            });
+        };
+
+        /**
+         * Create a site object.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSitesFactory#makeSite
+         * @param  {String} id      Site ID. Don't set it for candidate sites (during login).
+         * @param  {String} siteurl Site URL.
+         * @param  {String} token   User's token in the site.
+         * @param  {Object} infos   Site's info.
+         * @return {Object}         The site object.
+         */
+        self.makeSite = function(id, siteurl, token, infos) {
+            return new Site(id, siteurl, token, infos);
+        };
+
+        /**
+         * Delete the DB of a site.
+         *
+         * @module mm.core
+         * @ngdoc method
+         * @name $mmSitesFactory#deleteSiteDb
+         * @param  {String} siteid ID of the site.
+         * @return {Promise}       Promise to be resolved when the DB is deleted.
+         */
+        self.deleteSiteDb = function(siteid) {
+            return $mmDB.deleteDB('Site-' + siteid);
+        };
+
+        /**
+         * Return the function to be used, based on the available functions in the site. It'll try to use non-deprecated
+         * functions first, and fallback to deprecated ones if needed.
+         *
+         * @param  {Object} site   Site object.
+         * @param  {String} method WS function to check.
+         * @return {String}        Method to use based in the available functions.
+         */
+        function getCompatibleFunction(site, method) {
+            if (typeof deprecatedFunctions[method] !== "undefined") {
+                // Deprecated function is being used. Warn the developer.
+                if (site.wsAvailable(deprecatedFunctions[method])) {
+                    $log.warn("You are using deprecated Web Services: " + method +
+                        " you must replace it with the newer function: " + deprecatedFunctions[method]);
+                    return deprecatedFunctions[method];
+                } else {
+                    $log.warn("You are using deprecated Web Services. " +
+                        "Your remote site seems to be outdated, consider upgrade it to the latest Moodle version.");
+                }
+            } else if (!site.wsAvailable(method)) {
+                // Method not available. Check if there is a deprecated method to use.
+                for (var oldFunc in deprecatedFunctions) {
+                    if (deprecatedFunctions[oldFunc] === method && site.wsAvailable(oldFunc)) {
+                        $log.warn("Your remote site doesn't support the function " + method +
+                            ", it seems to be outdated, consider upgrade it to the latest Moodle version.");
+                        return oldFunc; // Use deprecated function.
+                    }
+                }
+            }
+            return method;
+        }
+
+        /**
+         * Add a WS call to the sync queue of a site.
+         *
+         * @param {Object} site   Site object.
+         * @param {String} method The WebService method.
+         * @param {Object} data   Arguments to pass to the method.
+         * @return {Promise}      Promise to be resolved with the ID of the new queue entry.
+         */
+        function addToSyncQueue(site, method, data) {
+            var db = site.db;
+
+            if (!db) {
+                return $q.reject();
+            }
+
+            return db.insert(mmCoreSyncQueueStore, {
+                method: method,
+                data: data,
+                timecreated: new Date().getTime()
+            });
+        }
+
+        /**
+         * Get the ID of the cache entry of a WS call.
+         *
+         * @param  {String} method The WebService method.
+         * @param  {Object} data   Arguments to pass to the method.
+         * @return {String}        Cache ID.
+         */
+        function getCacheId(method, data) {
+            return md5.createHash(method + ':' + JSON.stringify(data));
+        }
+
+        /**
+         * Send a WS call. If the call is cacheable and an identical one is being sent, share its response.
+         *
+         * @param  {Object} site       Site object.
+         * @param  {String} method     The WebService method.
+         * @param  {Object} data       Arguments to pass to the method.
+         * @param  {Object} preSets    Settings to pass to $mmWS#call.
+         * @param  {Boolean} cacheable True if the call reads data that can be cached, false otherwise.
+         * @return {Promise}           Promise to be resolved with the WS response.
+         */
+        function getWSPromise(site, method, data, preSets, cacheable) {
+            if (!cacheable) {
+                return $mmWS.call(method, data, preSets);
+            }
+
+            var callId = site.id + ':' + getCacheId(method, data),
+                ongoing = ongoingCalls[callId];
+
+            if (ongoing) {
+                $log.debug('Identical WS call ' + method + ' is being sent, use its response.');
+            } else {
+                ongoing = $mmWS.call(method, data, preSets);
+                ongoingCalls[callId] = ongoing;
+                ongoing.finally(function() {
+                    delete ongoingCalls[callId];
+                });
+            }
+
+            return ongoing.then(function(response) {
+                // Every caller gets its own copy, the response might be modified.
+                return angular.copy(response);
+            });
+        }
+
+        /**
+         * Record in $mmWSLog a call whose response was read from the cache.
+         *
+         * @param {Object} site   Site object.
+         * @param {String} method The WebService method.
+         * @param {Object} data   Arguments passed to the method.
+         * @param {Number} start  Timestamp (in ms) when the call was started.
+         */
+        function recordCachedCall(site, method, data, start) {
+            $mmWSLog.record({
+                method: method,
+                siteurl: site.siteurl,
+                params: data,
+                time: start,
+                duration: new Date().getTime() - start,
+                fromCache: true,
+                success: true
+            });
+        }
+
+        /**
+         * Get a WS response from cache.
+         *
+         * Expired entries are only returned if the 'updateInBackground' preset is set, they're flagged as expired.
+         *
+         * @param {Object} site    Site object.
+         * @param {String} method  The WebService method.
+         * @param {Object} data    Arguments to pass to the method.
+         * @param {Object} preSets Extra settings.
+         * @return {Promise}       Promise to be resolved with an object containing the WS response (data) and
+         *                         whether it is expired (expired).
+         */
+        function getFromCache(site, method, data, preSets) {
+            var db = site.db,
+                deferred = $q.defer(),
+                key;
+
+            if (!db) {
+                deferred.reject();
+                return deferred.promise;
+            } else if (!preSets.getFromCache) {
+                deferred.reject();
+                return deferred.promise;
+            }
+
+            key = getCacheId(method, data);
+            db.get(mmCoreWSCacheStore, key).then(function(entry) {
+                var now = new Date().getTime(),
+                    expirationTime = entry.expirationtime,
+                    expired = false;
+
+                preSets.omitExpires = preSets.omitExpires || !$mmApp.isOnline(); // omitExpires in offline.
+
+                if (preSets.cacheTTL && entry.timemodified) {
+                    // The caller wants a different TTL, use the lowest expiration time.
+                    expirationTime = Math.min(expirationTime, entry.timemodified + preSets.cacheTTL);
+                }
+
+                if (!preSets.omitExpires && now > expirationTime) {
+                    if (!preSets.updateInBackground) {
+                        $log.debug('Cached element found, but it is expired');
+                        deferred.reject();
+                        return;
+                    }
+                    expired = true;
+                }
+
+                if (typeof(entry) !== 'undefined' && typeof(entry.data) !== 'undefined') {
+                    var expires = (expirationTime - now) / 1000;
+                    $log.info('Cached element found, id: ' + key + ' expires in ' + expires + ' seconds');
+
+                    // Keep track of the last access to delete the least recently used entries first.
+                    db.insert(mmCoreWSCacheAccessStore, getCacheAccess(entry, now));
+
+                    deferred.resolve({
+                        data: entry.data,
+                        expired: expired
+                    });
+                    return;
+                }
+
+                deferred.reject();
+            }, function() {
+                deferred.reject();
+            });
+
+            return deferred.promise;
+        }
+
+        /**
+         * Save a WS response to cache.
+         *
+         * @param {Object} site     Site object.
+         * @param {String} method   The WebService method.
+         * @param {Object} data     Arguments to pass to the method.
+         * @param {Object} response The WS response.
+         * @param {String} cacheKey Key to store with the entry to be able to invalidate it. Optional.
+         * @param {Number} cacheTTL Time (in ms) the entry is valid. If not set, use 'cache_expiration_time' config.
+         * @return {Promise}        Promise to be resolved when the response is saved.
+         */
+        function saveToCache(site, method, data, response, cacheKey, cacheTTL) {
+            var db = site.db,
+                deferred = $q.defer(),
+                key = getCacheId(method, data);
+
+            if (!db) {
+                deferred.reject();
+            } else {
+                $mmConfig.get('cache_expiration_time').then(function(cacheExpirationTime) {
+
+                    var now = new Date().getTime(),
+                        entry = {
+                            id: key,
+                            data: response
+                        };
+                    entry.timemodified = now;
+                    entry.expirationtime = now + (cacheTTL || cacheExpirationTime);
+                    entry.size = getSize(response);
+                    if (cacheKey) {
+                        entry.key = cacheKey;
+                    }
+                    db.insert(mmCoreWSCacheStore, entry);
+                    db.insert(mmCoreWSCacheAccessStore, getCacheAccess(entry, now));
+                    deferred.resolve();
+
+                }, deferred.reject);
+            }
+
+            return deferred.promise;
+        }
+
+        /**
+         * Invalidate a list of cache entries, setting them as expired. Expired entries are still used when the
+         * device is offline or the WS call fails.
+         *
+         * @param  {Object} db      Site DB.
+         * @param  {Array}  entries Cache entries to invalidate.
+         * @return {Promise}        Promise to be resolved when all the entries are invalidated.
+         */
+        function invalidateEntries(db, entries) {
+            var promises = [];
+
+            angular.forEach(entries, function(entry) {
+                entry.expirationtime = 0;
+                promises.push(db.insert(mmCoreWSCacheStore, entry));
+                promises.push(db.get(mmCoreWSCacheAccessStore, entry.id).then(function(access) {
+                    access.expirationtime = 0;
+                    return db.insert(mmCoreWSCacheAccessStore, access);
+                }, function() {
+                    // No access record yet, it will be created from the entry when the cache is purged.
+                }));
+            });
+
+            return $q.all(promises);
+        }
+
+        /**
+         * Build the access record of a cache entry.
+         *
+         * @param  {Object} entry      Cache entry.
+         * @param  {Number} lastAccess Last time the entry was used.
+         * @return {Object}            Access record.
+         */
+        function getCacheAccess(entry, lastAccess) {
+            return {
+                id: entry.id,
+                lastaccess: lastAccess,
+                expirationtime: entry.expirationtime,
+                size: typeof(entry.size) === 'undefined' ? getSize(entry.data) : entry.size
+            };
+        }
+
+        /**
+         * Get the access records of all the cache entries of a site. The entries that don't have a complete access
+         * record are read to create it, the entries stored before the access records existed are considered used now.
+         *
+         * @param  {Object} db Site DB.
+         * @return {Promise}   Promise to be resolved with the access records.
+         */
+        function getCacheAccesses(db) {
+            return $q.all([db.keys(mmCoreWSCacheStore), db.getAll(mmCoreWSCacheAccessStore)]).then(function(data) {
+                var ids = data[0],
+                    accesses = {},
+                    now = new Date().getTime(),
+                    promises = [];
+
+                angular.forEach(data[1], function(access) {
+                    accesses[access.id] = access;
+                });
+
+                angular.forEach(ids, function(id) {
+                    var access = accesses[id];
+                    if (access && typeof(access.expirationtime) !== 'undefined') {
+                        return;
+                    }
+
+                    promises.push(db.get(mmCoreWSCacheStore, id).then(function(entry) {
+                        var lastAccess = (access && access.lastaccess) || entry.lastaccess || now;
+                        accesses[id] = getCacheAccess(entry, lastAccess);
+                        return db.insert(mmCoreWSCacheAccessStore, accesses[id]);
+                    }));
+                });
+
+                return $q.all(promises).then(function() {
+                    // Ignore the access records of entries that don't exist.
+                    return ids.filter(function(id) {
+                        return !!accesses[id];
+                    }).map(function(id) {
+                        return accesses[id];
+                    });
+                });
+            });
+        }
+
+        /**
+         * Calculate the approximate size of a WS response once stored.
+         *
+         * @param  {Mixed} response The WS response.
+         * @return {Number}         Approximate size in bytes. Strings are stored as UTF-16, 2 bytes per character.
+         */
+        function getSize(response) {
+            try {
+                return JSON.stringify(response).length * 2;
+            } catch(ex) {
+                return 0;
+            }
+        }
+
+        return self;
+    };
+});
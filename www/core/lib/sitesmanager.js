@@ -21,7 +21,8 @@ angular.module('mm.core')
     var stores = [
         {
             name: mmCoreSitesStore,
-            keyPath: 'id'
+            keyPath: 'id',
+            encrypted: true
         },
         {
             name: mmCoreCurrentSiteStore,
@@ -37,14 +38,20 @@ angular.module('mm.core')
  * @module mm.core
  * @ngdoc service
  * @name $mmSitesManager
+ * @description
+ * When the info of a site is updated the event mmCoreEventSiteUpdated is triggered in $mmEvents with the
+ * ID of the site. The functions available in the site, and so the addons that can be used, might have changed.
  */
-.factory('$mmSitesManager', function($http, $q, $mmSite, md5, $mmLang, $mmConfig, $mmApp, $mmWS, $mmUtil, $mmFS,
-                                     $cordovaNetwork, mmCoreSitesStore, mmCoreCurrentSiteStore, $log) {
+.factory('$mmSitesManager', function($http, $q, $mmSite, md5, $mmLang, $mmConfig, $mmApp, $mmWS, $mmUtil,
+                                     $mmFS, $mmSyncQueue, $mmSitesFactory, mmCoreSitesStore,
+                                     mmCoreCurrentSiteStore, $mmEvents, mmCoreEventSiteAdded, mmCoreEventSiteUpdated,
+                                     mmCoreEventSiteDeleted, $log) {
 
     $log = $log.getInstance('$mmSitesManager');
 
     var self = {},
         services = {},
+        sites = {}, // Site objects already created, indexed by site ID.
         db = $mmApp.getDB(),
         sessionRestored = false;
 
@@ -268,10 +275,10 @@ angular.module('mm.core')
         $mmSite.setCandidateSite(siteurl, token);
 
         $mmSite.fetchSiteInfo().then(function(infos) {
-            if (isValidMoodleVersion(infos.functions)) {
+            if (isValidMoodleVersion()) {
                 var siteid = md5.createHash(siteurl + infos.username);
                 self.addSite(siteid, siteurl, token, infos);
-                $mmSite.setSite(siteid, siteurl, token, infos);
+                $mmSite.setSite(sites[siteid]);
                 self.login(siteid);
                 deferred.resolve();
             } else {
@@ -321,16 +328,12 @@ angular.module('mm.core')
      * Check for the minimum required version. We check for WebServices present, not for Moodle version.
      * This may allow some hacks like using local plugins for adding missing functions in previous versions.
      *
-     * @param {Array} sitefunctions List of functions of the Moodle site.
-     * @return {Boolean}            True if the moodle version is valid, false otherwise.
+     * The current site (the candidate site during login) must have its site info.
+     *
+     * @return {Boolean} True if the moodle version is valid, false otherwise.
      */
-    function isValidMoodleVersion(sitefunctions) {
-        for(var i = 0; i < sitefunctions.length; i++) {
-            if (sitefunctions[i].name.indexOf("component_strings") > -1) {
-                return true;
-            }
-        }
-        return false;
+    function isValidMoodleVersion() {
+        return $mmSite.wsAvailable('core_get_component_strings');
     };
 
     /**
@@ -351,6 +354,90 @@ angular.module('mm.core')
             token: token,
             infos: infos
         });
+        // Replace the site object, the token might have changed.
+        sites[id] = $mmSitesFactory.makeSite(id, siteurl, token, infos);
+        $mmEvents.trigger(mmCoreEventSiteAdded, id);
+    };
+
+    /**
+     * Get the site object of a stored site. It can be used to interact with the site even if it's not
+     * the current one.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSitesManager#getSite
+     * @param  {String} siteid ID of the site. If not set, return the current site.
+     * @return {Promise}       Promise to be resolved with the site object (see $mmSitesFactory).
+     *                         It's rejected if the site doesn't exist.
+     */
+    self.getSite = function(siteid) {
+        if (typeof(siteid) === 'undefined') {
+            var currentSite = $mmSite.getCurrentSite();
+            return currentSite ? $q.when(currentSite) : $q.reject();
+        } else if (sites[siteid]) {
+            return $q.when(sites[siteid]);
+        }
+
+        return db.get(mmCoreSitesStore, siteid).then(getSiteObject);
+    };
+
+    /**
+     * Fetch the info of a site from the Moodle site and store it. Sites keep the info retrieved when the user
+     * logged in, it needs to be updated to know about changes in the site (new WS functions, upgrades, etc.).
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSitesManager#updateSiteInfo
+     * @param  {String} siteid ID of the site. If not set, update the current site.
+     * @return {Promise}       Promise to be resolved with the new site info.
+     */
+    self.updateSiteInfo = function(siteid) {
+        return self.getSite(siteid).then(function(site) {
+            siteid = site.getId();
+
+            return site.fetchSiteInfo().then(function(infos) {
+                return db.get(mmCoreSitesStore, siteid).then(function(entry) {
+                    entry.infos = infos;
+                    return db.insert(mmCoreSitesStore, entry);
+                }).then(function() {
+                    $log.debug('Site info updated for site ' + siteid);
+                    $mmEvents.trigger(mmCoreEventSiteUpdated, siteid);
+                    return infos;
+                });
+            });
+        });
+    };
+
+    /**
+     * Get the site object of a site stored in the sites list, creating it if needed.
+     *
+     * @param  {Object} site Site entry from the sites store.
+     * @return {Object}      Site object.
+     */
+    function getSiteObject(site) {
+        if (!sites[site.id]) {
+            sites[site.id] = $mmSitesFactory.makeSite(site.id, site.siteurl, site.token, site.infos);
+        }
+        return sites[site.id];
+    }
+
+    /**
+     * Mark a site as logged out (or not). A logged out site needs the user to authenticate again before it can be
+     * loaded. Its DB and downloaded files are kept, they'll be used again once the user logs in.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSitesManager#setSiteLoggedOut
+     * @param {String}  siteid    ID of the site.
+     * @param {Boolean} loggedOut True to mark the site as logged out, false otherwise.
+     * @return {Promise}          Promise to be resolved when the site is updated.
+     */
+    self.setSiteLoggedOut = function(siteid, loggedOut) {
+        $log.debug('Set site ' + siteid + ' as logged out: ' + loggedOut);
+        return db.get(mmCoreSitesStore, siteid).then(function(site) {
+            site.loggedOut = loggedOut;
+            return db.insert(mmCoreSitesStore, site);
+        });
     };
 
     /**
@@ -360,13 +447,30 @@ angular.module('mm.core')
      * @ngdoc method
      * @name $mmSitesManager#loadSite
      * @param {String} siteid ID of the site to load.
-     * @return {Promise}      Promise to be resolved when the site is loaded.
+     * @return {Promise}      Promise to be resolved when the site is loaded. It's rejected if the user
+     *                        needs to authenticate again in the site.
      */
     self.loadSite = function(siteid) {
         $log.debug('Load site '+siteid);
         return db.get(mmCoreSitesStore, siteid).then(function(site) {
-            $mmSite.setSite(siteid, site.siteurl, site.token, site.infos);
+            if (site.loggedOut) {
+                $log.debug('Site ' + siteid + ' is logged out, the user needs to authenticate again.');
+                return $q.reject();
+            }
+            $mmSite.setSite(getSiteObject(site));
             self.login(siteid);
+            // Send the calls queued while the device was offline.
+            $mmSyncQueue.process().catch(function() {
+                // The calls will be sent later.
+            });
+            // Remove old cache entries, it might have grown since the site was last used.
+            $mmSite.purgeWsCache().catch(function() {
+                $log.warn('Error purging the WS cache of site ' + siteid);
+            });
+            // Check if the site has changed since the info was stored.
+            self.updateSiteInfo(siteid).catch(function() {
+                // The site can't be reached (e.g. the device is offline), the stored info is used.
+            });
         });
     };
 
@@ -381,8 +485,31 @@ angular.module('mm.core')
      */
     self.deleteSite = function(siteid) {
         $log.debug('Delete site '+siteid);
+        delete sites[siteid];
         return $mmSite.deleteSite(siteid).then(function() {
             return db.remove(mmCoreSitesStore, siteid);
+        }).then(function() {
+            $mmEvents.trigger(mmCoreEventSiteDeleted, siteid);
+        });
+    };
+
+    /**
+     * Delete all the sites and their data. The sites aren't read, so they can be deleted if they can't be decrypted.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSitesManager#deleteAllSites
+     * @return {Promise} Promise to be resolved when the sites are deleted.
+     */
+    self.deleteAllSites = function() {
+        return db.keys(mmCoreSitesStore).then(function(ids) {
+            var promises = [];
+            angular.forEach(ids, function(siteid) {
+                promises.push(self.deleteSite(siteid));
+            });
+            return $q.all(promises);
+        }).then(function() {
+            return self.logout();
         });
     };
 
@@ -433,6 +560,8 @@ angular.module('mm.core')
                 formattedSites.push({
                     id: site.id,
                     siteurl: site.siteurl,
+                    username: site.infos.username,
+                    loggedOut: !!site.loggedOut,
                     fullname: site.infos.fullname,
                     sitename: site.infos.sitename,
                     avatar: site.infos.userpictureurl
@@ -494,23 +623,17 @@ angular.module('mm.core')
                 $log.debug('File ' + downloadURL + ' already downloaded.');
                 return fileEntry.toInternalURL();
             }, function() {
-                try { // Use try/catch because $cordovaNetwork fails in Chromium (until mm.emulator is migrated).
-                    if ($cordovaNetwork.isOnline()) {
-                        $log.debug('File ' + downloadURL + ' not downloaded. Lets download.');
-                        return $mmWS.downloadFile(downloadURL, path.file).then(function(fileEntry) {
-                            return fileEntry.toInternalURL();
-                        }, function(err) {
-                            return downloadURL;
-                        });
-                    } else {
-                        $log.debug('File ' + downloadURL + ' not downloaded, but the device is offline.');
+                if ($mmApp.isOnline()) {
+                    $log.debug('File ' + downloadURL + ' not downloaded. Lets download.');
+                    return $mmWS.downloadFile(downloadURL, path.file).then(function(fileEntry) {
+                        return fileEntry.toInternalURL();
+                    }, function(err) {
                         return downloadURL;
-                    }
-                } catch(err) {
-                    $log.debug('File ' + downloadURL + ' not downloaded, but cordova is not available.');
+                    });
+                } else {
+                    $log.debug('File ' + downloadURL + ' not downloaded, but the device is offline.');
                     return downloadURL;
                 }
-
             });
         });
     };
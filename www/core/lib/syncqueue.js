@@ -0,0 +1,256 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+/**
+ * Service to handle the WS calls queued while the device was offline.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmSyncQueue
+ * @description
+ * The calls done using $mmSite#write are stored in the site's sync queue when the device is offline, unless
+ * the 'sync' preset is disabled. This service sends them in the same order they were queued once the network is
+ * back. The queues of all the sites are processed, not only the current one.
+ *
+ * Example:
+ *
+ * $mmSyncQueue.registerObserver('mmaMyAddon', function(entry, success, result, siteid) {
+ *     // Result is the WS response on success, or the error on failure.
+ * });
+ */
+.factory('$mmSyncQueue', function($q, $log, $injector, $mmApp, mmCoreSyncQueueStore, mmCoreWSErrorNetwork,
+            mmCoreWSErrorAuth) {
+
+    $log = $log.getInstance('$mmSyncQueue');
+
+    var self = {},
+        observers = {},
+        processing;
+
+    /**
+     * Register an observer to be notified when a queued call has been processed.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSyncQueue#registerObserver
+     * @param {String} name       Observer's name. Must be unique.
+     * @param {Function} callback Function to call when an entry is processed. It receives the entry, a boolean
+     *                            indicating if the call succeeded, the WS response or the error and the ID of
+     *                            the site the entry belongs to.
+     */
+    self.registerObserver = function(name, callback) {
+        $log.debug("Register observer '" + name + "' for sync queue.");
+        observers[name] = callback;
+    };
+
+    /**
+     * Get a site object. $mmSitesManager is retrieved when needed because it depends on this service.
+     *
+     * @param  {String} siteid ID of the site. If not set, return the current site.
+     * @return {Promise}       Promise to be resolved with the site object.
+     */
+    function getSite(siteid) {
+        return $injector.get('$mmSitesManager').getSite(siteid);
+    }
+
+    /**
+     * Get the DB of a site.
+     *
+     * @param  {String} siteid ID of the site. If not set, use the current site.
+     * @return {Promise}       Promise to be resolved with the DB. It's rejected if the site doesn't have a DB.
+     */
+    function getSiteDb(siteid) {
+        return getSite(siteid).then(function(site) {
+            var db = site.getDb();
+            return db ? db : $q.reject();
+        });
+    }
+
+    /**
+     * Get the entries pending to be sent in a site.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSyncQueue#getEntries
+     * @param  {String} method Only return the entries of this WS method. Optional.
+     * @param  {String} siteid ID of the site. If not set, use the current site.
+     * @return {Promise}       Promise to be resolved with the entries, sorted in the order they'll be sent.
+     */
+    self.getEntries = function(method, siteid) {
+        return getSiteDb(siteid).then(function(db) {
+            return db.getAll(mmCoreSyncQueueStore);
+        }).then(function(entries) {
+            entries = entries.filter(function(entry) {
+                return typeof(method) === 'undefined' || entry.method === method;
+            });
+            return entries.sort(function(a, b) {
+                return a.id - b.id;
+            });
+        });
+    };
+
+    /**
+     * Cancel a pending entry so it's never sent.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSyncQueue#cancel
+     * @param  {Number} id     ID of the entry.
+     * @param  {String} siteid ID of the site. If not set, use the current site.
+     * @return {Promise}       Promise to be resolved when the entry is deleted.
+     */
+    self.cancel = function(id, siteid) {
+        return getSiteDb(siteid).then(function(db) {
+            $log.debug('Cancel sync queue entry ' + id);
+            return db.remove(mmCoreSyncQueueStore, id);
+        });
+    };
+
+    /**
+     * Send the pending entries of all the sites, in the order they were added. Sites where the user needs to
+     * authenticate again are skipped, their entries will be sent once the user logs in.
+     *
+     * If the device goes offline or a site cannot be reached while processing, the remaining entries of the site
+     * are kept for later. The same happens if the user needs to authenticate again. Calls rejected by the site are
+     * removed from the queue, the observers are notified about them.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmSyncQueue#process
+     * @return {Promise} Promise to be resolved when the queues have been processed. It's rejected if the process
+     *                   is interrupted in any site because it cannot be reached.
+     */
+    self.process = function() {
+        if (processing) {
+            return processing;
+        } else if (!$mmApp.isOnline()) {
+            return $q.when();
+        }
+
+        processing = $injector.get('$mmSitesManager').getSites().then(function(sites) {
+            var promises = [];
+
+            angular.forEach(sites, function(site) {
+                if (!site.loggedOut) {
+                    promises.push(processSite(site.id));
+                }
+            });
+
+            return $q.all(promises);
+        }).finally(function() {
+            processing = undefined;
+        });
+
+        return processing;
+    };
+
+    /**
+     * Send the pending entries of a site.
+     *
+     * @param  {String} siteid ID of the site.
+     * @return {Promise}       Promise to be resolved when the queue has been processed. It's rejected if the process
+     *                         is interrupted because the site cannot be reached.
+     */
+    function processSite(siteid) {
+        return getSite(siteid).then(function(site) {
+            return self.getEntries(undefined, siteid).then(function(entries) {
+                if (entries.length) {
+                    $log.debug('Processing ' + entries.length + ' entries in the sync queue of site ' + siteid);
+                }
+                return processEntries(site, entries);
+            });
+        });
+    }
+
+    /**
+     * Send a list of entries one after the other.
+     *
+     * @param  {Object} site    Site object the entries belong to.
+     * @param  {Array}  entries Entries to send.
+     * @return {Promise}        Promise to be resolved when all the entries are processed or the process is stopped.
+     */
+    function processEntries(site, entries) {
+        var entry = entries.shift(),
+            siteid = site.getId();
+
+        if (typeof(entry) === 'undefined') {
+            return $q.when();
+        }
+
+        return site.write(entry.method, entry.data, {sync: 0}).then(function(response) {
+            return self.cancel(entry.id, siteid).finally(function() {
+                notifyObservers(entry, true, response, siteid);
+            });
+        }, function(error) {
+            if (!$mmApp.isOnline() || (error && error.type === mmCoreWSErrorNetwork)) {
+                // We lost the connection, the entry will be sent later.
+                $log.debug('Site cannot be reached, stop processing the sync queue.');
+                return $q.reject();
+            } else if (error && error.type === mmCoreWSErrorAuth) {
+                // The token is no longer valid, the entry will be sent once the user logs in again.
+                $log.debug('User needs to authenticate again, stop processing the sync queue.');
+                return $q.reject();
+            }
+
+            $log.error('Queued WS call ' + entry.method + ' failed: ' + error);
+            return self.cancel(entry.id, siteid).finally(function() {
+                notifyObservers(entry, false, error, siteid);
+            });
+        }).then(function() {
+            return processEntries(site, entries);
+        });
+    }
+
+    /**
+     * Notify all observers about a processed entry.
+     *
+     * @param {Object}  entry   Entry processed.
+     * @param {Boolean} success True if the call succeeded, false otherwise.
+     * @param {Mixed}   result  WS response or error.
+     * @param {String}  siteid  ID of the site the entry belongs to.
+     */
+    function notifyObservers(entry, success, result, siteid) {
+        angular.forEach(observers, function(callback) {
+            if (typeof(callback) === 'function') {
+                callback(entry, success, result, siteid);
+            }
+        });
+    }
+
+    return self;
+})
+
+.run(function($interval, $ionicPlatform, $mmApp, $mmConfig, $mmSyncQueue) {
+    // Send the pending calls as soon as the network is back.
+    $mmApp.onNetworkChange(function(online) {
+        if (online) {
+            $mmSyncQueue.process().catch(function() {
+                // The calls will be sent later.
+            });
+        }
+    });
+
+    $ionicPlatform.ready(function() {
+        // Retry periodically too, a call might have failed because the site was down.
+        $mmConfig.get('sync_ws_on').then(function(enabled) {
+            if (enabled) {
+                $mmConfig.get('sync_ws').then(function(interval) {
+                    $interval($mmSyncQueue.process, interval);
+                });
+            }
+        });
+    });
+});
@@ -375,13 +375,17 @@ angular.module('mm.core')
          * @module mm.core
          * @ngdoc method
          * @name $mmUtil#showErrorModal
-         * @param {String} errorMessage    Message to show.
+         * @param {Mixed} errorMessage    Message to show. It can also be an error object, e.g. a WS error.
          * @param {Boolean} needsTranslate True if the errorMessage is a $translate key, false otherwise.
          */
         self.showErrorModal = function(errorMessage, needsTranslate) {
             var errorKey = 'mm.core.error',
                 langKeys = [errorKey];
 
+            if (angular.isObject(errorMessage) && typeof(errorMessage.message) !== 'undefined') {
+                errorMessage = errorMessage.message;
+            }
+
             if (needsTranslate) {
                 langKeys.push(errorMessage);
             }
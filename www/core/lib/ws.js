@@ -14,18 +14,127 @@
 
 angular.module('mm.core')
 
+.constant('mmCoreWSTimeout', 30000)
+.constant('mmCoreWSRetries', 2)
+.constant('mmCoreWSRetryDelay', 1000)
+.constant('mmCoreWSErrorNetwork', 'network')
+.constant('mmCoreWSErrorMoodle', 'moodle')
+.constant('mmCoreWSErrorAuth', 'auth')
+.constant('mmCoreWSErrorUnavailable', 'unavailable')
+.constant('mmCoreWSBatchFunction', 'tool_mobile_call_external_functions')
+
 /**
  * Web service module.
  *
  * @module mm.core
  * @ngdoc service
  * @name $mmWS
+ * @description
+ * When the site reports that the token is no longer valid, the event mmCoreEventSessionExpired is triggered
+ * in $mmEvents with an object containing the siteurl and the token used in the call.
+ *
+ * Calls that fail because the site could not be reached can be retried, waiting twice as long before each
+ * new attempt. See the 'retries' and 'retryDelay' preSets of $mmWS#call.
+ *
+ * Calls with the 'batch' preSet done in the same digest are sent together in a single request to the
+ * mmCoreWSBatchFunction WS function if they use the same site, token, timeout and retries. Each caller still
+ * receives its own response. The site must support that function, see $mmSite#read.
+ *
+ * Failed calls are rejected with an error object (see $mmWS#createError) whose type tells why the call failed:
+ *     - mmCoreWSErrorNetwork: the site could not be reached. Trying again later might work.
+ *     - mmCoreWSErrorMoodle: the site returned an exception.
+ *     - mmCoreWSErrorAuth: the user is not authenticated or the token is no longer valid.
+ *     - mmCoreWSErrorUnavailable: the call cannot be done, e.g. the WS function is not available in the site.
+ *
+ * Example:
+ *
+ * $mmSite.read('core_course_get_contents', data).catch(function(error) {
+ *     $scope.canRetry = error.type === mmCoreWSErrorNetwork;
+ *     $mmUtil.showErrorModal(error);
+ * });
  */
-.factory('$mmWS', function($http, $q, $log, $mmLang, $cordovaFileTransfer, $cordovaNetwork, $mmFS) {
+.factory('$mmWS', function($http, $q, $log, $timeout, $translate, $cordovaFileTransfer, $mmApp,
+            $mmFS, $mmEvents, $mmWSLog, mmCoreEventSessionExpired, mmCoreWSTimeout, mmCoreWSRetryDelay, mmCoreWSErrorNetwork,
+            mmCoreWSErrorMoodle, mmCoreWSErrorAuth, mmCoreWSErrorUnavailable, mmCoreWSBatchFunction) {
 
     $log = $log.getInstance('$mmWS');
 
-    var self = {};
+    var self = {},
+        batchQueues = {}; // Calls waiting to be sent in a batch, grouped by transport settings.
+
+    /**
+     * Error returned by a failed WS call.
+     *
+     * @param {String} type    Type of the error.
+     * @param {String} message Error message.
+     * @param {Object} payload Original response or error. Optional.
+     */
+    function WSError(type, message, payload) {
+        this.type = type;
+        this.message = message;
+        this.payload = payload;
+        if (payload) {
+            this.errorcode = payload.errorcode;
+            this.debuginfo = payload.debuginfo;
+        }
+    }
+
+    /**
+     * Get the error message, existing code expects errors to be strings.
+     *
+     * @return {String} Error message.
+     */
+    WSError.prototype.toString = function() {
+        return this.message;
+    };
+
+    /**
+     * Create a WS error object.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWS#createError
+     * @param  {String} type    Type of the error: mmCoreWSErrorNetwork, mmCoreWSErrorMoodle, mmCoreWSErrorAuth
+     *                          or mmCoreWSErrorUnavailable.
+     * @param  {String} message Error message.
+     * @param  {Object} payload Original response or error. Its errorcode and debuginfo are copied to the error.
+     * @return {Object}         Error object with type, message, errorcode, debuginfo and payload.
+     */
+    self.createError = function(type, message, payload) {
+        return new WSError(type, message, payload);
+    };
+
+    /**
+     * Check if an error was returned by a WS call.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWS#isWSError
+     * @param  {Mixed} error Error to check.
+     * @return {Boolean}     True if it's a WS error object, false otherwise.
+     */
+    self.isWSError = function(error) {
+        return error instanceof WSError;
+    };
+
+    /**
+     * Translates an error message and rejects a deferred with a WS error object.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWS#translateErrorAndReject
+     * @param {Object} deferred Deferred object to reject.
+     * @param {String} errorkey Key of the message.
+     * @param {String} type     Type of the error.
+     * @param {Object} payload  Original response or error. Optional.
+     */
+    self.translateErrorAndReject = function(deferred, errorkey, type, payload) {
+        $translate(errorkey).then(function(errorMessage) {
+            deferred.reject(self.createError(type, errorMessage, payload));
+        }, function() {
+            deferred.reject(self.createError(type, errorkey, payload));
+        });
+    };
 
     /**
      * A wrapper function for a moodle WebService call.
@@ -40,8 +149,49 @@ angular.module('mm.core')
      *                    - wstoken string The Webservice token.
      *                    - wsfunctions array List of functions available on the site.
      *                    - responseExpected boolean (false) Raise an error if response is null.
+     *                    - timeout number Time (in ms) to wait for the response. Defaults to mmCoreWSTimeout.
+     *                    - retries number (0) Times to retry the call if the site cannot be reached. Only
+     *                      calls that can be safely repeated (i.e. reads) should be retried.
+     *                    - retryDelay number Time (in ms) to wait before the first retry, it's doubled on every
+     *                      retry. Defaults to mmCoreWSRetryDelay.
+     *                    - batch boolean (false) Send the call along with the other batch calls done in the same
+     *                      digest. The site must support the mmCoreWSBatchFunction function.
+     * @return {Promise} Promise to be resolved with the WS response. The call is recorded in $mmWSLog.
      */
     self.call = function(method, data, preSets) {
+        var start = new Date().getTime(),
+            params = angular.copy(data);
+
+        function record(success, error) {
+            $mmWSLog.record({
+                method: method,
+                siteurl: preSets ? preSets.siteurl : undefined,
+                params: params,
+                time: start,
+                duration: new Date().getTime() - start,
+                success: success,
+                error: error
+            });
+        }
+
+        return sendCall(method, data, preSets).then(function(response) {
+            record(true);
+            return response;
+        }, function(error) {
+            record(false, error);
+            return $q.reject(error);
+        });
+    };
+
+    /**
+     * Send a WS call. See $mmWS#call.
+     *
+     * @param  {string} method  The WebService method to be called.
+     * @param  {Object} data    Arguments to pass to the method.
+     * @param  {Object} preSets Extra settings and information.
+     * @return {Promise}        Promise to be resolved with the WS response.
+     */
+    function sendCall(method, data, preSets) {
 
         var deferred = $q.defer(),
             siteurl;
@@ -50,24 +200,48 @@ angular.module('mm.core')
 
         if (typeof(preSets) === 'undefined' || preSets == null ||
                 typeof(preSets.wstoken) === 'undefined' || typeof(preSets.siteurl) === 'undefined') {
-            $mmLang.translateErrorAndReject(deferred, 'mm.core.unexpectederror');
+            self.translateErrorAndReject(deferred, 'mm.core.unexpectederror', mmCoreWSErrorUnavailable);
             return deferred.promise;
         }
-        try {
-            if ($cordovaNetwork.isOffline()) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.core.networkerrormsg');
-                return deferred.promise;
-            }
-        } catch(err) {}
+        if (!$mmApp.isOnline()) {
+            self.translateErrorAndReject(deferred, 'mm.core.networkerrormsg', mmCoreWSErrorNetwork);
+            return deferred.promise;
+        }
+
+        if (preSets.batch) {
+            return addToBatch(method, data, preSets);
+        }
 
         data.wsfunction = method;
         data.wstoken = preSets.wstoken;
         siteurl = preSets.siteurl + '/webservice/rest/server.php?moodlewsrestformat=json';
 
-        var ajaxData = data;
+        var ajaxData = data,
+            timeout = preSets.timeout || mmCoreWSTimeout,
+            retries = preSets.retries || 0,
+            retryDelay = typeof(preSets.retryDelay) !== 'undefined' ? preSets.retryDelay : mmCoreWSRetryDelay;
+
+        /**
+         * Send the request, retrying it if it fails because the site could not be reached.
+         *
+         * @param  {Number} attempt Number of the attempt, starting at 0.
+         * @return {Promise}        $http promise of the last attempt.
+         */
+        function post(attempt) {
+            return $http.post(siteurl, ajaxData, {timeout: timeout}).catch(function(error) {
+                if (attempt < retries && isRetriable(error)) {
+                    var delay = retryDelay * Math.pow(2, attempt);
+                    $log.debug('WS call ' + method + ' failed, retrying in ' + delay + ' ms.');
+                    return $timeout(function() {
+                        return post(attempt + 1);
+                    }, delay);
+                }
+                return $q.reject(error);
+            });
+        }
 
         // TODO: Show error if not connected.
-        $http.post(siteurl, ajaxData).then(function(data) {
+        post(0).then(function(data) {
             // Some moodle web services return null.
             // If the responseExpected value is set then so long as no data
             // is returned, we create a blank object.
@@ -78,23 +252,26 @@ angular.module('mm.core')
             }
 
             if (!data) {
-                $mmLang.translateErrorAndReject(deferred, 'mm.core.cannotconnect');
+                self.translateErrorAndReject(deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork);
                 return;
             }
 
             if (typeof(data.exception) !== 'undefined') {
                 if (data.errorcode == 'invalidtoken' || data.errorcode == 'accessexception') {
-                    // TODO: Send an event to logout the user and redirect to login page.
                     $log.error("Critical error: " + JSON.stringify(data));
-                    $mmLang.translateErrorAndReject(deferred, 'mm.core.lostconnection');
+                    $mmEvents.trigger(mmCoreEventSessionExpired, {
+                        siteurl: preSets.siteurl,
+                        token: preSets.wstoken
+                    });
+                    self.translateErrorAndReject(deferred, 'mm.core.lostconnection', mmCoreWSErrorAuth, data);
                 } else {
-                    deferred.reject(data.message);
+                    deferred.reject(self.createError(mmCoreWSErrorMoodle, data.message, data));
                 }
                 return;
             }
 
             if (typeof(data.debuginfo) != 'undefined') {
-                deferred.reject('Error. ' + data.message);
+                deferred.reject(self.createError(mmCoreWSErrorMoodle, 'Error. ' + data.message, data));
                 return;
             }
 
@@ -109,11 +286,187 @@ angular.module('mm.core')
             deferred.resolve(angular.copy(data));
 
         }, function(error) {
-            $mmLang.translateErrorAndReject(deferred, 'mm.core.cannotconnect');
+            self.translateErrorAndReject(deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork, error);
         });
 
         return deferred.promise;
-    };
+    }
+
+    /**
+     * Add a call to the batch of its site. The batch is sent once the current digest finishes.
+     *
+     * @param  {String} method  The WebService method.
+     * @param  {Object} data    Arguments to pass to the method.
+     * @param  {Object} preSets Extra settings and information, see $mmWS#call.
+     * @return {Promise}        Promise to be resolved with the WS response.
+     */
+    function addToBatch(method, data, preSets) {
+        var deferred = $q.defer(),
+            transport = getTransportPreSets(preSets),
+            queueId = JSON.stringify(transport),
+            queue = batchQueues[queueId];
+
+        if (!queue) {
+            // Only the calls with the same transport settings are sent together, the request uses them.
+            queue = batchQueues[queueId] = {
+                preSets: transport,
+                calls: []
+            };
+            $timeout(function() {
+                delete batchQueues[queueId];
+                sendBatch(queue);
+            }, 0);
+        }
+
+        queue.calls.push({
+            method: method,
+            data: data,
+            preSets: angular.extend({}, preSets, {batch: false}),
+            deferred: deferred
+        });
+
+        return deferred.promise;
+    }
+
+    /**
+     * Get the settings that affect how a request is sent: the site, the token, the timeout and the retries.
+     *
+     * @param  {Object} preSets Extra settings and information, see $mmWS#call.
+     * @return {Object}         Transport settings, with the default values applied.
+     */
+    function getTransportPreSets(preSets) {
+        return {
+            siteurl: preSets.siteurl,
+            wstoken: preSets.wstoken,
+            timeout: preSets.timeout || mmCoreWSTimeout,
+            retries: preSets.retries || 0,
+            retryDelay: typeof(preSets.retryDelay) !== 'undefined' ? preSets.retryDelay : mmCoreWSRetryDelay
+        };
+    }
+
+    /**
+     * Send a batch of calls and resolve each call with its own response. If the batch request fails, the calls are
+     * sent one by one unless the site cannot be reached or the user needs to authenticate again.
+     *
+     * @param {Object} queue Batch to send: the transport settings of the request and the list of calls, each one
+     *                       with its own settings.
+     */
+    function sendBatch(queue) {
+        var calls = queue.calls,
+            data = {};
+
+        if (calls.length == 1) {
+            sendSeparately(queue);
+            return;
+        }
+
+        $log.debug('Sending ' + calls.length + ' WS calls in a batch.');
+        angular.forEach(calls, function(call, index) {
+            data['requests[' + index + '][function]'] = call.method;
+            data['requests[' + index + '][arguments]'] = JSON.stringify(unflattenParams(call.data));
+        });
+
+        // Each call of the batch is recorded in $mmWSLog on its own, not the batch request.
+        sendCall(mmCoreWSBatchFunction, data, queue.preSets).then(function(result) {
+            angular.forEach(calls, function(call, index) {
+                var response = result.responses && result.responses[index];
+
+                if (!response) {
+                    self.translateErrorAndReject(call.deferred, 'mm.core.unexpectederror', mmCoreWSErrorUnavailable);
+                } else if (response.error) {
+                    call.deferred.reject(getBatchError(response));
+                } else if (!response.data && call.preSets.responseExpected) {
+                    self.translateErrorAndReject(call.deferred, 'mm.core.cannotconnect', mmCoreWSErrorNetwork);
+                } else {
+                    $log.info('WS: Data received from batched WS ' + call.method);
+                    call.deferred.resolve(response.data ? JSON.parse(response.data) : {});
+                }
+            });
+        }, function(error) {
+            if (error.type === mmCoreWSErrorNetwork || error.type === mmCoreWSErrorAuth) {
+                angular.forEach(calls, function(call) {
+                    call.deferred.reject(error);
+                });
+            } else {
+                $log.debug('Batch request failed, sending the calls separately.');
+                sendSeparately(queue);
+            }
+        });
+    }
+
+    /**
+     * Send the calls of a batch one by one, each one with its own settings.
+     *
+     * @param {Object} queue Batch to send: the transport settings of the request and the list of calls.
+     */
+    function sendSeparately(queue) {
+        angular.forEach(queue.calls, function(call) {
+            sendCall(call.method, call.data, call.preSets).then(call.deferred.resolve, call.deferred.reject);
+        });
+    }
+
+    /**
+     * Create the error of a call that failed inside a batch.
+     *
+     * @param  {Object} response Response of the call.
+     * @return {Object}          WS error.
+     */
+    function getBatchError(response) {
+        var exception;
+
+        try {
+            exception = JSON.parse(response.exception) || {};
+        } catch(ex) {
+            exception = {};
+        }
+
+        if (exception.errorcode == 'invalidtoken' || exception.errorcode == 'accessexception') {
+            return self.createError(mmCoreWSErrorAuth, exception.message, exception);
+        }
+        return self.createError(mmCoreWSErrorMoodle, exception.message, exception);
+    }
+
+    /**
+     * Convert the REST style parameters to nested objects, e.g. {'a[0][b]': 1} becomes {a: {0: {b: 1}}}.
+     * The batched calls receive their arguments encoded in JSON.
+     *
+     * @param  {Object} data Parameters to convert.
+     * @return {Object}      Converted parameters.
+     */
+    function unflattenParams(data) {
+        var result = {};
+
+        angular.forEach(data, function(value, name) {
+            var path = name.replace(/\]/g, '').split('['),
+                target = result,
+                last = path.pop();
+
+            angular.forEach(path, function(key) {
+                if (!angular.isObject(target[key])) {
+                    target[key] = {};
+                }
+                target = target[key];
+            });
+            target[last] = value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Check if a failed HTTP request is worth retrying: it timed out, the site could not be reached or
+     * it reported a server error. It's never retried if the device is offline.
+     *
+     * @param  {Object} error The $http error response.
+     * @return {Boolean}      True if the request can be retried, false otherwise.
+     */
+    function isRetriable(error) {
+        if (!$mmApp.isOnline()) {
+            return false;
+        }
+
+        return !error || error.status <= 0 || error.status >= 500;
+    }
 
     /**
      * Converts an objects values to strings where appropriate.
@@ -0,0 +1,165 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+angular.module('mm.core')
+
+.constant('mmCoreWSLogDefaultLength', 100)
+.constant('mmCoreWSLogRedacted', '[redacted]')
+.constant('mmCoreWSLogTokenRegex', /([?&](?:wstoken|token)=)[^&#\s'"]+/gi) // Tokens in URLs, keeps the parameter name.
+
+/**
+ * Service to keep a record of the latest WS calls, to debug the app in devices where the console can't be seen.
+ *
+ * @module mm.core
+ * @ngdoc service
+ * @name $mmWSLog
+ * @description
+ * The calls are only recorded when 'dev_debug' is enabled in config.json and the user has the debugging enabled
+ * (see $mmLog#enabled). The number of calls kept is set by 'log_length', the oldest calls are discarded.
+ *
+ * The tokens and passwords sent to the WS are never recorded.
+ */
+.factory('$mmWSLog', function($log, $mmConfig, $mmLog, mmCoreWSLogDefaultLength, mmCoreWSLogRedacted) {
+
+    $log = $log.getInstance('$mmWSLog');
+
+    var self = {},
+        calls = [],
+        maxLength = mmCoreWSLogDefaultLength,
+        devDebug = false,
+        redactedParams = ['wstoken', 'token', 'password'];
+
+    $mmConfig.get('log_length').then(function(length) {
+        maxLength = length;
+        trimCalls();
+    });
+    $mmConfig.get('dev_debug').then(function(enabled) {
+        devDebug = enabled;
+    });
+
+    /**
+     * Check if the WS calls are being recorded.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWSLog#isEnabled
+     * @return {Boolean} True if the calls are recorded, false otherwise.
+     */
+    self.isEnabled = function() {
+        return devDebug && $mmLog.isEnabled();
+    };
+
+    /**
+     * Record a WS call.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWSLog#record
+     * @param {Object} call Data of the call:
+     *                          - method String WS function called.
+     *                          - siteurl String URL of the site.
+     *                          - params Object Arguments sent to the WS function.
+     *                          - time Number Timestamp (in ms) when the call was started.
+     *                          - duration Number Time (in ms) it took to get the response.
+     *                          - fromCache Boolean True if the response was read from the cache.
+     *                          - success Boolean True if the call succeeded.
+     *                          - error Mixed Error returned if the call failed.
+     */
+    self.record = function(call) {
+        if (!self.isEnabled()) {
+            return;
+        }
+
+        var error = call.error;
+        if (typeof(error) === 'object' && error !== null) {
+            error = {
+                type: error.type,
+                message: error.message,
+                errorcode: error.errorcode,
+                debuginfo: error.debuginfo
+            };
+        }
+
+        calls.push({
+            method: call.method,
+            siteurl: call.siteurl,
+            params: redact(call.params),
+            time: call.time,
+            duration: call.duration,
+            fromCache: !!call.fromCache,
+            success: !!call.success,
+            error: error
+        });
+        trimCalls();
+    };
+
+    /**
+     * Get the recorded calls, the most recent first.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWSLog#getCalls
+     * @return {Array} Recorded calls.
+     */
+    self.getCalls = function() {
+        return calls.slice().reverse();
+    };
+
+    /**
+     * Delete all the recorded calls.
+     *
+     * @module mm.core
+     * @ngdoc method
+     * @name $mmWSLog#clear
+     */
+    self.clear = function() {
+        $log.debug('Clear the recorded WS calls.');
+        calls = [];
+    };
+
+    /**
+     * Get a copy of the WS params without the values that must not be recorded.
+     *
+     * @param  {Mixed} params WS params, or any value inside them.
+     * @return {Mixed}        Redacted copy.
+     */
+    function redact(params) {
+        var result;
+
+        if (!angular.isObject(params)) {
+            return params;
+        }
+
+        result = angular.isArray(params) ? [] : {};
+        angular.forEach(params, function(value, key) {
+            if (redactedParams.indexOf(key) > -1) {
+                result[key] = mmCoreWSLogRedacted;
+            } else {
+                result[key] = redact(value);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Discard the oldest calls if there are more than the allowed number.
+     */
+    function trimCalls() {
+        if (calls.length > maxLength) {
+            calls.splice(0, calls.length - maxLength);
+        }
+    }
+
+    return self;
+});
@@ -0,0 +1,68 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmAddonLoader', function() {
+    var mmSite, httpBackend, $window,
+        siteurl = 'https://somesite.example',
+        wsurl = siteurl + '/webservice/rest/server.php?moodlewsrestformat=json',
+        wsfunction = 'local_myaddons_get_urls';
+
+    // Injecting.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmSite, $httpBackend, _$window_) {
+        mmSite = $mmSite;
+        httpBackend = $httpBackend;
+        $window = _$window_;
+
+        $window.localStorage.removeItem('mm_site_extra_js');
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {site_extra_js: true, site_extra_js_wsfunction: wsfunction});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+    }));
+
+    /**
+     * Get the site addons stored for the next start.
+     *
+     * @return {Object} Stored addons. Null if there are none.
+     */
+    function getStored() {
+        return angular.fromJson($window.localStorage.getItem('mm_site_extra_js'));
+    }
+
+    it('the addons returned by the site are stored for the next start', function() {
+        httpBackend.expectPOST(wsurl, /wsfunction=local_myaddons_get_urls/)
+            .respond(200, {urls: [siteurl + '/local/myaddons/mobile.js']});
+        // Setting the current site triggers mmCoreEventLogin.
+        mmSite.setSite('siteId', siteurl, 'abc', {functions: [{name: wsfunction}]});
+        httpBackend.flush();
+
+        expect(getStored()).toEqual({siteurl: siteurl, urls: [siteurl + '/local/myaddons/mobile.js']});
+    });
+
+    it('the addons are removed if the site does not provide them', function() {
+        $window.localStorage.setItem('mm_site_extra_js', angular.toJson({siteurl: siteurl, urls: ['https://old']}));
+        mmSite.setSite('siteId', siteurl, 'abc', {functions: []});
+        httpBackend.flush();
+
+        expect(getStored()).toBeNull();
+    });
+});
@@ -15,15 +15,26 @@
 describe('$mmConfig', function() {
     var mmConfig, httpBackend, timeout, randid;
 
-    // Injecting.
-    beforeEach(module('mm.core'));
+    // Injecting. The settings are stored in memory, so they're not kept between specs.
+    beforeEach(module('mm.core', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
     beforeEach(inject(function($mmConfig, $httpBackend, $timeout) {
         mmConfig = $mmConfig;
         httpBackend = $httpBackend;
         timeout = $timeout;
 
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
         httpBackend.expectGET('config.json')
             .respond(200, {'app_id': 'com.moodle.moodlemobile'});
+        // Other services read the config when the app is ready.
+        httpBackend.whenGET('config.json')
+            .respond(200, {'app_id': 'com.moodle.moodlemobile'});
     }));
 
     it('config can be read from config.json', function(done) {
@@ -68,7 +79,11 @@ describe('$mmConfig', function() {
     });
 
     it('config can be retrieved from DB', function(done) {
-        mmConfig.get(randid)
+        randid = 'randomkey' + Math.round(Math.random() * 1000000);
+        mmConfig.set(randid, 'moodler')
+            .then(function() {
+                return mmConfig.get(randid);
+            })
             .then(function(data) {
                 expect(data).toEqual('moodler');
             }, function() {
@@ -81,4 +96,108 @@ describe('$mmConfig', function() {
         setTimeout(timeout.flush, 1500);
     });
 
-})
+});
+
+describe('$mmConfig settings', function() {
+    var mmConfig, configProvider, httpBackend, rootScope;
+
+    // Injecting.
+    beforeEach(module('mm.core', function($mmDBProvider, $mmConfigProvider) {
+        configProvider = $mmConfigProvider;
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+        $mmConfigProvider.registerSetting('test_number', {
+            type: 'number',
+            default: 5
+        });
+    }));
+    beforeEach(inject(function($mmConfig, $httpBackend, $rootScope) {
+        mmConfig = $mmConfig;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {'app_id': 'com.moodle.moodlemobile'});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+    }));
+
+    it('settings are validated when they are declared', function() {
+        expect(function() {
+            configProvider.registerSetting('test_invalid', {type: 'date'});
+        }).toThrow();
+        expect(function() {
+            configProvider.registerSetting('test_invalid', {type: 'number', default: 'five'});
+        }).toThrow();
+        expect(function() {
+            configProvider.registerSetting('test_number', {type: 'string'});
+        }).toThrow();
+        expect(configProvider.registerSetting('test_number', {type: 'number', default: 5})).toEqual(false);
+    });
+
+    it('declared settings return their default value', function() {
+        var value;
+
+        mmConfig.get('test_number').then(function(data) {
+            value = data;
+        });
+        httpBackend.flush();
+
+        expect(value).toEqual(5);
+    });
+
+    it('static config cannot be overridden', function() {
+        var error;
+
+        mmConfig.set('app_id', 'com.example').catch(function(err) {
+            error = err;
+        });
+        httpBackend.flush();
+
+        expect(error instanceof Error).toEqual(true);
+        expect(error.message).toContain('config.json');
+    });
+
+    it('values of the wrong type are rejected', function() {
+        var error;
+
+        mmConfig.set('test_number', 'five').catch(function(err) {
+            error = err;
+        });
+        httpBackend.flush();
+
+        expect(error instanceof Error).toEqual(true);
+    });
+
+    it('watchers are notified when a setting changes', function() {
+        var values = [];
+
+        mmConfig.watch('test_number', function(value) {
+            values.push(value);
+        });
+        mmConfig.set('test_number', 7);
+        httpBackend.flush();
+        mmConfig.delete('test_number');
+        rootScope.$digest();
+
+        expect(values).toEqual([7, 5]);
+    });
+
+    it('all the settings can be retrieved', function() {
+        var all;
+
+        mmConfig.set('test_string', 'moodler');
+        httpBackend.flush();
+        mmConfig.getAll().then(function(data) {
+            all = data;
+        });
+        rootScope.$digest();
+
+        expect(all.app_id).toEqual('com.moodle.moodlemobile');
+        expect(all.test_number).toEqual(5);
+        expect(all.test_string).toEqual('moodler');
+    });
+});
@@ -0,0 +1,98 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmCrypto', function() {
+    var mmCrypto, rootScope, $window;
+
+    // Injecting.
+    beforeEach(module('mm.core', 'mm.core.emulator'));
+    beforeEach(inject(function($mmCrypto, $rootScope, $httpBackend, _$window_) {
+        mmCrypto = $mmCrypto;
+        rootScope = $rootScope;
+        $window = _$window_;
+
+        $window.localStorage.clear();
+
+        $httpBackend.whenGET('config.json')
+            .respond(200, {});
+        $httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+    }));
+
+    /**
+     * Wait for a promise, digesting until it's settled. The Web Cryptography API uses native promises.
+     *
+     * @param {Promise}  promise  Promise to wait for.
+     * @param {Function} callback Function called with the value, or with the error and true if it was rejected.
+     */
+    function wait(promise, callback) {
+        var interval = setInterval(function() {
+            rootScope.$digest();
+        }, 5);
+
+        promise.then(function(value) {
+            clearInterval(interval);
+            callback(value, false);
+        }, function(error) {
+            clearInterval(interval);
+            callback(error, true);
+        });
+    }
+
+    it('data is decrypted with the same key it was encrypted with', function(done) {
+        wait(mmCrypto.encrypt('secret text').then(function(encrypted) {
+            expect(encrypted.data).not.toContain('secret text');
+            return mmCrypto.decrypt(encrypted);
+        }), function(text, rejected) {
+            expect(rejected).toEqual(false);
+            expect(text).toEqual('secret text');
+            done();
+        });
+    });
+
+    it('data encrypted before setting a PIN can still be decrypted', function(done) {
+        var encrypted;
+
+        wait(mmCrypto.encrypt('secret text').then(function(data) {
+            encrypted = data;
+            return mmCrypto.setPin('1234');
+        }).then(function() {
+            expect(mmCrypto.hasPin()).toEqual(true);
+            expect($window.localStorage.getItem('mm_crypto_data_key')).not.toContain('1234');
+            return mmCrypto.decrypt(encrypted);
+        }), function(text, rejected) {
+            expect(rejected).toEqual(false);
+            expect(text).toEqual('secret text');
+            done();
+        });
+    });
+
+    it('data encrypted before a reset cannot be decrypted', function(done) {
+        wait(mmCrypto.setPin('1234').then(function() {
+            return mmCrypto.encrypt('secret text');
+        }).then(function(encrypted) {
+            return mmCrypto.reset().then(function() {
+                expect(mmCrypto.hasPin()).toEqual(false);
+                return mmCrypto.decrypt(encrypted);
+            });
+        }), function(error, rejected) {
+            expect(rejected).toEqual(true);
+            done();
+        });
+    });
+});
@@ -0,0 +1,84 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+describe('$mmDBProvider', function() {
+    var mmDBProvider, schema;
+
+    // Injecting.
+    beforeEach(module('mm.core', function($mmDBProvider) {
+        mmDBProvider = $mmDBProvider;
+    }));
+    beforeEach(inject(function() {
+        schema = {
+            autoSchema: true,
+            stores: []
+        };
+    }));
+
+    it('stores can be added to a schema', function() {
+        expect(mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id'})).toEqual(true);
+        expect(schema.stores.length).toEqual(1);
+    });
+
+    it('stores need a name', function() {
+        expect(function() {
+            mmDBProvider.addStore(schema, {keyPath: 'id'});
+        }).toThrow();
+    });
+
+    it('the same store can be added twice', function() {
+        mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 1});
+        expect(mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id'})).toEqual(false);
+        expect(schema.stores.length).toEqual(1);
+    });
+
+    it('conflicting stores cannot be added', function() {
+        mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id'});
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'courseid'});
+        }).toThrow();
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 2});
+        }).toThrow();
+    });
+
+    it('versions and migrations must be valid', function() {
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 0});
+        }).toThrow();
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 2, migrations: {3: angular.noop}});
+        }).toThrow();
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 2, migrations: {2: 'id'}});
+        }).toThrow();
+        expect(mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', version: 2, migrations: {2: angular.noop}}))
+            .toEqual(true);
+    });
+
+    it('indexes must be valid', function() {
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', indexes: [{keyPath: 'fullname'}]});
+        }).toThrow();
+        expect(function() {
+            mmDBProvider.addStore(schema, {name: 'courses', keyPath: 'id', indexes: [{name: 'category'}, {name: 'category'}]});
+        }).toThrow();
+        expect(mmDBProvider.addStore(schema, {
+            name: 'courses',
+            keyPath: 'id',
+            indexes: [{name: 'category'}, {name: 'category_time', keyPath: ['category', 'timecreated']}]
+        })).toEqual(true);
+    });
+});
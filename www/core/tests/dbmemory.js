@@ -0,0 +1,158 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmDBMemoryAdapter', function() {
+    var db, rootScope;
+
+    // Injecting.
+    beforeEach(module('mm.core', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmDB, $rootScope, $httpBackend) {
+        rootScope = $rootScope;
+        $httpBackend.whenGET('config.json')
+            .respond(200, {});
+        $httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+        db = $mmDB.getDB('TestDB', {
+            autoSchema: true,
+            stores: [
+                {
+                    name: 'messages',
+                    keyPath: 'id',
+                    autoIncrement: true,
+                    indexes: [
+                        {
+                            name: 'timecreated'
+                        }
+                    ]
+                }
+            ]
+        });
+        db.insertMany('messages', [
+            {text: 'first', timecreated: 10},
+            {text: 'third', timecreated: 30},
+            {text: 'second', timecreated: 20}
+        ]);
+        rootScope.$digest();
+    }));
+
+    it('entries can be stored and retrieved', function(done) {
+        db.insert('messages', {id: 50, text: 'hello', timecreated: 40})
+            .then(function(id) {
+                expect(id).toEqual(50);
+                return db.get('messages', 50);
+            })
+            .then(function(entry) {
+                expect(entry.text).toEqual('hello');
+                return db.count('messages');
+            })
+            .then(function(count) {
+                expect(count).toEqual(4);
+                return db.keys('messages');
+            })
+            .then(function(keys) {
+                expect(keys).toEqual([1, 2, 3, 50]);
+            })
+            .catch(function() {
+                expect(false).toEqual(true);
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+
+    it('getting a missing entry is rejected', function(done) {
+        db.get('messages', 99)
+            .then(function() {
+                expect(false).toEqual(true);
+            }, function() {
+                // Success.
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+
+    it('entries can be filtered with where', function(done) {
+        db.where('messages', 'timecreated', '>', 10, '<=', 30)
+            .then(function(entries) {
+                expect(entries.map(function(entry) {
+                    return entry.text;
+                })).toEqual(['second', 'third']);
+            })
+            .catch(function() {
+                expect(false).toEqual(true);
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+
+    it('queries can be sorted and paginated', function(done) {
+        db.query('messages', {index: 'timecreated', order: 'desc', limit: 2, offset: 1})
+            .then(function(entries) {
+                expect(entries.map(function(entry) {
+                    return entry.text;
+                })).toEqual(['second', 'first']);
+            })
+            .catch(function() {
+                expect(false).toEqual(true);
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+
+    it('each is called with every entry', function(done) {
+        var texts = [];
+
+        db.each('messages', function(entry) {
+            texts.push(entry.text);
+        })
+            .then(function() {
+                expect(texts).toEqual(['first', 'third', 'second']);
+            })
+            .catch(function() {
+                expect(false).toEqual(true);
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+
+    it('entries can be removed', function(done) {
+        db.removeWhere('messages', 'timecreated', '<', 30)
+            .then(function(count) {
+                expect(count).toEqual(2);
+                return db.clear('messages');
+            })
+            .then(function() {
+                return db.getAll('messages');
+            })
+            .then(function(entries) {
+                expect(entries).toEqual([]);
+            })
+            .catch(function() {
+                expect(false).toEqual(true);
+            })
+            .finally(done);
+
+        rootScope.$digest();
+    });
+});
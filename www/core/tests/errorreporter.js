@@ -0,0 +1,111 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmErrorReporter', function() {
+    var mmErrorReporter, mmApp, httpBackend, rootScope,
+        online = true,
+        endpoint = 'http://localhost/errorreport';
+
+    // Injecting. The emulator provides the Cordova plugins used when the app is ready.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmErrorReporter, $mmApp, $httpBackend, $rootScope) {
+        mmErrorReporter = $mmErrorReporter;
+        mmApp = $mmApp;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+
+        online = true;
+        spyOn(mmApp, 'isOnline').and.callFake(function() {
+            return online;
+        });
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {versionname: '2.0', versioncode: '2', error_report_url: endpoint});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+    }));
+
+    /**
+     * Get the number of queued reports.
+     *
+     * @return {Number} Number of reports.
+     */
+    function countReports() {
+        var count;
+        mmApp.getDB().count('error_reports').then(function(c) {
+            count = c;
+        });
+        rootScope.$digest();
+        return count;
+    }
+
+    it('errors are sent as JSON to the endpoint', function() {
+        var report;
+
+        httpBackend.expectPOST(endpoint, function(data) {
+            report = JSON.parse(data);
+            return true;
+        }).respond(200);
+
+        mmErrorReporter.report(new Error('Test error'), {type: 'exception'});
+        httpBackend.flush();
+
+        expect(report.type).toEqual('exception');
+        expect(report.message).toEqual('Error: Test error');
+        expect(report.versionname).toEqual('2.0');
+        expect(report.versioncode).toEqual('2');
+        expect(angular.isArray(report.log)).toEqual(true);
+        expect(countReports()).toEqual(0);
+    });
+
+    it('errors are queued while offline', function() {
+        online = false;
+        mmErrorReporter.report('Offline error');
+        httpBackend.flush();
+        expect(countReports()).toEqual(1);
+
+        online = true;
+        httpBackend.expectPOST(endpoint).respond(200);
+        mmErrorReporter.sendReports();
+        httpBackend.flush();
+        expect(countReports()).toEqual(0);
+    });
+
+    it('reports are kept if the server cannot be reached', function() {
+        httpBackend.expectPOST(endpoint).respond(500);
+        mmErrorReporter.report('Server error');
+        httpBackend.flush();
+        expect(countReports()).toEqual(1);
+    });
+
+    it('the tokens are not reported', function() {
+        var report;
+
+        httpBackend.expectPOST(endpoint, function(data) {
+            report = JSON.parse(data);
+            return true;
+        }).respond(200);
+
+        mmErrorReporter.report('Cannot load http://somesite.example/file.php?token=abc&file=1');
+        httpBackend.flush();
+
+        expect(report.message).toEqual('Cannot load http://somesite.example/file.php?token=[redacted]&file=1');
+    });
+});
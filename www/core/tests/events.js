@@ -0,0 +1,90 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmEvents', function() {
+    var mmEvents, rootScope;
+
+    // Injecting.
+    beforeEach(module('mm.core'));
+    beforeEach(inject(function($mmEvents, $rootScope) {
+        mmEvents = $mmEvents;
+        rootScope = $rootScope;
+    }));
+
+    it('observers receive the data of the events they listen to', function() {
+        var received = [];
+
+        mmEvents.on('test_event', function(data) {
+            received.push(data);
+        });
+        mmEvents.trigger('test_event', 'moodler');
+        mmEvents.trigger('another_event', 'nobody');
+
+        expect(received).toEqual(['moodler']);
+    });
+
+    it('observers can stop listening', function() {
+        var count = 0,
+            observer = mmEvents.on('test_event', function() {
+                count++;
+            });
+
+        mmEvents.trigger('test_event');
+        observer.off();
+        mmEvents.trigger('test_event');
+
+        expect(count).toEqual(1);
+    });
+
+    it('observers added with once are called only once', function() {
+        var count = 0;
+
+        mmEvents.once('test_event', function() {
+            count++;
+        });
+        mmEvents.trigger('test_event');
+        mmEvents.trigger('test_event');
+
+        expect(count).toEqual(1);
+    });
+
+    it('observers are removed when their scope is destroyed', function() {
+        var count = 0,
+            scope = rootScope.$new();
+
+        mmEvents.on('test_event', function() {
+            count++;
+        }, scope);
+
+        mmEvents.trigger('test_event');
+        scope.$destroy();
+        mmEvents.trigger('test_event');
+
+        expect(count).toEqual(1);
+    });
+
+    it('an observer failing does not stop the rest', function() {
+        var called = false;
+
+        mmEvents.on('test_event', function() {
+            throw 'error';
+        });
+        mmEvents.on('test_event', function() {
+            called = true;
+        });
+        mmEvents.trigger('test_event');
+
+        expect(called).toEqual(true);
+    });
+});
@@ -0,0 +1,209 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmLog', function() {
+    var mmLog, mmFS, logger, httpBackend, rootScope, q;
+
+    // Injecting. The entries are stored in memory, so they're not kept between specs.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(function() {
+        // The entries are sorted by time, the specs move the time forward.
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2015, 0, 1));
+    });
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+    beforeEach(inject(function($mmLog, $mmFS, $log, $httpBackend, $rootScope, $q) {
+        mmLog = $mmLog;
+        mmFS = $mmFS;
+        logger = $log;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+        q = $q;
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {log_length: 100});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+        httpBackend.flush();
+    }));
+
+    /**
+     * Get the stored entries.
+     *
+     * @param  {Object} filter Filter to apply, see $mmLog#getEntries.
+     * @return {Array}         Entries, the most recent first.
+     */
+    function getEntries(filter) {
+        var entries;
+        mmLog.getEntries(filter).then(function(list) {
+            entries = list;
+        });
+        rootScope.$digest();
+        return entries;
+    }
+
+    /**
+     * Get the messages of some entries.
+     *
+     * @param  {Array} entries Entries.
+     * @return {Array}         Messages.
+     */
+    function getMessages(entries) {
+        return entries.map(function(entry) {
+            return entry.message;
+        });
+    }
+
+    it('logged messages are stored', function() {
+        var entries;
+
+        logger.getInstance('mmTest').info('Test message', {value: 1});
+        entries = getEntries({classname: 'mmTest'});
+
+        expect(entries.length).toEqual(1);
+        expect(entries[0].level).toEqual('info');
+        expect(entries[0].classname).toEqual('mmTest');
+        expect(entries[0].message).toEqual('Test message {"value":1}');
+    });
+
+    it('tokens are not stored', function() {
+        logger.getInstance('mmTest').debug('Downloading file http://somesite.example/file.php?token=abc&file=1');
+
+        expect(getMessages(getEntries({classname: 'mmTest'})))
+            .toEqual(['Downloading file http://somesite.example/file.php?token=[redacted]&file=1']);
+    });
+
+    it('entries can be filtered by class and level', function() {
+        logger.getInstance('mmTestA').debug('Debug A');
+        logger.getInstance('mmTestA').error('Error A');
+        logger.getInstance('mmTestB').warn('Warn B');
+
+        expect(getMessages(getEntries({classname: 'mmTestA'})).sort()).toEqual(['Debug A', 'Error A']);
+        expect(getMessages(getEntries({classname: 'mmTest', level: 'warn'})).sort()).toEqual(['Error A', 'Warn B']);
+    });
+
+    it('entries are exported to a file, the oldest first', function() {
+        var content,
+            url;
+
+        spyOn(mmFS, 'createDir').and.returnValue(q.when());
+        spyOn(mmFS, 'getBasePath').and.returnValue(q.when('file:///app/'));
+        spyOn(mmFS, 'writeFile').and.callFake(function(path, data) {
+            content = data;
+            return q.when();
+        });
+
+        logger.getInstance('mmTest').info('First');
+        getEntries();
+        jasmine.clock().tick(1000);
+        logger.getInstance('mmTest').warn('Second');
+
+        mmLog.exportEntries({classname: 'mmTest'}).then(function(fileURL) {
+            url = fileURL;
+        });
+        rootScope.$digest();
+
+        expect(url).toMatch(/^file:\/\/\/app\/logs\/log-\d+\.txt$/);
+        expect(content).toMatch(/^\S+ INFO mmTest: First\n\S+ WARN mmTest: Second\n$/);
+    });
+
+    it('the level of the most specific class or prefix is used', function() {
+        mmLog.setLevel('mmTest*', 'warn');
+        mmLog.setLevel('mmTestA*', 'info');
+        mmLog.setLevel('mmTestAB', 'debug');
+        rootScope.$digest();
+
+        angular.forEach(['mmTestX', 'mmTestA', 'mmTestAB'], function(className) {
+            var instance = logger.getInstance(className);
+            instance.debug('Debug ' + className);
+            instance.info('Info ' + className);
+            instance.warn('Warn ' + className);
+        });
+
+        expect(getMessages(getEntries({classname: 'mmTest'})).sort()).toEqual([
+            'Debug mmTestAB',
+            'Info mmTestA', 'Info mmTestAB',
+            'Warn mmTestA', 'Warn mmTestAB', 'Warn mmTestX'
+        ]);
+    });
+});
+
+describe('$mmLog length', function() {
+    var mmLog, logger, rootScope;
+
+    // Injecting. The entries are stored in memory, so they're not kept between specs.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(function() {
+        // The entries are sorted by time, the specs move the time forward.
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2015, 0, 1));
+    });
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+    beforeEach(inject(function($mmLog, $log, $httpBackend, $rootScope) {
+        mmLog = $mmLog;
+        logger = $log;
+        rootScope = $rootScope;
+
+        $httpBackend.whenGET('config.json')
+            .respond(200, {log_length: 3});
+        $httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        $httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+        $httpBackend.flush();
+    }));
+
+    /**
+     * Get the messages of the stored entries.
+     *
+     * @return {Array} Messages, the most recent first.
+     */
+    function getMessages() {
+        var messages;
+        mmLog.getEntries().then(function(entries) {
+            messages = entries.map(function(entry) {
+                return entry.message;
+            });
+        });
+        rootScope.$digest();
+        return messages;
+    }
+
+    it('only the newest entries are kept', function() {
+        var instance = logger.getInstance('mmTest');
+
+        for (var i = 1; i <= 5; i++) {
+            instance.info('Message ' + i);
+            // The entries must have different times to know which ones are the newest.
+            getMessages();
+            jasmine.clock().tick(1000);
+        }
+
+        expect(getMessages()).toEqual(['Message 5', 'Message 4', 'Message 3']);
+    });
+});
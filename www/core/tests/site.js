@@ -97,4 +97,160 @@ describe('$mmSite', function() {
         expect(mmSite.wsAvailable('core_invalid_function', true)).toEqual(false);
     });
 
+    it('a site knows its Moodle release', function() {
+        var infos = {
+            release: '2.9.1+ (Build: 20150716)',
+            version: '2015051101.04'
+        };
+        mmSite.setSite('siteId', 'http://somesite.example', 'abc', infos);
+
+        expect(mmSite.getRelease().major).toEqual(2);
+        expect(mmSite.getRelease().minor).toEqual(9);
+        expect(mmSite.getRelease().patch).toEqual(1);
+        expect(mmSite.getRelease().build).toEqual('20150716');
+
+        expect(mmSite.isVersionGreaterEqualThan('2.8')).toEqual(true);
+        expect(mmSite.isVersionGreaterEqualThan('2.9')).toEqual(true);
+        expect(mmSite.isVersionGreaterEqualThan('2.9.1')).toEqual(true);
+        expect(mmSite.isVersionGreaterEqualThan('2.9.2')).toEqual(false);
+        expect(mmSite.isVersionGreaterEqualThan('2.10')).toEqual(false);
+        expect(mmSite.isVersionGreaterEqualThan('3.0')).toEqual(false);
+    });
+
+});
+
+describe('$mmSite caching', function() {
+    var mmSite, httpBackend, rootScope,
+        siteurl = 'http://somesite.example',
+        wsurl = siteurl + '/webservice/rest/server.php?moodlewsrestformat=json';
+
+    // Injecting. The cache is stored in memory, so it's not kept between specs.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmSite, $httpBackend, $rootScope) {
+        mmSite = $mmSite;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {cache_expiration_time: 300000, cache_max_entries: 500, cache_max_size: 5242880,
+                    cache_expired_keep_time: 60000});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+
+        mmSite.setSite('siteId', siteurl, 'abc', {functions: [{name: 'core_test_function'}]});
+    }));
+
+    /**
+     * Read the test function and keep the responses.
+     *
+     * @param {Array} responses Array to add the response to.
+     */
+    function readTestFunction(responses) {
+        mmSite.read('core_test_function', {}).then(function(response) {
+            responses.push(response);
+        });
+    }
+
+    it('cached responses are used instead of calling the site', function() {
+        var responses = [];
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 1});
+        readTestFunction(responses);
+        httpBackend.flush();
+
+        readTestFunction(responses);
+        rootScope.$digest();
+        httpBackend.verifyNoOutstandingRequest();
+
+        expect(responses).toEqual([{value: 1}, {value: 1}]);
+    });
+
+    it('cache hits only store the last access', inject(function(mmCoreWSCacheAccessStore) {
+        var responses = [],
+            db = mmSite.getDb(),
+            stores = [];
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 1});
+        readTestFunction(responses);
+        httpBackend.flush();
+
+        spyOn(db, 'insert').and.callFake(function(store) {
+            stores.push(store);
+        });
+        readTestFunction(responses);
+        rootScope.$digest();
+
+        expect(stores).toEqual([mmCoreWSCacheAccessStore]);
+    }));
+
+    it('invalidated responses are fetched again', function() {
+        var responses = [];
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 1});
+        readTestFunction(responses);
+        httpBackend.flush();
+
+        mmSite.invalidateWsCache();
+        rootScope.$digest();
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 2});
+        readTestFunction(responses);
+        httpBackend.flush();
+
+        expect(responses).toEqual([{value: 1}, {value: 2}]);
+    });
+
+    it('the cache stats count the expired responses', function() {
+        var responses = [],
+            stats;
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 1});
+        readTestFunction(responses);
+        httpBackend.flush();
+
+        mmSite.invalidateWsCache();
+        rootScope.$digest();
+        mmSite.getWsCacheStats().then(function(result) {
+            stats = result;
+        });
+        rootScope.$digest();
+
+        expect(stats.entries).toEqual(1);
+        expect(stats.expired).toEqual(1);
+        expect(stats.size).toBeGreaterThan(0);
+    });
+
+    it('the cache is purged without reading the responses', inject(function(mmCoreWSCacheStore) {
+        var responses = [],
+            db = mmSite.getDb(),
+            purged;
+
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2015, 0, 1));
+
+        httpBackend.expectPOST(wsurl).respond(200, {value: 1});
+        readTestFunction(responses);
+        httpBackend.flush();
+        mmSite.invalidateWsCache();
+        rootScope.$digest();
+
+        spyOn(db, 'get').and.callThrough();
+        spyOn(db, 'getAll').and.callThrough();
+        jasmine.clock().tick(120000);
+        mmSite.purgeWsCache().then(function(count) {
+            purged = count;
+        });
+        rootScope.$digest();
+        jasmine.clock().uninstall();
+
+        expect(purged).toEqual(1);
+        expect(db.get).not.toHaveBeenCalledWith(mmCoreWSCacheStore, jasmine.any(String));
+        expect(db.getAll).not.toHaveBeenCalledWith(mmCoreWSCacheStore);
+    }));
 });
@@ -0,0 +1,143 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmSitesManager', function() {
+    var mmSitesManager, mmSite, httpBackend, rootScope,
+        siteurl = 'http://somesite.example',
+        infos = {
+            username: 'student',
+            fullname: 'Student',
+            sitename: 'Some site',
+            functions: [{name: 'core_webservice_get_site_info'}]
+        };
+
+    // Injecting. The sites are stored in memory, so they're not kept between specs.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmSitesManager, $mmSite, $httpBackend, $rootScope) {
+        mmSitesManager = $mmSitesManager;
+        mmSite = $mmSite;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {cache_expiration_time: 300000, cache_max_entries: 500, cache_max_size: 5242880});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+        // The site info is updated when a site is loaded.
+        httpBackend.whenPOST(/webservice\/rest\/server\.php/)
+            .respond(200, infos);
+    }));
+
+    /**
+     * Get the stored sites.
+     *
+     * @return {Array} Sites.
+     */
+    function getSites() {
+        var sites;
+        mmSitesManager.getSites().then(function(list) {
+            sites = list;
+        });
+        rootScope.$digest();
+        return sites;
+    }
+
+    it('added sites are stored in the sites list', function() {
+        mmSitesManager.addSite('siteId', siteurl, 'abc', infos);
+        rootScope.$digest();
+
+        expect(getSites()).toEqual([{
+            id: 'siteId',
+            siteurl: siteurl,
+            username: 'student',
+            loggedOut: false,
+            fullname: 'Student',
+            sitename: 'Some site',
+            avatar: undefined
+        }]);
+    });
+
+    it('deleted sites are removed from the sites list', function() {
+        var empty = false;
+
+        mmSitesManager.addSite('siteId', siteurl, 'abc', infos);
+        rootScope.$digest();
+        mmSitesManager.deleteSite('siteId');
+        rootScope.$digest();
+        mmSitesManager.hasNoSites().then(function() {
+            empty = true;
+        });
+        rootScope.$digest();
+
+        expect(empty).toEqual(true);
+    });
+
+    it('all the sites can be deleted at once', function() {
+        var empty = false,
+            restored = true;
+
+        mmSitesManager.addSite('siteId', siteurl, 'abc', infos);
+        mmSitesManager.addSite('otherSiteId', siteurl, 'def', infos);
+        mmSitesManager.login('siteId');
+        rootScope.$digest();
+        mmSitesManager.deleteAllSites();
+        rootScope.$digest();
+        mmSitesManager.hasNoSites().then(function() {
+            empty = true;
+        });
+        mmSitesManager.restoreSession().catch(function() {
+            restored = false;
+        });
+        rootScope.$digest();
+
+        expect(empty).toEqual(true);
+        expect(restored).toEqual(false);
+    });
+
+    it('the session is restored in the last site used', function() {
+        mmSitesManager.addSite('siteId', siteurl, 'abc', infos);
+        mmSitesManager.login('siteId');
+        rootScope.$digest();
+
+        mmSitesManager.restoreSession();
+        httpBackend.flush();
+
+        expect(mmSite.isLoggedIn()).toEqual(true);
+        expect(mmSite.getId()).toEqual('siteId');
+        expect(mmSite.getToken()).toEqual('abc');
+    });
+
+    it('logged out sites cannot be loaded', function() {
+        var rejected = false;
+
+        mmSitesManager.addSite('siteId', siteurl, 'abc', infos);
+        rootScope.$digest();
+        mmSitesManager.setSiteLoggedOut('siteId', true);
+        rootScope.$digest();
+        mmSitesManager.loadSite('siteId').catch(function() {
+            rejected = true;
+        });
+        rootScope.$digest();
+
+        expect(rejected).toEqual(true);
+        expect(mmSite.isLoggedIn()).toEqual(false);
+        expect(getSites()[0].loggedOut).toEqual(true);
+    });
+});
@@ -0,0 +1,136 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmSyncQueue', function() {
+    var mmSyncQueue, mmSitesManager, mmApp, httpBackend, rootScope, online, mmCoreWSErrorNetwork,
+        infos = {
+            username: 'student',
+            functions: [{name: 'core_test_function'}]
+        };
+
+    // Injecting. The sites are stored in memory, so they're not kept between specs.
+    beforeEach(module('mm.core', 'mm.core.emulator', function($mmDBProvider) {
+        $mmDBProvider.setAdapter('$mmDBMemoryAdapter');
+    }));
+    beforeEach(inject(function($mmSyncQueue, $mmSitesManager, $mmApp, $httpBackend, $rootScope,
+            _mmCoreWSErrorNetwork_) {
+        mmSyncQueue = $mmSyncQueue;
+        mmCoreWSErrorNetwork = _mmCoreWSErrorNetwork_;
+        mmSitesManager = $mmSitesManager;
+        mmApp = $mmApp;
+        httpBackend = $httpBackend;
+        rootScope = $rootScope;
+
+        online = false;
+        spyOn(mmApp, 'isOnline').and.callFake(function() {
+            return online;
+        });
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+
+        mmSitesManager.addSite('siteA', 'http://a.example', 'abc', infos);
+        mmSitesManager.addSite('siteB', 'http://b.example', 'def', infos);
+        rootScope.$digest();
+    }));
+
+    /**
+     * Write some data in a site.
+     *
+     * @param {String} siteid  ID of the site.
+     * @param {Object} preSets Options for the call.
+     * @return {Object}        Result of the call.
+     */
+    function write(siteid, preSets) {
+        var result = {};
+        mmSitesManager.getSite(siteid).then(function(site) {
+            return site.write('core_test_function', {}, preSets);
+        }).then(function(response) {
+            result.response = response;
+        }, function(error) {
+            result.error = error;
+        });
+        rootScope.$digest();
+        return result;
+    }
+
+    /**
+     * Get the entries queued in a site.
+     *
+     * @param {String} siteid ID of the site.
+     * @return {Array}        Entries.
+     */
+    function getEntries(siteid) {
+        var entries;
+        mmSyncQueue.getEntries(undefined, siteid).then(function(list) {
+            entries = list;
+        });
+        rootScope.$digest();
+        return entries;
+    }
+
+    it('writes are queued by default while offline', function() {
+        var result;
+
+        expect(write('siteA').response.queued).toEqual(true);
+
+        // The error message is translated, wait for the language file.
+        result = write('siteA', {sync: 0});
+        httpBackend.flush();
+
+        expect(result.error.type).toEqual(mmCoreWSErrorNetwork);
+        expect(getEntries('siteA').length).toEqual(1);
+    });
+
+    it('the queues of all the sites are processed', function() {
+        var processed = [];
+
+        write('siteA');
+        write('siteB');
+        mmSyncQueue.registerObserver('spec', function(entry, success, result, siteid) {
+            processed.push(siteid);
+        });
+
+        online = true;
+        httpBackend.expectPOST('http://a.example/webservice/rest/server.php?moodlewsrestformat=json')
+            .respond(200, {});
+        httpBackend.expectPOST('http://b.example/webservice/rest/server.php?moodlewsrestformat=json')
+            .respond(200, {});
+        mmSyncQueue.process();
+        httpBackend.flush();
+
+        expect(processed.sort()).toEqual(['siteA', 'siteB']);
+        expect(getEntries('siteA').length).toEqual(0);
+        expect(getEntries('siteB').length).toEqual(0);
+    });
+
+    it('logged out sites are not processed', function() {
+        write('siteA');
+        mmSitesManager.setSiteLoggedOut('siteA', true);
+        rootScope.$digest();
+
+        online = true;
+        mmSyncQueue.process();
+        httpBackend.flush();
+
+        httpBackend.verifyNoOutstandingRequest();
+        expect(getEntries('siteA').length).toEqual(1);
+    });
+});
@@ -0,0 +1,88 @@
+// (C) Copyright 2015 Martin Dougiamas
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+describe('$mmWS batches', function() {
+    var mmWS, httpBackend, timeout,
+        siteurl = 'http://somesite.example',
+        wsurl = siteurl + '/webservice/rest/server.php?moodlewsrestformat=json';
+
+    // Injecting.
+    beforeEach(module('mm.core', 'mm.core.emulator'));
+    beforeEach(inject(function($mmWS, $httpBackend, $timeout) {
+        mmWS = $mmWS;
+        httpBackend = $httpBackend;
+        timeout = $timeout;
+
+        httpBackend.whenGET('config.json')
+            .respond(200, {});
+        httpBackend.whenGET(/.*\/templates.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/build.*/)
+            .respond(200, '');
+        httpBackend.whenGET(/core\/assets.*/)
+            .respond(200, '');
+    }));
+
+    /**
+     * Do a batched call and keep its response.
+     *
+     * @param {String} method    WS function.
+     * @param {Object} preSets   Extra settings of the call.
+     * @param {Object} responses Object to store the response, indexed by WS function.
+     */
+    function call(method, preSets, responses) {
+        preSets = angular.extend({siteurl: siteurl, wstoken: 'abc', batch: true}, preSets);
+        mmWS.call(method, {}, preSets).then(function(response) {
+            responses[method] = response;
+        });
+    }
+
+    /**
+     * Check if a request is a batch request.
+     *
+     * @param  {String} data Data of the request.
+     * @return {Boolean}     True if it's a batch request.
+     */
+    function isBatch(data) {
+        return data.indexOf('wsfunction=tool_mobile_call_external_functions') != -1;
+    }
+
+    it('calls with the same settings are sent together', function() {
+        var responses = {};
+
+        httpBackend.expectPOST(wsurl, isBatch).respond(200, {responses: [
+            {error: false, data: '{"value":1}'},
+            {error: false, data: '{"value":2}'}
+        ]});
+        call('core_test_a', {}, responses);
+        call('core_test_b', {}, responses);
+        timeout.flush();
+        httpBackend.flush();
+
+        expect(responses).toEqual({core_test_a: {value: 1}, core_test_b: {value: 2}});
+    });
+
+    it('calls with different transport settings are not sent together', function() {
+        var responses = {};
+
+        httpBackend.expectPOST(wsurl, /wsfunction=core_test_a/).respond(200, {value: 1});
+        httpBackend.expectPOST(wsurl, /wsfunction=core_test_b/).respond(200, {value: 2});
+        call('core_test_a', {}, responses);
+        call('core_test_b', {timeout: 1000}, responses);
+        timeout.flush();
+        httpBackend.flush();
+
+        expect(responses).toEqual({core_test_a: {value: 1}, core_test_b: {value: 2}});
+    });
+});